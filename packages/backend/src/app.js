@@ -0,0 +1,72 @@
+import express from 'express';
+import cors from 'cors';
+import { createSuccessResponse } from '@medication-management/shared';
+import { errorHandler, notFoundHandler, sendResponse } from './http/responses.js';
+import { buildOpenApiDocument } from './http/openapi.js';
+import { authenticate, requireAuthentication } from './http/authentication.js';
+import { auditTrail } from './http/auditTrail.js';
+import { createAuditLog } from './audit/auditLog.js';
+import { createAuthRoutes } from './routes/auth.js';
+import { createAuditRoutes } from './routes/audit.js';
+import { createUserRoutes } from './routes/users.js';
+import { createInsuranceRoutes } from './routes/insurance.js';
+import { createPrescriptionRoutes } from './routes/prescriptions.js';
+import { createClaimRoutes } from './routes/claims.js';
+import { createPharmacyRoutes } from './routes/pharmacies.js';
+import { createFhirRoutes } from './routes/fhir.js';
+
+/**
+ * Express Application
+ * Wires the REST API together; kept separate from index.js so it can be built without listening
+ * Everything except the health check, the OpenAPI document, sign-in and registration needs a bearer token,
+ * and reads and changes of patient records are written to the audit log
+ */
+
+/**
+ * Creates the Express app
+ * @param {Object} options
+ * @param {Object} options.repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} [options.formulary] - Formulary from loadFormularyFromFiles()
+ * @param {Object} [options.providerRegistry] - Registry from loadProviderRegistryFromFile()
+ * @param {Object} [options.durDataset] - Dataset from loadDurDatasetFromFile()
+ * @param {string} options.authSecret - Secret access tokens are signed with
+ * @returns {Object} Express app
+ */
+export function createApp({ repositories, formulary, providerRegistry, durDataset, authSecret }) {
+  if (!authSecret) {
+    throw new Error('createApp() needs an authSecret to sign access tokens');
+  }
+
+  const reference = { formulary, providerRegistry, durDataset };
+  const auditLog = createAuditLog(repositories.auditEntries);
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json());
+  app.use(authenticate(repositories.accounts, authSecret));
+  app.use(auditTrail(auditLog));
+
+  app.get('/api/health', (req, res) => {
+    sendResponse(res, createSuccessResponse({ status: 'ok' }));
+  });
+
+  // Served bare rather than in the response envelope so OpenAPI tools can read it directly
+  const openApiDocument = buildOpenApiDocument();
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.use('/api/auth', createAuthRoutes(repositories, reference, authSecret));
+  app.use('/api/users', requireAuthentication, createUserRoutes(repositories));
+  app.use('/api/insurance', requireAuthentication, createInsuranceRoutes(repositories, reference));
+  app.use('/api/pharmacies', requireAuthentication, createPharmacyRoutes(repositories, reference));
+  app.use('/api/prescriptions', requireAuthentication, createPrescriptionRoutes(repositories, reference));
+  app.use('/api/claims', requireAuthentication, createClaimRoutes(repositories, reference));
+  app.use('/api/fhir', requireAuthentication, createFhirRoutes(repositories, reference));
+  app.use('/api/audit', requireAuthentication, createAuditRoutes(auditLog));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
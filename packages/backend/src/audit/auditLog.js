@@ -0,0 +1,152 @@
+import { createHash } from 'node:crypto';
+import { generateSortableId, getCurrentDateTime } from '@medication-management/shared';
+
+/**
+ * Audit Log
+ * Append-only, hash-chained record of who read or changed which record
+ *
+ * Entries look like:
+ * { id, sequence, occurredAt, actorId, actorRole, action, subjectType, subjectId,
+ *   changes: [{ field, before, after }], previousHash, hash }
+ * hash is the SHA-256 of the entry's own fields including previousHash, so editing, deleting or
+ * reordering any stored entry breaks the chain from that entry on
+ */
+
+/**
+ * previousHash of the first entry
+ */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal content always hashes the same
+ * Null and missing fields are both left out, since the SQL repository reads NULL columns back as missing
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const fields = Object.keys(value).sort().filter((key) => value[key] !== undefined && value[key] !== null);
+    return `{${fields.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Computes the hash of an audit entry
+ * The repository's createdAt/updatedAt bookkeeping is left out; occurredAt is the entry's own timestamp
+ * @param {Object} entry - Audit entry, with or without its hash
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashAuditEntry(entry) {
+  const { hash, createdAt, updatedAt, ...content } = entry;
+  return createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Sorts entries into chain order
+ */
+function bySequence(entries) {
+  return [...entries].sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Checks that entries form an unbroken chain starting at sequence 1
+ * @param {Object[]} entries - Every stored audit entry, in any order
+ * @returns {Object} { isValid, checkedEntries, brokenAt } where brokenAt is { sequence, reason } for the
+ *   first bad entry, or null when the chain is intact
+ */
+export function verifyAuditChain(entries) {
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+
+  for (const entry of bySequence(entries)) {
+    let reason = null;
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected entry ${expectedSequence}, found entry ${entry.sequence}; entries are missing`;
+    } else if (entry.previousHash !== previousHash) {
+      reason = 'Entry does not link to the entry before it';
+    } else if (hashAuditEntry(entry) !== entry.hash) {
+      reason = 'Entry contents do not match its hash';
+    }
+
+    if (reason) {
+      return { isValid: false, checkedEntries: expectedSequence - 1, brokenAt: { sequence: expectedSequence, reason } };
+    }
+
+    previousHash = entry.hash;
+    expectedSequence += 1;
+  }
+
+  return { isValid: true, checkedEntries: expectedSequence - 1, brokenAt: null };
+}
+
+/**
+ * Creates an audit log on a repository
+ * Appends are queued so concurrent requests still produce a single linear chain; the log assumes it is
+ * the only writer to the repository
+ * @param {Object} repository - Repository from createSqlRepository() or createMemoryRepository()
+ * @returns {Object} Audit log with record(event), page(listQuery) and verify()
+ */
+export function createAuditLog(repository) {
+  let head = null;
+  let pending = Promise.resolve();
+
+  async function loadHead() {
+    const last = bySequence(await repository.list()).at(-1);
+    return last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+  }
+
+  async function append(event) {
+    head = head || await loadHead();
+
+    const entry = {
+      id: generateSortableId(),
+      sequence: head.sequence + 1,
+      occurredAt: getCurrentDateTime(),
+      actorId: event.actorId ?? null,
+      actorRole: event.actorRole ?? null,
+      action: event.action,
+      subjectType: event.subjectType,
+      subjectId: event.subjectId,
+      changes: event.changes || [],
+      previousHash: head.hash
+    };
+    entry.hash = hashAuditEntry(entry);
+
+    const stored = await repository.create(entry);
+    head = { sequence: entry.sequence, hash: entry.hash };
+    return stored;
+  }
+
+  return {
+    /**
+     * Appends an entry to the chain
+     * @param {Object} event - { actorId, actorRole, action, subjectType, subjectId, changes }
+     * @returns {Promise<Object>} Stored entry
+     */
+    record(event) {
+      const appended = pending.then(() => append(event));
+      // A failed append must not stall the ones queued behind it
+      pending = appended.catch(() => {});
+      return appended;
+    },
+
+    /**
+     * Lists one page of entries
+     * @param {Object} listQuery - List query parsed with AuditListQuery
+     * @returns {Promise<Object>} Result of the repository's page()
+     */
+    page(listQuery) {
+      return repository.page(listQuery);
+    },
+
+    /**
+     * Checks the stored chain for tampering
+     * @returns {Promise<Object>} Result of verifyAuditChain()
+     */
+    async verify() {
+      return verifyAuditChain(await repository.list());
+    }
+  };
+}
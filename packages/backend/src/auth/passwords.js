@@ -0,0 +1,39 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+/**
+ * Password Hashing
+ * Passwords are stored as "scrypt$<salt>$<hash>" with a random salt per account, both base64url encoded
+ */
+
+const scryptAsync = promisify(scrypt);
+
+const HASH_SCHEME = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Hashes a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await scryptAsync(password, salt, KEY_BYTES);
+  return [HASH_SCHEME, salt.toString('base64url'), key.toString('base64url')].join('$');
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = (passwordHash || '').split('$');
+  if (scheme !== HASH_SCHEME || !salt || !expected) return false;
+
+  const expectedKey = Buffer.from(expected, 'base64url');
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64url'), expectedKey.length);
+  return timingSafeEqual(key, expectedKey);
+}
@@ -0,0 +1,61 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Access Tokens
+ * Signed bearer tokens: "<payload>.<signature>", where the payload is base64url JSON { sub, iat, exp }
+ * and the signature an HMAC-SHA256 of it. Tokens carry only the account ID; the account is reloaded on
+ * every request so deactivating it or changing its role takes effect immediately
+ */
+
+/**
+ * How long a token stays valid
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+/**
+ * Signs an encoded payload
+ */
+function sign(encodedPayload, secret) {
+  return createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Creates an access token for an account
+ * @param {Object} account - Stored account
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current time in milliseconds, defaults to Date.now()
+ * @returns {Object} { token, expiresAt } where expiresAt is an ISO timestamp
+ */
+export function createAccessToken(account, secret, now = Date.now()) {
+  const issuedAt = Math.floor(now / 1000);
+  const payload = { sub: account.id, iat: issuedAt, exp: issuedAt + ACCESS_TOKEN_TTL_SECONDS };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload, secret)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verifies an access token
+ * @param {string} token - Token from createAccessToken()
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current time in milliseconds, defaults to Date.now()
+ * @returns {string|null} Account ID, or null when the token is malformed, tampered with or expired
+ */
+export function verifyAccessToken(token, secret, now = Date.now()) {
+  const [encodedPayload, signature, ...rest] = (token || '').split('.');
+  if (!encodedPayload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    return payload.exp > Math.floor(now / 1000) && typeof payload.sub === 'string' ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
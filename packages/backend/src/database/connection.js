@@ -0,0 +1,50 @@
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createSqliteDatabase } from './sqliteDatabase.js';
+
+/**
+ * Database Connection
+ * Picks the database adapter for the configured dialect
+ *
+ * Configuration comes from the environment:
+ *   DATABASE_DIALECT - 'sqlite' (default)
+ *   DATABASE_FILE    - SQLite file path, defaults to packages/backend/data/medication.db
+ */
+
+/**
+ * SQLite file used when DATABASE_FILE is not set
+ */
+export const DEFAULT_DATABASE_FILE = fileURLToPath(new URL('../../data/medication.db', import.meta.url));
+
+/**
+ * Adapter factory for each supported dialect
+ */
+const DATABASE_ADAPTERS = {
+  sqlite: ({ file }) => {
+    if (file !== ':memory:') {
+      mkdirSync(dirname(file), { recursive: true });
+    }
+    return createSqliteDatabase(file);
+  },
+};
+
+/**
+ * Opens the application database
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - Key of DATABASE_ADAPTERS, defaults to DATABASE_DIALECT or 'sqlite'
+ * @param {string} [options.file] - SQLite file path, defaults to DATABASE_FILE or DEFAULT_DATABASE_FILE
+ * @returns {Object} Database adapter (see sqliteDatabase.js for the interface)
+ */
+export function openDatabase(options = {}) {
+  const dialect = options.dialect || process.env.DATABASE_DIALECT || 'sqlite';
+  const createAdapter = DATABASE_ADAPTERS[dialect];
+
+  if (!createAdapter) {
+    throw new Error(`Unsupported database dialect "${dialect}". Supported: ${Object.keys(DATABASE_ADAPTERS).join(', ')}`);
+  }
+
+  return createAdapter({
+    file: options.file || process.env.DATABASE_FILE || DEFAULT_DATABASE_FILE
+  });
+}
@@ -0,0 +1,20 @@
+import { openDatabase } from './connection.js';
+import { getSchemaVersion, runMigrations } from './migrator.js';
+
+/**
+ * Database Initialization (npm run init-db)
+ * Creates the database if needed and applies pending migrations
+ */
+
+const db = openDatabase();
+
+try {
+  const applied = await runMigrations(db);
+  applied.forEach(({ version, name }) => console.log(`Applied migration ${version}: ${name}`));
+  console.log(`Database schema is at version ${await getSchemaVersion(db)}`);
+} catch (error) {
+  console.error(`Database initialization failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await db.close();
+}
@@ -0,0 +1,141 @@
+/**
+ * Migration 001: Initial schema
+ * Users, addresses, insurance, prescriptions with status history, fills, claims and the accumulator ledger
+ * Money columns are integer cents, dates are YYYY-MM-DD text, timestamps are ISO 8601 text
+ */
+
+export const version = 1;
+export const name = 'initial_schema';
+
+export const statements = [
+  `CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    date_of_birth TEXT NOT NULL,
+    phone_number TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE addresses (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    street TEXT NOT NULL,
+    city TEXT NOT NULL,
+    state TEXT NOT NULL,
+    zip_code TEXT NOT NULL
+  )`,
+  'CREATE INDEX addresses_user_id ON addresses (user_id)',
+
+  `CREATE TABLE insurance (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id),
+    insurance_company TEXT NOT NULL,
+    policy_number TEXT NOT NULL,
+    group_number TEXT,
+    plan_type TEXT NOT NULL,
+    plan_name TEXT NOT NULL,
+    rx_bin TEXT NOT NULL,
+    rx_pcn TEXT,
+    formulary_id TEXT,
+    deductible INTEGER,
+    deductible_met INTEGER,
+    out_of_pocket_max INTEGER,
+    out_of_pocket_met INTEGER,
+    plan_year_start_month INTEGER,
+    effective_date TEXT NOT NULL,
+    termination_date TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX insurance_user_id ON insurance (user_id)',
+
+  `CREATE TABLE prescriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id),
+    medication_name TEXT NOT NULL,
+    ndc TEXT,
+    medication_form TEXT NOT NULL,
+    strength TEXT NOT NULL,
+    dosage_instructions TEXT NOT NULL,
+    quantity REAL NOT NULL,
+    days_supply INTEGER NOT NULL,
+    refills_allowed INTEGER NOT NULL,
+    refills_remaining INTEGER NOT NULL,
+    prescriber_name TEXT NOT NULL,
+    prescriber_npi TEXT NOT NULL,
+    pharmacy_npi TEXT,
+    prescribed_date TEXT NOT NULL,
+    controlled_substance_schedule TEXT,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX prescriptions_user_id ON prescriptions (user_id)',
+
+  `CREATE TABLE prescription_status_history (
+    id TEXT PRIMARY KEY,
+    prescription_id TEXT NOT NULL REFERENCES prescriptions (id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    reason TEXT,
+    changed_at TEXT NOT NULL,
+    UNIQUE (prescription_id, sequence)
+  )`,
+
+  `CREATE TABLE fills (
+    id TEXT PRIMARY KEY,
+    prescription_id TEXT NOT NULL REFERENCES prescriptions (id),
+    fill_number INTEGER NOT NULL,
+    fill_date TEXT NOT NULL,
+    quantity REAL NOT NULL,
+    days_supply INTEGER NOT NULL,
+    pharmacy_npi TEXT,
+    override_type TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (prescription_id, fill_number)
+  )`,
+
+  `CREATE TABLE claims (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id),
+    prescription_id TEXT NOT NULL REFERENCES prescriptions (id),
+    insurance_id TEXT NOT NULL REFERENCES insurance (id),
+    date_of_service TEXT NOT NULL,
+    status TEXT NOT NULL,
+    denial_reason TEXT NOT NULL,
+    denial_reasons TEXT NOT NULL,
+    drug_cost INTEGER NOT NULL,
+    deductible_applied INTEGER NOT NULL,
+    patient_pay INTEGER NOT NULL,
+    plan_pay INTEGER NOT NULL,
+    trace TEXT NOT NULL,
+    adjudicated_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX claims_user_id ON claims (user_id)',
+  'CREATE INDEX claims_prescription_id ON claims (prescription_id)',
+  'CREATE INDEX claims_insurance_id ON claims (insurance_id)',
+
+  `CREATE TABLE accumulator_postings (
+    id TEXT PRIMARY KEY,
+    insurance_id TEXT NOT NULL REFERENCES insurance (id),
+    claim_id TEXT NOT NULL REFERENCES claims (id),
+    type TEXT NOT NULL,
+    plan_year_start TEXT NOT NULL,
+    deductible_amount INTEGER NOT NULL,
+    out_of_pocket_amount INTEGER NOT NULL,
+    posted_at TEXT NOT NULL,
+    reverses_posting_id TEXT REFERENCES accumulator_postings (id),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX accumulator_postings_insurance_id ON accumulator_postings (insurance_id, plan_year_start)',
+];
@@ -0,0 +1,43 @@
+/**
+ * Migration 002: Pharmacies
+ * Pharmacy records with their plan networks, prescription transfers between pharmacies,
+ * and the dispensing pharmacy on each claim
+ */
+
+export const version = 2;
+export const name = 'pharmacies';
+
+export const statements = [
+  `CREATE TABLE pharmacies (
+    id TEXT PRIMARY KEY,
+    npi TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    pharmacy_type TEXT NOT NULL,
+    phone_number TEXT NOT NULL,
+    street TEXT NOT NULL,
+    city TEXT NOT NULL,
+    state TEXT NOT NULL,
+    zip_code TEXT NOT NULL,
+    hours TEXT,
+    network_plan_ids TEXT NOT NULL,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+
+  `CREATE TABLE prescription_transfers (
+    id TEXT PRIMARY KEY,
+    prescription_id TEXT NOT NULL REFERENCES prescriptions (id),
+    from_pharmacy_npi TEXT,
+    to_pharmacy_npi TEXT NOT NULL,
+    refills_transferred INTEGER NOT NULL,
+    transfer_date TEXT NOT NULL,
+    transferred_by TEXT NOT NULL,
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX prescription_transfers_prescription_id ON prescription_transfers (prescription_id)',
+
+  'ALTER TABLE claims ADD COLUMN pharmacy_npi TEXT',
+];
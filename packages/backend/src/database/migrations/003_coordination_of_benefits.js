@@ -0,0 +1,14 @@
+/**
+ * Migration 003: Coordination of benefits
+ * The order each insurance plan pays in, and the link between the claims of one coordinated submission
+ */
+
+export const version = 3;
+export const name = 'coordination_of_benefits';
+
+export const statements = [
+  'ALTER TABLE insurance ADD COLUMN coverage_order TEXT',
+  'ALTER TABLE claims ADD COLUMN coordination_id TEXT',
+  'ALTER TABLE claims ADD COLUMN coverage_order TEXT',
+  'CREATE INDEX claims_coordination_id ON claims (coordination_id)',
+];
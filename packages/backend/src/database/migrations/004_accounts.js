@@ -0,0 +1,23 @@
+/**
+ * Migration 004: Accounts
+ * Login accounts for patients, pharmacists, insurers and administrators
+ */
+
+export const version = 4;
+export const name = 'accounts';
+
+export const statements = [
+  `CREATE TABLE accounts (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    user_id TEXT REFERENCES users (id),
+    pharmacy_npi TEXT,
+    plan_ids TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX accounts_user_id ON accounts (user_id)',
+];
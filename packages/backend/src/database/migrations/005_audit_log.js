@@ -0,0 +1,27 @@
+/**
+ * Migration 005: Audit log
+ * Append-only record of who read or changed which record; each entry carries the hash of the one before it
+ */
+
+export const version = 5;
+export const name = 'audit_log';
+
+export const statements = [
+  `CREATE TABLE audit_log (
+    id TEXT PRIMARY KEY,
+    sequence INTEGER NOT NULL UNIQUE,
+    occurred_at TEXT NOT NULL,
+    actor_id TEXT,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    subject_type TEXT NOT NULL,
+    subject_id TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    previous_hash TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX audit_log_subject ON audit_log (subject_type, subject_id)',
+  'CREATE INDEX audit_log_actor_id ON audit_log (actor_id)',
+];
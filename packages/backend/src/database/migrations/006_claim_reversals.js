@@ -0,0 +1,28 @@
+/**
+ * Migration 006: Claim reversals
+ * Who reversed a claim and why, the link from a rebill to the claim it replaces, and the stored responses
+ * that let a retried claim submission return its first result instead of billing twice
+ */
+
+export const version = 6;
+export const name = 'claim_reversals';
+
+export const statements = [
+  'ALTER TABLE claims ADD COLUMN original_claim_id TEXT REFERENCES claims (id)',
+  'ALTER TABLE claims ADD COLUMN reversed_at TEXT',
+  'ALTER TABLE claims ADD COLUMN reversed_by TEXT',
+  'ALTER TABLE claims ADD COLUMN reversal_reason TEXT',
+  'CREATE INDEX claims_original_claim_id ON claims (original_claim_id)',
+
+  `CREATE TABLE idempotency_keys (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES accounts (id),
+    idempotency_key TEXT NOT NULL,
+    request_fingerprint TEXT NOT NULL,
+    status_code INTEGER NOT NULL,
+    response TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (account_id, idempotency_key)
+  )`,
+];
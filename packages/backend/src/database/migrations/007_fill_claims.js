@@ -0,0 +1,12 @@
+/**
+ * Migration 007: Fill claims
+ * The claim each fill was billed under, so reversing a claim undoes exactly the dispense it paid for
+ */
+
+export const version = 7;
+export const name = 'fill_claims';
+
+export const statements = [
+  'ALTER TABLE fills ADD COLUMN claim_id TEXT REFERENCES claims (id)',
+  'CREATE INDEX fills_claim_id ON fills (claim_id)',
+];
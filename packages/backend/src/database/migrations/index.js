@@ -0,0 +1,22 @@
+import * as initialSchema from './001_initial_schema.js';
+import * as pharmacies from './002_pharmacies.js';
+import * as coordinationOfBenefits from './003_coordination_of_benefits.js';
+import * as accounts from './004_accounts.js';
+import * as auditLog from './005_audit_log.js';
+import * as claimReversals from './006_claim_reversals.js';
+import * as fillClaims from './007_fill_claims.js';
+
+/**
+ * Schema Migrations
+ * Forward-only and applied in version order. Never edit a migration that has shipped;
+ * add a new file with the next version number and list it here instead
+ */
+export const MIGRATIONS = [
+  initialSchema,
+  pharmacies,
+  coordinationOfBenefits,
+  accounts,
+  auditLog,
+  claimReversals,
+  fillClaims,
+];
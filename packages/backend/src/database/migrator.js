@@ -0,0 +1,66 @@
+import { getCurrentDateTime } from '@medication-management/shared';
+import { MIGRATIONS } from './migrations/index.js';
+
+/**
+ * Migration Runner
+ * Applies pending schema migrations and records them in schema_migrations
+ * Each migration runs in its own transaction, so a failure leaves the schema at the previous version
+ */
+
+/**
+ * Creates the table that tracks applied migrations
+ * @param {Object} db - Database adapter
+ */
+async function ensureMigrationsTable(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+/**
+ * Gets the highest applied migration version
+ * @param {Object} db - Database adapter
+ * @returns {Promise<number>} Current schema version, 0 for an empty database
+ */
+export async function getSchemaVersion(db) {
+  await ensureMigrationsTable(db);
+  const row = await db.queryOne('SELECT MAX(version) AS version FROM schema_migrations');
+  return row?.version || 0;
+}
+
+/**
+ * Applies every migration newer than the database's schema version
+ * @param {Object} db - Database adapter
+ * @param {Object[]} [migrations] - Migrations to consider, defaults to MIGRATIONS
+ * @returns {Promise<Object[]>} { version, name } of each migration applied
+ */
+export async function runMigrations(db, migrations = MIGRATIONS) {
+  const currentVersion = await getSchemaVersion(db);
+  const latestVersion = Math.max(0, ...migrations.map((migration) => migration.version));
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema is at version ${currentVersion} but this build only knows migrations up to ${latestVersion}`
+    );
+  }
+
+  const pending = migrations
+    .filter((migration) => migration.version > currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      for (const statement of migration.statements) {
+        await db.exec(statement);
+      }
+      await db.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, getCurrentDateTime()]
+      );
+    });
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
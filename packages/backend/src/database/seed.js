@@ -0,0 +1,95 @@
+import { parseArgs } from 'node:util';
+import {
+  generateSyntheticData,
+  listSyntheticScenarios,
+  loadDurDatasetFromFile,
+  loadFormularyFromFiles,
+  loadProviderRegistryFromFile
+} from '@medication-management/shared';
+import { openDatabase } from './connection.js';
+import { runMigrations } from './migrator.js';
+import { DEFAULT_SEED_PASSWORD, seedDatabase } from './seeder.js';
+import { createSqlRepositories } from '../repositories/sqlRepositories.js';
+
+/**
+ * Database Seeding (npm run seed)
+ * Applies pending migrations and loads a synthetic dataset; the same options always load the same records
+ *
+ * Options (after --, e.g. npm run seed --workspace=backend -- --scenario HDHP_MID_DEDUCTIBLE):
+ *   --seed <text>         Seed for the generator, defaults to "demo"
+ *   --date <YYYY-MM-DD>   Date the data leads up to; pass today's date to see current accumulators
+ *   --scenario <name>     Scenario preset, repeat for several; defaults to every preset
+ *   --patients <count>    Total patients, extra ones follow ROUTINE_MAINTENANCE
+ *   --list                List the scenario presets and exit
+ *
+ * Environment:
+ *   SEED_PASSWORD - password for every seeded account, defaults to DEFAULT_SEED_PASSWORD
+ */
+
+const { values: args } = parseArgs({
+  options: {
+    seed: { type: 'string' },
+    date: { type: 'string' },
+    scenario: { type: 'string', multiple: true },
+    patients: { type: 'string' },
+    list: { type: 'boolean' }
+  }
+});
+
+if (args.list) {
+  listSyntheticScenarios().forEach(({ scenario, description }) => console.log(`${scenario.padEnd(24)} ${description}`));
+  process.exit();
+}
+
+const { formulary, errors: formularyErrors } = await loadFormularyFromFiles();
+formularyErrors.forEach((error) => console.warn(`Formulary: ${error}`));
+
+const { registry: providerRegistry, errors: providerErrors } = await loadProviderRegistryFromFile();
+providerErrors.forEach((error) => console.warn(`Provider registry: ${error}`));
+
+const { dataset: durDataset, errors: durErrors } = await loadDurDatasetFromFile();
+durErrors.forEach((error) => console.warn(`DUR dataset: ${error}`));
+
+const generated = generateSyntheticData({ formulary, providerRegistry, durDataset }, {
+  seed: args.seed,
+  referenceDate: args.date,
+  scenarios: args.scenario,
+  patientCount: args.patients === undefined ? undefined : Number(args.patients)
+});
+
+if (!generated.success) {
+  generated.error.details.errors.forEach((error) => console.error(error));
+  process.exit(1);
+}
+
+const db = openDatabase();
+
+try {
+  const applied = await runMigrations(db);
+  applied.forEach(({ version, name }) => console.log(`Applied migration ${version}: ${name}`));
+
+  const dataset = generated.data;
+  const result = await seedDatabase(createSqlRepositories(db), { formulary }, dataset, {
+    password: process.env.SEED_PASSWORD || DEFAULT_SEED_PASSWORD
+  });
+
+  if (!result.success) {
+    console.error(`Seeding failed: ${result.error.message}`);
+    process.exitCode = 1;
+  } else {
+    const { created, skipped } = result.data;
+    console.log(`Seeded "${dataset.seed}" as of ${dataset.referenceDate}:`);
+    Object.entries(created).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+    skipped.pharmacies.forEach((npi) => console.log(`  Kept existing pharmacy ${npi}`));
+    skipped.accounts.forEach((email) => console.log(`  Kept existing account ${email}`));
+    dataset.patients.forEach(({ email, scenario }) => console.log(`  ${email} - ${scenario}`));
+    if (!process.env.SEED_PASSWORD) {
+      console.log(`Accounts sign in with the password "${DEFAULT_SEED_PASSWORD}"`);
+    }
+  }
+} catch (error) {
+  console.error(`Seeding failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await db.close();
+}
@@ -0,0 +1,92 @@
+import {
+  ErrorCode,
+  createErrorResponse,
+  createSuccessResponse,
+  validatePassword
+} from '@medication-management/shared';
+import { createAccount } from '../services/accountService.js';
+import { runInTransaction } from '../services/transaction.js';
+
+/**
+ * Database Seeder
+ * Writes a dataset from generateSyntheticData() through the repositories, keeping its record IDs
+ *
+ * Pharmacies whose NPI is already on file and accounts whose email is taken are left as they are, so a
+ * database set up by hand can still be seeded. Patients are all or nothing: if any of them is already
+ * stored, nothing is written, and the writes run in one transaction so a failure part way stores nothing
+ */
+
+/**
+ * Password given to seeded accounts when none is chosen
+ */
+export const DEFAULT_SEED_PASSWORD = 'synthetic-demo-password';
+
+/**
+ * Seeds a database with a synthetic dataset
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary } loaded at startup, used to check insurer plan IDs
+ * @param {Object} dataset - Dataset from generateSyntheticData()
+ * @param {Object} [options]
+ * @param {string} [options.password] - Password for every seeded account, defaults to DEFAULT_SEED_PASSWORD
+ * @returns {Promise<Object>} Success response with { created, skipped } where created counts the records
+ *   written per repository and skipped lists { pharmacies: npi[], accounts: email[] }, or an error response
+ */
+export async function seedDatabase(repositories, reference, dataset, { password = DEFAULT_SEED_PASSWORD } = {}) {
+  const passwordCheck = validatePassword(password);
+  if (!passwordCheck.isValid) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, passwordCheck.errors[0].message);
+  }
+
+  return runInTransaction(repositories, async () => {
+    for (const user of dataset.users) {
+      const [existing] = await repositories.users.list({ email: user.email });
+      if (existing || await repositories.users.findById(user.id)) {
+        return createErrorResponse(
+          ErrorCode.ALREADY_EXISTS,
+          `Patient ${user.email} is already stored; seed an empty database or use another seed`
+        );
+      }
+    }
+
+    const created = {};
+    const skipped = { pharmacies: [], accounts: [] };
+    const store = async (name, records) => {
+      for (const record of records) {
+        await repositories[name].create(record);
+      }
+      created[name] = records.length;
+    };
+
+    const newPharmacies = [];
+    for (const pharmacy of dataset.pharmacies) {
+      const [existing] = await repositories.pharmacies.list({ npi: pharmacy.npi });
+      if (existing) {
+        skipped.pharmacies.push(pharmacy.npi);
+      } else {
+        newPharmacies.push(pharmacy);
+      }
+    }
+
+    await store('pharmacies', newPharmacies);
+    await store('users', dataset.users);
+    await store('insurance', dataset.insurance);
+    await store('prescriptions', dataset.prescriptions);
+    await store('claims', dataset.claims);
+    await store('fills', dataset.fills);
+    await store('accumulatorPostings', dataset.accumulatorPostings);
+
+    created.accounts = 0;
+    for (const account of dataset.accounts) {
+      const result = await createAccount(repositories, reference, { ...account, password });
+      if (result.success) {
+        created.accounts++;
+      } else if (result.error.code === ErrorCode.ALREADY_EXISTS) {
+        skipped.accounts.push(account.email);
+      } else {
+        return result;
+      }
+    }
+
+    return createSuccessResponse({ created, skipped });
+  });
+}
@@ -0,0 +1,87 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite Database Adapter
+ * Wraps better-sqlite3 in the async database interface the repositories and migrator use
+ *
+ * The interface is the dialect boundary; a PostgreSQL adapter only has to provide the same methods:
+ *   dialect                  - 'sqlite' | 'postgres'
+ *   query(sql, params)       - Promise<rows[]>
+ *   queryOne(sql, params)    - Promise<row | null>
+ *   run(sql, params)         - Promise<{ changes }>
+ *   exec(sql)                - Promise<void>, runs one or more statements without parameters
+ *   transaction(fn)          - Promise<result of fn>, commits when fn resolves and rolls back when it rejects;
+ *                              calls made while a transaction is open join it instead of nesting
+ *   isUniqueViolation(error) - boolean, whether a rejected write broke a UNIQUE constraint
+ *   close()                  - Promise<void>
+ * SQL is written with ? placeholders; other adapters translate them to their own style
+ */
+
+/**
+ * Opens a SQLite database file
+ * @param {string} filename - Database file path, or ':memory:'
+ * @returns {Object} Database adapter
+ */
+export function createSqliteDatabase(filename) {
+  const connection = new Database(filename);
+  connection.pragma('journal_mode = WAL');
+  connection.pragma('foreign_keys = ON');
+
+  // better-sqlite3 has a single connection, so transactions from concurrent requests
+  // are queued, and a transaction started inside another one simply joins it
+  const activeTransaction = new AsyncLocalStorage();
+  let transactionQueue = Promise.resolve();
+
+  const database = {
+    dialect: 'sqlite',
+
+    async query(sql, params = []) {
+      return connection.prepare(sql).all(params);
+    },
+
+    async queryOne(sql, params = []) {
+      return connection.prepare(sql).get(params) || null;
+    },
+
+    async run(sql, params = []) {
+      const { changes } = connection.prepare(sql).run(params);
+      return { changes };
+    },
+
+    async exec(sql) {
+      connection.exec(sql);
+    },
+
+    transaction(fn) {
+      if (activeTransaction.getStore()) {
+        return Promise.resolve().then(() => fn(database));
+      }
+
+      const result = transactionQueue.then(async () => {
+        connection.exec('BEGIN');
+        try {
+          const value = await activeTransaction.run(true, () => fn(database));
+          connection.exec('COMMIT');
+          return value;
+        } catch (error) {
+          connection.exec('ROLLBACK');
+          throw error;
+        }
+      });
+
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    isUniqueViolation(error) {
+      return error?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+    },
+
+    async close() {
+      connection.close();
+    }
+  };
+
+  return database;
+}
@@ -0,0 +1,64 @@
+import { AuditAction, diffRecords } from '@medication-management/shared';
+
+/**
+ * Audit Trail Middleware
+ * Gives routes req.auditTrail, which records reads and changes against the signed-in account
+ */
+
+/**
+ * Creates middleware that sets req.auditTrail
+ * Every method returns a promise; routes await it before responding so a record is never returned
+ * or changed without an audit entry
+ * @param {Object} auditLog - Audit log from createAuditLog()
+ * @returns {Function} Express middleware
+ */
+export function auditTrail(auditLog) {
+  return (req, res, next) => {
+    const append = (action, subjectType, subjectId, changes, actor = req.principal) => auditLog.record({
+      actorId: actor?.accountId,
+      actorRole: actor?.role,
+      action,
+      subjectType,
+      subjectId,
+      changes
+    });
+
+    req.auditTrail = {
+      /**
+       * @param {string} subjectType - Value from AuditSubjectType
+       * @param {Object|Object[]} records - Record or records returned to the account
+       */
+      read: (subjectType, records) => Promise.all(
+        [records].flat().map((record) => append(AuditAction.READ, subjectType, record.id, []))
+      ),
+
+      /**
+       * @param {string} subjectType - Value from AuditSubjectType
+       * @param {Object} record - Created record
+       * @param {Object} [actor] - Principal to record instead of req.principal, e.g. an account created by this request
+       */
+      created: (subjectType, record, actor) => (
+        append(AuditAction.CREATE, subjectType, record.id, diffRecords({}, record), actor)
+      ),
+
+      /**
+       * @param {string} subjectType - Value from AuditSubjectType
+       * @param {Object} before - Record before the change
+       * @param {Object} after - Record after the change
+       */
+      updated: (subjectType, before, after) => (
+        append(AuditAction.UPDATE, subjectType, after.id, diffRecords(before, after))
+      ),
+
+      /**
+       * @param {string} subjectType - Value from AuditSubjectType
+       * @param {Object} record - Deleted record
+       */
+      deleted: (subjectType, record) => (
+        append(AuditAction.DELETE, subjectType, record.id, diffRecords(record, {}))
+      )
+    };
+
+    next();
+  };
+}
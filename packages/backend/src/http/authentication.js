@@ -0,0 +1,55 @@
+import { ErrorCode, createErrorResponse, toPrincipal } from '@medication-management/shared';
+import { asyncHandler, sendResponse } from './responses.js';
+import { verifyAccessToken } from '../auth/tokens.js';
+
+/**
+ * Authentication Middleware
+ * Resolves the "Authorization: Bearer <token>" header to req.principal; what the principal may do
+ * is decided per record by authorize() in the routes
+ */
+
+/**
+ * Creates middleware that sets req.principal from the bearer token
+ * Requests without a token continue with req.principal = null; a bad or expired token is rejected outright
+ * @param {Object} accounts - Accounts repository
+ * @param {string} secret - Token signing secret
+ * @returns {Function} Express middleware
+ */
+export function authenticate(accounts, secret) {
+  return asyncHandler(async (req, res, next) => {
+    req.principal = null;
+
+    const header = req.get('authorization');
+    if (!header) {
+      next();
+      return;
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      sendResponse(res, createErrorResponse(ErrorCode.UNAUTHORIZED, 'Authorization header must be "Bearer <token>"'));
+      return;
+    }
+
+    const accountId = verifyAccessToken(token, secret);
+    const account = accountId ? await accounts.findById(accountId) : null;
+    if (!account || account.isActive === false) {
+      sendResponse(res, createErrorResponse(ErrorCode.UNAUTHORIZED, 'Session is invalid or has expired, sign in again'));
+      return;
+    }
+
+    req.principal = toPrincipal(account);
+    next();
+  });
+}
+
+/**
+ * Middleware that rejects requests made without signing in
+ */
+export function requireAuthentication(req, res, next) {
+  if (!req.principal) {
+    sendResponse(res, createErrorResponse(ErrorCode.UNAUTHORIZED, 'Sign in to continue'));
+    return;
+  }
+  next();
+}
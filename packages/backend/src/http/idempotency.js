@@ -0,0 +1,120 @@
+import { createHash } from 'node:crypto';
+import {
+  ErrorCode,
+  ValidationErrorCode,
+  createErrorResponse,
+  createFieldError,
+  createValidationErrorResponse
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from './responses.js';
+
+/**
+ * Idempotency Keys
+ * Lets clients retry a write safely: a request sent again with the same Idempotency-Key header gets the
+ * first response back instead of running twice
+ *
+ * Keys belong to the signed-in account and are kept with the response they produced. Only successful
+ * responses are kept, because a failed request changed nothing and can run again; a key sent with a
+ * different request is refused, as is a retry that arrives while the first attempt is still running
+ *
+ * Routes keep the response themselves through req.idempotency.keep(), inside the same repository
+ * transaction as the writes it reports, so a write is never committed without its key
+ */
+
+/**
+ * Request header carrying the client's key
+ */
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+/**
+ * Response header set on a stored response that is sent again
+ */
+export const IDEMPOTENT_REPLAYED_HEADER = 'Idempotent-Replayed';
+
+/**
+ * Longest key accepted; a UUID is 36 characters
+ */
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Fingerprints what a retry must repeat exactly: the method, the path and the body
+ */
+function fingerprintRequest(req) {
+  return createHash('sha256')
+    .update(JSON.stringify([req.method, `${req.baseUrl}${req.path}`, req.body ?? null]))
+    .digest('hex');
+}
+
+/**
+ * Creates the idempotency middleware factory for a store of responses
+ * One factory should serve every route that shares the store, so a key is only ever running once
+ * The middleware sets req.idempotency.keep(statusCode, response), which stores a successful response
+ * under the request's key and does nothing when the request has no key
+ * @param {Object} idempotencyKeys - Repository of { accountId, key, requestFingerprint, statusCode, response }
+ * @returns {Function} (options) => Express middleware; options.subjectType (a value from AuditSubjectType)
+ *   and options.records (data => records) name what a sent-again response shows, for the audit log
+ */
+export function createIdempotency(idempotencyKeys) {
+  const running = new Set();
+
+  return ({ subjectType, records }) => asyncHandler(async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (key === undefined) {
+      req.idempotency = { keep: async () => {} };
+      next();
+      return;
+    }
+
+    if (!key.trim() || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError(
+          IDEMPOTENCY_KEY_HEADER,
+          ValidationErrorCode.INVALID_FORMAT,
+          `${IDEMPOTENCY_KEY_HEADER} must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+          key
+        )
+      ]));
+      return;
+    }
+
+    const { accountId } = req.principal;
+    const requestFingerprint = fingerprintRequest(req);
+    const [stored] = await idempotencyKeys.list({ accountId, key });
+    if (stored) {
+      if (stored.requestFingerprint !== requestFingerprint) {
+        sendResponse(res, createErrorResponse(
+          ErrorCode.IDEMPOTENCY_KEY_REUSED,
+          `${IDEMPOTENCY_KEY_HEADER} "${key}" was already used for a different request`
+        ));
+        return;
+      }
+
+      await req.auditTrail.read(subjectType, records(stored.response.data));
+      res.set(IDEMPOTENT_REPLAYED_HEADER, 'true');
+      res.status(stored.statusCode).json(stored.response);
+      return;
+    }
+
+    const runningKey = JSON.stringify([accountId, key]);
+    if (running.has(runningKey)) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.REQUEST_IN_PROGRESS,
+        `A request with ${IDEMPOTENCY_KEY_HEADER} "${key}" is still being processed; retry it shortly`
+      ));
+      return;
+    }
+
+    running.add(runningKey);
+    res.on('close', () => running.delete(runningKey));
+
+    req.idempotency = {
+      keep: async (statusCode, response) => {
+        if (response.success) {
+          await idempotencyKeys.create({ accountId, key, requestFingerprint, statusCode, response });
+        }
+      }
+    };
+
+    next();
+  });
+}
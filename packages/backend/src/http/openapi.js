@@ -0,0 +1,735 @@
+import {
+  AccountSchema,
+  AuditAction,
+  AuditListQuery,
+  AuditSubjectType,
+  BenefitPeriodType,
+  ClaimListQuery,
+  ClaimStatus,
+  CoverageOrder,
+  DEFAULT_PAGE_SIZE,
+  DenialReason,
+  DurAlertType,
+  DurProfessionalServiceCode,
+  DurResultOfServiceCode,
+  DurSeverity,
+  FHIR_VERSION,
+  FhirResourceType,
+  FilterType,
+  InsuranceSchema,
+  MAX_PAGE_SIZE,
+  MIN_PASSWORD_LENGTH,
+  PharmacySchema,
+  PrescriptionListQuery,
+  PrescriptionSchema,
+  PrescriptionStatus,
+  UserSchema,
+  ValidationErrorCode,
+  toJsonSchema
+} from '@medication-management/shared';
+import { IDEMPOTENCY_KEY_HEADER, IDEMPOTENT_REPLAYED_HEADER, MAX_IDEMPOTENCY_KEY_LENGTH } from './idempotency.js';
+
+/**
+ * OpenAPI Document
+ * Describes the REST API; entity schemas come straight from the shared package so the docs never drift
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Wraps a data schema in the { success, data, message, warnings } envelope from createSuccessResponse() and withWarnings()
+ */
+function successEnvelope(dataSchema) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: dataSchema,
+      message: { type: 'string' },
+      warnings: { type: 'array', items: ref('FieldError'), description: 'Problems worth a second look that did not block the request' }
+    }
+  };
+}
+
+/**
+ * Builds a JSON response map for an operation
+ * Operations that need a bearer token also list the 401 and 403 responses unless isPublic is set
+ */
+function responses(successStatus, dataSchema, errorStatuses = [], { isPublic = false } = {}) {
+  const result = {
+    [successStatus]: {
+      description: 'Success',
+      content: { 'application/json': { schema: successEnvelope(dataSchema) } }
+    }
+  };
+
+  const statuses = isPublic ? errorStatuses : [...errorStatuses, 401, 403];
+  statuses.forEach((status) => {
+    result[status] = { $ref: `#/components/responses/Error${status}` };
+  });
+
+  return result;
+}
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const idempotencyKeyParameter = {
+  name: IDEMPOTENCY_KEY_HEADER,
+  in: 'header',
+  required: false,
+  schema: { type: 'string', maxLength: MAX_IDEMPOTENCY_KEY_LENGTH },
+  description: `Unique per request, e.g. a UUID. Sending it again with the same body returns the first successful response (marked with ${IDEMPOTENT_REPLAYED_HEADER}: true) instead of billing twice`
+};
+const queryParameter = (name, description) => ({ name, in: 'query', required: false, schema: { type: 'string' }, description });
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+/**
+ * Builds the query parameters of a list query definition
+ */
+function listQueryParameters(definition) {
+  const filters = Object.entries(definition.filters).flatMap(([field, filter]) => {
+    if (filter.type === FilterType.EQUALS) {
+      return [queryParameter(field, filter.options
+        ? `One or more of, comma-separated: ${filter.options.join(', ')}`
+        : 'One value, or several separated by commas')];
+    }
+    const format = filter.type === FilterType.DATE_RANGE ? 'YYYY-MM-DD' : 'YYYY-MM-DD (the whole day) or an ISO timestamp';
+    return [
+      queryParameter(filter.fromParam || `${field}From`, `Earliest ${field}, ${format}`),
+      queryParameter(filter.toParam || `${field}To`, `Latest ${field}, ${format}`)
+    ];
+  });
+
+  return [
+    ...filters,
+    queryParameter('sort', `Comma-separated fields, prefixed with - for descending: ${definition.sortFields.join(', ')}. Defaults to ${definition.defaultSort}`),
+    queryParameter('limit', `Items per page, 1 to ${MAX_PAGE_SIZE}, defaults to ${DEFAULT_PAGE_SIZE}`),
+    queryParameter('cursor', 'nextCursor from the previous page'),
+    queryParameter('page', 'Page number from 1, for offset pagination with totals instead of a cursor')
+  ];
+}
+
+/**
+ * One page of a list; cursor queries return nextCursor and hasMore, page queries total, page and totalPages
+ */
+function listPage(itemSchema) {
+  return {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: itemSchema },
+      limit: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true, description: 'Cursor queries: pass as ?cursor= for the next page; null on the last page' },
+      hasMore: { type: 'boolean', description: 'Cursor queries' },
+      total: { type: 'integer', description: 'Page queries' },
+      page: { type: 'integer', description: 'Page queries' },
+      totalPages: { type: 'integer', description: 'Page queries' }
+    }
+  };
+}
+
+/**
+ * Builds CRUD paths for an entity collection
+ * Lists take either plain filter parameters or, when a list query definition is given, its filters,
+ * sorting and pagination
+ */
+function crudPaths(basePath, name, filters = [], listQuery = null) {
+  const list = listQuery
+    ? { parameters: listQueryParameters(listQuery), responses: responses(200, listPage(ref(name)), [400]) }
+    : { parameters: filters, responses: responses(200, { type: 'array', items: ref(name) }) };
+
+  return {
+    [basePath]: {
+      get: { tags: [name], summary: `List ${name} records`, ...list },
+      post: { tags: [name], summary: `Create a ${name}`, requestBody: jsonBody(ref(name)), responses: responses(201, ref(name), [400, 404, 409]) }
+    },
+    [`${basePath}/{id}`]: {
+      parameters: [idParameter],
+      get: { tags: [name], summary: `Get a ${name}`, responses: responses(200, ref(name), [404]) },
+      put: { tags: [name], summary: `Update a ${name}`, requestBody: jsonBody(ref(name)), responses: responses(200, ref(name), [400, 404, 409]) },
+      delete: { tags: [name], summary: `Delete a ${name}`, responses: responses(200, { type: 'object', properties: { id: { type: 'string' } } }, [400, 404]) }
+    }
+  };
+}
+
+/**
+ * Builds the OpenAPI 3 document for the API
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Medication Management API',
+      version: '1.0.0',
+      description: 'Demonstration API using dummy data only. Amounts are in cents and dates are YYYY-MM-DD.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/auth/register': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Register a patient profile with a PATIENT account and sign in',
+          security: [],
+          requestBody: jsonBody(ref('PatientRegistration')),
+          responses: responses(201, {
+            type: 'object',
+            properties: { user: ref('User'), account: ref('Account'), token: { type: 'string' }, expiresAt: { type: 'string', format: 'date-time' } }
+          }, [400, 409], { isPublic: true })
+        }
+      },
+      '/auth/login': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Sign in and get a bearer token',
+          security: [],
+          requestBody: jsonBody(ref('Credentials')),
+          responses: responses(200, ref('Session'), [401, 403], { isPublic: true })
+        }
+      },
+      '/auth/me': {
+        get: { tags: ['Auth'], summary: 'The signed-in account', responses: responses(200, ref('Account')) }
+      },
+      '/auth/accounts': {
+        get: {
+          tags: ['Auth'],
+          summary: 'List accounts (admin only)',
+          parameters: [queryParameter('role', 'Only accounts with this role')],
+          responses: responses(200, { type: 'array', items: ref('Account') })
+        },
+        post: {
+          tags: ['Auth'],
+          summary: 'Create an account for any role (admin only)',
+          requestBody: jsonBody(ref('AccountCreation')),
+          responses: responses(201, ref('Account'), [400, 404, 409])
+        }
+      },
+      '/auth/accounts/{id}': {
+        parameters: [idParameter],
+        put: {
+          tags: ['Auth'],
+          summary: 'Change an account\'s role, scope, active flag or password (admin only)',
+          requestBody: jsonBody(ref('AccountCreation')),
+          responses: responses(200, ref('Account'), [400, 404, 409])
+        }
+      },
+      ...crudPaths('/users', 'User'),
+      ...crudPaths('/insurance', 'Insurance', [queryParameter('userId', 'Only plans for this user')]),
+      '/insurance/{id}/accumulators': {
+        parameters: [idParameter, queryParameter('date', 'Any date in the plan year, defaults to today')],
+        get: { tags: ['Insurance'], summary: 'Deductible and out-of-pocket totals for a plan year', responses: responses(200, ref('AccumulatorTotals'), [400, 404]) }
+      },
+      ...crudPaths('/pharmacies', 'Pharmacy', [
+        queryParameter('pharmacyType', 'Only pharmacies of this type'),
+        queryParameter('planId', 'Only pharmacies in this formulary plan network')
+      ]),
+      ...crudPaths('/prescriptions', 'Prescription', [], PrescriptionListQuery),
+      '/prescriptions/{id}/status': {
+        parameters: [idParameter],
+        post: {
+          tags: ['Prescription'],
+          summary: 'Move a prescription to a new status',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['status'],
+            properties: {
+              status: { type: 'string', enum: Object.values(PrescriptionStatus) },
+              reason: { type: 'string' },
+              insuranceId: { type: 'string', description: 'Patient plan the claim goes to when submitting; defaults to the primary plan on the date' },
+              date: { type: 'string', format: 'date', description: 'Date coverage is checked on; defaults to today' }
+            }
+          }),
+          responses: responses(200, { type: 'object', properties: { prescription: ref('Prescription'), historyEntry: ref('StatusHistoryEntry') } }, [400, 404, 409, 422])
+        }
+      },
+      '/prescriptions/{id}/history': {
+        parameters: [idParameter],
+        get: { tags: ['Prescription'], summary: 'Status history, oldest first', responses: responses(200, { type: 'array', items: ref('StatusHistoryEntry') }, [404]) }
+      },
+      '/prescriptions/{id}/dur': {
+        parameters: [idParameter, queryParameter('date', 'Date of service, defaults to today')],
+        get: {
+          tags: ['Prescription'],
+          summary: 'Drug utilization review against other active prescriptions and patient age',
+          responses: responses(200, ref('DurReview'), [400, 404])
+        }
+      },
+      '/prescriptions/{id}/fills': {
+        parameters: [idParameter],
+        get: { tags: ['Prescription'], summary: 'List fills', responses: responses(200, { type: 'array', items: ref('Fill') }, [404]) },
+        post: {
+          tags: ['Prescription'],
+          summary: 'Record a fill, using up a refill when it is not the first',
+          requestBody: jsonBody(ref('Fill')),
+          responses: responses(201, { type: 'object', properties: { prescription: ref('Prescription'), fill: ref('Fill') } }, [400, 404, 422])
+        }
+      },
+      '/prescriptions/{id}/transfers': {
+        parameters: [idParameter],
+        get: { tags: ['Prescription'], summary: 'List transfers between pharmacies', responses: responses(200, { type: 'array', items: ref('PrescriptionTransfer') }, [404]) },
+        post: {
+          tags: ['Prescription'],
+          summary: 'Transfer the remaining refills to another pharmacy',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['toPharmacyNPI'],
+            properties: {
+              toPharmacyNPI: { type: 'string', description: 'NPI of a pharmacy on file' },
+              reason: { type: 'string' },
+              transferDate: { type: 'string', format: 'date' }
+            }
+          }),
+          responses: responses(201, { type: 'object', properties: { prescription: ref('Prescription'), transfer: ref('PrescriptionTransfer') } }, [400, 404, 422])
+        }
+      },
+      '/claims': {
+        get: {
+          tags: ['Claim'],
+          summary: 'List claims',
+          parameters: listQueryParameters(ClaimListQuery),
+          responses: responses(200, listPage(ref('Claim')), [400])
+        },
+        post: {
+          tags: ['Claim'],
+          summary: 'Submit and adjudicate a claim; denied claims are stored too',
+          parameters: [idempotencyKeyParameter],
+          requestBody: jsonBody(ref('ClaimSubmission')),
+          responses: responses(201, ref('Claim'), [400, 404, 409, 422])
+        }
+      },
+      '/claims/coordinated': {
+        post: {
+          tags: ['Claim'],
+          summary: 'Bill a claim to each of the patient\'s active plans in coverage order, one stored claim per payer',
+          parameters: [idempotencyKeyParameter],
+          requestBody: jsonBody(ref('CoordinatedClaimSubmission')),
+          responses: responses(201, ref('CoordinatedClaim'), [400, 404, 409, 422])
+        }
+      },
+      '/claims/{id}': {
+        parameters: [idParameter],
+        get: { tags: ['Claim'], summary: 'Get a claim with its adjudication trace', responses: responses(200, ref('Claim'), [404]) }
+      },
+      '/claims/{id}/reversal': {
+        parameters: [idParameter],
+        post: {
+          tags: ['Claim'],
+          summary: 'Reverse a paid claim, with every claim billed with it under coordination of benefits; backs out its accumulator amounts and undoes the fill it paid for',
+          parameters: [idempotencyKeyParameter],
+          requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string' } } }),
+          responses: responses(200, ref('ClaimReversal'), [400, 404, 409, 422])
+        }
+      },
+      '/claims/{id}/rebill': {
+        parameters: [idParameter],
+        post: {
+          tags: ['Claim'],
+          summary: 'Reverse a paid claim and bill it again with corrected details; the fill is kept',
+          parameters: [idempotencyKeyParameter],
+          requestBody: jsonBody(ref('ClaimRebillRequest')),
+          responses: responses(201, ref('ClaimRebill'), [400, 404, 409, 422])
+        }
+      },
+      '/fhir/patients/{id}': {
+        parameters: [idParameter],
+        get: {
+          tags: ['FHIR'],
+          summary: 'Export a patient with the insurance plans, prescriptions and fills the account may see as a FHIR Bundle',
+          responses: responses(200, ref('FhirExport'), [404])
+        }
+      },
+      '/fhir/import': {
+        post: {
+          tags: ['FHIR'],
+          summary: 'Import the Patient, Coverage, MedicationRequest and MedicationDispense resources in a FHIR Bundle as new records (admin only)',
+          requestBody: jsonBody(ref('FhirBundle')),
+          responses: responses(201, ref('FhirImport'), [400, 409])
+        }
+      },
+      '/audit': {
+        get: {
+          tags: ['Audit'],
+          summary: 'Search the audit log, newest first (admin only)',
+          parameters: listQueryParameters(AuditListQuery),
+          responses: responses(200, listPage(ref('AuditEntry')), [400])
+        }
+      },
+      '/audit/verify': {
+        get: {
+          tags: ['Audit'],
+          summary: 'Recompute the hash chain to detect edited, deleted or reordered entries (admin only)',
+          responses: responses(200, ref('AuditChainCheck'))
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: toJsonSchema(UserSchema),
+        Insurance: toJsonSchema(InsuranceSchema),
+        Prescription: toJsonSchema(PrescriptionSchema),
+        Pharmacy: toJsonSchema(PharmacySchema),
+        Account: toJsonSchema(AccountSchema),
+        AccountCreation: {
+          allOf: [
+            ref('Account'),
+            { type: 'object', properties: { password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, writeOnly: true } } }
+          ]
+        },
+        PatientRegistration: {
+          allOf: [
+            ref('User'),
+            { type: 'object', required: ['password'], properties: { password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, writeOnly: true } } }
+          ]
+        },
+        Credentials: {
+          type: 'object',
+          required: ['email', 'password'],
+          properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' } }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            account: ref('Account'),
+            token: { type: 'string', description: 'Send as "Authorization: Bearer <token>"' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        StatusHistoryEntry: {
+          type: 'object',
+          properties: {
+            fromStatus: { type: 'string' },
+            toStatus: { type: 'string' },
+            actor: { type: 'string' },
+            reason: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        Fill: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', readOnly: true },
+            prescriptionId: { type: 'string', readOnly: true },
+            fillNumber: { type: 'integer', readOnly: true, description: '0 for the original fill' },
+            fillDate: { type: 'string', format: 'date' },
+            quantity: { type: 'number' },
+            daysSupply: { type: 'integer' },
+            pharmacyNPI: { type: 'string' },
+            overrideType: { type: 'string', description: 'Early refill override, e.g. VACATION' },
+            claimId: { type: 'string', description: 'Paid claim the fill was billed under; reversing that claim undoes the fill' }
+          }
+        },
+        PrescriptionTransfer: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            prescriptionId: { type: 'string' },
+            fromPharmacyNPI: { type: 'string', nullable: true },
+            toPharmacyNPI: { type: 'string' },
+            refillsTransferred: { type: 'integer' },
+            transferDate: { type: 'string', format: 'date' },
+            transferredBy: { type: 'string' },
+            reason: { type: 'string' }
+          }
+        },
+        ClaimSubmission: {
+          type: 'object',
+          required: ['prescriptionId', 'insuranceId', 'drugCost'],
+          properties: {
+            prescriptionId: { type: 'string' },
+            insuranceId: { type: 'string' },
+            drugCost: { type: 'integer', minimum: 0, description: 'Amount in cents' },
+            dateOfService: { type: 'string', format: 'date' },
+            pharmacyNPI: { type: 'string', description: 'Dispensing pharmacy, defaults to the prescription pharmacy; out-of-network pharmacies use the out-of-network cost share' },
+            durAcknowledgements: { type: 'array', items: ref('DurAcknowledgement') }
+          }
+        },
+        CoordinatedClaimSubmission: {
+          type: 'object',
+          required: ['prescriptionId', 'drugCost'],
+          properties: {
+            prescriptionId: { type: 'string' },
+            drugCost: { type: 'integer', minimum: 0, description: 'Amount in cents billed to the primary plan' },
+            dateOfService: { type: 'string', format: 'date' },
+            pharmacyNPI: { type: 'string', description: 'Dispensing pharmacy, defaults to the prescription pharmacy' },
+            durAcknowledgements: { type: 'array', items: ref('DurAcknowledgement') }
+          }
+        },
+        CoordinatedClaim: {
+          type: 'object',
+          properties: {
+            coordinationId: { type: 'string' },
+            status: { type: 'string', enum: Object.values(ClaimStatus), description: 'Status of the first plan that paid' },
+            claims: { type: 'array', items: ref('Claim'), description: 'One claim per plan billed, primary first' },
+            costs: {
+              type: 'object',
+              description: 'Amounts in cents, summed over every plan',
+              properties: {
+                drugCost: { type: 'integer' },
+                planPay: { type: 'integer' },
+                patientPay: { type: 'integer' }
+              }
+            },
+            explanation: { type: 'array', items: { type: 'string' }, description: 'What each plan was billed and paid' }
+          }
+        },
+        ClaimReversal: {
+          type: 'object',
+          properties: {
+            claims: { type: 'array', items: ref('Claim'), description: 'Reversed claims, last payer first' },
+            fill: { allOf: [ref('Fill')], nullable: true, description: 'Fill removed because the claim paid for it; null when none was recorded on the date of service' },
+            prescription: { allOf: [ref('Prescription')], nullable: true, description: 'Prescription with the fill\'s refill given back' }
+          }
+        },
+        ClaimRebillRequest: {
+          type: 'object',
+          properties: {
+            drugCost: { type: 'integer', minimum: 0, description: 'Amount in cents, defaults to the original claim\'s' },
+            dateOfService: { type: 'string', format: 'date', description: 'Defaults to the original claim\'s' },
+            durAcknowledgements: { type: 'array', items: ref('DurAcknowledgement'), description: 'Not copied from the original; repeat any it needed' },
+            reason: { type: 'string' }
+          }
+        },
+        ClaimRebill: {
+          type: 'object',
+          properties: {
+            original: ref('Claim'),
+            claim: ref('Claim')
+          }
+        },
+        FhirBundle: {
+          type: 'object',
+          required: ['resourceType', 'entry'],
+          description: `FHIR R4 (${FHIR_VERSION}) Bundle; references between entries use their fullUrl or "<type>/<id>"`,
+          properties: {
+            resourceType: { type: 'string', enum: [FhirResourceType.BUNDLE] },
+            type: { type: 'string', example: 'collection' },
+            entry: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  fullUrl: { type: 'string' },
+                  resource: { type: 'object', description: 'FHIR resource', additionalProperties: true }
+                }
+              }
+            }
+          }
+        },
+        MappingLoss: {
+          type: 'object',
+          description: 'A value left out or guessed because the other format has no place for it',
+          properties: {
+            path: { type: 'string', description: 'Our record and field on export, e.g. Insurance/<id>.deductible; the bundle element on import, e.g. entry[0].resource.gender' },
+            message: { type: 'string' }
+          }
+        },
+        FhirExport: {
+          type: 'object',
+          properties: {
+            bundle: ref('FhirBundle'),
+            losses: { type: 'array', items: ref('MappingLoss') }
+          }
+        },
+        FhirImport: {
+          type: 'object',
+          properties: {
+            users: { type: 'array', items: ref('User') },
+            insurance: { type: 'array', items: ref('Insurance') },
+            prescriptions: { type: 'array', items: ref('Prescription') },
+            fills: { type: 'array', items: ref('Fill') },
+            ids: {
+              type: 'array',
+              description: 'ID given to the record read from each entry',
+              items: {
+                type: 'object',
+                properties: {
+                  entry: { type: 'integer' },
+                  resourceType: { type: 'string' },
+                  fhirId: { type: 'string' },
+                  id: { type: 'string' }
+                }
+              }
+            },
+            losses: { type: 'array', items: ref('MappingLoss') }
+          }
+        },
+        DurAlert: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Stable ID, e.g. DD:ibuprofen+warfarin; acknowledgements refer to it' },
+            type: { type: 'string', enum: Object.values(DurAlertType) },
+            reasonForServiceCode: { type: 'string', description: 'NCPDP Reason for Service Code (439-E4)' },
+            severity: { type: 'string', enum: Object.values(DurSeverity) },
+            requiresAcknowledgement: { type: 'boolean' },
+            message: { type: 'string' },
+            description: { type: 'string' },
+            management: { type: 'string' },
+            conflictingPrescriptionIds: { type: 'array', items: { type: 'string' } },
+            patientAge: { type: 'integer' }
+          }
+        },
+        DurReview: {
+          type: 'object',
+          properties: {
+            alerts: { type: 'array', items: ref('DurAlert'), description: 'Most severe first' },
+            unmatchedPrescriptionIds: { type: 'array', items: { type: 'string' }, description: 'Prescriptions whose drug is not in the DUR dataset' }
+          }
+        },
+        DurAcknowledgement: {
+          type: 'object',
+          required: ['alertId', 'professionalServiceCode', 'resultOfServiceCode', 'acknowledgedBy'],
+          properties: {
+            alertId: { type: 'string' },
+            professionalServiceCode: { type: 'string', enum: Object.values(DurProfessionalServiceCode), description: 'NCPDP 440-E5' },
+            resultOfServiceCode: { type: 'string', enum: Object.values(DurResultOfServiceCode), description: 'NCPDP 441-E6; 1x codes allow dispensing' },
+            acknowledgedBy: { type: 'string' },
+            note: { type: 'string' }
+          }
+        },
+        Claim: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            userId: { type: 'string' },
+            prescriptionId: { type: 'string' },
+            insuranceId: { type: 'string' },
+            pharmacyNPI: { type: 'string' },
+            coordinationId: { type: 'string', description: 'Shared by the claims of one coordinated submission' },
+            coverageOrder: { type: 'string', enum: Object.values(CoverageOrder) },
+            originalClaimId: { type: 'string', description: 'On a rebill, the reversed claim it replaces' },
+            dateOfService: { type: 'string', format: 'date' },
+            status: { type: 'string', enum: Object.values(ClaimStatus) },
+            denialReason: { type: 'string', enum: Object.values(DenialReason) },
+            denialReasons: { type: 'array', items: { type: 'string', enum: Object.values(DenialReason) } },
+            costs: {
+              type: 'object',
+              description: 'Amounts in cents',
+              properties: {
+                drugCost: { type: 'integer' },
+                deductibleApplied: { type: 'integer' },
+                patientPay: { type: 'integer' },
+                planPay: { type: 'integer' }
+              }
+            },
+            trace: {
+              type: 'array',
+              description: 'Every adjudication rule that ran, in order',
+              items: {
+                type: 'object',
+                properties: {
+                  step: { type: 'integer' },
+                  ruleId: { type: 'string' },
+                  description: { type: 'string' },
+                  outcome: { type: 'string' },
+                  message: { type: 'string' },
+                  denialReason: { type: 'string' }
+                }
+              }
+            },
+            adjudicatedAt: { type: 'string', format: 'date-time' },
+            reversedAt: { type: 'string', format: 'date-time' },
+            reversedBy: { type: 'string', description: 'Account ID, or "system" for automatic returns to stock' },
+            reversalReason: { type: 'string' }
+          }
+        },
+        AccumulatorTotals: {
+          type: 'object',
+          description: 'Amounts in cents',
+          properties: {
+            deductibleMet: { type: 'integer' },
+            outOfPocketMet: { type: 'integer' },
+            planYearStart: { type: 'string', format: 'date' },
+            planYearEnd: { type: 'string', format: 'date' },
+            benefitPeriodType: { type: 'string', enum: Object.values(BenefitPeriodType) },
+            deductible: { type: 'integer' },
+            outOfPocketMax: { type: 'integer' }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            sequence: { type: 'integer', description: 'Position in the chain, from 1' },
+            occurredAt: { type: 'string', format: 'date-time' },
+            actorId: { type: 'string', description: 'Account ID' },
+            actorRole: { type: 'string' },
+            action: { type: 'string', enum: Object.values(AuditAction) },
+            subjectType: { type: 'string', enum: Object.values(AuditSubjectType) },
+            subjectId: { type: 'string' },
+            changes: {
+              type: 'array',
+              description: 'Changed fields; empty for reads',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', description: 'Dotted path, e.g. address.zipCode' },
+                  before: { description: 'null when the field was added' },
+                  after: { description: 'null when the field was removed' }
+                }
+              }
+            },
+            previousHash: { type: 'string', description: 'hash of the previous entry' },
+            hash: { type: 'string', description: 'SHA-256 of this entry\'s fields, including previousHash' }
+          }
+        },
+        AuditChainCheck: {
+          type: 'object',
+          properties: {
+            isValid: { type: 'boolean' },
+            checkedEntries: { type: 'integer' },
+            brokenAt: {
+              type: 'object',
+              nullable: true,
+              description: 'First entry that does not match the chain',
+              properties: { sequence: { type: 'integer' }, reason: { type: 'string' } }
+            }
+          }
+        },
+        FieldError: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Dotted path of the failing field, e.g. address.zipCode' },
+            code: { type: 'string', enum: Object.values(ValidationErrorCode) },
+            message: { type: 'string' },
+            value: { description: 'The rejected value' }
+          }
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+                details: {
+                  type: 'object',
+                  properties: {
+                    errors: { type: 'array', items: { type: 'string' } },
+                    fieldErrors: { type: 'array', items: ref('FieldError') }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /auth/login or /auth/register' }
+      },
+      responses: Object.fromEntries(
+        [
+          [400, 'Validation failed'],
+          [401, 'Not signed in, or the token is invalid or expired'],
+          [403, 'The signed-in account may not do this'],
+          [404, 'Not found'],
+          [409, 'Conflict with existing data or an illegal status change'],
+          [422, 'Business rule failure']
+        ].map(([status, description]) => [
+          `Error${status}`,
+          { description, content: { 'application/json': { schema: ref('ErrorResponse') } } }
+        ])
+      )
+    }
+  };
+}
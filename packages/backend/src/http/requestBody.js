@@ -0,0 +1,23 @@
+/**
+ * Request Body Helpers
+ */
+
+/**
+ * Fields the server owns on every stored entity
+ */
+const SERVER_MANAGED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Reads a JSON body as entity input, dropping fields clients may not set
+ * @param {Object} req - Express request
+ * @param {string[]} [protectedFields] - Extra fields to drop (e.g. status fields changed through their own endpoint)
+ * @returns {Object} Entity input
+ */
+export function readEntityInput(req, protectedFields = []) {
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  const dropped = [...SERVER_MANAGED_FIELDS, ...protectedFields];
+
+  return Object.fromEntries(
+    Object.entries(body).filter(([field]) => !dropped.includes(field))
+  );
+}
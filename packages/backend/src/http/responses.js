@@ -0,0 +1,87 @@
+import { ErrorCode, createErrorResponse } from '@medication-management/shared';
+
+/**
+ * HTTP Response Helpers
+ * Turns the shared { success, data | error } payloads into Express responses
+ */
+
+/**
+ * HTTP status returned for each ErrorCode
+ * Business rule failures use 422 so clients can tell them apart from malformed requests
+ */
+export const ERROR_CODE_HTTP_STATUS = {
+  [ErrorCode.VALIDATION_ERROR]: 400,
+  [ErrorCode.NOT_FOUND]: 404,
+  [ErrorCode.ALREADY_EXISTS]: 409,
+  [ErrorCode.UNAUTHORIZED]: 401,
+  [ErrorCode.FORBIDDEN]: 403,
+
+  [ErrorCode.INSURANCE_INACTIVE]: 422,
+  [ErrorCode.INSURANCE_EXPIRED]: 422,
+  [ErrorCode.PRESCRIPTION_INACTIVE]: 422,
+  [ErrorCode.CLAIM_DENIED]: 422,
+  [ErrorCode.PRIOR_AUTH_REQUIRED]: 422,
+  [ErrorCode.INVALID_STATUS_TRANSITION]: 409,
+  [ErrorCode.REFILL_TOO_SOON]: 422,
+  [ErrorCode.NO_REFILLS_REMAINING]: 422,
+  [ErrorCode.TRANSFER_NOT_ALLOWED]: 422,
+  [ErrorCode.IDEMPOTENCY_KEY_REUSED]: 422,
+  [ErrorCode.REQUEST_IN_PROGRESS]: 409,
+
+  [ErrorCode.INTERNAL_ERROR]: 500,
+  [ErrorCode.DATABASE_ERROR]: 500,
+  [ErrorCode.EXTERNAL_SERVICE_ERROR]: 502,
+};
+
+/**
+ * Gets the HTTP status for an error code
+ * @param {string} code - Error code from ErrorCode constants
+ * @returns {number} HTTP status, 500 for unknown codes
+ */
+export function getHttpStatus(code) {
+  return ERROR_CODE_HTTP_STATUS[code] || 500;
+}
+
+/**
+ * Sends a shared API response with the matching HTTP status
+ * @param {Object} res - Express response
+ * @param {Object} response - Payload from createSuccessResponse() or createErrorResponse()
+ * @param {number} [successStatus] - Status to use when the response is a success, defaults to 200
+ */
+export function sendResponse(res, response, successStatus = 200) {
+  const status = response.success ? successStatus : getHttpStatus(response.error.code);
+  res.status(status).json(response);
+}
+
+/**
+ * Wraps an async route handler so rejected promises reach the error middleware
+ * @param {Function} handler - (req, res, next) => Promise
+ * @returns {Function} Express route handler
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Express middleware for requests that matched no route
+ */
+export function notFoundHandler(req, res) {
+  sendResponse(res, createErrorResponse(ErrorCode.NOT_FOUND, `No route for ${req.method} ${req.path}`));
+}
+
+/**
+ * Express error middleware
+ * Malformed JSON bodies become validation errors, everything else an internal error
+ * Express only treats middleware as error middleware when it takes all four arguments
+ */
+export function errorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    sendResponse(res, createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Request body must be valid JSON'));
+    return;
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  sendResponse(res, createErrorResponse(ErrorCode.INTERNAL_ERROR, 'An unexpected error occurred'));
+}
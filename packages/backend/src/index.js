@@ -0,0 +1,61 @@
+import { randomBytes } from 'node:crypto';
+import { loadDurDatasetFromFile, loadFormularyFromFiles, loadProviderRegistryFromFile } from '@medication-management/shared';
+import { createApp } from './app.js';
+import { openDatabase } from './database/connection.js';
+import { runMigrations } from './database/migrator.js';
+import { createSqlRepositories } from './repositories/sqlRepositories.js';
+import { ensureAdminAccount } from './services/accountService.js';
+
+/**
+ * Backend Entry Point
+ * Opens the database, loads reference data and starts the REST API
+ *
+ * Environment:
+ *   AUTH_SECRET - signs access tokens; without it a random secret is used and sessions end on restart
+ *   ADMIN_EMAIL, ADMIN_PASSWORD - create the first administrator account if it does not exist
+ */
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const db = openDatabase();
+const applied = await runMigrations(db);
+applied.forEach(({ version, name }) => console.log(`Applied migration ${version}: ${name}`));
+
+const { formulary, errors: formularyErrors } = await loadFormularyFromFiles();
+formularyErrors.forEach((error) => console.warn(`Formulary: ${error}`));
+
+const { registry: providerRegistry, errors: providerErrors } = await loadProviderRegistryFromFile();
+providerErrors.forEach((error) => console.warn(`Provider registry: ${error}`));
+
+const { dataset: durDataset, errors: durErrors } = await loadDurDatasetFromFile();
+durErrors.forEach((error) => console.warn(`DUR dataset: ${error}`));
+
+const repositories = createSqlRepositories(db);
+
+if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  const admin = await ensureAdminAccount(repositories, { email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD });
+  if (!admin.success) {
+    const reasons = admin.error.details?.errors || [admin.error.message];
+    reasons.forEach((reason) => console.warn(`Admin account: ${reason}`));
+  } else if (admin.data) {
+    console.log(`Created admin account ${admin.data.email}`);
+  }
+}
+
+let authSecret = process.env.AUTH_SECRET;
+if (!authSecret) {
+  authSecret = randomBytes(32).toString('hex');
+  console.warn('AUTH_SECRET is not set; using a random secret, so sessions end when the server restarts');
+}
+
+const app = createApp({
+  repositories,
+  formulary,
+  providerRegistry,
+  durDataset,
+  authSecret
+});
+
+app.listen(PORT, () => {
+  console.log(`Medication management API listening on http://localhost:${PORT}`);
+});
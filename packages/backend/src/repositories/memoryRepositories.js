@@ -0,0 +1,152 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { applyListQuery, generateSortableId, getCurrentDateTime } from '@medication-management/shared';
+
+/**
+ * In-Memory Repositories
+ * Keeps API data in process memory; everything is lost on restart
+ *
+ * Every repository exposes the same async interface so the SQL-backed
+ * implementation in sqlRepositories.js can replace it without touching the routes:
+ *   list(filter), page(listQuery), findById(id), create(entity), update(id, entity), remove(id)
+ * and the set as a whole offers transaction(fn), which keeps every write fn makes or none of them, and
+ * isUniqueViolation(error), which is always false here since nothing enforces unique values in memory
+ */
+
+/**
+ * Creates an in-memory repository for one kind of entity
+ * Entities are copied on the way in and out so callers cannot mutate stored data
+ * @param {Map} [records] - Map the entities are kept in, by id
+ * @returns {Object} Repository
+ */
+export function createMemoryRepository(records = new Map()) {
+  return {
+    /**
+     * Lists entities whose fields equal every value in the filter
+     * @param {Object} [filter] - e.g. { userId } (undefined values are ignored)
+     * @returns {Promise<Object[]>} Matching entities, oldest first
+     */
+    async list(filter = {}) {
+      const conditions = Object.entries(filter).filter(([, value]) => value !== undefined);
+      return [...records.values()]
+        .filter((record) => conditions.every(([field, value]) => record[field] === value))
+        .map((record) => structuredClone(record));
+    },
+
+    /**
+     * Lists one page of entities matching a list query
+     * @param {Object} listQuery - List query from parseListQuery(), optionally narrowed with restrictListQuery()
+     * @returns {Promise<Object>} { items, total } for page queries, { items, nextCursor } for cursor queries
+     */
+    async page(listQuery) {
+      const result = applyListQuery([...records.values()], listQuery);
+      return { ...result, items: result.items.map((record) => structuredClone(record)) };
+    },
+
+    /**
+     * @param {string} id - Entity ID
+     * @returns {Promise<Object|null>} Entity or null if not found
+     */
+    async findById(id) {
+      const record = records.get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    /**
+     * Stores a new entity, assigning createdAt, updatedAt and an id if it has none
+     * @param {Object} entity - Entity to store
+     * @returns {Promise<Object>} Stored entity
+     */
+    async create(entity) {
+      const now = getCurrentDateTime();
+      const record = { ...structuredClone(entity), id: entity.id || generateSortableId(), createdAt: now, updatedAt: now };
+      records.set(record.id, record);
+      return structuredClone(record);
+    },
+
+    /**
+     * Replaces an existing entity, keeping its id and createdAt
+     * @param {string} id - Entity ID
+     * @param {Object} entity - New entity contents
+     * @returns {Promise<Object|null>} Updated entity or null if not found
+     */
+    async update(id, entity) {
+      const existing = records.get(id);
+      if (!existing) return null;
+
+      const record = {
+        ...structuredClone(entity),
+        id,
+        createdAt: existing.createdAt,
+        updatedAt: getCurrentDateTime()
+      };
+      records.set(id, record);
+      return structuredClone(record);
+    },
+
+    /**
+     * @param {string} id - Entity ID
+     * @returns {Promise<boolean>} True if an entity was removed
+     */
+    async remove(id) {
+      return records.delete(id);
+    }
+  };
+}
+
+/**
+ * Creates the full set of repositories the API needs
+ * @returns {Object} { users, insurance, prescriptions, fills, claims, accumulatorPostings, pharmacies, prescriptionTransfers, accounts, auditEntries, idempotencyKeys, transaction, isUniqueViolation }
+ */
+export function createMemoryRepositories() {
+  const stores = new Map([
+    'users',
+    'insurance',
+    'prescriptions',
+    'fills',
+    'claims',
+    'accumulatorPostings',
+    'pharmacies',
+    'prescriptionTransfers',
+    'accounts',
+    'auditEntries',
+    'idempotencyKeys'
+  ].map((name) => [name, new Map()]));
+
+  // Like the SQLite adapter, transactions are queued and one started inside another joins it.
+  // Stored records are replaced rather than changed in place, so copying each map is a full snapshot
+  const activeTransaction = new AsyncLocalStorage();
+  let transactionQueue = Promise.resolve();
+
+  const repositories = Object.fromEntries([...stores].map(([name, records]) => [name, createMemoryRepository(records)]));
+
+  /**
+   * Runs fn so that either every write it makes is kept or, when it rejects, none are
+   * @param {Function} fn - Async function making the writes
+   * @returns {Promise<*>} What fn resolves to
+   */
+  repositories.transaction = (fn) => {
+    if (activeTransaction.getStore()) {
+      return Promise.resolve().then(fn);
+    }
+
+    const result = transactionQueue.then(async () => {
+      const snapshot = [...stores].map(([name, records]) => [name, new Map(records)]);
+      try {
+        return await activeTransaction.run(true, fn);
+      } catch (error) {
+        for (const [name, records] of snapshot) {
+          const store = stores.get(name);
+          store.clear();
+          records.forEach((record, id) => store.set(id, record));
+        }
+        throw error;
+      }
+    });
+
+    transactionQueue = result.catch(() => {});
+    return result;
+  };
+  repositories.isUniqueViolation = () => false;
+
+  return repositories;
+}
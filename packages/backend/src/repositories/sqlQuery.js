@@ -0,0 +1,79 @@
+import { FilterOperator, SortDirection } from '@medication-management/shared';
+
+/**
+ * SQL List Queries
+ * Compiles list queries from parseListQuery() to parameterized SQL clauses
+ * Only columns declared in the repository's field map are ever written into the SQL; every value,
+ * including cursor values, is passed as a parameter
+ */
+
+/**
+ * SQL for each condition operator; IN is built separately from its values
+ */
+const OPERATOR_SQL = {
+  [FilterOperator.EQ]: '=',
+  [FilterOperator.GTE]: '>=',
+  [FilterOperator.LTE]: '<=',
+  [FilterOperator.LT]: '<',
+};
+
+/**
+ * Compiles one condition
+ */
+function compileCondition(columnName, { operator, value }) {
+  if (operator === FilterOperator.IN) {
+    return value.length === 0
+      ? { sql: '1 = 0', params: [] }
+      : { sql: `${columnName} IN (${value.map(() => '?').join(', ')})`, params: value };
+  }
+
+  if (!OPERATOR_SQL[operator]) {
+    throw new Error(`Unknown filter operator "${operator}"`);
+  }
+  return { sql: `${columnName} ${OPERATOR_SQL[operator]} ?`, params: [value] };
+}
+
+/**
+ * Compiles the condition that keeps only rows after the cursor position
+ * For sort keys k1..kn this is (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with < for descending keys
+ */
+function compileAfterCursor(sortColumns, after) {
+  const alternatives = sortColumns.map(({ columnName, direction }, index) => {
+    const ties = sortColumns.slice(0, index).map((key) => `${key.columnName} = ?`);
+    const beyond = `${columnName} ${direction === SortDirection.DESC ? '<' : '>'} ?`;
+    return {
+      sql: `(${[...ties, beyond].join(' AND ')})`,
+      params: [...after.slice(0, index), after[index]]
+    };
+  });
+
+  return {
+    sql: `(${alternatives.map(({ sql }) => sql).join(' OR ')})`,
+    params: alternatives.flatMap(({ params }) => params)
+  };
+}
+
+/**
+ * Compiles a list query to SQL clauses for one table
+ * @param {Object} listQuery - List query from parseListQuery()
+ * @param {Function} columnFor - Returns the column name of a field, throwing for fields the table does not have
+ * @returns {Object} { where, params, orderBy, limit, offset } where where is '' when there are no conditions;
+ *   limit asks for one row more than the page on cursor queries, to tell whether another page follows
+ */
+export function compileListQuery(listQuery, columnFor) {
+  const { conditions, sort, limit, page, after } = listQuery;
+
+  const clauses = conditions.map((condition) => compileCondition(columnFor(condition.field), condition));
+  const sortColumns = sort.map(({ field, direction }) => ({ columnName: columnFor(field), direction }));
+  if (after) {
+    clauses.push(compileAfterCursor(sortColumns, after));
+  }
+
+  return {
+    where: clauses.length ? ` WHERE ${clauses.map(({ sql }) => sql).join(' AND ')}` : '',
+    params: clauses.flatMap(({ params }) => params),
+    orderBy: ` ORDER BY ${sortColumns.map(({ columnName, direction }) => `${columnName} ${direction}`).join(', ')}`,
+    limit: page ? limit : limit + 1,
+    offset: page ? (page - 1) * limit : 0
+  };
+}
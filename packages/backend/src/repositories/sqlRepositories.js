@@ -0,0 +1,285 @@
+import { generateSortableId } from '@medication-management/shared';
+import { ColumnType, column, createSqlRepository } from './sqlRepository.js';
+
+/**
+ * SQL Repositories
+ * Table definitions for every repository the API uses, backed by the schema in database/migrations
+ */
+
+/**
+ * User addresses live in their own table
+ */
+const userAddressRelation = {
+  async load(db, user) {
+    const row = await db.queryOne(
+      'SELECT street, city, state, zip_code FROM addresses WHERE user_id = ?',
+      [user.id]
+    );
+    return row
+      ? { ...user, address: { street: row.street, city: row.city, state: row.state, zipCode: row.zip_code } }
+      : user;
+  },
+
+  async save(db, user) {
+    await db.run('DELETE FROM addresses WHERE user_id = ?', [user.id]);
+    if (!user.address) return;
+
+    await db.run(
+      'INSERT INTO addresses (id, user_id, street, city, state, zip_code) VALUES (?, ?, ?, ?, ?, ?)',
+      [generateSortableId(), user.id, user.address.street, user.address.city, user.address.state, user.address.zipCode]
+    );
+  }
+};
+
+/**
+ * Prescription status history is append-only, so saving only inserts entries not yet stored
+ */
+const prescriptionHistoryRelation = {
+  async load(db, prescription) {
+    const rows = await db.query(
+      `SELECT from_status, to_status, actor, reason, changed_at
+       FROM prescription_status_history WHERE prescription_id = ? ORDER BY sequence`,
+      [prescription.id]
+    );
+
+    return {
+      ...prescription,
+      statusHistory: rows.map((row) => ({
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        actor: row.actor,
+        reason: row.reason ?? undefined,
+        timestamp: row.changed_at
+      }))
+    };
+  },
+
+  async save(db, prescription) {
+    const { count } = await db.queryOne(
+      'SELECT COUNT(*) AS count FROM prescription_status_history WHERE prescription_id = ?',
+      [prescription.id]
+    );
+
+    const newEntries = (prescription.statusHistory || []).slice(count);
+    for (const [index, entry] of newEntries.entries()) {
+      await db.run(
+        `INSERT INTO prescription_status_history
+         (id, prescription_id, sequence, from_status, to_status, actor, reason, changed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [generateSortableId(), prescription.id, count + index, entry.fromStatus, entry.toStatus,
+          entry.actor, entry.reason ?? null, entry.timestamp]
+      );
+    }
+  }
+};
+
+/**
+ * Creates the full set of repositories on a database
+ * @param {Object} db - Database adapter from openDatabase(), migrated to the latest schema
+ * @returns {Object} { users, insurance, prescriptions, fills, claims, accumulatorPostings, pharmacies, prescriptionTransfers, accounts, auditEntries, idempotencyKeys, transaction, isUniqueViolation }
+ *   where transaction(fn) runs fn in a database transaction, keeping every write it makes or, when it rejects, none,
+ *   and isUniqueViolation(error) tells whether a rejected write clashed with a stored email, NPI or other unique value
+ */
+export function createSqlRepositories(db) {
+  return {
+    transaction: (fn) => db.transaction(() => fn()),
+    isUniqueViolation: (error) => db.isUniqueViolation(error),
+
+    users: createSqlRepository(db, {
+      table: 'users',
+      fields: {
+        email: column('email'),
+        firstName: column('first_name'),
+        lastName: column('last_name'),
+        dateOfBirth: column('date_of_birth'),
+        phoneNumber: column('phone_number'),
+      },
+      relations: userAddressRelation
+    }),
+
+    insurance: createSqlRepository(db, {
+      table: 'insurance',
+      fields: {
+        userId: column('user_id'),
+        insuranceCompany: column('insurance_company'),
+        policyNumber: column('policy_number'),
+        groupNumber: column('group_number'),
+        planType: column('plan_type'),
+        planName: column('plan_name'),
+        coverageOrder: column('coverage_order'),
+        rxBIN: column('rx_bin'),
+        rxPCN: column('rx_pcn'),
+        formularyId: column('formulary_id'),
+        deductible: column('deductible'),
+        deductibleMet: column('deductible_met'),
+        outOfPocketMax: column('out_of_pocket_max'),
+        outOfPocketMet: column('out_of_pocket_met'),
+        planYearStartMonth: column('plan_year_start_month'),
+        effectiveDate: column('effective_date'),
+        terminationDate: column('termination_date'),
+        isActive: column('is_active', ColumnType.BOOLEAN),
+      },
+      toRecord: (insurance) => ({ ...insurance, isActive: insurance.isActive !== false })
+    }),
+
+    prescriptions: createSqlRepository(db, {
+      table: 'prescriptions',
+      fields: {
+        userId: column('user_id'),
+        medicationName: column('medication_name'),
+        ndc: column('ndc'),
+        medicationForm: column('medication_form'),
+        strength: column('strength'),
+        dosageInstructions: column('dosage_instructions'),
+        quantity: column('quantity'),
+        daysSupply: column('days_supply'),
+        refillsAllowed: column('refills_allowed'),
+        refillsRemaining: column('refills_remaining'),
+        prescriberName: column('prescriber_name'),
+        prescriberNPI: column('prescriber_npi'),
+        pharmacyNPI: column('pharmacy_npi'),
+        prescribedDate: column('prescribed_date'),
+        controlledSubstanceSchedule: column('controlled_substance_schedule'),
+        status: column('status'),
+      },
+      relations: prescriptionHistoryRelation
+    }),
+
+    fills: createSqlRepository(db, {
+      table: 'fills',
+      fields: {
+        prescriptionId: column('prescription_id'),
+        fillNumber: column('fill_number'),
+        fillDate: column('fill_date'),
+        quantity: column('quantity'),
+        daysSupply: column('days_supply'),
+        pharmacyNPI: column('pharmacy_npi'),
+        overrideType: column('override_type'),
+        claimId: column('claim_id'),
+      }
+    }),
+
+    claims: createSqlRepository(db, {
+      table: 'claims',
+      fields: {
+        userId: column('user_id'),
+        prescriptionId: column('prescription_id'),
+        insuranceId: column('insurance_id'),
+        pharmacyNPI: column('pharmacy_npi'),
+        coordinationId: column('coordination_id'),
+        coverageOrder: column('coverage_order'),
+        originalClaimId: column('original_claim_id'),
+        dateOfService: column('date_of_service'),
+        status: column('status'),
+        denialReason: column('denial_reason'),
+        denialReasons: column('denial_reasons', ColumnType.JSON),
+        drugCost: column('drug_cost'),
+        deductibleApplied: column('deductible_applied'),
+        patientPay: column('patient_pay'),
+        planPay: column('plan_pay'),
+        trace: column('trace', ColumnType.JSON),
+        adjudicatedAt: column('adjudicated_at'),
+        reversedAt: column('reversed_at'),
+        reversedBy: column('reversed_by'),
+        reversalReason: column('reversal_reason'),
+      },
+      // costs is stored as one column per amount
+      toRecord: ({ costs, ...claim }) => ({ ...claim, ...costs }),
+      fromRecord: ({ drugCost, deductibleApplied, patientPay, planPay, ...claim }) => ({
+        ...claim,
+        costs: { drugCost, deductibleApplied, patientPay, planPay }
+      })
+    }),
+
+    accumulatorPostings: createSqlRepository(db, {
+      table: 'accumulator_postings',
+      fields: {
+        insuranceId: column('insurance_id'),
+        claimId: column('claim_id'),
+        type: column('type'),
+        planYearStart: column('plan_year_start'),
+        deductibleAmount: column('deductible_amount'),
+        outOfPocketAmount: column('out_of_pocket_amount'),
+        postedAt: column('posted_at'),
+        reversesPostingId: column('reverses_posting_id'),
+      }
+    }),
+
+    pharmacies: createSqlRepository(db, {
+      table: 'pharmacies',
+      fields: {
+        npi: column('npi'),
+        name: column('name'),
+        pharmacyType: column('pharmacy_type'),
+        phoneNumber: column('phone_number'),
+        street: column('street'),
+        city: column('city'),
+        state: column('state'),
+        zipCode: column('zip_code'),
+        hours: column('hours', ColumnType.JSON),
+        networkPlanIds: column('network_plan_ids', ColumnType.JSON),
+        isActive: column('is_active', ColumnType.BOOLEAN),
+      },
+      // The address is stored as columns on the pharmacy row
+      toRecord: ({ address, ...pharmacy }) => ({ ...pharmacy, ...address, isActive: pharmacy.isActive !== false }),
+      fromRecord: ({ street, city, state, zipCode, ...pharmacy }) => ({
+        ...pharmacy,
+        address: { street, city, state, zipCode }
+      })
+    }),
+
+    prescriptionTransfers: createSqlRepository(db, {
+      table: 'prescription_transfers',
+      fields: {
+        prescriptionId: column('prescription_id'),
+        fromPharmacyNPI: column('from_pharmacy_npi'),
+        toPharmacyNPI: column('to_pharmacy_npi'),
+        refillsTransferred: column('refills_transferred'),
+        transferDate: column('transfer_date'),
+        transferredBy: column('transferred_by'),
+        reason: column('reason'),
+      }
+    }),
+
+    accounts: createSqlRepository(db, {
+      table: 'accounts',
+      fields: {
+        email: column('email'),
+        passwordHash: column('password_hash'),
+        role: column('role'),
+        userId: column('user_id'),
+        pharmacyNPI: column('pharmacy_npi'),
+        planIds: column('plan_ids', ColumnType.JSON),
+        isActive: column('is_active', ColumnType.BOOLEAN),
+      },
+      toRecord: (account) => ({ ...account, isActive: account.isActive !== false })
+    }),
+
+    auditEntries: createSqlRepository(db, {
+      table: 'audit_log',
+      fields: {
+        sequence: column('sequence'),
+        occurredAt: column('occurred_at'),
+        actorId: column('actor_id'),
+        actorRole: column('actor_role'),
+        action: column('action'),
+        subjectType: column('subject_type'),
+        subjectId: column('subject_id'),
+        changes: column('changes', ColumnType.JSON),
+        previousHash: column('previous_hash'),
+        hash: column('hash'),
+      }
+    }),
+
+    idempotencyKeys: createSqlRepository(db, {
+      table: 'idempotency_keys',
+      fields: {
+        accountId: column('account_id'),
+        key: column('idempotency_key'),
+        requestFingerprint: column('request_fingerprint'),
+        statusCode: column('status_code'),
+        response: column('response', ColumnType.JSON),
+      }
+    })
+  };
+}
@@ -0,0 +1,206 @@
+import { encodeListCursor, generateSortableId, getCurrentDateTime } from '@medication-management/shared';
+import { compileListQuery } from './sqlQuery.js';
+
+/**
+ * SQL Repository
+ * Generic table-backed repository with the same interface as createMemoryRepository():
+ *   list(filter), page(listQuery), findById(id), create(entity), update(id, entity), remove(id)
+ * Maps snake_case columns to the camelCase objects the shared validators expect
+ */
+
+/**
+ * How a field's value is stored in its column
+ */
+export const ColumnType = {
+  VALUE: 'VALUE',     // Stored as-is (text, integer, real)
+  BOOLEAN: 'BOOLEAN', // Stored as 0/1 so the schema stays portable
+  JSON: 'JSON',       // Stored as JSON text
+};
+
+/**
+ * Describes the column behind an entity field
+ * @param {string} name - Column name
+ * @param {string} [type] - Value from ColumnType, defaults to VALUE
+ * @returns {Object} { name, type }
+ */
+export function column(name, type = ColumnType.VALUE) {
+  return { name, type };
+}
+
+/**
+ * Columns every table has
+ */
+const ENTITY_COLUMNS = {
+  id: column('id'),
+  createdAt: column('created_at'),
+  updatedAt: column('updated_at'),
+};
+
+/**
+ * Converts a flat record to column values
+ */
+function toRow(fields, record) {
+  return Object.entries(fields).map(([field, { name, type }]) => {
+    const value = record[field];
+    if (value === undefined || value === null) return [name, null];
+    if (type === ColumnType.BOOLEAN) return [name, value ? 1 : 0];
+    if (type === ColumnType.JSON) return [name, JSON.stringify(value)];
+    return [name, value];
+  });
+}
+
+/**
+ * Converts a row to a flat record; NULL columns are left out so optional fields stay undefined
+ */
+function fromRow(fields, row) {
+  const record = {};
+
+  Object.entries(fields).forEach(([field, { name, type }]) => {
+    const value = row[name];
+    if (value === null || value === undefined) return;
+    if (type === ColumnType.BOOLEAN) record[field] = Boolean(value);
+    else if (type === ColumnType.JSON) record[field] = JSON.parse(value);
+    else record[field] = value;
+  });
+
+  return record;
+}
+
+/**
+ * Creates a repository for one table
+ * @param {Object} db - Database adapter from openDatabase()
+ * @param {Object} definition
+ * @param {string} definition.table - Table name
+ * @param {Object} definition.fields - { fieldName: column() } for every stored field except id/createdAt/updatedAt
+ * @param {Function} [definition.toRecord] - Flattens an entity before it is mapped to columns
+ * @param {Function} [definition.fromRecord] - Rebuilds an entity from a flat record
+ * @param {Object} [definition.relations] - { load(db, entity), save(db, entity) } for data kept in child tables
+ * @returns {Object} Repository
+ */
+export function createSqlRepository(db, definition) {
+  const { table, relations } = definition;
+  const fields = { ...ENTITY_COLUMNS, ...definition.fields };
+  const toRecord = definition.toRecord || ((entity) => entity);
+  const fromRecord = definition.fromRecord || ((record) => record);
+
+  async function hydrate(row) {
+    const entity = fromRecord(fromRow(fields, row));
+    return relations ? relations.load(db, entity) : entity;
+  }
+
+  function columnFor(field) {
+    if (!fields[field]) {
+      throw new Error(`Cannot query ${table} by unknown field "${field}"`);
+    }
+    return fields[field].name;
+  }
+
+  const repository = {
+    /**
+     * Lists entities whose fields equal every value in the filter
+     * @param {Object} [filter] - e.g. { userId } (undefined values are ignored)
+     * @returns {Promise<Object[]>} Matching entities, oldest first
+     */
+    async list(filter = {}) {
+      const conditions = Object.entries(filter).filter(([, value]) => value !== undefined);
+      const where = conditions.map(([field]) => {
+        if (!fields[field]) {
+          throw new Error(`Cannot filter ${table} by unknown field "${field}"`);
+        }
+        return `${fields[field].name} = ?`;
+      });
+
+      const rows = await db.query(
+        `SELECT * FROM ${table}${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at, id`,
+        conditions.map(([field, value]) => (fields[field].type === ColumnType.BOOLEAN ? Number(value) : value))
+      );
+      return Promise.all(rows.map(hydrate));
+    },
+
+    /**
+     * Lists one page of entities matching a list query
+     * @param {Object} listQuery - List query from parseListQuery(), optionally narrowed with restrictListQuery()
+     * @returns {Promise<Object>} { items, total } for page queries, { items, nextCursor } for cursor queries
+     */
+    async page(listQuery) {
+      const { where, params, orderBy, limit, offset } = compileListQuery(listQuery, columnFor);
+      const rows = await db.query(`SELECT * FROM ${table}${where}${orderBy} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+      const items = await Promise.all(rows.slice(0, listQuery.limit).map(hydrate));
+
+      if (listQuery.page) {
+        const { count } = await db.queryOne(`SELECT COUNT(*) AS count FROM ${table}${where}`, params);
+        return { items, total: count };
+      }
+
+      return {
+        items,
+        nextCursor: rows.length > listQuery.limit ? encodeListCursor(listQuery, items.at(-1)) : null
+      };
+    },
+
+    /**
+     * @param {string} id - Entity ID
+     * @returns {Promise<Object|null>} Entity or null if not found
+     */
+    async findById(id) {
+      const row = await db.queryOne(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+      return row ? hydrate(row) : null;
+    },
+
+    /**
+     * Stores a new entity, assigning createdAt, updatedAt and an id if it has none
+     * @param {Object} entity - Entity to store
+     * @returns {Promise<Object>} Stored entity
+     */
+    async create(entity) {
+      const now = getCurrentDateTime();
+      const stored = { ...entity, id: entity.id || generateSortableId(), createdAt: now, updatedAt: now };
+      const row = toRow(fields, toRecord(stored));
+
+      await db.transaction(async () => {
+        await db.run(
+          `INSERT INTO ${table} (${row.map(([name]) => name).join(', ')}) VALUES (${row.map(() => '?').join(', ')})`,
+          row.map(([, value]) => value)
+        );
+        if (relations) await relations.save(db, stored);
+      });
+
+      return repository.findById(stored.id);
+    },
+
+    /**
+     * Replaces an existing entity, keeping its id and createdAt
+     * @param {string} id - Entity ID
+     * @param {Object} entity - New entity contents
+     * @returns {Promise<Object|null>} Updated entity or null if not found
+     */
+    async update(id, entity) {
+      const existing = await db.queryOne(`SELECT created_at FROM ${table} WHERE id = ?`, [id]);
+      if (!existing) return null;
+
+      const stored = { ...entity, id, createdAt: existing.created_at, updatedAt: getCurrentDateTime() };
+      const row = toRow(fields, toRecord(stored)).filter(([name]) => name !== 'id');
+
+      await db.transaction(async () => {
+        await db.run(
+          `UPDATE ${table} SET ${row.map(([name]) => `${name} = ?`).join(', ')} WHERE id = ?`,
+          [...row.map(([, value]) => value), id]
+        );
+        if (relations) await relations.save(db, stored);
+      });
+
+      return repository.findById(id);
+    },
+
+    /**
+     * @param {string} id - Entity ID
+     * @returns {Promise<boolean>} True if an entity was removed
+     */
+    async remove(id) {
+      const { changes } = await db.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+      return changes > 0;
+    }
+  };
+
+  return repository;
+}
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import {
+  AuditListQuery,
+  Permission,
+  authorize,
+  createListPageResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  parseListQuery
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+
+/**
+ * Audit Routes
+ * Admin-only search of the audit log at /api/audit and a tamper check of its hash chain
+ */
+
+/**
+ * Creates the /api/audit router
+ * @param {Object} auditLog - Audit log from createAuditLog()
+ * @returns {Router} Express router
+ */
+export function createAuditRoutes(auditLog) {
+  const router = Router();
+
+  router.use((req, res, next) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+    next();
+  });
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { isValid, errors, listQuery } = parseListQuery(req.query, AuditListQuery);
+    if (!isValid) {
+      sendResponse(res, createValidationErrorResponse(errors));
+      return;
+    }
+
+    const page = await auditLog.page(listQuery);
+    sendResponse(res, createSuccessResponse(createListPageResponse(listQuery, page)));
+  }));
+
+  router.get('/verify', asyncHandler(async (req, res) => {
+    sendResponse(res, createSuccessResponse(await auditLog.verify()));
+  }));
+
+  return router;
+}
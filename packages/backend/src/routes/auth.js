@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  Permission,
+  authorize,
+  createNotFoundResponse,
+  createSuccessResponse,
+  toPrincipal
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { readEntityInput } from '../http/requestBody.js';
+import { requireAuthentication } from '../http/authentication.js';
+import { createAccessToken } from '../auth/tokens.js';
+import {
+  authenticateCredentials,
+  createAccount,
+  registerPatient,
+  toPublicAccount,
+  updateAccount
+} from '../services/accountService.js';
+
+/**
+ * Auth Routes
+ * Sign-in, patient self-registration and account administration at /api/auth
+ * Pharmacist, insurer and admin accounts are created by an admin; patients register themselves
+ */
+
+/**
+ * Creates the /api/auth router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - Reference data loaded at startup
+ * @param {Object} [reference.formulary] - Formulary whose plan IDs insurer accounts may list
+ * @param {string} authSecret - Secret access tokens are signed with
+ * @returns {Router} Express router
+ */
+export function createAuthRoutes(repositories, reference, authSecret) {
+  const { accounts } = repositories;
+  const router = Router();
+
+  router.post('/register', asyncHandler(async (req, res) => {
+    const result = await registerPatient(repositories, readEntityInput(req));
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    await req.auditTrail.created(AuditSubjectType.USER, result.data.user, toPrincipal(result.data.account));
+    const session = createAccessToken(result.data.account, authSecret);
+    sendResponse(res, createSuccessResponse({ ...result.data, ...session }, 'Registered'), 201);
+  }));
+
+  router.post('/login', asyncHandler(async (req, res) => {
+    const result = await authenticateCredentials(accounts, req.body || {});
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    sendResponse(res, createSuccessResponse({ account: result.data, ...createAccessToken(result.data, authSecret) }));
+  }));
+
+  router.get('/me', requireAuthentication, asyncHandler(async (req, res) => {
+    const account = await accounts.findById(req.principal.accountId);
+    sendResponse(res, createSuccessResponse(toPublicAccount(account)));
+  }));
+
+  router.get('/accounts', requireAuthentication, asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const matches = await accounts.list({ role: req.query.role });
+    sendResponse(res, createSuccessResponse(matches.map(toPublicAccount)));
+  }));
+
+  router.post('/accounts', requireAuthentication, asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const result = await createAccount(repositories, reference, readEntityInput(req));
+    sendResponse(res, result.success ? createSuccessResponse(result.data, 'Account created') : result, 201);
+  }));
+
+  router.put('/accounts/:id', requireAuthentication, asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const existing = await accounts.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('Account'));
+      return;
+    }
+
+    const result = await updateAccount(repositories, reference, existing, readEntityInput(req));
+    sendResponse(res, result.success ? createSuccessResponse(result.data, 'Account updated') : result);
+  }));
+
+  return router;
+}
@@ -0,0 +1,172 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  ClaimListQuery,
+  Permission,
+  authorize,
+  createListPageResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  getClaimScope,
+  getInsuranceScope,
+  getListScope,
+  hasPermission,
+  parseListQuery,
+  restrictListQuery
+} from '@medication-management/shared';
+import { createIdempotency } from '../http/idempotency.js';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { submitClaim, submitCoordinatedClaim, submitRebill, submitReversal } from '../services/claimService.js';
+import { runInTransaction } from '../services/transaction.js';
+
+/**
+ * Claim Routes
+ * Claim submission and lookup at /api/claims
+ * The list is filtered, sorted and paginated through ClaimListQuery
+ * A denied claim is still a successfully processed claim, so submission returns 201 either way
+ * Coordinated submissions bill each of the patient's active plans in coverage order
+ * Paid claims can be reversed, which also undoes their fill, or reversed and rebilled with corrected details
+ * Every write takes an Idempotency-Key header, so a retried request gets the first response instead of billing twice
+ * Patients see their own claims, pharmacists the claims of their pharmacy and insurers the claims billed to their plans
+ * Every claim returned or stored is recorded in the audit log
+ */
+
+/**
+ * Gets the claims an account may list, as scope fields of the claim itself
+ * Insurers see claims by the formulary plan they were billed to, which claims only record through their
+ * insurance plan, so their scope becomes the matching insurance IDs
+ * @returns {Promise<Object|null>} Scope for restrictListQuery()
+ */
+async function getClaimListScope(insurance, principal, formulary) {
+  const scope = getListScope(principal, Permission.VIEW_CLAIM);
+  if (!scope?.planIds) return scope;
+
+  const billedPlans = (await insurance.list()).filter((plan) => (
+    hasPermission(principal, Permission.VIEW_CLAIM, { planIds: getInsuranceScope(plan, formulary).planIds })
+  ));
+  return { insuranceId: billedPlans.map((plan) => plan.id) };
+}
+
+/**
+ * Creates the /api/claims router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary, providerRegistry, durDataset } loaded at startup
+ * @returns {Router} Express router
+ */
+export function createClaimRoutes(repositories, reference) {
+  const { claims, insurance } = repositories;
+  const router = Router();
+
+  // Idempotency for a write; records picks the claims a replayed response shows, for the audit log
+  const idempotent = createIdempotency(repositories.idempotencyKeys);
+  const idempotentClaimWrite = (records) => idempotent({ subjectType: AuditSubjectType.CLAIM, records });
+
+  // Runs a claim write and keeps its response under the request's idempotency key in one transaction;
+  // respond turns the service result into the response sent
+  const writeClaim = (req, statusCode, write, respond = (result) => result) => runInTransaction(repositories, async () => {
+    const result = await write();
+    if (!result.success) return result;
+
+    const response = respond(result);
+    await req.idempotency.keep(statusCode, response);
+    return { ...result, response };
+  });
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { isValid, errors, listQuery } = parseListQuery(req.query, ClaimListQuery);
+    if (!isValid) {
+      sendResponse(res, createValidationErrorResponse(errors));
+      return;
+    }
+
+    const scope = await getClaimListScope(insurance, req.principal, reference.formulary);
+    const page = await claims.page(restrictListQuery(listQuery, scope));
+    await req.auditTrail.read(AuditSubjectType.CLAIM, page.items);
+    sendResponse(res, createSuccessResponse(createListPageResponse(listQuery, page)));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const claim = await claims.findById(req.params.id);
+    if (!claim) {
+      sendResponse(res, createNotFoundResponse('Claim'));
+      return;
+    }
+
+    const plan = await insurance.findById(claim.insuranceId);
+    const access = authorize(req.principal, Permission.VIEW_CLAIM, getClaimScope(claim, plan, reference.formulary));
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    await req.auditTrail.read(AuditSubjectType.CLAIM, claim);
+    sendResponse(res, createSuccessResponse(claim));
+  }));
+
+  router.post('/', idempotentClaimWrite((claim) => [claim]), asyncHandler(async (req, res) => {
+    const result = await writeClaim(req, 201, () => submitClaim(repositories, reference, req.body || {}, req.principal));
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    await req.auditTrail.created(AuditSubjectType.CLAIM, result.data);
+    sendResponse(res, result.response, 201);
+  }));
+
+  router.post('/coordinated', idempotentClaimWrite((data) => data.claims), asyncHandler(async (req, res) => {
+    const result = await writeClaim(req, 201, () => submitCoordinatedClaim(repositories, reference, req.body || {}, req.principal));
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    for (const claim of result.data.claims) {
+      await req.auditTrail.created(AuditSubjectType.CLAIM, claim);
+    }
+    sendResponse(res, result.response, 201);
+  }));
+
+  router.post('/:id/reversal', idempotentClaimWrite((data) => data.claims), asyncHandler(async (req, res) => {
+    const result = await writeClaim(
+      req,
+      200,
+      () => submitReversal(repositories, reference, req.params.id, req.body || {}, req.principal),
+      ({ data: { previous, ...reversal }, message }) => createSuccessResponse(reversal, message)
+    );
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    const { previous, ...reversal } = result.data;
+    for (const [index, claim] of reversal.claims.entries()) {
+      await req.auditTrail.updated(AuditSubjectType.CLAIM, previous.claims[index], claim);
+    }
+    if (reversal.prescription) {
+      await req.auditTrail.updated(AuditSubjectType.PRESCRIPTION, previous.prescription, reversal.prescription);
+    }
+    sendResponse(res, result.response);
+  }));
+
+  router.post('/:id/rebill', idempotentClaimWrite((data) => [data.original, data.claim]), asyncHandler(async (req, res) => {
+    const result = await writeClaim(
+      req,
+      201,
+      () => submitRebill(repositories, reference, req.params.id, req.body || {}, req.principal),
+      ({ data: { previous, ...rebill }, message }) => createSuccessResponse(rebill, message)
+    );
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    const { previous, ...rebill } = result.data;
+    await req.auditTrail.updated(AuditSubjectType.CLAIM, previous, rebill.original);
+    await req.auditTrail.created(AuditSubjectType.CLAIM, rebill.claim);
+    sendResponse(res, result.response, 201);
+  }));
+
+  return router;
+}
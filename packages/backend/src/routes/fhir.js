@@ -0,0 +1,71 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  Permission,
+  authorize,
+  createSuccessResponse
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { exportPatientBundle, importBundle } from '../services/fhirService.js';
+
+/**
+ * FHIR Routes
+ * FHIR R4 exchange at /api/fhir, for trading test data with EHR sandboxes
+ * Exports carry the patient records the account may see; imports are admin only, since they create
+ * patients together with their plans and prescriptions
+ * Both report mapping losses, the values one side could not carry over, and are recorded in the audit log
+ */
+
+/**
+ * Creates the /api/fhir router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - Reference data loaded at startup
+ * @param {Object} [reference.formulary] - Formulary that maps plans to the insurers administering them
+ * @param {Object} [reference.providerRegistry] - Registry used to verify prescriber and pharmacy NPIs
+ * @returns {Router} Express router
+ */
+export function createFhirRoutes(repositories, reference) {
+  const router = Router();
+
+  router.get('/patients/:id', asyncHandler(async (req, res) => {
+    const result = await exportPatientBundle(repositories, reference, req.params.id, req.principal);
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    const { exported, ...data } = result.data;
+    await req.auditTrail.read(AuditSubjectType.USER, exported.user);
+    await req.auditTrail.read(AuditSubjectType.INSURANCE, exported.insurance);
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, exported.prescriptions);
+    sendResponse(res, createSuccessResponse(data));
+  }));
+
+  router.post('/import', asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const result = await importBundle(repositories, reference, req.body);
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    const { users, insurance, prescriptions } = result.data;
+    for (const user of users) {
+      await req.auditTrail.created(AuditSubjectType.USER, user);
+    }
+    for (const plan of insurance) {
+      await req.auditTrail.created(AuditSubjectType.INSURANCE, plan);
+    }
+    for (const prescription of prescriptions) {
+      await req.auditTrail.created(AuditSubjectType.PRESCRIPTION, prescription);
+    }
+    sendResponse(res, result, 201);
+  }));
+
+  return router;
+}
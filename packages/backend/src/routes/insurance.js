@@ -0,0 +1,199 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  ErrorCode,
+  Permission,
+  ValidationErrorCode,
+  authorize,
+  createErrorResponse,
+  createFieldError,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findCoverageOrderConflict,
+  getAccumulatorTotals,
+  getCoverageOrder,
+  getCurrentDate,
+  getInsuranceScope,
+  hasPermission,
+  isValidDate,
+  validateInsurance
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { readEntityInput } from '../http/requestBody.js';
+
+/**
+ * Insurance Routes
+ * CRUD for insurance plans at /api/insurance
+ * Running deductible/out-of-pocket totals come from the accumulator ledger, not the stored plan
+ * A user holds at most one active plan per coverage order (primary, secondary, tertiary) at a time
+ * Patients manage their own plans; insurers see the plans they administer
+ * Every plan returned or changed is recorded in the audit log
+ */
+
+/**
+ * Validates insurance input, checks the owning user exists and that the coverage order is free
+ * @returns {Promise<Object|null>} Error response, or null when the input is acceptable
+ */
+async function checkInsuranceInput({ users, insurance }, input) {
+  const validation = validateInsurance(input);
+  if (!validation.isValid) {
+    return createValidationErrorResponse(validation.errors);
+  }
+
+  if (!(await users.findById(input.userId))) {
+    return createNotFoundResponse('User');
+  }
+
+  const conflict = findCoverageOrderConflict(await insurance.list({ userId: input.userId }), input);
+  if (conflict) {
+    return createErrorResponse(
+      ErrorCode.ALREADY_EXISTS,
+      `${conflict.planName} is already the ${getCoverageOrder(conflict)} plan for an overlapping period`,
+      { insuranceId: conflict.id }
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Creates the /api/insurance router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - Reference data loaded at startup
+ * @param {Object} [reference.formulary] - Formulary that maps plans to the insurers administering them
+ * @returns {Router} Express router
+ */
+export function createInsuranceRoutes(repositories, { formulary }) {
+  const { insurance, claims, accumulatorPostings } = repositories;
+  const router = Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const visible = (await insurance.list({ userId: req.query.userId }))
+      .filter((plan) => hasPermission(req.principal, Permission.VIEW_COVERAGE, getInsuranceScope(plan, formulary)));
+    await req.auditTrail.read(AuditSubjectType.INSURANCE, visible);
+    sendResponse(res, createSuccessResponse(visible));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const plan = await insurance.findById(req.params.id);
+    if (!plan) {
+      sendResponse(res, createNotFoundResponse('Insurance'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.VIEW_COVERAGE, getInsuranceScope(plan, formulary));
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    await req.auditTrail.read(AuditSubjectType.INSURANCE, plan);
+    sendResponse(res, createSuccessResponse(plan));
+  }));
+
+  router.get('/:id/accumulators', asyncHandler(async (req, res) => {
+    const plan = await insurance.findById(req.params.id);
+    if (!plan) {
+      sendResponse(res, createNotFoundResponse('Insurance'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.VIEW_COVERAGE, getInsuranceScope(plan, formulary));
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const date = req.query.date || getCurrentDate();
+    if (!isValidDate(date)) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError('date', ValidationErrorCode.INVALID_FORMAT, 'Date must be in YYYY-MM-DD format', date)
+      ]));
+      return;
+    }
+
+    const ledger = await accumulatorPostings.list({ insuranceId: plan.id });
+    await req.auditTrail.read(AuditSubjectType.INSURANCE, plan);
+    sendResponse(res, createSuccessResponse({
+      ...getAccumulatorTotals(ledger, plan, date),
+      deductible: plan.deductible,
+      outOfPocketMax: plan.outOfPocketMax
+    }));
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const input = readEntityInput(req);
+    const access = authorize(req.principal, Permission.MANAGE_PATIENT, { userId: input.userId });
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const inputError = await checkInsuranceInput(repositories, input);
+    if (inputError) {
+      sendResponse(res, inputError);
+      return;
+    }
+
+    const plan = await insurance.create(input);
+    await req.auditTrail.created(AuditSubjectType.INSURANCE, plan);
+    sendResponse(res, createSuccessResponse(plan, 'Insurance created'), 201);
+  }));
+
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const existing = await insurance.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('Insurance'));
+      return;
+    }
+
+    const input = { ...existing, ...readEntityInput(req) };
+    const access = [existing.userId, input.userId]
+      .map((userId) => authorize(req.principal, Permission.MANAGE_PATIENT, { userId }))
+      .find((result) => !result.success);
+    if (access) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const inputError = await checkInsuranceInput(repositories, input);
+    if (inputError) {
+      sendResponse(res, inputError);
+      return;
+    }
+
+    const plan = await insurance.update(existing.id, input);
+    await req.auditTrail.updated(AuditSubjectType.INSURANCE, existing, plan);
+    sendResponse(res, createSuccessResponse(plan, 'Insurance updated'));
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const existing = await insurance.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('Insurance'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.MANAGE_PATIENT, { userId: existing.userId });
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const billedClaims = await claims.list({ insuranceId: existing.id });
+    if (billedClaims.length > 0) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'Insurance with claims cannot be deleted; set a termination date instead'
+      ));
+      return;
+    }
+
+    await insurance.remove(existing.id);
+    await req.auditTrail.deleted(AuditSubjectType.INSURANCE, existing);
+    sendResponse(res, createSuccessResponse({ id: existing.id }, 'Insurance deleted'));
+  }));
+
+  return router;
+}
@@ -0,0 +1,149 @@
+import { Router } from 'express';
+import {
+  ErrorCode,
+  Permission,
+  authorize,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findNetworkPharmacies,
+  normalizePharmacy,
+  validatePharmacy
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { readEntityInput } from '../http/requestBody.js';
+
+/**
+ * Pharmacy Routes
+ * CRUD for retail, mail-order and specialty pharmacies at /api/pharmacies
+ * Any signed-in account may look pharmacies up; admins set them up and pharmacists keep their own up to date
+ */
+
+/**
+ * Checks no pharmacy already has the NPI
+ * @returns {Promise<Object|null>} Error response, or null when the NPI is free
+ */
+async function checkNPIAvailable(pharmacies, npi) {
+  const matches = await pharmacies.list({ npi });
+  if (matches.length > 0) {
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `A pharmacy with NPI ${npi} already exists`);
+  }
+  return null;
+}
+
+/**
+ * Creates the /api/pharmacies router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - Reference data loaded at startup
+ * @param {Object} [reference.providerRegistry] - Registry used to verify pharmacy NPIs
+ * @param {Object} [reference.formulary] - Formulary whose plan IDs networks may list
+ * @returns {Router} Express router
+ */
+export function createPharmacyRoutes({ pharmacies, prescriptions }, { providerRegistry, formulary }) {
+  const router = Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const matches = await pharmacies.list({ pharmacyType: req.query.pharmacyType });
+    const planId = req.query.planId;
+    sendResponse(res, createSuccessResponse(planId ? findNetworkPharmacies(matches, planId) : matches));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const pharmacy = await pharmacies.findById(req.params.id);
+    sendResponse(res, pharmacy ? createSuccessResponse(pharmacy) : createNotFoundResponse('Pharmacy'));
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const input = readEntityInput(req);
+    const validation = validatePharmacy(input, { providerRegistry, formulary });
+    if (!validation.isValid) {
+      sendResponse(res, createValidationErrorResponse(validation.errors));
+      return;
+    }
+
+    const conflict = await checkNPIAvailable(pharmacies, input.npi);
+    if (conflict) {
+      sendResponse(res, conflict);
+      return;
+    }
+
+    const pharmacy = await pharmacies.create(normalizePharmacy(input));
+    sendResponse(res, createSuccessResponse(pharmacy, 'Pharmacy created'), 201);
+  }));
+
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const existing = await pharmacies.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('Pharmacy'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.MANAGE_PHARMACY, { pharmacyNPI: existing.npi });
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const input = { ...existing, ...readEntityInput(req) };
+    const validation = validatePharmacy(input, { providerRegistry, formulary });
+    if (!validation.isValid) {
+      sendResponse(res, createValidationErrorResponse(validation.errors));
+      return;
+    }
+
+    // Prescriptions and fills refer to pharmacies by NPI
+    if (input.npi !== existing.npi) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'A pharmacy NPI cannot be changed; create a new pharmacy instead'
+      ));
+      return;
+    }
+
+    // Network membership follows the plans' contracts, which pharmacists cannot change themselves
+    const networkChanged = JSON.stringify(input.networkPlanIds || []) !== JSON.stringify(existing.networkPlanIds || []);
+    const networkAccess = networkChanged ? authorize(req.principal, Permission.ADMINISTER) : access;
+    if (!networkAccess.success) {
+      sendResponse(res, networkAccess);
+      return;
+    }
+
+    const pharmacy = await pharmacies.update(existing.id, normalizePharmacy(input));
+    sendResponse(res, createSuccessResponse(pharmacy, 'Pharmacy updated'));
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const existing = await pharmacies.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('Pharmacy'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const assigned = await prescriptions.list({ pharmacyNPI: existing.npi });
+    if (assigned.length > 0) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'Transfer the pharmacy\'s prescriptions or mark it inactive before deleting it'
+      ));
+      return;
+    }
+
+    await pharmacies.remove(existing.id);
+    sendResponse(res, createSuccessResponse({ id: existing.id }, 'Pharmacy deleted'));
+  }));
+
+  return router;
+}
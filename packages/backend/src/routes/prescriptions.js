@@ -0,0 +1,443 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  ErrorCode,
+  Permission,
+  PrescriptionListQuery,
+  PrescriptionStatus,
+  ValidationErrorCode,
+  authorize,
+  createErrorResponse,
+  createFieldError,
+  createListPageResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findClaimFill,
+  getCurrentDate,
+  getListScope,
+  getPrescriptionScope,
+  getStatusTimeline,
+  isPaidClaim,
+  isValidDate,
+  normalizePrescription,
+  parseListQuery,
+  rankCoverages,
+  recordFill,
+  restrictListQuery,
+  runDurReview,
+  transferPrescription,
+  transitionPrescription,
+  validateFill,
+  validatePrescription,
+  withWarnings
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { readEntityInput } from '../http/requestBody.js';
+import { runInTransaction } from '../services/transaction.js';
+
+/**
+ * Prescription Routes
+ * CRUD for prescriptions at /api/prescriptions
+ * The list is filtered, sorted and paginated through PrescriptionListQuery
+ * Status only changes through POST /:id/status so every change lands in the status history,
+ * refills are only used up through POST /:id/fills, and a prescription only moves to another
+ * pharmacy through POST /:id/transfers so every move leaves a transfer record
+ * Patients see their own prescriptions; pharmacists manage the ones at their pharmacy, and changes are
+ * recorded against the signed-in account and in the audit log
+ */
+
+/**
+ * Fields that only the server changes
+ */
+const PROTECTED_PRESCRIPTION_FIELDS = ['status', 'statusHistory', 'refillsRemaining'];
+
+/**
+ * Validates prescription input against the provider registry and checks the patient exists
+ * @returns {Promise<Object>} { errorResponse, warnings } where errorResponse is null when the input is acceptable
+ */
+async function checkPrescriptionInput(users, input, providerRegistry) {
+  const validation = validatePrescription(input, { providerRegistry });
+  if (!validation.isValid) {
+    return { errorResponse: createValidationErrorResponse(validation.errors), warnings: validation.warnings };
+  }
+
+  if (!(await users.findById(input.userId))) {
+    return { errorResponse: createNotFoundResponse('User'), warnings: validation.warnings };
+  }
+
+  return { errorResponse: null, warnings: validation.warnings };
+}
+
+/**
+ * Checks the claim a fill names is a paid claim for the prescription that no other fill was recorded under
+ * @returns {Promise<Object[]>} Field errors
+ */
+async function checkFillClaim(claims, prescription, fillHistory, claimId) {
+  const fieldError = (message) => createFieldError('claimId', ValidationErrorCode.INCONSISTENT, message, claimId);
+  const claim = await claims.findById(claimId);
+  if (!claim || claim.prescriptionId !== prescription.id) {
+    return [fieldError('Claim must be one billed for this prescription')];
+  }
+  if (!isPaidClaim(claim)) {
+    return [fieldError(`Only a paid claim can pay for a fill; this claim is ${claim.status}`)];
+  }
+
+  const billedFill = findClaimFill(claim, fillHistory);
+  return billedFill ? [fieldError(`Fill ${billedFill.fillNumber} was already recorded under this claim`)] : [];
+}
+
+/**
+ * Loads the prescription named in the URL and checks the signed-in account may use it
+ * @returns {Promise<Object>} Success response with the prescription, or an error response
+ */
+async function findAuthorizedPrescription(prescriptions, req, permission) {
+  const prescription = await prescriptions.findById(req.params.id);
+  if (!prescription) {
+    return createNotFoundResponse('Prescription');
+  }
+
+  const access = authorize(req.principal, permission, getPrescriptionScope(prescription));
+  return access.success ? createSuccessResponse(prescription) : access;
+}
+
+/**
+ * Creates the /api/prescriptions router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - Reference data loaded at startup
+ * @param {Object} [reference.providerRegistry] - Registry used to verify prescriber and pharmacy NPIs
+ * @param {Object} [reference.durDataset] - Dataset used for drug utilization review
+ * @returns {Router} Express router
+ */
+export function createPrescriptionRoutes(repositories, { providerRegistry, durDataset }) {
+  const { users, insurance, prescriptions, fills, claims, pharmacies, prescriptionTransfers } = repositories;
+  const router = Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { isValid, errors, listQuery } = parseListQuery(req.query, PrescriptionListQuery);
+    if (!isValid) {
+      sendResponse(res, createValidationErrorResponse(errors));
+      return;
+    }
+
+    const scope = getListScope(req.principal, Permission.VIEW_PRESCRIPTION);
+    const page = await prescriptions.page(restrictListQuery(listQuery, scope));
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, page.items);
+    sendResponse(res, createSuccessResponse(createListPageResponse(listQuery, page)));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.VIEW_PRESCRIPTION);
+    if (found.success) {
+      await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, found.data);
+    }
+    sendResponse(res, found);
+  }));
+
+  router.get('/:id/history', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.VIEW_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, found.data);
+    sendResponse(res, createSuccessResponse(getStatusTimeline(found.data)));
+  }));
+
+  router.get('/:id/dur', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.VIEW_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    if (!durDataset) {
+      sendResponse(res, createErrorResponse(ErrorCode.INTERNAL_ERROR, 'DUR dataset is not loaded'));
+      return;
+    }
+
+    const date = req.query.date || getCurrentDate();
+    if (!isValidDate(date)) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError('date', ValidationErrorCode.INVALID_FORMAT, 'Date must be in YYYY-MM-DD format', date)
+      ]));
+      return;
+    }
+
+    const prescription = found.data;
+    const [patient, otherPrescriptions] = await Promise.all([
+      users.findById(prescription.userId),
+      prescriptions.list({ userId: prescription.userId })
+    ]);
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, prescription);
+    sendResponse(res, createSuccessResponse(runDurReview(prescription, { dataset: durDataset, otherPrescriptions, patient, date })));
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const input = readEntityInput(req, PROTECTED_PRESCRIPTION_FIELDS);
+    const access = authorize(req.principal, Permission.MANAGE_PRESCRIPTION, getPrescriptionScope(input));
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const { errorResponse, warnings } = await checkPrescriptionInput(users, input, providerRegistry);
+    if (errorResponse) {
+      sendResponse(res, errorResponse);
+      return;
+    }
+
+    const prescription = await prescriptions.create({
+      ...normalizePrescription(input),
+      status: PrescriptionStatus.PENDING,
+      statusHistory: [],
+      refillsRemaining: input.refillsAllowed
+    });
+    await req.auditTrail.created(AuditSubjectType.PRESCRIPTION, prescription);
+    sendResponse(res, withWarnings(createSuccessResponse(prescription, 'Prescription created'), warnings), 201);
+  }));
+
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.MANAGE_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const existing = found.data;
+    const input = { ...existing, ...readEntityInput(req, PROTECTED_PRESCRIPTION_FIELDS) };
+    if (existing.pharmacyNPI && input.pharmacyNPI !== existing.pharmacyNPI) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'Use POST /api/prescriptions/:id/transfers to move a prescription to another pharmacy'
+      ));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.MANAGE_PRESCRIPTION, getPrescriptionScope(input));
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const { errorResponse, warnings } = await checkPrescriptionInput(users, input, providerRegistry);
+    if (errorResponse) {
+      sendResponse(res, errorResponse);
+      return;
+    }
+
+    const prescription = await prescriptions.update(existing.id, normalizePrescription(input));
+    await req.auditTrail.updated(AuditSubjectType.PRESCRIPTION, existing, prescription);
+    sendResponse(res, withWarnings(createSuccessResponse(prescription, 'Prescription updated'), warnings));
+  }));
+
+  router.post('/:id/status', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.MANAGE_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const existing = found.data;
+    const { status, reason, insuranceId, date = getCurrentDate() } = req.body || {};
+    if (!Object.values(PrescriptionStatus).includes(status)) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError(
+          'status',
+          status ? ValidationErrorCode.INVALID_OPTION : ValidationErrorCode.REQUIRED,
+          `Status must be one of: ${Object.values(PrescriptionStatus).join(', ')}`,
+          status
+        )
+      ]));
+      return;
+    }
+
+    if (!isValidDate(date)) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError('date', ValidationErrorCode.INVALID_FORMAT, 'Date must be in YYYY-MM-DD format', date)
+      ]));
+      return;
+    }
+
+    // Claims go to the plan named, or else to the patient's primary plan on the date
+    const plans = await insurance.list({ userId: existing.userId });
+    let plan = rankCoverages(plans, date)[0];
+    if (insuranceId) {
+      plan = plans.find((candidate) => candidate.id === insuranceId);
+      if (!plan) {
+        sendResponse(res, await insurance.findById(insuranceId)
+          ? createValidationErrorResponse([
+            createFieldError('insuranceId', ValidationErrorCode.INCONSISTENT, 'Insurance plan belongs to another patient', insuranceId)
+          ])
+          : createNotFoundResponse('Insurance'));
+        return;
+      }
+    }
+
+    const result = transitionPrescription(existing, status, {
+      actor: req.principal.accountId,
+      reason,
+      insurance: plan,
+      date
+    });
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    const prescription = await prescriptions.update(existing.id, result.data.prescription);
+    await req.auditTrail.updated(AuditSubjectType.PRESCRIPTION, existing, prescription);
+    sendResponse(res, createSuccessResponse({ prescription, historyEntry: result.data.historyEntry }));
+  }));
+
+  router.get('/:id/fills', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.VIEW_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const fillHistory = await fills.list({ prescriptionId: found.data.id });
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, found.data);
+    sendResponse(res, createSuccessResponse(fillHistory));
+  }));
+
+  router.post('/:id/fills', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.MANAGE_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const existing = found.data;
+    const input = readEntityInput(req, ['prescriptionId', 'fillNumber']);
+    const { errors } = validateFill(existing, input);
+    const { pharmacyNPI } = req.principal;
+    if (pharmacyNPI && input.pharmacyNPI !== undefined && input.pharmacyNPI !== pharmacyNPI
+      && !errors.some((error) => error.field === 'pharmacyNPI')) {
+      errors.push(createFieldError('pharmacyNPI', ValidationErrorCode.INCONSISTENT, `Fills can only be recorded for your own pharmacy (${pharmacyNPI})`, input.pharmacyNPI));
+    }
+    if (errors.length > 0) {
+      sendResponse(res, createValidationErrorResponse(errors));
+      return;
+    }
+
+    // The fill and the refill it uses up are stored together
+    const result = await runInTransaction(repositories, async () => {
+      const fillHistory = await fills.list({ prescriptionId: existing.id });
+      const claimErrors = input.claimId === undefined ? [] : await checkFillClaim(claims, existing, fillHistory, input.claimId);
+      if (claimErrors.length > 0) {
+        return createValidationErrorResponse(claimErrors);
+      }
+
+      const recorded = recordFill(existing, fillHistory, input);
+      if (!recorded.success) {
+        return recorded;
+      }
+
+      const fill = await fills.create(recorded.data.fill);
+      const prescription = await prescriptions.update(existing.id, recorded.data.prescription);
+      return createSuccessResponse({ prescription, fill }, 'Fill recorded');
+    });
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    await req.auditTrail.updated(AuditSubjectType.PRESCRIPTION, existing, result.data.prescription);
+    sendResponse(res, result, 201);
+  }));
+
+  router.get('/:id/transfers', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.VIEW_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const transfers = await prescriptionTransfers.list({ prescriptionId: found.data.id });
+    await req.auditTrail.read(AuditSubjectType.PRESCRIPTION, found.data);
+    sendResponse(res, createSuccessResponse(transfers));
+  }));
+
+  router.post('/:id/transfers', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.MANAGE_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const existing = found.data;
+    const { toPharmacyNPI, reason, transferDate } = req.body || {};
+    if (!toPharmacyNPI) {
+      sendResponse(res, createValidationErrorResponse([
+        createFieldError('toPharmacyNPI', ValidationErrorCode.REQUIRED, 'Receiving pharmacy NPI is required', toPharmacyNPI)
+      ]));
+      return;
+    }
+
+    const [toPharmacy] = await pharmacies.list({ npi: toPharmacyNPI });
+    if (!toPharmacy) {
+      sendResponse(res, createNotFoundResponse('Pharmacy'));
+      return;
+    }
+
+    // The transfer record and the move to the new pharmacy are stored together
+    const result = await runInTransaction(repositories, async () => {
+      const [fillHistory, transferHistory] = await Promise.all([
+        fills.list({ prescriptionId: existing.id }),
+        prescriptionTransfers.list({ prescriptionId: existing.id })
+      ]);
+      const transferred = transferPrescription(existing, toPharmacy, {
+        transferredBy: req.principal.accountId,
+        reason,
+        date: transferDate,
+        fillHistory,
+        transferHistory
+      });
+      if (!transferred.success) {
+        return transferred;
+      }
+
+      const transfer = await prescriptionTransfers.create(transferred.data.transfer);
+      const prescription = await prescriptions.update(existing.id, transferred.data.prescription);
+      return createSuccessResponse({ prescription, transfer }, `Prescription transferred to ${toPharmacy.name}`);
+    });
+    if (!result.success) {
+      sendResponse(res, result);
+      return;
+    }
+
+    await req.auditTrail.updated(AuditSubjectType.PRESCRIPTION, existing, result.data.prescription);
+    sendResponse(res, result, 201);
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const found = await findAuthorizedPrescription(prescriptions, req, Permission.MANAGE_PRESCRIPTION);
+    if (!found.success) {
+      sendResponse(res, found);
+      return;
+    }
+
+    const existing = found.data;
+    const [prescriptionClaims, prescriptionFills, transfers] = await Promise.all([
+      claims.list({ prescriptionId: existing.id }),
+      fills.list({ prescriptionId: existing.id }),
+      prescriptionTransfers.list({ prescriptionId: existing.id })
+    ]);
+    if (prescriptionClaims.length > 0 || prescriptionFills.length > 0 || transfers.length > 0) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'Prescriptions with claims, fills or transfers cannot be deleted; cancel the prescription instead'
+      ));
+      return;
+    }
+
+    await prescriptions.remove(existing.id);
+    await req.auditTrail.deleted(AuditSubjectType.PRESCRIPTION, existing);
+    sendResponse(res, createSuccessResponse({ id: existing.id }, 'Prescription deleted'));
+  }));
+
+  return router;
+}
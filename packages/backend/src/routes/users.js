@@ -0,0 +1,156 @@
+import { Router } from 'express';
+import {
+  AuditSubjectType,
+  ErrorCode,
+  Permission,
+  authorize,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  hasPermission,
+  normalizeUser,
+  validateUser
+} from '@medication-management/shared';
+import { asyncHandler, sendResponse } from '../http/responses.js';
+import { readEntityInput } from '../http/requestBody.js';
+
+/**
+ * User Routes
+ * CRUD for patient profiles at /api/users
+ * Patients see only their own profile; pharmacists may look up and register any patient
+ * Every profile returned or changed is recorded in the audit log
+ */
+
+/**
+ * Checks no other user already has the email
+ * @returns {Promise<Object|null>} Error response, or null when the email is free
+ */
+async function checkEmailAvailable(users, email, userId) {
+  const matches = await users.list({ email: email.toLowerCase() });
+  if (matches.some((user) => user.id !== userId)) {
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `A user with email ${email} already exists`);
+  }
+  return null;
+}
+
+/**
+ * Creates the /api/users router
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @returns {Router} Express router
+ */
+export function createUserRoutes({ users, insurance, prescriptions, accounts }) {
+  const router = Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const visible = (await users.list()).filter((user) => hasPermission(req.principal, Permission.VIEW_PATIENT, { userId: user.id }));
+    await req.auditTrail.read(AuditSubjectType.USER, visible);
+    sendResponse(res, createSuccessResponse(visible));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const user = await users.findById(req.params.id);
+    if (!user) {
+      sendResponse(res, createNotFoundResponse('User'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.VIEW_PATIENT, { userId: user.id });
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    await req.auditTrail.read(AuditSubjectType.USER, user);
+    sendResponse(res, createSuccessResponse(user));
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const access = authorize(req.principal, Permission.REGISTER_PATIENT);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const input = readEntityInput(req);
+    const validation = validateUser(input);
+    if (!validation.isValid) {
+      sendResponse(res, createValidationErrorResponse(validation.errors));
+      return;
+    }
+
+    const conflict = await checkEmailAvailable(users, input.email);
+    if (conflict) {
+      sendResponse(res, conflict);
+      return;
+    }
+
+    const user = await users.create(normalizeUser(input));
+    await req.auditTrail.created(AuditSubjectType.USER, user);
+    sendResponse(res, createSuccessResponse(user, 'User created'), 201);
+  }));
+
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const existing = await users.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('User'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.MANAGE_PATIENT, { userId: existing.id });
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const input = { ...existing, ...readEntityInput(req) };
+    const validation = validateUser(input);
+    if (!validation.isValid) {
+      sendResponse(res, createValidationErrorResponse(validation.errors));
+      return;
+    }
+
+    const conflict = await checkEmailAvailable(users, input.email, existing.id);
+    if (conflict) {
+      sendResponse(res, conflict);
+      return;
+    }
+
+    const user = await users.update(existing.id, normalizeUser(input));
+    await req.auditTrail.updated(AuditSubjectType.USER, existing, user);
+    sendResponse(res, createSuccessResponse(user, 'User updated'));
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const existing = await users.findById(req.params.id);
+    if (!existing) {
+      sendResponse(res, createNotFoundResponse('User'));
+      return;
+    }
+
+    const access = authorize(req.principal, Permission.ADMINISTER);
+    if (!access.success) {
+      sendResponse(res, access);
+      return;
+    }
+
+    const [plans, userPrescriptions, userAccounts] = await Promise.all([
+      insurance.list({ userId: existing.id }),
+      prescriptions.list({ userId: existing.id }),
+      accounts.list({ userId: existing.id })
+    ]);
+    if (plans.length > 0 || userPrescriptions.length > 0 || userAccounts.length > 0) {
+      sendResponse(res, createErrorResponse(
+        ErrorCode.VALIDATION_ERROR,
+        'Remove the user\'s insurance plans, prescriptions and login account before deleting the user'
+      ));
+      return;
+    }
+
+    await users.remove(existing.id);
+    await req.auditTrail.deleted(AuditSubjectType.USER, existing);
+    sendResponse(res, createSuccessResponse({ id: existing.id }, 'User deleted'));
+  }));
+
+  return router;
+}
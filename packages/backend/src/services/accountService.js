@@ -0,0 +1,216 @@
+import {
+  ErrorCode,
+  UserRole,
+  createErrorResponse,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  normalizeAccount,
+  normalizeUser,
+  validateAccount,
+  validatePassword,
+  validateUser
+} from '@medication-management/shared';
+import { hashPassword, verifyPassword } from '../auth/passwords.js';
+import { runInTransaction } from './transaction.js';
+
+/**
+ * Account Service
+ * Creates login accounts, checks credentials and registers patients with their profile
+ * Password hashes stay inside this service: every account it returns goes through toPublicAccount()
+ * Passwords are hashed before anything is written; the email checks and the writes then run in one
+ * transaction, so two requests for the same email cannot both pass the check
+ */
+
+/**
+ * Message for any failed sign-in, so callers cannot tell which emails have accounts
+ */
+const INVALID_CREDENTIALS_MESSAGE = 'Email or password is incorrect';
+
+/**
+ * Removes the password hash from an account
+ * @param {Object} account - Stored account
+ * @returns {Object} Account safe to return to clients
+ */
+export function toPublicAccount(account) {
+  const { passwordHash, ...publicAccount } = account;
+  return publicAccount;
+}
+
+/**
+ * Checks no account already signs in with the email
+ * @returns {Promise<Object|null>} Error response, or null when the email is free
+ */
+async function checkAccountEmailAvailable(accounts, email, accountId) {
+  const matches = await accounts.list({ email: email.toLowerCase() });
+  if (matches.some((account) => account.id !== accountId)) {
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `An account with email ${email} already exists`);
+  }
+  return null;
+}
+
+/**
+ * Runs an account write in a transaction, reporting a clash with an email stored meanwhile as ALREADY_EXISTS
+ * @returns {Promise<Object>} The response from write, or an ALREADY_EXISTS error response
+ */
+async function writeAccount(repositories, email, write) {
+  try {
+    return await runInTransaction(repositories, write);
+  } catch (error) {
+    if (!repositories.isUniqueViolation(error)) throw error;
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `An account with email ${email} already exists`);
+  }
+}
+
+/**
+ * Checks the record an account is tied to exists
+ * @returns {Promise<Object|null>} Error response, or null when the record exists
+ */
+async function checkAccountScope(repositories, account) {
+  if (account.role === UserRole.PATIENT && !(await repositories.users.findById(account.userId))) {
+    return createNotFoundResponse('User');
+  }
+
+  if (account.role === UserRole.PHARMACIST) {
+    const [pharmacy] = await repositories.pharmacies.list({ npi: account.pharmacyNPI });
+    if (!pharmacy) return createNotFoundResponse('Pharmacy');
+  }
+
+  return null;
+}
+
+/**
+ * Creates an account for any role
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary } loaded at startup, used to check insurer plan IDs
+ * @param {Object} input - { email, password, role, userId?, pharmacyNPI?, planIds?, isActive? }
+ * @returns {Promise<Object>} Success response with the public account, or an error response
+ */
+export async function createAccount(repositories, reference, input) {
+  const { password, ...fields } = input;
+  const errors = [
+    ...validateAccount(fields, { formulary: reference.formulary }).errors,
+    ...validatePassword(password).errors
+  ];
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const account = { ...normalizeAccount(fields), passwordHash: await hashPassword(password) };
+  return writeAccount(repositories, fields.email, async () => {
+    const conflict = await checkAccountEmailAvailable(repositories.accounts, fields.email);
+    if (conflict) return conflict;
+
+    const scopeError = await checkAccountScope(repositories, account);
+    if (scopeError) return scopeError;
+
+    const stored = await repositories.accounts.create(account);
+    return createSuccessResponse(toPublicAccount(stored));
+  });
+}
+
+/**
+ * Updates an account's role, scope or active flag, and its password when one is given
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary } loaded at startup
+ * @param {Object} existing - Stored account
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>} Success response with the public account, or an error response
+ */
+export async function updateAccount(repositories, reference, existing, input) {
+  const { password, passwordHash, ...changes } = input;
+  const fields = { ...toPublicAccount(existing), ...changes };
+  const errors = [
+    ...validateAccount(fields, { formulary: reference.formulary }).errors,
+    ...(password === undefined ? [] : validatePassword(password).errors)
+  ];
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const account = {
+    ...normalizeAccount(fields),
+    passwordHash: password === undefined ? existing.passwordHash : await hashPassword(password)
+  };
+  return writeAccount(repositories, fields.email, async () => {
+    const conflict = await checkAccountEmailAvailable(repositories.accounts, fields.email, existing.id);
+    if (conflict) return conflict;
+
+    const scopeError = await checkAccountScope(repositories, account);
+    if (scopeError) return scopeError;
+
+    const stored = await repositories.accounts.update(existing.id, account);
+    return createSuccessResponse(toPublicAccount(stored));
+  });
+}
+
+/**
+ * Registers a patient: creates their profile and a PATIENT account signing in with the profile email
+ * The profile and account are stored together, so a failed account leaves no profile behind
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} input - User profile fields plus password
+ * @returns {Promise<Object>} Success response with { user, account }, or an error response
+ */
+export async function registerPatient(repositories, input) {
+  const { password, ...profile } = input;
+  const errors = [...validateUser(profile).errors, ...validatePassword(password).errors];
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const passwordHash = await hashPassword(password);
+  return writeAccount(repositories, profile.email, async () => {
+    const existingUsers = await repositories.users.list({ email: profile.email.toLowerCase() });
+    if (existingUsers.length > 0) {
+      return createErrorResponse(ErrorCode.ALREADY_EXISTS, `A user with email ${profile.email} already exists`);
+    }
+
+    const conflict = await checkAccountEmailAvailable(repositories.accounts, profile.email);
+    if (conflict) return conflict;
+
+    const user = await repositories.users.create(normalizeUser(profile));
+    const account = await repositories.accounts.create({
+      ...normalizeAccount({ email: user.email, role: UserRole.PATIENT, userId: user.id }),
+      passwordHash
+    });
+    return createSuccessResponse({ user, account: toPublicAccount(account) });
+  });
+}
+
+/**
+ * Checks an email and password
+ * @param {Object} accounts - Accounts repository
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} Success response with the public account, or an UNAUTHORIZED/FORBIDDEN error response
+ */
+export async function authenticateCredentials(accounts, { email, password } = {}) {
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return createErrorResponse(ErrorCode.UNAUTHORIZED, INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  const [account] = await accounts.list({ email: email.toLowerCase() });
+  if (!account || !(await verifyPassword(password, account.passwordHash))) {
+    return createErrorResponse(ErrorCode.UNAUTHORIZED, INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  if (account.isActive === false) {
+    return createErrorResponse(ErrorCode.FORBIDDEN, 'This account has been deactivated');
+  }
+
+  return createSuccessResponse(toPublicAccount(account));
+}
+
+/**
+ * Creates the first administrator account if it does not exist yet
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} Success response with the public account (null when it already existed), or an error response
+ */
+export async function ensureAdminAccount(repositories, { email, password }) {
+  const [existing] = await repositories.accounts.list({ email: email.toLowerCase() });
+  if (existing) {
+    return createSuccessResponse(null);
+  }
+
+  return createAccount(repositories, {}, { email, password, role: UserRole.ADMIN });
+}
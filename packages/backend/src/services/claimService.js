@@ -0,0 +1,510 @@
+import {
+  COVERAGE_ORDER_SEQUENCE,
+  ErrorCode,
+  Permission,
+  ValidationErrorCode,
+  adjudicateClaim,
+  authorize,
+  coordinateBenefits,
+  createErrorResponse,
+  createFieldError,
+  createNotFoundResponse,
+  createSuccessResponse,
+  createValidationErrorResponse,
+  findClaimFill,
+  generateSortableId,
+  getClaimScope,
+  getCoverageOrder,
+  getCurrentDate,
+  getFillHistoryBefore,
+  getInsuranceScope,
+  isBlockingDenialReason,
+  isPaidClaim,
+  isValidDate,
+  isValidNPI,
+  postClaimToLedger,
+  rankCoverages,
+  reverseClaim,
+  reverseClaimPosting,
+  reverseFill,
+  validateDurAcknowledgement
+} from '@medication-management/shared';
+import { runInTransaction } from './transaction.js';
+
+/**
+ * Claim Service
+ * Submits prescription claims: loads the records, checks the account may bill them, adjudicates,
+ * stores the claim and posts paid claims to the accumulator ledger
+ * Paid claims can later be reversed, backing their postings out of the ledger, or reversed and rebilled
+ */
+
+/**
+ * Validates a claim submission body
+ * @param {Object} input - { prescriptionId, insuranceId, drugCost, dateOfService?, pharmacyNPI?, durAcknowledgements? }
+ * @param {Object} [options]
+ * @param {boolean} [options.requireInsurance=true] - False for coordinated claims, which bill every active plan
+ * @returns {Object[]} Field errors
+ */
+function validateClaimSubmission(input, { requireInsurance = true } = {}) {
+  const errors = [];
+  const fieldError = (field, code, message) => createFieldError(field, code, message, input[field]);
+
+  if (!input.prescriptionId) {
+    errors.push(fieldError('prescriptionId', ValidationErrorCode.REQUIRED, 'Prescription ID is required'));
+  }
+
+  if (requireInsurance && !input.insuranceId) {
+    errors.push(fieldError('insuranceId', ValidationErrorCode.REQUIRED, 'Insurance ID is required'));
+  }
+
+  if (input.drugCost === undefined || input.drugCost === null) {
+    errors.push(fieldError('drugCost', ValidationErrorCode.REQUIRED, 'Drug cost is required'));
+  } else if (!Number.isInteger(input.drugCost) || input.drugCost < 0) {
+    errors.push(fieldError('drugCost', ValidationErrorCode.OUT_OF_RANGE, 'Drug cost must be a non-negative whole number (in cents)'));
+  }
+
+  if (input.dateOfService !== undefined && !isValidDate(input.dateOfService)) {
+    errors.push(fieldError('dateOfService', ValidationErrorCode.INVALID_FORMAT, 'Date of service must be in YYYY-MM-DD format'));
+  }
+
+  if (input.pharmacyNPI !== undefined && !isValidNPI(input.pharmacyNPI)) {
+    errors.push(fieldError('pharmacyNPI', ValidationErrorCode.INVALID_FORMAT, 'Pharmacy NPI must be 10 digits with a valid check digit'));
+  }
+
+  if (input.durAcknowledgements !== undefined && !Array.isArray(input.durAcknowledgements)) {
+    errors.push(fieldError('durAcknowledgements', ValidationErrorCode.INVALID_FORMAT, 'DUR acknowledgements must be a list'));
+  } else {
+    (input.durAcknowledgements || []).forEach((acknowledgement, index) => {
+      validateDurAcknowledgement(acknowledgement).errors.forEach((error) => {
+        errors.push({ ...error, field: `durAcknowledgements[${index}].${error.field}` });
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Finds the dispensing pharmacy for a claim
+ * A pharmacyNPI in the submission must be on file; the prescription's own pharmacy is used when it is not
+ * given, and the network check is skipped if that one is not on file
+ * @returns {Promise<Object>} { pharmacy, pharmacyNPI, errorResponse } where errorResponse is null when the lookup is acceptable
+ */
+async function findDispensingPharmacy(pharmacies, input, prescription) {
+  const pharmacyNPI = input.pharmacyNPI || prescription.pharmacyNPI;
+  if (!pharmacyNPI) {
+    return { pharmacy: null, pharmacyNPI: null, errorResponse: null };
+  }
+
+  const [pharmacy] = await pharmacies.list({ npi: pharmacyNPI });
+  if (!pharmacy && input.pharmacyNPI) {
+    return { pharmacy: null, pharmacyNPI, errorResponse: createNotFoundResponse('Pharmacy') };
+  }
+
+  return { pharmacy: pharmacy || null, pharmacyNPI, errorResponse: null };
+}
+
+/**
+ * Loads the records a claim submission bills and checks the account may bill them
+ * @returns {Promise<Object>} Success response with { prescription, insurance, pharmacy, pharmacyNPI }, or an error response
+ */
+async function prepareClaim(repositories, reference, input, principal) {
+  const errors = validateClaimSubmission(input);
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const prescription = await repositories.prescriptions.findById(input.prescriptionId);
+  if (!prescription) {
+    return createNotFoundResponse('Prescription');
+  }
+
+  const insurance = await repositories.insurance.findById(input.insuranceId);
+  if (!insurance) {
+    return createNotFoundResponse('Insurance');
+  }
+
+  if (prescription.userId !== insurance.userId) {
+    return createErrorResponse(
+      ErrorCode.VALIDATION_ERROR,
+      'Prescription and insurance must belong to the same user'
+    );
+  }
+
+  const { pharmacy, pharmacyNPI, errorResponse } = await findDispensingPharmacy(repositories.pharmacies, input, prescription);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const access = authorize(principal, Permission.SUBMIT_CLAIM, {
+    userId: prescription.userId,
+    pharmacyNPI,
+    planIds: getInsuranceScope(insurance, reference.formulary).planIds
+  });
+  if (!access.success) {
+    return access;
+  }
+
+  return createSuccessResponse({ prescription, insurance, pharmacy, pharmacyNPI });
+}
+
+/**
+ * Adjudicates a prepared claim and stores the result
+ * A rebill is adjudicated as the prescription stood before the dispense its original claim paid for,
+ * so that dispense does not count as an earlier fill
+ * @param {Object} records - { prescription, insurance, pharmacy, pharmacyNPI } from prepareClaim()
+ * @param {Object} [original] - Reversed claim a rebill replaces
+ * @returns {Promise<Object>} Success response with the stored claim, or an error response
+ */
+async function billClaim(repositories, reference, input, records, original = null) {
+  const { insurance, pharmacy, pharmacyNPI } = records;
+  const dateOfService = input.dateOfService || getCurrentDate();
+  const [ledger, storedFills, patient] = await Promise.all([
+    repositories.accumulatorPostings.list({ insuranceId: insurance.id }),
+    repositories.fills.list({ prescriptionId: records.prescription.id }),
+    repositories.users.findById(records.prescription.userId)
+  ]);
+
+  const originalFill = original && findClaimFill(original, storedFills);
+  const { prescription, fillHistory } = originalFill
+    ? getFillHistoryBefore(records.prescription, storedFills, originalFill.id)
+    : { prescription: records.prescription, fillHistory: storedFills };
+
+  const adjudication = adjudicateClaim(prescription, insurance, buildAdjudicationContext(reference, input, {
+    date: dateOfService,
+    patient,
+    pharmacy,
+    fillHistory,
+    accumulatorLedger: ledger
+  }));
+
+  return storeClaim(repositories, insurance, ledger, {
+    userId: prescription.userId,
+    prescriptionId: prescription.id,
+    insuranceId: insurance.id,
+    pharmacyNPI: pharmacyNPI || undefined,
+    originalClaimId: original?.id,
+    dateOfService,
+    ...adjudication
+  });
+}
+
+/**
+ * Submits a claim for a prescription and stores the adjudicated result
+ * Denied claims are stored too; only paid claims count toward the accumulators
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary, providerRegistry, durDataset } loaded at startup
+ * @param {Object} input - { prescriptionId, insuranceId, drugCost, dateOfService?, pharmacyNPI?, durAcknowledgements? }
+ * @param {Object} principal - Signed-in account from toPrincipal(); pharmacists bill for their pharmacy, insurers for their plans
+ * @returns {Promise<Object>} Success response with the stored claim, or an error response
+ */
+export async function submitClaim(repositories, reference, input, principal) {
+  const prepared = await prepareClaim(repositories, reference, input, principal);
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  return billClaim(repositories, reference, input, prepared.data);
+}
+
+/**
+ * Submits a claim to every plan active for the patient on the date of service, in coverage order
+ * Each payer's result is stored as its own claim, linked by a shared coordinationId; the drug cost
+ * stored on a secondary or tertiary claim is the amount that plan was billed. The claims are stored
+ * together: if one cannot be stored, none are
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary, providerRegistry, durDataset } loaded at startup
+ * @param {Object} input - { prescriptionId, drugCost, dateOfService?, pharmacyNPI?, durAcknowledgements? }
+ * @param {Object} principal - Signed-in account from toPrincipal(); insurers must administer every plan billed
+ * @returns {Promise<Object>} Success response with { coordinationId, status, claims, costs, explanation },
+ *   or an error response
+ */
+export async function submitCoordinatedClaim(repositories, reference, input, principal) {
+  const errors = validateClaimSubmission(input, { requireInsurance: false });
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const prescription = await repositories.prescriptions.findById(input.prescriptionId);
+  if (!prescription) {
+    return createNotFoundResponse('Prescription');
+  }
+
+  const { pharmacy, pharmacyNPI, errorResponse } = await findDispensingPharmacy(repositories.pharmacies, input, prescription);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const dateOfService = input.dateOfService || getCurrentDate();
+  const plans = await repositories.insurance.list({ userId: prescription.userId });
+  const access = authorize(principal, Permission.SUBMIT_CLAIM, {
+    userId: prescription.userId,
+    pharmacyNPI,
+    planIds: rankCoverages(plans, dateOfService).flatMap((plan) => getInsuranceScope(plan, reference.formulary).planIds)
+  });
+  if (!access.success) {
+    return access;
+  }
+
+  const [ledgers, fillHistory, patient] = await Promise.all([
+    Promise.all(plans.map((plan) => repositories.accumulatorPostings.list({ insuranceId: plan.id }))),
+    repositories.fills.list({ prescriptionId: prescription.id }),
+    repositories.users.findById(prescription.userId)
+  ]);
+  const coordination = coordinateBenefits(prescription, plans, buildAdjudicationContext(reference, input, {
+    date: dateOfService,
+    patient,
+    pharmacy,
+    fillHistory,
+    accumulatorLedger: ledgers.flat()
+  }));
+  if (!coordination.success) {
+    return coordination;
+  }
+
+  const coordinationId = generateSortableId();
+  return runInTransaction(repositories, async () => {
+    const claims = [];
+    for (const { insuranceId, coverageOrder, planName, ...adjudication } of coordination.data.payers) {
+      const index = plans.findIndex((plan) => plan.id === insuranceId);
+      const stored = await storeClaim(repositories, plans[index], ledgers[index], {
+        userId: prescription.userId,
+        prescriptionId: prescription.id,
+        insuranceId,
+        pharmacyNPI: pharmacyNPI || undefined,
+        coordinationId,
+        coverageOrder,
+        dateOfService,
+        ...adjudication
+      });
+      if (!stored.success) return stored;
+      claims.push(stored.data);
+    }
+
+    const { status, costs, explanation } = coordination.data;
+    return createSuccessResponse({ coordinationId, status, claims, costs, explanation });
+  });
+}
+
+/**
+ * Validates the optional reason given for a reversal or rebill
+ * @returns {Object[]} Field errors
+ */
+function validateReversalReason(input) {
+  if (input.reason === undefined || typeof input.reason === 'string') {
+    return [];
+  }
+  return [createFieldError('reason', ValidationErrorCode.INVALID_FORMAT, 'Reason must be text', input.reason)];
+}
+
+/**
+ * Checks the account may bill the plan a stored claim went to
+ * @returns {Promise<Object>} Success response, or the access error
+ */
+async function authorizeClaim(repositories, reference, claim, principal) {
+  const insurance = await repositories.insurance.findById(claim.insuranceId);
+  return authorize(principal, Permission.SUBMIT_CLAIM, getClaimScope(claim, insurance, reference.formulary));
+}
+
+/**
+ * Reverses a paid claim: its amounts come back out of the accumulators and the fill it paid for is undone
+ * Claims billed together under coordination of benefits are reversed together, last payer first, since
+ * what a secondary plan paid depends on the primary. The fill, when one was recorded under the claim,
+ * is removed and its refill given back; it must be the prescription's latest fill. Every write is
+ * made in one transaction, so a failure part way leaves the claims, ledger and fill as they were
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary } loaded at startup
+ * @param {string} claimId - Claim to reverse
+ * @param {Object} input - { reason? }
+ * @param {Object} principal - Signed-in account from toPrincipal(); must be allowed to bill every plan reversed
+ * @returns {Promise<Object>} Success response with { claims, fill, prescription, previous } where claims are the
+ *   reversed claims, fill the removed fill and prescription the prescription with its refill back (both null
+ *   when no fill was recorded), and previous is { claims, prescription } as they were before; or an error response
+ */
+export async function submitReversal(repositories, reference, claimId, input, principal) {
+  const errors = validateReversalReason(input);
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const claim = await repositories.claims.findById(claimId);
+  if (!claim) {
+    return createNotFoundResponse('Claim');
+  }
+
+  const access = await authorizeClaim(repositories, reference, claim, principal);
+  if (!access.success) {
+    return access;
+  }
+
+  const options = { actor: principal.accountId, reason: input.reason };
+  const checked = reverseClaim(claim, options);
+  if (!checked.success) {
+    return checked;
+  }
+
+  const billedTogether = claim.coordinationId
+    ? await repositories.claims.list({ coordinationId: claim.coordinationId })
+    : [claim];
+  const payOrder = (paid) => COVERAGE_ORDER_SEQUENCE.indexOf(getCoverageOrder(paid));
+  const paidClaims = billedTogether.filter(isPaidClaim).sort((a, b) => payOrder(b) - payOrder(a));
+
+  const reversals = [];
+  for (const paid of paidClaims) {
+    const paidAccess = await authorizeClaim(repositories, reference, paid, principal);
+    if (!paidAccess.success) {
+      return paidAccess;
+    }
+
+    const ledger = await repositories.accumulatorPostings.list({ insuranceId: paid.insuranceId });
+    const posting = reverseClaimPosting(ledger, paid.id);
+    if (!posting.success) {
+      return posting;
+    }
+    reversals.push({ claim: paid, reversed: reverseClaim(paid, options).data, posting: posting.data.posting });
+  }
+
+  const [prescription, fillHistory] = await Promise.all([
+    repositories.prescriptions.findById(claim.prescriptionId),
+    repositories.fills.list({ prescriptionId: claim.prescriptionId })
+  ]);
+  const fill = findClaimFill(claim, fillHistory);
+  const undone = fill ? reverseFill(prescription, fillHistory, fill.id) : null;
+  if (undone && !undone.success) {
+    return undone;
+  }
+
+  const { claims, restored } = await repositories.transaction(async () => {
+    const claims = [];
+    for (const { reversed, posting } of reversals) {
+      await repositories.accumulatorPostings.create(posting);
+      claims.push(await repositories.claims.update(reversed.id, reversed));
+    }
+
+    if (!undone) {
+      return { claims, restored: null };
+    }
+    await repositories.fills.remove(fill.id);
+    return { claims, restored: await repositories.prescriptions.update(prescription.id, undone.data.prescription) };
+  });
+
+  return createSuccessResponse({
+    claims,
+    fill: undone ? fill : null,
+    prescription: restored,
+    previous: { claims: reversals.map((reversal) => reversal.claim), prescription: undone ? prescription : null }
+  }, claims.length > 1 ? 'Coordinated claims reversed' : 'Claim reversed');
+}
+
+/**
+ * Reverses a paid claim and bills it again with corrected details, like an NCPDP B3 rebill
+ * The dispense stands, so its fill and refill are kept, and a paid rebill takes over the fill from the
+ * original; the new claim is adjudicated as the prescription stood before that dispense and points back at
+ * the original through originalClaimId. The original stays reversed even if the rebill is denied, but if the
+ * rebill cannot be stored the reversal is rolled back. DUR acknowledgements are not stored on claims, so a
+ * rebill must repeat any the original needed
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary, providerRegistry, durDataset } loaded at startup
+ * @param {string} claimId - Claim to replace
+ * @param {Object} input - { drugCost?, dateOfService?, durAcknowledgements?, reason? }; drugCost and
+ *   dateOfService default to the original's
+ * @param {Object} principal - Signed-in account from toPrincipal()
+ * @returns {Promise<Object>} Success response with { original, claim, previous } where original is the reversed
+ *   claim, claim the new one and previous the original as it was before; or an error response
+ */
+export async function submitRebill(repositories, reference, claimId, input, principal) {
+  const errors = validateReversalReason(input);
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const claim = await repositories.claims.findById(claimId);
+  if (!claim) {
+    return createNotFoundResponse('Claim');
+  }
+
+  const access = await authorizeClaim(repositories, reference, claim, principal);
+  if (!access.success) {
+    return access;
+  }
+
+  if (claim.coordinationId) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      'Claims billed under coordination of benefits are rebilled together: reverse them, then submit a new coordinated claim'
+    );
+  }
+
+  const reversal = reverseClaim(claim, { actor: principal.accountId, reason: input.reason });
+  if (!reversal.success) {
+    return reversal;
+  }
+
+  const rebillInput = {
+    prescriptionId: claim.prescriptionId,
+    insuranceId: claim.insuranceId,
+    pharmacyNPI: claim.pharmacyNPI,
+    drugCost: input.drugCost ?? claim.costs.drugCost,
+    dateOfService: input.dateOfService ?? claim.dateOfService,
+    durAcknowledgements: input.durAcknowledgements
+  };
+  const prepared = await prepareClaim(repositories, reference, rebillInput, principal);
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const ledger = await repositories.accumulatorPostings.list({ insuranceId: claim.insuranceId });
+  const posting = reverseClaimPosting(ledger, claim.id);
+  if (!posting.success) {
+    return posting;
+  }
+
+  return runInTransaction(repositories, async () => {
+    await repositories.accumulatorPostings.create(posting.data.posting);
+    const original = await repositories.claims.update(claim.id, reversal.data);
+    const rebilled = await billClaim(repositories, reference, rebillInput, prepared.data, claim);
+    if (!rebilled.success) {
+      return rebilled;
+    }
+
+    // A paid rebill now pays for the dispense, so reversing it later undoes the fill
+    const fill = findClaimFill(claim, await repositories.fills.list({ prescriptionId: claim.prescriptionId }));
+    if (fill && isPaidClaim(rebilled.data)) {
+      await repositories.fills.update(fill.id, { ...fill, claimId: rebilled.data.id });
+    }
+
+    return createSuccessResponse({ original, claim: rebilled.data, previous: claim }, 'Claim reversed and rebilled');
+  });
+}
+
+/**
+ * Builds the adjudicateClaim() context from the reference data, the submission and the loaded records
+ * Prior authorizations are not stored yet, so none are passed and PA-required drugs are always rejected
+ */
+function buildAdjudicationContext(reference, input, records) {
+  return {
+    drugCost: input.drugCost,
+    formulary: reference.formulary,
+    providerRegistry: reference.providerRegistry,
+    durDataset: reference.durDataset,
+    durAcknowledgements: input.durAcknowledgements,
+    ...records
+  };
+}
+
+/**
+ * Stores an adjudicated claim and posts it to the plan's accumulator ledger unless it was denied
+ * The posting is checked before anything is written, and the claim and posting are stored together
+ * @returns {Promise<Object>} Success response with the stored claim, or the ledger's error response
+ */
+async function storeClaim(repositories, insurance, ledger, record) {
+  const claim = { ...record, id: generateSortableId() };
+  const posted = record.denialReasons.some(isBlockingDenialReason) ? null : postClaimToLedger(ledger, claim, insurance);
+  if (posted && !posted.success) return posted;
+
+  return repositories.transaction(async () => {
+    const stored = await repositories.claims.create(claim);
+    if (posted) await repositories.accumulatorPostings.create(posted.data.posting);
+    return createSuccessResponse(stored);
+  });
+}
@@ -0,0 +1,130 @@
+import {
+  ErrorCode,
+  Permission,
+  authorize,
+  createErrorResponse,
+  createFhirBundle,
+  createNotFoundResponse,
+  createSuccessResponse,
+  findCoverageOrderConflict,
+  getCoverageOrder,
+  getInsuranceScope,
+  getPrescriptionScope,
+  hasPermission,
+  readFhirBundle,
+  withWarnings
+} from '@medication-management/shared';
+import { runInTransaction } from './transaction.js';
+
+/**
+ * FHIR Service
+ * Exchanges patient records with EHR sandboxes as FHIR R4 Bundles: exports a patient with the
+ * insurance plans, prescriptions and fills the account may see, and stores the records read from an
+ * imported bundle
+ */
+
+/**
+ * Exports a patient as a FHIR Bundle
+ * Plans and prescriptions the account may not see are left out of the bundle
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { formulary } loaded at startup
+ * @param {string} userId - Patient to export
+ * @param {Object} principal - Signed-in account
+ * @returns {Promise<Object>} Success response with { bundle, losses, exported } where exported holds the
+ *   { user, insurance, prescriptions } put in the bundle, or an error response
+ */
+export async function exportPatientBundle(repositories, { formulary }, userId, principal) {
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    return createNotFoundResponse('User');
+  }
+
+  const access = authorize(principal, Permission.VIEW_PATIENT, { userId: user.id });
+  if (!access.success) {
+    return access;
+  }
+
+  const insurance = (await repositories.insurance.list({ userId: user.id }))
+    .filter((plan) => hasPermission(principal, Permission.VIEW_COVERAGE, getInsuranceScope(plan, formulary)));
+  const prescriptions = (await repositories.prescriptions.list({ userId: user.id }))
+    .filter((prescription) => hasPermission(principal, Permission.VIEW_PRESCRIPTION, getPrescriptionScope(prescription)));
+
+  const fills = [];
+  for (const prescription of prescriptions) {
+    fills.push(...await repositories.fills.list({ prescriptionId: prescription.id }));
+  }
+
+  const { bundle, losses } = createFhirBundle({ users: [user], insurance, prescriptions, fills });
+  return createSuccessResponse({ bundle, losses, exported: { user, insurance, prescriptions } });
+}
+
+/**
+ * Checks imported records do not clash with each other or with stored users
+ * Every imported record hangs off a newly created patient, so a patient's email is all that can
+ * clash with stored data; within the bundle, a patient's plans must not share a coverage order
+ * @returns {Promise<Object|null>} Error response, or null when the records can be stored
+ */
+async function checkImportConflicts({ users }, records) {
+  for (const user of records.users) {
+    const [existing] = await users.list({ email: user.email });
+    const repeated = records.users.find((other) => other !== user && other.email === user.email);
+    if (existing || repeated) {
+      return createErrorResponse(ErrorCode.ALREADY_EXISTS, `A user with email ${user.email} already exists`);
+    }
+  }
+
+  for (const plan of records.insurance) {
+    const conflict = findCoverageOrderConflict(records.insurance.filter((other) => other.userId === plan.userId), plan);
+    if (conflict) {
+      return createErrorResponse(
+        ErrorCode.ALREADY_EXISTS,
+        `${conflict.planName} and ${plan.planName} are both the ${getCoverageOrder(plan)} plan for an overlapping period`,
+        { insuranceId: conflict.id }
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Imports the records in a FHIR Bundle as new patients with their plans, prescriptions and fills
+ * Nothing is stored unless every record in the bundle is valid and no patient's email is taken; the
+ * check and the writes run in one transaction, so a failure part way stores nothing
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Object} reference - { providerRegistry } loaded at startup, used to verify NPIs
+ * @param {Object} bundle - FHIR Bundle
+ * @returns {Promise<Object>} Success response with { users, insurance, prescriptions, fills, ids, losses }
+ *   and any prescription warnings, or an error response
+ */
+export async function importBundle(repositories, { providerRegistry }, bundle) {
+  const read = readFhirBundle(bundle, { providerRegistry });
+  if (!read.success) {
+    return read;
+  }
+
+  const { warnings, ...records } = read.data;
+  const store = async (repository, list) => {
+    const stored = [];
+    for (const record of list) {
+      stored.push(await repository.create(record));
+    }
+    return stored;
+  };
+
+  return runInTransaction(repositories, async () => {
+    const conflict = await checkImportConflicts(repositories, records);
+    if (conflict) {
+      return conflict;
+    }
+
+    return withWarnings(createSuccessResponse({
+      users: await store(repositories.users, records.users),
+      insurance: await store(repositories.insurance, records.insurance),
+      prescriptions: await store(repositories.prescriptions, records.prescriptions),
+      fills: await store(repositories.fills, records.fills),
+      ids: records.ids,
+      losses: records.losses
+    }, 'Bundle imported'), warnings);
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * Service Transactions
+ * Services report failures as error responses rather than throwing, so a repository transaction
+ * on its own would commit the writes made before one; this rolls those back too
+ */
+
+/**
+ * Runs a service step in a repository transaction, keeping its writes only when it succeeds
+ * @param {Object} repositories - Repositories from createSqlRepositories() or createMemoryRepositories()
+ * @param {Function} fn - Async function resolving to a success or error response
+ * @returns {Promise<Object>} The response from fn; its writes are rolled back if it is an error response
+ */
+export async function runInTransaction(repositories, fn) {
+  const rollback = {};
+
+  try {
+    return await repositories.transaction(async () => {
+      const result = await fn();
+      if (!result.success) {
+        rollback.result = result;
+        throw rollback;
+      }
+      return result;
+    });
+  } catch (error) {
+    if (error === rollback) return rollback.result;
+    throw error;
+  }
+}
@@ -0,0 +1,141 @@
+import { ErrorCode } from '../constants.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { generateSortableId, getCurrentDate, getCurrentDateTime } from '../utils/common.js';
+import { getBenefitPeriod } from '../dates/dateOnly.js';
+
+/**
+ * Accumulator Ledger
+ * Tracks how much a patient has paid toward their deductible and out-of-pocket max each plan year
+ * The ledger is an append-only list of postings; totals are always summed from it
+ *
+ * A posting looks like:
+ * { id, insuranceId, claimId, type, planYearStart, deductibleAmount, outOfPocketAmount, postedAt, reversesPostingId? }
+ * Amounts are in cents, reversals carry negative amounts
+ */
+
+/**
+ * Accumulator Posting Types
+ */
+export const AccumulatorPostingType = {
+  CLAIM: 'CLAIM',       // Patient responsibility from an adjudicated claim
+  REVERSAL: 'REVERSAL', // Undoes an earlier CLAIM posting
+};
+
+/**
+ * Gets the plan year that contains a date
+ * Plan years start on the first day of insurance.planYearStartMonth (1-12); plans without one run on the calendar year
+ * @param {Object} insurance - Insurance object
+ * @param {string} [date] - Date to check (YYYY-MM-DD), defaults to today
+ * @returns {Object} { type, startDate, endDate } where type is a BenefitPeriodType and the dates are YYYY-MM-DD
+ */
+export function getPlanYear(insurance, date = getCurrentDate()) {
+  return getBenefitPeriod(date, insurance.planYearStartMonth || 1);
+}
+
+/**
+ * Sums deductible and out-of-pocket postings for an insurance plan year
+ * @param {Object[]} ledger - Accumulator postings
+ * @param {Object} insurance - Insurance object with id
+ * @param {string} [date] - Any date in the plan year (YYYY-MM-DD), defaults to today
+ * @returns {Object} { deductibleMet, outOfPocketMet, planYearStart, planYearEnd, benefitPeriodType } (amounts in cents)
+ */
+export function getAccumulatorTotals(ledger, insurance, date = getCurrentDate()) {
+  const planYear = getPlanYear(insurance, date);
+  const postings = (ledger || []).filter((posting) => (
+    posting.insuranceId === insurance.id && posting.planYearStart === planYear.startDate
+  ));
+
+  return {
+    deductibleMet: postings.reduce((total, posting) => total + posting.deductibleAmount, 0),
+    outOfPocketMet: postings.reduce((total, posting) => total + posting.outOfPocketAmount, 0),
+    planYearStart: planYear.startDate,
+    planYearEnd: planYear.endDate,
+    benefitPeriodType: planYear.type
+  };
+}
+
+/**
+ * Returns a copy of the insurance with deductibleMet and outOfPocketMet taken from the ledger
+ * Use this before adjudicating so decisions use the real running totals
+ * @param {Object} insurance - Insurance object
+ * @param {Object[]} ledger - Accumulator postings
+ * @param {string} [date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {Object} Insurance with current accumulator values
+ */
+export function applyAccumulators(insurance, ledger, date = getCurrentDate()) {
+  const totals = getAccumulatorTotals(ledger, insurance, date);
+
+  return {
+    ...insurance,
+    deductibleMet: totals.deductibleMet,
+    outOfPocketMet: totals.outOfPocketMet
+  };
+}
+
+/**
+ * Posts an adjudicated claim's patient responsibility to the ledger
+ * @param {Object[]} ledger - Accumulator postings
+ * @param {Object} claim - { id, insuranceId, dateOfService, costs } where costs comes from adjudicateClaim()
+ * @param {Object} insurance - Insurance the claim was billed to
+ * @returns {Object} Success response with { posting, ledger }, or an error response
+ */
+export function postClaimToLedger(ledger, claim, insurance) {
+  if (!claim.id || !claim.costs) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Claim ID and adjudicated costs are required');
+  }
+
+  const alreadyPosted = (ledger || []).some((posting) => (
+    posting.claimId === claim.id && posting.type === AccumulatorPostingType.CLAIM
+  ));
+  if (alreadyPosted) {
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `Claim ${claim.id} is already posted to the ledger`);
+  }
+
+  const posting = {
+    id: generateSortableId(),
+    insuranceId: insurance.id,
+    claimId: claim.id,
+    type: AccumulatorPostingType.CLAIM,
+    planYearStart: getPlanYear(insurance, claim.dateOfService).startDate,
+    deductibleAmount: claim.costs.deductibleApplied,
+    outOfPocketAmount: claim.costs.patientPay,
+    postedAt: getCurrentDateTime()
+  };
+
+  return createSuccessResponse({ posting, ledger: [...(ledger || []), posting] });
+}
+
+/**
+ * Reverses a claim posting, e.g. when a paid claim is voided
+ * The reversal lands in the same plan year as the original posting
+ * @param {Object[]} ledger - Accumulator postings
+ * @param {string} claimId - Claim whose posting should be reversed
+ * @returns {Object} Success response with { posting, ledger }, or an error response
+ */
+export function reverseClaimPosting(ledger, claimId) {
+  const original = (ledger || []).find((posting) => (
+    posting.claimId === claimId && posting.type === AccumulatorPostingType.CLAIM
+  ));
+  if (!original) {
+    return createErrorResponse(ErrorCode.NOT_FOUND, `No ledger posting found for claim ${claimId}`);
+  }
+
+  const alreadyReversed = ledger.some((posting) => posting.reversesPostingId === original.id);
+  if (alreadyReversed) {
+    return createErrorResponse(ErrorCode.ALREADY_EXISTS, `Claim ${claimId} has already been reversed`);
+  }
+
+  const posting = {
+    id: generateSortableId(),
+    insuranceId: original.insuranceId,
+    claimId,
+    type: AccumulatorPostingType.REVERSAL,
+    planYearStart: original.planYearStart,
+    deductibleAmount: -original.deductibleAmount,
+    outOfPocketAmount: -original.outOfPocketAmount,
+    postedAt: getCurrentDateTime(),
+    reversesPostingId: original.id
+  };
+
+  return createSuccessResponse({ posting, ledger: [...ledger, posting] });
+}
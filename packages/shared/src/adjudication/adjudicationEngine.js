@@ -0,0 +1,198 @@
+import { ClaimStatus, DenialReason, RuleOutcome } from '../constants.js';
+import { getCurrentDate, getCurrentDateTime } from '../utils/common.js';
+import { findFormularyPlan, lookupFormularyEntry } from '../formulary/formulary.js';
+import { findValidPriorAuth } from '../priorAuth/priorAuthorization.js';
+import { getPharmacyNetworkStatus } from '../pharmacies/pharmacyNetwork.js';
+import { applyAccumulators } from '../accumulators/accumulatorLedger.js';
+import { DEFAULT_ADJUDICATION_RULES } from './adjudicationRules.js';
+
+/**
+ * Claim Adjudication Engine
+ * Runs a claim through an ordered list of rules and explains every decision
+ * The trace it returns is what the UI shows as the "behind the scenes" view
+ */
+
+/**
+ * Denial reasons that are recorded but do not stop the claim from being paid
+ */
+export const INFORMATIONAL_DENIAL_REASONS = [
+  DenialReason.DEDUCTIBLE_NOT_MET,
+  DenialReason.OUT_OF_POCKET_MAX_REACHED,
+];
+
+/**
+ * Claim status produced by each blocking denial reason
+ * Anything not listed here results in ClaimStatus.DENIED
+ */
+const DENIAL_REASON_STATUS = {
+  [DenialReason.INSURANCE_INACTIVE]: ClaimStatus.INVALID_INSURANCE,
+  [DenialReason.INSURANCE_EXPIRED]: ClaimStatus.INVALID_INSURANCE,
+  [DenialReason.INVALID_POLICY]: ClaimStatus.INVALID_INSURANCE,
+  [DenialReason.INVALID_RX_BIN]: ClaimStatus.INVALID_INSURANCE,
+  [DenialReason.NOT_ON_FORMULARY]: ClaimStatus.NOT_COVERED,
+  [DenialReason.PHARMACY_OUT_OF_NETWORK]: ClaimStatus.NOT_COVERED,
+  [DenialReason.PRIOR_AUTH_REQUIRED]: ClaimStatus.PRIOR_AUTH_REQUIRED,
+  [DenialReason.QUANTITY_LIMIT_EXCEEDED]: ClaimStatus.COVERAGE_LIMIT_EXCEEDED,
+  [DenialReason.REFILL_TOO_SOON]: ClaimStatus.COVERAGE_LIMIT_EXCEEDED,
+  [DenialReason.BENEFIT_MAXIMUM_REACHED]: ClaimStatus.COVERAGE_LIMIT_EXCEEDED,
+};
+
+/**
+ * Order in which blocking statuses win when several rules fail
+ */
+const STATUS_PRIORITY = [
+  ClaimStatus.INVALID_INSURANCE,
+  ClaimStatus.NOT_COVERED,
+  ClaimStatus.PRIOR_AUTH_REQUIRED,
+  ClaimStatus.COVERAGE_LIMIT_EXCEEDED,
+  ClaimStatus.DENIED,
+];
+
+/**
+ * Maps a blocking denial reason to the claim status it produces
+ * @param {string} denialReason - Value from DenialReason
+ * @returns {string} Value from ClaimStatus
+ */
+export function getClaimStatusForDenialReason(denialReason) {
+  return DENIAL_REASON_STATUS[denialReason] || ClaimStatus.DENIED;
+}
+
+/**
+ * Picks the claim status for a set of denial reasons, highest priority first
+ * @param {string[]} denialReasons - Values from DenialReason
+ * @returns {string|null} Value from ClaimStatus, or null when no reason blocks the claim
+ */
+export function getClaimStatusForDenialReasons(denialReasons) {
+  const statuses = denialReasons.filter(isBlockingDenialReason).map(getClaimStatusForDenialReason);
+  return STATUS_PRIORITY.find((candidate) => statuses.includes(candidate)) || null;
+}
+
+/**
+ * Checks if a denial reason blocks payment of the claim
+ * @param {string} denialReason - Value from DenialReason
+ * @returns {boolean} True if the reason blocks the claim
+ */
+export function isBlockingDenialReason(denialReason) {
+  return Boolean(denialReason)
+    && denialReason !== DenialReason.NONE
+    && !INFORMATIONAL_DENIAL_REASONS.includes(denialReason);
+}
+
+/**
+ * Runs a single rule, turning unexpected exceptions into a SYSTEM_ERROR denial
+ */
+function runRule(rule, claim) {
+  try {
+    return rule.evaluate(claim);
+  } catch (error) {
+    return {
+      outcome: RuleOutcome.DENIED,
+      denialReason: DenialReason.SYSTEM_ERROR,
+      message: `Rule failed to run: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Adjudicates a prescription claim against an insurance plan
+ * @param {Object} prescription - Prescription being billed
+ * @param {Object} planInsurance - Insurance plan being billed
+ * @param {Object} context - Adjudication inputs
+ * @param {number} context.drugCost - Total cost of the fill (in cents)
+ * @param {string} [context.date] - Date of service (YYYY-MM-DD), defaults to today
+ * @param {Object} [context.providerRegistry] - Registry from loadProviderRegistry() used to verify the prescriber
+ * @param {Object} [context.patient] - User with dateOfBirth, used for age restrictions
+ * @param {Object} [context.durDataset] - Dataset from loadDurDataset() holding age restrictions
+ * @param {Object[]} [context.durAcknowledgements] - Pharmacist overrides of DUR alerts
+ * @param {Object} [context.pharmacy] - Dispensing pharmacy; out-of-network pharmacies use the plan's out-of-network cost share
+ * @param {Object} [context.formulary] - Formulary from loadFormulary(), coverage is assumed when omitted
+ * @param {Object[]} [context.priorAuthorizations] - Prior authorizations on file for the patient
+ * @param {boolean} [context.stepTherapyMet] - True when preferred alternatives have already been tried
+ * @param {Object} [context.costShare] - Fallback { copay } or { coinsurance } when there is no formulary entry
+ * @param {Object[]} [context.fillHistory] - Previous fills of this prescription
+ * @param {number} [context.refillThresholdPercent] - Share of days supply used before a refill
+ * @param {string} [context.refillOverrideType] - Early refill override from RefillOverrideType
+ * @param {Object[]} [context.accumulatorLedger] - Ledger postings used instead of the static deductibleMet/outOfPocketMet
+ * @param {Object[]} [context.rules] - Rules to run instead of DEFAULT_ADJUDICATION_RULES
+ * @returns {Object} { status, denialReason, denialReasons, costs, trace, adjudicatedAt }
+ */
+export function adjudicateClaim(prescription, planInsurance, context = {}) {
+  const rules = context.rules || DEFAULT_ADJUDICATION_RULES;
+  const date = context.date || getCurrentDate();
+  const insurance = planInsurance && context.accumulatorLedger
+    ? applyAccumulators(planInsurance, context.accumulatorLedger, date)
+    : planInsurance;
+  const formularyPlan = findFormularyPlan(context.formulary, insurance);
+  const networkStatus = formularyPlan && context.pharmacy
+    ? getPharmacyNetworkStatus(context.pharmacy, formularyPlan.planId)
+    : null;
+  const ruleContext = {
+    ...context,
+    date,
+    formularyPlan,
+    networkStatus,
+    formularyEntry: formularyPlan
+      ? lookupFormularyEntry(context.formulary, formularyPlan.planId, prescription.ndc, networkStatus || undefined)
+      : null,
+    priorAuth: formularyPlan
+      ? findValidPriorAuth(context.priorAuthorizations, prescription, formularyPlan.planId, date)
+      : null
+  };
+
+  const costs = {
+    drugCost: context.drugCost || 0,
+    deductibleApplied: 0,
+    costShare: 0
+  };
+  const denialReasons = [];
+  const trace = [];
+
+  rules.forEach((rule, index) => {
+    const isBlocked = denialReasons.some(isBlockingDenialReason);
+    const result = runRule(rule, { prescription, insurance, context: ruleContext, costs, isBlocked });
+
+    if (result.costs) {
+      Object.assign(costs, result.costs);
+    }
+
+    if (result.denialReason) {
+      denialReasons.push(result.denialReason);
+    }
+
+    trace.push({
+      step: index + 1,
+      ruleId: rule.id,
+      description: rule.description,
+      outcome: result.outcome,
+      message: result.message,
+      denialReason: result.denialReason || undefined
+    });
+  });
+
+  const blockingReasons = denialReasons.filter(isBlockingDenialReason);
+  let status;
+  let patientPay;
+
+  if (blockingReasons.length > 0) {
+    status = getClaimStatusForDenialReasons(blockingReasons);
+    // Denied claims are paid in full by the patient
+    patientPay = costs.drugCost;
+  } else {
+    status = costs.deductibleApplied > 0 ? ClaimStatus.DEDUCTIBLE_NOT_MET : ClaimStatus.APPROVED;
+    patientPay = costs.deductibleApplied + costs.costShare;
+  }
+
+  return {
+    status,
+    denialReason: blockingReasons[0] || denialReasons[0] || DenialReason.NONE,
+    denialReasons,
+    costs: {
+      drugCost: costs.drugCost,
+      deductibleApplied: blockingReasons.length > 0 ? 0 : costs.deductibleApplied,
+      patientPay,
+      planPay: costs.drugCost - patientPay
+    },
+    trace,
+    adjudicatedAt: getCurrentDateTime()
+  };
+}
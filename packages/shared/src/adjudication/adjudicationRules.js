@@ -0,0 +1,504 @@
+import { DenialReason, NetworkStatus, RuleOutcome } from '../constants.js';
+import { isInsuranceActive, isValidRxBIN } from '../validators/insuranceValidator.js';
+import { isValidNDC, isValidNPI } from '../validators/prescriptionValidator.js';
+import { formatCurrency } from '../utils/common.js';
+import { compareDates } from '../dates/dateOnly.js';
+import { calculateCostShare, getAllowedQuantity, isSubjectToDeductible } from '../formulary/formulary.js';
+import { checkRefillEligibility, getPrescriptionExpirationDate } from '../refills/fillHistory.js';
+import { checkPrescriberNPI } from '../providers/providerRegistry.js';
+import { checkAgeRestriction, findDurDrug, getUnresolvedDurAlerts } from '../dur/drugUtilizationReview.js';
+
+/**
+ * Adjudication Rules
+ * The default, ordered set of rules the adjudication engine runs for every claim
+ *
+ * Each rule is a plain object: { id, description, evaluate(claim) }
+ * evaluate() receives { prescription, insurance, context, costs, isBlocked }
+ * and returns { outcome, message, denialReason?, costs? }
+ * context.formularyPlan, context.formularyEntry, context.networkStatus and context.priorAuth are resolved
+ * by the engine before any rule runs
+ * Custom rules follow the same shape and can be added to the list passed to adjudicateClaim()
+ */
+
+/**
+ * Insurance must exist and be active on the date of service
+ */
+export const insuranceActiveRule = {
+  id: 'INSURANCE_ACTIVE',
+  description: 'Insurance coverage is active on the date of service',
+  evaluate({ insurance, context }) {
+    if (!insurance) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INVALID_POLICY,
+        message: 'No insurance plan was provided for this claim'
+      };
+    }
+
+    if (isInsuranceActive(insurance, context.date)) {
+      return {
+        outcome: RuleOutcome.PASSED,
+        message: `Coverage is active on ${context.date}`
+      };
+    }
+
+    if (insurance.terminationDate && compareDates(insurance.terminationDate, context.date) < 0) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INSURANCE_EXPIRED,
+        message: `Coverage terminated on ${insurance.terminationDate}`
+      };
+    }
+
+    return {
+      outcome: RuleOutcome.DENIED,
+      denialReason: DenialReason.INSURANCE_INACTIVE,
+      message: insurance.isActive === false
+        ? 'Coverage has been marked inactive by the plan'
+        : `Coverage is not effective until ${insurance.effectiveDate}`
+    };
+  }
+};
+
+/**
+ * RxBIN must be well-formed so the claim can be routed to a PBM
+ */
+export const rxBinRule = {
+  id: 'RX_BIN_VALID',
+  description: 'RxBIN routes the claim to a valid PBM',
+  evaluate({ insurance }) {
+    if (!insurance) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No insurance plan to route to' };
+    }
+
+    if (!isValidRxBIN(insurance.rxBIN)) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INVALID_RX_BIN,
+        message: `RxBIN "${insurance.rxBIN ?? ''}" is not a 6-digit BIN`
+      };
+    }
+
+    return { outcome: RuleOutcome.PASSED, message: `Routed to PBM with RxBIN ${insurance.rxBIN}` };
+  }
+};
+
+/**
+ * Prescription must not be older than its validity period
+ */
+export const prescriptionExpirationRule = {
+  id: 'PRESCRIPTION_NOT_EXPIRED',
+  description: 'Prescription is still within its validity period',
+  evaluate({ prescription, context }) {
+    if (!prescription.prescribedDate) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No prescribed date on record' };
+    }
+
+    const expirationDate = getPrescriptionExpirationDate(prescription);
+    if (context.date > expirationDate) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.EXPIRED_PRESCRIPTION,
+        message: `Prescription written ${prescription.prescribedDate} expired on ${expirationDate}`
+      };
+    }
+
+    return { outcome: RuleOutcome.PASSED, message: `Prescription is valid through ${expirationDate}` };
+  }
+};
+
+/**
+ * Prescriber NPI must be valid and, when a registry is supplied, belong to an active individual
+ */
+export const prescriberRule = {
+  id: 'PRESCRIBER_VALID',
+  description: 'Prescriber is a valid, active individual provider',
+  evaluate({ prescription, context }) {
+    if (!isValidNPI(prescription.prescriberNPI)) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INVALID_PRESCRIBER,
+        message: prescription.prescriberNPI
+          ? `Prescriber NPI "${prescription.prescriberNPI}" fails the NPI check digit`
+          : 'Prescriber NPI is required'
+      };
+    }
+
+    if (!context.providerRegistry) {
+      return { outcome: RuleOutcome.PASSED, message: 'Prescriber NPI check digit is valid (no registry supplied)' };
+    }
+
+    const prescriberError = checkPrescriberNPI(context.providerRegistry, prescription.prescriberNPI);
+    if (prescriberError) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INVALID_PRESCRIBER,
+        message: prescriberError.message
+      };
+    }
+
+    return {
+      outcome: RuleOutcome.PASSED,
+      message: `Prescribed by ${context.providerRegistry[prescription.prescriberNPI].name}`
+    };
+  }
+};
+
+/**
+ * Patient must be within the drug's age limits unless the pharmacist overrode the DUR alert
+ * Only contraindicated and major age precautions deny the claim
+ */
+export const ageRestrictionRule = {
+  id: 'AGE_RESTRICTION',
+  description: 'Patient age is within the drug age limits',
+  evaluate({ prescription, context }) {
+    if (!context.durDataset || !context.patient?.dateOfBirth) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No DUR dataset or patient date of birth supplied' };
+    }
+
+    const drug = findDurDrug(context.durDataset, prescription);
+    if (!drug) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Drug is not in the DUR dataset' };
+    }
+
+    const [alert] = checkAgeRestriction(drug, context.patient, context.date);
+    if (!alert) {
+      return { outcome: RuleOutcome.PASSED, message: `No age restriction applies to ${drug.ingredient}` };
+    }
+
+    if (getUnresolvedDurAlerts([alert], context.durAcknowledgements).length > 0) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.AGE_RESTRICTION,
+        message: alert.message
+      };
+    }
+
+    const acknowledgement = (context.durAcknowledgements || []).find((ack) => ack.alertId === alert.id);
+    return {
+      outcome: RuleOutcome.PASSED,
+      message: acknowledgement
+        ? `${alert.message}; overridden with ${acknowledgement.professionalServiceCode}/${acknowledgement.resultOfServiceCode}`
+        : `${alert.message} (${alert.severity}, informational)`
+    };
+  }
+};
+
+/**
+ * Medication must be on the plan's formulary
+ */
+export const formularyRule = {
+  id: 'FORMULARY',
+  description: 'Medication is covered by the plan formulary',
+  evaluate({ prescription, context }) {
+    if (!context.formulary) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No formulary supplied, coverage assumed' };
+    }
+
+    if (!prescription.ndc || !isValidNDC(prescription.ndc)) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.INVALID_NDC,
+        message: 'A valid NDC is required to check formulary coverage'
+      };
+    }
+
+    if (!context.formularyPlan) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.NOT_ON_FORMULARY,
+        message: 'No formulary is on file for this plan'
+      };
+    }
+
+    const entry = context.formularyEntry;
+    if (!entry) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.NOT_ON_FORMULARY,
+        message: `NDC ${prescription.ndc} is not on the ${context.formularyPlan.planName}`
+      };
+    }
+
+    return {
+      outcome: RuleOutcome.PASSED,
+      message: `${entry.drugName} is covered on tier ${entry.tier} of the ${context.formularyPlan.planName}`
+    };
+  }
+};
+
+/**
+ * Out-of-network pharmacies are only paid when the plan has an out-of-network cost share for the drug tier
+ */
+export const pharmacyNetworkRule = {
+  id: 'PHARMACY_NETWORK',
+  description: 'Dispensing pharmacy is in the plan network or out-of-network coverage applies',
+  evaluate({ context }) {
+    const { pharmacy, formularyPlan, formularyEntry } = context;
+    if (!pharmacy) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No dispensing pharmacy supplied, network not checked' };
+    }
+
+    if (!formularyPlan) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No formulary plan to check the pharmacy network against' };
+    }
+
+    if (context.networkStatus === NetworkStatus.IN_NETWORK) {
+      return { outcome: RuleOutcome.PASSED, message: `${pharmacy.name} is in the ${formularyPlan.planName} network` };
+    }
+
+    const outOfNetwork = pharmacy.isActive === false
+      ? `${pharmacy.name} is not active and is treated as out of network`
+      : `${pharmacy.name} is out of network for the ${formularyPlan.planName}`;
+
+    if (Object.keys(formularyPlan.outOfNetworkTiers).length === 0) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.PHARMACY_OUT_OF_NETWORK,
+        message: `${outOfNetwork}, which does not cover out-of-network pharmacies`
+      };
+    }
+
+    if (!formularyEntry) {
+      return { outcome: RuleOutcome.SKIPPED, message: `${outOfNetwork}; no formulary entry to check out-of-network coverage` };
+    }
+
+    if (!formularyEntry.costShare) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.PHARMACY_OUT_OF_NETWORK,
+        message: `${outOfNetwork}, which has no out-of-network coverage for tier ${formularyEntry.tier}`
+      };
+    }
+
+    return { outcome: RuleOutcome.PASSED, message: `${outOfNetwork}; out-of-network cost share applies` };
+  }
+};
+
+/**
+ * Formulary entries flagged for prior authorization or step therapy block the claim until a PA is on file
+ */
+export const priorAuthorizationRule = {
+  id: 'PRIOR_AUTHORIZATION',
+  description: 'Prior authorization is on file when the formulary requires it',
+  evaluate({ prescription, context }) {
+    const entry = context.formularyEntry;
+    if (!entry) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No formulary entry to check' };
+    }
+
+    if ((entry.priorAuthRequired || entry.stepTherapy) && context.priorAuth) {
+      return {
+        outcome: RuleOutcome.PASSED,
+        message: `Prior authorization ${context.priorAuth.id} is approved through ${context.priorAuth.validThrough}`
+      };
+    }
+
+    if (entry.priorAuthRequired) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.PRIOR_AUTH_REQUIRED,
+        message: `${prescription.medicationName} requires prior authorization from the prescriber`
+      };
+    }
+
+    if (entry.stepTherapy && !context.stepTherapyMet) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.PRIOR_AUTH_REQUIRED,
+        message: `${prescription.medicationName} requires step therapy: a preferred alternative must be tried first or a prior authorization obtained`
+      };
+    }
+
+    return { outcome: RuleOutcome.PASSED, message: 'No prior authorization required' };
+  }
+};
+
+/**
+ * Quantity dispensed must not exceed the formulary quantity limit, or the PA override when one is on file
+ */
+export const quantityLimitRule = {
+  id: 'QUANTITY_LIMIT',
+  description: 'Quantity is within the plan limit',
+  evaluate({ prescription, context }) {
+    const override = context.priorAuth?.quantityOverride;
+    const allowed = getAllowedQuantity(override || context.formularyEntry?.quantityLimit, prescription.daysSupply);
+    if (allowed === null) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No quantity limit applies' };
+    }
+
+    const source = override ? 'prior authorization override' : 'plan limit';
+
+    if (prescription.quantity > allowed) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.QUANTITY_LIMIT_EXCEEDED,
+        message: `Quantity ${prescription.quantity} exceeds the ${source} of ${allowed} for a ${prescription.daysSupply}-day supply`
+      };
+    }
+
+    return {
+      outcome: RuleOutcome.PASSED,
+      message: `Quantity ${prescription.quantity} is within the ${source} of ${allowed} for a ${prescription.daysSupply}-day supply`
+    };
+  }
+};
+
+/**
+ * Enough of the previous fill must have been used before a refill is paid
+ */
+export const refillTooSoonRule = {
+  id: 'REFILL_TOO_SOON',
+  description: 'Enough of the previous fill has been used',
+  evaluate({ prescription, context }) {
+    if (!context.fillHistory || context.fillHistory.length === 0) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No previous fill on record' };
+    }
+
+    const eligibility = checkRefillEligibility(prescription, context.fillHistory, {
+      date: context.date,
+      thresholdPercent: context.refillThresholdPercent,
+      overrideType: context.refillOverrideType
+    });
+
+    if (eligibility.denialReason === DenialReason.REFILL_TOO_SOON) {
+      return {
+        outcome: RuleOutcome.DENIED,
+        denialReason: DenialReason.REFILL_TOO_SOON,
+        message: eligibility.message
+      };
+    }
+
+    return { outcome: RuleOutcome.PASSED, message: eligibility.message };
+  }
+};
+
+/**
+ * Patient pays toward any unmet deductible first
+ * HDHP plans apply the deductible to every drug, other plans only to tiers subject to it
+ */
+export const deductibleRule = {
+  id: 'DEDUCTIBLE',
+  description: 'Unmet deductible is paid by the patient first',
+  evaluate({ insurance, context, costs, isBlocked }) {
+    if (isBlocked) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Claim is not payable, deductible not applied' };
+    }
+
+    if (!insurance.deductible) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Plan has no deductible' };
+    }
+
+    const costShare = context.formularyEntry?.costShare || context.costShare;
+    if (!isSubjectToDeductible(costShare, insurance.planType)) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'This tier is not subject to the deductible on this plan' };
+    }
+
+    const remaining = Math.max(0, insurance.deductible - (insurance.deductibleMet || 0));
+    if (remaining === 0) {
+      return { outcome: RuleOutcome.PASSED, message: 'Deductible already met' };
+    }
+
+    const deductibleApplied = Math.min(costs.drugCost, remaining);
+    return {
+      outcome: RuleOutcome.APPLIED,
+      denialReason: DenialReason.DEDUCTIBLE_NOT_MET,
+      costs: { deductibleApplied },
+      message: `${formatCurrency(deductibleApplied)} applied to the deductible (${formatCurrency(remaining)} remaining before this claim)`
+    };
+  }
+};
+
+/**
+ * Remaining cost after the deductible is split by the tier copay or coinsurance
+ */
+export const costShareRule = {
+  id: 'COST_SHARE',
+  description: 'Copay or coinsurance applied to the remaining cost',
+  evaluate({ context, costs, isBlocked }) {
+    if (isBlocked) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Claim is not payable, cost share not applied' };
+    }
+
+    const remainder = costs.drugCost - costs.deductibleApplied;
+    if (remainder === 0) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Nothing left to share after the deductible' };
+    }
+
+    const costShare = context.formularyEntry?.costShare || context.costShare;
+    if (!costShare) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'No copay or coinsurance configured, plan pays the remainder' };
+    }
+
+    const { patientPay } = calculateCostShare(remainder, costShare);
+    const network = context.networkStatus === NetworkStatus.OUT_OF_NETWORK ? 'out-of-network ' : '';
+    const message = typeof costShare.copay === 'number'
+      ? `${network ? 'Out-of-network copay' : 'Copay'} of ${formatCurrency(patientPay)} applied`
+      : `${costShare.coinsurance}% ${network}coinsurance of ${formatCurrency(remainder)} is ${formatCurrency(patientPay)}`;
+
+    return {
+      outcome: RuleOutcome.APPLIED,
+      costs: { costShare: patientPay },
+      message
+    };
+  }
+};
+
+/**
+ * Patient responsibility is capped at whatever is left of the out-of-pocket maximum
+ */
+export const outOfPocketMaxRule = {
+  id: 'OUT_OF_POCKET_MAX',
+  description: 'Patient responsibility is capped by the out-of-pocket maximum',
+  evaluate({ insurance, costs, isBlocked }) {
+    if (isBlocked) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Claim is not payable, out-of-pocket max not checked' };
+    }
+
+    if (insurance.outOfPocketMax === undefined || insurance.outOfPocketMax === null) {
+      return { outcome: RuleOutcome.SKIPPED, message: 'Plan has no out-of-pocket maximum' };
+    }
+
+    const remaining = Math.max(0, insurance.outOfPocketMax - (insurance.outOfPocketMet || 0));
+    const patientPay = costs.deductibleApplied + costs.costShare;
+
+    if (patientPay <= remaining) {
+      return {
+        outcome: RuleOutcome.PASSED,
+        message: `${formatCurrency(remaining)} left before the out-of-pocket maximum`
+      };
+    }
+
+    // Reduce cost share first, then the deductible portion
+    const overage = patientPay - remaining;
+    const costShare = Math.max(0, costs.costShare - overage);
+    const deductibleApplied = costs.deductibleApplied - Math.max(0, overage - costs.costShare);
+
+    return {
+      outcome: RuleOutcome.APPLIED,
+      denialReason: DenialReason.OUT_OF_POCKET_MAX_REACHED,
+      costs: { costShare, deductibleApplied },
+      message: `Out-of-pocket maximum reached, patient pays ${formatCurrency(remaining)} and the plan pays the rest`
+    };
+  }
+};
+
+/**
+ * Default rule order used by adjudicateClaim()
+ * Eligibility and coverage rules first, financial rules last
+ */
+export const DEFAULT_ADJUDICATION_RULES = [
+  insuranceActiveRule,
+  rxBinRule,
+  prescriptionExpirationRule,
+  prescriberRule,
+  ageRestrictionRule,
+  formularyRule,
+  pharmacyNetworkRule,
+  priorAuthorizationRule,
+  quantityLimitRule,
+  refillTooSoonRule,
+  deductibleRule,
+  costShareRule,
+  outOfPocketMaxRule,
+];
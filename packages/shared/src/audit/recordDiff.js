@@ -0,0 +1,57 @@
+/**
+ * Record Diff Utilities
+ * Describes what changed between two versions of a record, for audit entries and change history
+ *
+ * Changes look like:
+ * { field: 'address.zipCode', before: '90210', after: '10001' }
+ * Nested objects are compared field by field; arrays and other values are compared as a whole
+ */
+
+/**
+ * Fields the repositories maintain, which change on every save
+ */
+export const DIFF_IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Checks if a value is a plain object to compare field by field
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collects changes between two objects under a path prefix
+ */
+function collectChanges(before, after, prefix, changes) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach((key) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before[key];
+    const newValue = after[key];
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      collectChanges(oldValue, newValue, field, changes);
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue ?? null, after: newValue ?? null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Lists the fields that differ between two versions of a record
+ * Pass an empty object as before for a created record, or as after for a deleted one
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {string[]} [ignoredFields] - Top-level fields to skip, defaults to DIFF_IGNORED_FIELDS
+ * @returns {Object[]} Changes, each { field, before, after } with null for a missing value
+ */
+export function diffRecords(before, after, ignoredFields = DIFF_IGNORED_FIELDS) {
+  const strip = (record) => Object.fromEntries(
+    Object.entries(record || {}).filter(([field]) => !ignoredFields.includes(field))
+  );
+
+  return collectChanges(strip(before), strip(after), '', []);
+}
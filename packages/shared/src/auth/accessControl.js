@@ -0,0 +1,217 @@
+import { ErrorCode, UserRole } from '../constants.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { findFormularyPlan } from '../formulary/formulary.js';
+
+/**
+ * Access Control
+ * Decides what an authenticated account may do with a record
+ *
+ * Callers describe the record by its scope:
+ * { userId, pharmacyNPI, planIds } - the patient it belongs to, the pharmacy handling it and the formulary plans paying for it
+ * and the account by its principal:
+ * { accountId, role, userId, pharmacyNPI, planIds }
+ */
+
+/**
+ * Things an account can be allowed to do
+ */
+export const Permission = {
+  VIEW_PATIENT: 'VIEW_PATIENT',               // Read a patient profile
+  REGISTER_PATIENT: 'REGISTER_PATIENT',       // Create a patient profile
+  MANAGE_PATIENT: 'MANAGE_PATIENT',           // Edit a patient profile and its insurance plans
+  VIEW_COVERAGE: 'VIEW_COVERAGE',             // Read insurance plans and their accumulators
+  VIEW_PRESCRIPTION: 'VIEW_PRESCRIPTION',     // Read prescriptions, fills, transfers and DUR
+  MANAGE_PRESCRIPTION: 'MANAGE_PRESCRIPTION', // Create, edit, fill and transfer prescriptions
+  VIEW_CLAIM: 'VIEW_CLAIM',                   // Read claims
+  SUBMIT_CLAIM: 'SUBMIT_CLAIM',               // Submit claims for adjudication
+  MANAGE_PHARMACY: 'MANAGE_PHARMACY',         // Edit a pharmacy record
+  ADMINISTER: 'ADMINISTER',                   // Create accounts and pharmacies, delete patients
+};
+
+/**
+ * Wording used in FORBIDDEN messages
+ */
+const PERMISSION_DESCRIPTIONS = {
+  [Permission.VIEW_PATIENT]: 'view this patient',
+  [Permission.REGISTER_PATIENT]: 'register patients',
+  [Permission.MANAGE_PATIENT]: 'change this patient\'s records',
+  [Permission.VIEW_COVERAGE]: 'view this insurance plan',
+  [Permission.VIEW_PRESCRIPTION]: 'view this prescription',
+  [Permission.MANAGE_PRESCRIPTION]: 'change this prescription',
+  [Permission.VIEW_CLAIM]: 'view this claim',
+  [Permission.SUBMIT_CLAIM]: 'submit this claim',
+  [Permission.MANAGE_PHARMACY]: 'change this pharmacy',
+  [Permission.ADMINISTER]: 'perform administrative actions',
+};
+
+/**
+ * The record belongs to the patient's own profile
+ */
+function isOwnRecord(principal, scope) {
+  return Boolean(principal.userId) && scope.userId === principal.userId;
+}
+
+/**
+ * The record is handled by the pharmacist's pharmacy
+ */
+function isAtOwnPharmacy(principal, scope) {
+  return Boolean(principal.pharmacyNPI) && scope.pharmacyNPI === principal.pharmacyNPI;
+}
+
+/**
+ * Every plan paying for the record is administered by the insurer
+ */
+function isPaidByOwnPlans(principal, scope) {
+  const planIds = scope.planIds || [];
+  return planIds.length > 0 && planIds.every((planId) => (principal.planIds || []).includes(planId));
+}
+
+/**
+ * Any record, for permissions a role holds without restriction
+ */
+function isAnyRecord() {
+  return true;
+}
+
+/**
+ * Permissions each role holds and the records they apply to
+ * Admins hold every permission. Pharmacists may look up any patient and plan so they can fill and bill
+ * prescriptions for new customers
+ */
+const ROLE_PERMISSIONS = {
+  [UserRole.PATIENT]: {
+    [Permission.VIEW_PATIENT]: isOwnRecord,
+    [Permission.MANAGE_PATIENT]: isOwnRecord,
+    [Permission.VIEW_COVERAGE]: isOwnRecord,
+    [Permission.VIEW_PRESCRIPTION]: isOwnRecord,
+    [Permission.VIEW_CLAIM]: isOwnRecord,
+  },
+  [UserRole.PHARMACIST]: {
+    [Permission.VIEW_PATIENT]: isAnyRecord,
+    [Permission.REGISTER_PATIENT]: isAnyRecord,
+    [Permission.VIEW_COVERAGE]: isAnyRecord,
+    [Permission.VIEW_PRESCRIPTION]: isAtOwnPharmacy,
+    [Permission.MANAGE_PRESCRIPTION]: isAtOwnPharmacy,
+    [Permission.VIEW_CLAIM]: isAtOwnPharmacy,
+    [Permission.SUBMIT_CLAIM]: isAtOwnPharmacy,
+    [Permission.MANAGE_PHARMACY]: isAtOwnPharmacy,
+  },
+  [UserRole.INSURER]: {
+    [Permission.VIEW_COVERAGE]: isPaidByOwnPlans,
+    [Permission.VIEW_CLAIM]: isPaidByOwnPlans,
+    [Permission.SUBMIT_CLAIM]: isPaidByOwnPlans,
+  },
+};
+
+/**
+ * The scope fields a record must share with the principal for each rule, used to narrow list queries
+ */
+const LIST_SCOPES = new Map([
+  [isOwnRecord, (principal) => (principal.userId ? { userId: principal.userId } : null)],
+  [isAtOwnPharmacy, (principal) => (principal.pharmacyNPI ? { pharmacyNPI: principal.pharmacyNPI } : null)],
+  [isPaidByOwnPlans, (principal) => ({ planIds: principal.planIds || [] })],
+  [isAnyRecord, () => ({})],
+]);
+
+/**
+ * Builds the principal for an account
+ * @param {Object} account - Stored account
+ * @returns {Object} { accountId, role, userId, pharmacyNPI, planIds }
+ */
+export function toPrincipal(account) {
+  return {
+    accountId: account.id,
+    role: account.role,
+    userId: account.userId,
+    pharmacyNPI: account.pharmacyNPI,
+    planIds: account.planIds || []
+  };
+}
+
+/**
+ * Checks if an account may do something with a record
+ * @param {Object|null} principal - Principal from toPrincipal(), or null when not signed in
+ * @param {string} permission - Value from Permission
+ * @param {Object} [scope] - { userId, pharmacyNPI, planIds } of the record
+ * @returns {boolean} True if allowed
+ */
+export function hasPermission(principal, permission, scope = {}) {
+  if (!principal) return false;
+  if (principal.role === UserRole.ADMIN) return true;
+
+  const appliesTo = ROLE_PERMISSIONS[principal.role]?.[permission];
+  return Boolean(appliesTo) && appliesTo(principal, scope);
+}
+
+/**
+ * Checks if an account may do something with a record
+ * @param {Object|null} principal - Principal from toPrincipal(), or null when not signed in
+ * @param {string} permission - Value from Permission
+ * @param {Object} [scope] - { userId, pharmacyNPI, planIds } of the record
+ * @returns {Object} Success response, or an UNAUTHORIZED/FORBIDDEN error response
+ */
+export function authorize(principal, permission, scope = {}) {
+  if (!principal) {
+    return createErrorResponse(ErrorCode.UNAUTHORIZED, 'Sign in to continue');
+  }
+
+  if (!hasPermission(principal, permission, scope)) {
+    return createErrorResponse(
+      ErrorCode.FORBIDDEN,
+      `${principal.role} accounts are not allowed to ${PERMISSION_DESCRIPTIONS[permission] || permission}`
+    );
+  }
+
+  return createSuccessResponse(null);
+}
+
+/**
+ * Gets the records an account may see with a permission, as scope fields a list query can filter on
+ * Lets lists be narrowed in the query, so a page is never emptied by filtering after it was fetched
+ * @param {Object|null} principal - Principal from toPrincipal(), or null when not signed in
+ * @param {string} permission - Value from Permission
+ * @returns {Object|null} {} for every record, { userId }, { pharmacyNPI } or { planIds } to match,
+ *   or null when the account may see none
+ */
+export function getListScope(principal, permission) {
+  if (!principal) return null;
+  if (principal.role === UserRole.ADMIN) return {};
+
+  const appliesTo = ROLE_PERMISSIONS[principal.role]?.[permission];
+  return appliesTo ? LIST_SCOPES.get(appliesTo)(principal) : null;
+}
+
+/**
+ * Gets the access scope of an insurance plan
+ * @param {Object} insurance - Insurance object
+ * @param {Object} [formulary] - Formulary from loadFormulary(), used to find the plan's formulary plan ID
+ * @returns {Object} { userId, planIds }
+ */
+export function getInsuranceScope(insurance, formulary) {
+  const plan = findFormularyPlan(formulary, insurance);
+  return { userId: insurance.userId, planIds: plan ? [plan.planId] : [] };
+}
+
+/**
+ * Gets the access scope of a prescription
+ * @param {Object} prescription - Prescription object
+ * @returns {Object} { userId, pharmacyNPI }
+ */
+export function getPrescriptionScope(prescription) {
+  return { userId: prescription.userId, pharmacyNPI: prescription.pharmacyNPI };
+}
+
+/**
+ * Gets the access scope of a claim
+ * @param {Object} claim - Stored claim
+ * @param {Object|null} insurance - Insurance plan the claim was billed to
+ * @param {Object} [formulary] - Formulary from loadFormulary()
+ * @returns {Object} { userId, pharmacyNPI, planIds }
+ */
+export function getClaimScope(claim, insurance, formulary) {
+  return {
+    userId: claim.userId,
+    pharmacyNPI: claim.pharmacyNPI,
+    planIds: insurance ? getInsuranceScope(insurance, formulary).planIds : []
+  };
+}
@@ -0,0 +1,72 @@
+import { ClaimStatus, ErrorCode } from '../constants.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { getCurrentDateTime } from '../utils/common.js';
+import { getPrescriptionFills } from '../refills/fillHistory.js';
+
+/**
+ * Claim Reversal
+ * Voids paid claims, like an NCPDP B2 reversal, and finds the dispense a claim paid for
+ *
+ * A reversed claim keeps its costs and trace and gains { reversedAt, reversedBy, reversalReason? };
+ * its accumulator posting is backed out with reverseClaimPosting(). A rebill is a new claim whose
+ * originalClaimId points at the reversed claim it replaces
+ */
+
+/**
+ * Statuses of claims the plan paid; only these post to the accumulators and can be reversed
+ */
+export const PAID_CLAIM_STATUSES = [ClaimStatus.APPROVED, ClaimStatus.DEDUCTIBLE_NOT_MET];
+
+/**
+ * Checks if the plan paid a claim
+ * @param {Object} claim - Stored claim
+ * @returns {boolean} True for approved claims, including those applied to the deductible
+ */
+export function isPaidClaim(claim) {
+  return PAID_CLAIM_STATUSES.includes(claim.status);
+}
+
+/**
+ * Marks a paid claim as reversed
+ * @param {Object} claim - Stored claim
+ * @param {Object} options - { actor, reason?, timestamp? }
+ * @param {string} options.actor - Who reversed it (account ID)
+ * @returns {Object} Success response with the reversed claim, or an error response
+ */
+export function reverseClaim(claim, options = {}) {
+  if (!options.actor) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'An actor is required to reverse a claim');
+  }
+
+  if (claim.status === ClaimStatus.REVERSED) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      `Claim ${claim.id} was already reversed on ${claim.reversedAt}`
+    );
+  }
+
+  if (!isPaidClaim(claim)) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      `Only paid claims can be reversed; this claim is ${claim.status}`
+    );
+  }
+
+  return createSuccessResponse({
+    ...claim,
+    status: ClaimStatus.REVERSED,
+    reversedAt: options.timestamp || getCurrentDateTime(),
+    reversedBy: options.actor,
+    reversalReason: options.reason || undefined
+  });
+}
+
+/**
+ * Finds the fill a claim paid for, the one recorded with the claim's ID
+ * @param {Object} claim - Stored claim
+ * @param {Object[]} fillHistory - Fill records
+ * @returns {Object|null} Fill, or null when no dispense was recorded for the claim
+ */
+export function findClaimFill(claim, fillHistory) {
+  return getPrescriptionFills(fillHistory, claim.prescriptionId).find((fill) => fill.claimId === claim.id) || null;
+}
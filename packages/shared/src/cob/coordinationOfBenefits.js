@@ -0,0 +1,130 @@
+import { CoverageOrder, ErrorCode } from '../constants.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { formatCurrency, getCurrentDate } from '../utils/common.js';
+import { isInsuranceActive } from '../validators/insuranceValidator.js';
+import { adjudicateClaim, isBlockingDenialReason } from '../adjudication/adjudicationEngine.js';
+
+/**
+ * Coordination of Benefits
+ * Bills a claim to each of a patient's plans in coverage order: the primary adjudicates the full cost,
+ * and whatever it leaves to the patient is billed to the secondary, then the tertiary
+ */
+
+/**
+ * Coverage orders in the order they are billed
+ */
+export const COVERAGE_ORDER_SEQUENCE = [CoverageOrder.PRIMARY, CoverageOrder.SECONDARY, CoverageOrder.TERTIARY];
+
+/**
+ * Gets the order a plan pays in; plans without one are primary
+ * @param {Object} insurance - Insurance object
+ * @returns {string} Value from CoverageOrder
+ */
+export function getCoverageOrder(insurance) {
+  return insurance.coverageOrder || CoverageOrder.PRIMARY;
+}
+
+/**
+ * Lists the plans active on a date in the order they are billed
+ * @param {Object[]} plans - Insurance plans of one patient
+ * @param {string} [date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {Object[]} Active plans, primary first
+ */
+export function rankCoverages(plans, date = getCurrentDate()) {
+  return (plans || [])
+    .filter((plan) => isInsuranceActive(plan, date))
+    .sort((a, b) => COVERAGE_ORDER_SEQUENCE.indexOf(getCoverageOrder(a)) - COVERAGE_ORDER_SEQUENCE.indexOf(getCoverageOrder(b)));
+}
+
+/**
+ * Checks if two plans cover any of the same days
+ */
+function coveragePeriodsOverlap(a, b) {
+  return a.effectiveDate <= (b.terminationDate || '9999-12-31')
+    && b.effectiveDate <= (a.terminationDate || '9999-12-31');
+}
+
+/**
+ * Finds another plan of the same patient that holds the same coverage order over an overlapping period
+ * Plans marked inactive never conflict
+ * @param {Object[]} plans - The patient's existing plans
+ * @param {Object} insurance - Plan being created or updated
+ * @returns {Object|null} Conflicting plan, or null when the coverage order is free
+ */
+export function findCoverageOrderConflict(plans, insurance) {
+  if (insurance.isActive === false) return null;
+
+  return (plans || []).find((plan) => (
+    plan.id !== insurance.id
+    && plan.isActive !== false
+    && getCoverageOrder(plan) === getCoverageOrder(insurance)
+    && coveragePeriodsOverlap(plan, insurance)
+  )) || null;
+}
+
+/**
+ * Describes one payer's part of a coordinated claim
+ */
+function describePayer(payer) {
+  const label = `${payer.coverageOrder.charAt(0)}${payer.coverageOrder.slice(1).toLowerCase()} plan ${payer.planName}`;
+
+  if (payer.denialReasons.some(isBlockingDenialReason)) {
+    return `${label} was billed ${formatCurrency(payer.costs.drugCost)} and denied the claim (${payer.denialReason})`;
+  }
+
+  return `${label} was billed ${formatCurrency(payer.costs.drugCost)} and paid ${formatCurrency(payer.costs.planPay)}`;
+}
+
+/**
+ * Adjudicates a claim against each active plan in coverage order
+ * A payer that denies the claim leaves the full billed amount to the next payer. Billing stops
+ * once nothing is left for the patient to pay
+ * @param {Object} prescription - Prescription being billed
+ * @param {Object[]} plans - The patient's insurance plans, in any order
+ * @param {Object} context - Same inputs as adjudicateClaim(); drugCost is what the primary is billed.
+ *   accumulatorLedger may hold postings for every plan
+ * @returns {Object} Success response with { status, payers, costs: { drugCost, planPay, patientPay }, explanation },
+ *   or an error response when no plan is active on the date of service.
+ *   Each payer is an adjudicateClaim() result plus insuranceId, coverageOrder and planName
+ */
+export function coordinateBenefits(prescription, plans, context = {}) {
+  const date = context.date || getCurrentDate();
+  const ranked = rankCoverages(plans, date);
+  if (ranked.length === 0) {
+    return createErrorResponse(ErrorCode.INSURANCE_INACTIVE, `No insurance plan is active on ${date}`);
+  }
+
+  const drugCost = context.drugCost || 0;
+  const payers = [];
+  let remaining = drugCost;
+
+  for (const insurance of ranked) {
+    if (payers.length > 0 && remaining === 0) break;
+
+    const adjudication = adjudicateClaim(prescription, insurance, { ...context, date, drugCost: remaining });
+    payers.push({
+      insuranceId: insurance.id,
+      coverageOrder: getCoverageOrder(insurance),
+      planName: insurance.planName,
+      ...adjudication
+    });
+    remaining = adjudication.costs.patientPay;
+  }
+
+  const paidBy = payers.find((payer) => !payer.denialReasons.some(isBlockingDenialReason));
+  const planPay = payers.reduce((total, payer) => total + payer.costs.planPay, 0);
+  const notBilled = ranked.slice(payers.length).map((insurance) => (
+    `${insurance.planName} was not billed, nothing was left to pay`
+  ));
+
+  return createSuccessResponse({
+    status: (paidBy || payers[0]).status,
+    payers,
+    costs: { drugCost, planPay, patientPay: remaining },
+    explanation: [
+      ...payers.map(describePayer),
+      ...notBilled,
+      `Patient pays ${formatCurrency(remaining)} of ${formatCurrency(drugCost)}`
+    ]
+  });
+}
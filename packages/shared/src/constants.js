@@ -12,6 +12,16 @@ export const InsurancePlanType = {
   HDHP: 'HDHP',       // High Deductible Health Plan
 };
 
+/**
+ * Coverage Order
+ * Order in which a patient's plans pay under coordination of benefits
+ */
+export const CoverageOrder = {
+  PRIMARY: 'PRIMARY',     // Billed first
+  SECONDARY: 'SECONDARY', // Billed for what the primary left to the patient
+  TERTIARY: 'TERTIARY',   // Billed for what the secondary left to the patient
+};
+
 /**
  * Prescription Status
  * Tracks the lifecycle of a prescription from creation to fulfillment
@@ -27,6 +37,29 @@ export const PrescriptionStatus = {
   CANCELLED: 'CANCELLED',                   // Prescription cancelled
 };
 
+/**
+ * Prior Authorization Status
+ * Tracks a prior authorization request from submission to decision
+ */
+export const PriorAuthStatus = {
+  REQUESTED: 'REQUESTED',               // Submitted by the prescriber, awaiting review
+  MORE_INFO_NEEDED: 'MORE_INFO_NEEDED', // Plan asked clinical questions
+  APPROVED: 'APPROVED',                 // Approved for a validity window
+  DENIED: 'DENIED',                     // Plan denied the request
+  EXPIRED: 'EXPIRED',                   // Approval window has passed
+};
+
+/**
+ * Controlled Substance Schedules
+ * DEA schedules that shorten how long a prescription stays valid
+ */
+export const ControlledSubstanceSchedule = {
+  C_II: 'C-II',   // High abuse potential, no refills (e.g. oxycodone)
+  C_III: 'C-III', // Moderate abuse potential (e.g. testosterone)
+  C_IV: 'C-IV',   // Low abuse potential (e.g. alprazolam)
+  C_V: 'C-V',     // Lowest abuse potential (e.g. pregabalin)
+};
+
 /**
  * Medication Form Types
  * Different physical forms medications can take
@@ -42,6 +75,45 @@ export const MedicationForm = {
   OTHER: 'OTHER',
 };
 
+/**
+ * Drug Tiers
+ * Formulary tiers that determine how much of the cost the patient shares
+ */
+export const DrugTier = {
+  GENERIC: 'GENERIC',                         // Tier 1: lowest copay
+  PREFERRED_BRAND: 'PREFERRED_BRAND',         // Tier 2: brand drugs the plan prefers
+  NON_PREFERRED_BRAND: 'NON_PREFERRED_BRAND', // Tier 3: brand drugs with cheaper alternatives
+  SPECIALTY: 'SPECIALTY',                     // Tier 4: high-cost drugs, usually coinsurance
+};
+
+/**
+ * NPI Entity Types
+ * NPPES entity type codes for providers
+ */
+export const NpiEntityType = {
+  INDIVIDUAL: 1,   // Prescribers and other individual providers
+  ORGANIZATION: 2, // Pharmacies, clinics, hospitals
+};
+
+/**
+ * Pharmacy Types
+ * How a pharmacy dispenses to patients
+ */
+export const PharmacyType = {
+  RETAIL: 'RETAIL',           // Walk-in community pharmacy
+  MAIL_ORDER: 'MAIL_ORDER',   // Ships to the patient, usually 90-day supplies
+  SPECIALTY: 'SPECIALTY',     // Handles high-cost drugs needing special handling
+};
+
+/**
+ * Pharmacy Network Status
+ * Whether a pharmacy is in a plan's network on the date of service
+ */
+export const NetworkStatus = {
+  IN_NETWORK: 'IN_NETWORK',
+  OUT_OF_NETWORK: 'OUT_OF_NETWORK',
+};
+
 /**
  * Claim Status
  * Represents the final decision from the insurance company/PBM
@@ -55,6 +127,7 @@ export const ClaimStatus = {
   DEDUCTIBLE_NOT_MET: 'DEDUCTIBLE_NOT_MET',           // Patient hasn't met deductible yet
   INVALID_INSURANCE: 'INVALID_INSURANCE',             // Insurance info is invalid or inactive
   PENDING: 'PENDING',                                 // Claim submitted, awaiting adjudication
+  REVERSED: 'REVERSED',                               // Paid claim voided by the pharmacy, amounts backed out
 };
 
 /**
@@ -74,6 +147,7 @@ export const DenialReason = {
   QUANTITY_LIMIT_EXCEEDED: 'QUANTITY_LIMIT_EXCEEDED',
   REFILL_TOO_SOON: 'REFILL_TOO_SOON',
   AGE_RESTRICTION: 'AGE_RESTRICTION',
+  PHARMACY_OUT_OF_NETWORK: 'PHARMACY_OUT_OF_NETWORK',
 
   // Financial issues
   DEDUCTIBLE_NOT_MET: 'DEDUCTIBLE_NOT_MET',
@@ -90,6 +164,39 @@ export const DenialReason = {
   NONE: 'NONE', // No denial reason (claim approved)
 };
 
+/**
+ * User Roles
+ * What an account represents; each role sees a different slice of the records
+ */
+export const UserRole = {
+  PATIENT: 'PATIENT',       // Sees only their own records
+  PHARMACIST: 'PHARMACIST', // Manages prescriptions and claims at one pharmacy
+  INSURER: 'INSURER',       // Adjudicates claims for the plans it administers
+  ADMIN: 'ADMIN',           // Sets up accounts and pharmacies
+};
+
+/**
+ * Audit Actions
+ * What an account did with a record in the audit log
+ */
+export const AuditAction = {
+  READ: 'READ',     // Record was returned to the account
+  CREATE: 'CREATE', // Record was created
+  UPDATE: 'UPDATE', // Record was changed, including status changes, fills and transfers
+  DELETE: 'DELETE', // Record was deleted
+};
+
+/**
+ * Audit Subject Types
+ * Kinds of records whose access and changes are audited
+ */
+export const AuditSubjectType = {
+  USER: 'USER',                 // Patient profile
+  INSURANCE: 'INSURANCE',       // Insurance plan
+  PRESCRIPTION: 'PRESCRIPTION', // Prescription, with its fills and transfers
+  CLAIM: 'CLAIM',               // Adjudicated claim
+};
+
 /**
  * Error Codes
  * Standard error codes used throughout the application
@@ -108,6 +215,12 @@ export const ErrorCode = {
   PRESCRIPTION_INACTIVE: 'PRESCRIPTION_INACTIVE',
   CLAIM_DENIED: 'CLAIM_DENIED',
   PRIOR_AUTH_REQUIRED: 'PRIOR_AUTH_REQUIRED',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  REFILL_TOO_SOON: 'REFILL_TOO_SOON',
+  NO_REFILLS_REMAINING: 'NO_REFILLS_REMAINING',
+  TRANSFER_NOT_ALLOWED: 'TRANSFER_NOT_ALLOWED',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  REQUEST_IN_PROGRESS: 'REQUEST_IN_PROGRESS',
 
   // Server errors (5xx)
   INTERNAL_ERROR: 'INTERNAL_ERROR',
@@ -115,3 +228,32 @@ export const ErrorCode = {
   EXTERNAL_SERVICE_ERROR: 'EXTERNAL_SERVICE_ERROR',
 };
 
+/**
+ * Validation Error Codes
+ * Machine-readable reason attached to each field error so clients can translate the message
+ */
+export const ValidationErrorCode = {
+  REQUIRED: 'REQUIRED',                     // Field is missing or blank
+  INVALID_FORMAT: 'INVALID_FORMAT',         // Value does not match the expected pattern (email, date, NDC...)
+  INVALID_OPTION: 'INVALID_OPTION',         // Value is not one of the allowed choices
+  TOO_LONG: 'TOO_LONG',                     // Text exceeds the maximum length
+  OUT_OF_RANGE: 'OUT_OF_RANGE',             // Number is negative, zero or outside its bounds
+  EXCEEDS_LIMIT: 'EXCEEDS_LIMIT',           // Value is larger than a related field allows
+  INVALID_DATE_RANGE: 'INVALID_DATE_RANGE', // End date is not after the start date
+  NOT_REGISTERED: 'NOT_REGISTERED',         // Identifier is not in the provider registry
+  WRONG_ENTITY_TYPE: 'WRONG_ENTITY_TYPE',   // Provider is an individual where an organization is needed, or vice versa
+  INACTIVE: 'INACTIVE',                     // Provider exists but is no longer active
+  INCONSISTENT: 'INCONSISTENT',             // Value disagrees with related fields (e.g. days supply vs. quantity and sig)
+};
+
+
+/**
+ * Adjudication Rule Outcomes
+ * Result of a single rule in the claim adjudication trace
+ */
+export const RuleOutcome = {
+  PASSED: 'PASSED',   // Rule checked and claim is fine
+  DENIED: 'DENIED',   // Rule failed and blocks the claim
+  APPLIED: 'APPLIED', // Financial rule adjusted the cost split
+  SKIPPED: 'SKIPPED', // Rule did not apply (missing data or claim already blocked)
+};
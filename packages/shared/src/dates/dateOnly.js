@@ -0,0 +1,241 @@
+/**
+ * Date-Only Utilities
+ * Calendar arithmetic on YYYY-MM-DD strings without time components or time zones
+ *
+ * Building a Date from 'YYYY-MM-DD' gives UTC midnight, which is the previous evening west of Greenwich,
+ * and Date silently rolls 2023-02-31 over to March 3. Everything here works on the year, month and day
+ * numbers instead; the only place a time zone matters is deciding what today's date is
+ */
+
+/**
+ * Kinds of benefit period
+ */
+export const BenefitPeriodType = {
+  CALENDAR_YEAR: 'CALENDAR_YEAR', // January 1 to December 31
+  PLAN_YEAR: 'PLAN_YEAR',         // Twelve months from the first day of another month
+};
+
+/**
+ * Day numbers (see toDayNumber) of 1970-01-01 relative to 0000-03-01, and the weekday of 1970-01-01
+ */
+const EPOCH_OFFSET_DAYS = 719468;
+const EPOCH_WEEKDAY = 4;
+
+/**
+ * Checks if a year is a leap year in the Gregorian calendar
+ * @param {number} year - Year
+ * @returns {boolean} True for leap years
+ */
+export function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} 28 to 31
+ */
+export function getDaysInMonth(year, month) {
+  if (month === 2) return isLeapYear(year) ? 29 : 28;
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Splits a date into its parts, rejecting days the month does not have
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} { year, month, day }, or null when the date is malformed or does not exist
+ */
+export function parseDateOnly(date) {
+  const match = typeof date === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(date) : null;
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) return null;
+  return { year, month, day };
+}
+
+/**
+ * Checks if a value is a YYYY-MM-DD date that exists in the calendar
+ * @param {string} date - Value to check
+ * @returns {boolean} True for real dates; false for 2023-02-31
+ */
+export function isValidDateOnly(date) {
+  return parseDateOnly(date) !== null;
+}
+
+/**
+ * Joins date parts into YYYY-MM-DD
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function formatDateOnly(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a date, throwing for anything that is not a real YYYY-MM-DD date
+ */
+function requireDate(date) {
+  const parts = parseDateOnly(date);
+  if (!parts) {
+    throw new RangeError(`Invalid date "${date}", expected a YYYY-MM-DD calendar date`);
+  }
+  return parts;
+}
+
+/**
+ * Counts days since 1970-01-01
+ * Uses the proleptic Gregorian calendar counted from March, so leap days fall at the end of each year
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} Day number, negative before 1970
+ */
+export function toDayNumber(date) {
+  const { year, month, day } = requireDate(date);
+  const marchYear = month <= 2 ? year - 1 : year;
+  const era = Math.floor(marchYear / 400);
+  const yearOfEra = marchYear - era * 400;
+  const dayOfYear = Math.floor((153 * ((month + 9) % 12) + 2) / 5) + day - 1;
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - EPOCH_OFFSET_DAYS;
+}
+
+/**
+ * Converts a day number back to a date
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function fromDayNumber(dayNumber) {
+  const days = dayNumber + EPOCH_OFFSET_DAYS;
+  const era = Math.floor(days / 146097);
+  const dayOfEra = days - era * 146097;
+  const yearOfEra = Math.floor((dayOfEra - Math.floor(dayOfEra / 1460) + Math.floor(dayOfEra / 36524) - Math.floor(dayOfEra / 146096)) / 365);
+  const dayOfYear = dayOfEra - (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+  const marchMonth = Math.floor((5 * dayOfYear + 2) / 153);
+  const day = dayOfYear - Math.floor((153 * marchMonth + 2) / 5) + 1;
+  const month = marchMonth < 10 ? marchMonth + 3 : marchMonth - 9;
+  return formatDateOnly(yearOfEra + era * 400 + (month <= 2 ? 1 : 0), month, day);
+}
+
+/**
+ * Adds days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Whole days to add, negative to subtract
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addCalendarDays(date, days) {
+  return fromDayNumber(toDayNumber(date) + days);
+}
+
+/**
+ * Adds months to a date, keeping the day of the month where it exists
+ * Days past the end of the target month land on its last day, so January 31 plus one month is February 28 or 29
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} months - Whole months to add, negative to subtract
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addCalendarMonths(date, months) {
+  const { year, month, day } = requireDate(date);
+  const monthIndex = year * 12 + (month - 1) + months;
+  const targetYear = Math.floor(monthIndex / 12);
+  const targetMonth = monthIndex - targetYear * 12 + 1;
+  return formatDateOnly(targetYear, targetMonth, Math.min(day, getDaysInMonth(targetYear, targetMonth)));
+}
+
+/**
+ * Counts the days from one date to another
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Days, negative when to is before from
+ */
+export function daysBetween(from, to) {
+  return toDayNumber(to) - toDayNumber(from);
+}
+
+/**
+ * Compares two dates
+ * @param {string} a - Date (YYYY-MM-DD)
+ * @param {string} b - Date (YYYY-MM-DD)
+ * @returns {number} Negative when a is earlier, 0 when equal, positive when a is later
+ */
+export function compareDates(a, b) {
+  return daysBetween(b, a);
+}
+
+/**
+ * Checks if a date falls in a range; a missing end leaves the range open
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @param {string} startDate - First day of the range (YYYY-MM-DD)
+ * @param {string} [endDate] - Last day of the range (YYYY-MM-DD), inclusive
+ * @returns {boolean} True if startDate <= date <= endDate
+ */
+export function isDateInRange(date, startDate, endDate) {
+  return compareDates(date, startDate) >= 0 && (!endDate || compareDates(date, endDate) <= 0);
+}
+
+/**
+ * Gets the day of the week
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} 0 for Sunday to 6 for Saturday
+ */
+export function getDayOfWeek(date) {
+  return (((toDayNumber(date) + EPOCH_WEEKDAY) % 7) + 7) % 7;
+}
+
+/**
+ * Gets today's date on the calendar of a time zone
+ * @param {string} [timeZone] - IANA time zone, e.g. America/Chicago; defaults to the runtime's own (TZ on a server)
+ * @param {Date} [now] - Instant to convert, defaults to now
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function getToday(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+  return formatDateOnly(Number(parts.year), Number(parts.month), Number(parts.day));
+}
+
+/**
+ * Computes an exact age
+ * Someone born on February 29 turns a year older on March 1 in common years
+ * @param {string} dateOfBirth - Date of birth (YYYY-MM-DD)
+ * @param {string} asOfDate - Date to measure age on (YYYY-MM-DD)
+ * @returns {Object} { years, months, days } completed since birth, all 0 before birth
+ */
+export function getExactAge(dateOfBirth, asOfDate) {
+  const birth = requireDate(dateOfBirth);
+  const asOf = requireDate(asOfDate);
+  if (compareDates(asOfDate, dateOfBirth) < 0) {
+    return { years: 0, months: 0, days: 0 };
+  }
+
+  const totalMonths = (asOf.year - birth.year) * 12 + (asOf.month - birth.month) - (asOf.day < birth.day ? 1 : 0);
+  return {
+    years: Math.floor(totalMonths / 12),
+    months: totalMonths % 12,
+    days: daysBetween(addCalendarMonths(dateOfBirth, totalMonths), asOfDate)
+  };
+}
+
+/**
+ * Gets the benefit period that contains a date
+ * Deductibles and out-of-pocket maximums reset at the start of each period
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} [startMonth] - Month the period starts on the first of (1-12), defaults to January
+ * @returns {Object} { type, startDate, endDate } where type is a BenefitPeriodType and the dates are inclusive
+ */
+export function getBenefitPeriod(date, startMonth = 1) {
+  const { year, month } = requireDate(date);
+  const startYear = month >= startMonth ? year : year - 1;
+  const startDate = formatDateOnly(startYear, startMonth, 1);
+
+  return {
+    type: startMonth === 1 ? BenefitPeriodType.CALENDAR_YEAR : BenefitPeriodType.PLAN_YEAR,
+    startDate,
+    endDate: addCalendarDays(addCalendarMonths(startDate, 12), -1)
+  };
+}
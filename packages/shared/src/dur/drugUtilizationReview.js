@@ -0,0 +1,438 @@
+import { PrescriptionStatus, ValidationErrorCode } from '../constants.js';
+import { normalizeNDC } from '../ndc/ndc.js';
+import { isValidDate } from '../validators/userValidator.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { createSuccessResponse, createValidationErrorResponse } from '../utils/apiResponse.js';
+import { calculateAge, getCurrentDate, getCurrentDateTime } from '../utils/common.js';
+import { getPrescriptionExpirationDate } from '../refills/fillHistory.js';
+
+/**
+ * Drug Utilization Review (DUR)
+ * Checks a prescription against the patient's other active prescriptions and age before it is filled
+ *
+ * DUR data looks like:
+ * {
+ *   therapeuticClasses: [{ code, name, duplicateSeverity }],
+ *   drugs: [{ ingredient, names: ['Lipitor'], ndcs: [...], therapeuticClass, ageRestriction?: { minimumAge?, maximumAge?, severity, description } }],
+ *   interactions: [{ ingredients: ['warfarin', 'ibuprofen'], severity, description, management }]
+ * }
+ * Ages are whole years and both limits are inclusive
+ */
+
+/**
+ * DUR alert severity, most serious first
+ */
+export const DurSeverity = {
+  CONTRAINDICATED: 'CONTRAINDICATED', // Do not dispense without prescriber confirmation
+  MAJOR: 'MAJOR',                     // Potentially harmful, needs pharmacist review
+  MODERATE: 'MODERATE',               // May need monitoring or counseling
+  MINOR: 'MINOR',                     // Informational
+};
+
+/**
+ * Severities the pharmacist must acknowledge before dispensing
+ */
+export const BLOCKING_DUR_SEVERITIES = [DurSeverity.CONTRAINDICATED, DurSeverity.MAJOR];
+
+/**
+ * Kinds of DUR conflict
+ */
+export const DurAlertType = {
+  DRUG_INTERACTION: 'DRUG_INTERACTION',               // Two active drugs interact
+  THERAPEUTIC_DUPLICATION: 'THERAPEUTIC_DUPLICATION', // Two active drugs are in the same class
+  AGE_PRECAUTION: 'AGE_PRECAUTION',                   // Drug is restricted at the patient's age
+};
+
+/**
+ * NCPDP Reason for Service Codes (439-E4) sent with an override for each alert type
+ */
+export const DUR_REASON_FOR_SERVICE_CODES = {
+  [DurAlertType.DRUG_INTERACTION]: 'DD',
+  [DurAlertType.THERAPEUTIC_DUPLICATION]: 'TD',
+  [DurAlertType.AGE_PRECAUTION]: 'PA',
+};
+
+/**
+ * NCPDP Professional Service Codes (440-E5): what the pharmacist did about an alert
+ */
+export const DurProfessionalServiceCode = {
+  NO_INTERVENTION: '00',
+  MEDICATION_REVIEW: 'MR',
+  PRESCRIBER_CONSULTED: 'M0',
+  PATIENT_CONSULTED: 'P0',
+  PHARMACIST_CONSULTED_OTHER_SOURCE: 'R0',
+};
+
+/**
+ * NCPDP Result of Service Codes (441-E6): what happened to the prescription
+ * Codes starting with 1 mean it was filled, codes starting with 2 mean it was not
+ */
+export const DurResultOfServiceCode = {
+  FILLED_FALSE_POSITIVE: '1A',
+  FILLED_AS_IS: '1B',
+  FILLED_DIFFERENT_DOSE: '1C',
+  FILLED_DIFFERENT_DIRECTIONS: '1D',
+  FILLED_PRESCRIBER_APPROVAL: '1G',
+  NOT_FILLED: '2A',
+  NOT_FILLED_DIRECTIONS_CLARIFIED: '2B',
+};
+
+/**
+ * Prescription statuses that no longer count as active therapy
+ */
+const INACTIVE_PRESCRIPTION_STATUSES = [PrescriptionStatus.CANCELLED, PrescriptionStatus.DENIED];
+
+/**
+ * Checks if a DUR severity is valid
+ * @param {string} severity - Severity to validate
+ * @returns {boolean} True if valid severity
+ */
+export function isValidDurSeverity(severity) {
+  return Object.values(DurSeverity).includes(severity);
+}
+
+/**
+ * Builds a DUR dataset keyed by ingredient from raw data
+ * Invalid records are left out and reported in errors
+ * @param {Object} data - { therapeuticClasses, drugs, interactions }
+ * @returns {Object} { dataset, errors: string[] }
+ */
+export function loadDurDataset(data) {
+  const errors = [];
+  const dataset = { therapeuticClasses: {}, drugs: {}, ndcIndex: {}, interactions: {} };
+
+  (data.therapeuticClasses || []).forEach((therapeuticClass, index) => {
+    if (!therapeuticClass.code) {
+      errors.push(`Therapeutic class ${index + 1}: code is required`);
+      return;
+    }
+
+    dataset.therapeuticClasses[therapeuticClass.code] = {
+      code: therapeuticClass.code,
+      name: therapeuticClass.name || therapeuticClass.code,
+      duplicateSeverity: isValidDurSeverity(therapeuticClass.duplicateSeverity)
+        ? therapeuticClass.duplicateSeverity
+        : DurSeverity.MODERATE
+    };
+  });
+
+  (data.drugs || []).forEach((drug, index) => {
+    const label = `Drug ${index + 1}`;
+
+    if (!drug.ingredient) {
+      errors.push(`${label}: ingredient is required`);
+      return;
+    }
+
+    if (drug.therapeuticClass && !dataset.therapeuticClasses[drug.therapeuticClass]) {
+      errors.push(`${label}: unknown therapeutic class "${drug.therapeuticClass}"`);
+      return;
+    }
+
+    if (drug.ageRestriction && !isValidDurSeverity(drug.ageRestriction.severity)) {
+      errors.push(`${label}: invalid age restriction severity. Must be one of: ${Object.values(DurSeverity).join(', ')}`);
+      return;
+    }
+
+    const ndcs = (drug.ndcs || []).map(normalizeNDC);
+    if (ndcs.includes(null)) {
+      errors.push(`${label}: NDC must be a 10-digit (4-4-2, 5-3-2, 5-4-1) or 11-digit (5-4-2) code`);
+      return;
+    }
+
+    const ingredient = drug.ingredient.toLowerCase();
+    dataset.drugs[ingredient] = {
+      ingredient,
+      names: (drug.names || []).map((name) => name.toLowerCase()),
+      therapeuticClass: drug.therapeuticClass || null,
+      ageRestriction: drug.ageRestriction || null
+    };
+    ndcs.forEach((ndc) => {
+      dataset.ndcIndex[ndc] = ingredient;
+    });
+  });
+
+  (data.interactions || []).forEach((interaction, index) => {
+    const label = `Interaction ${index + 1}`;
+    const ingredients = (interaction.ingredients || []).map((ingredient) => ingredient.toLowerCase());
+
+    if (ingredients.length !== 2 || ingredients.some((ingredient) => !dataset.drugs[ingredient])) {
+      errors.push(`${label}: must name two known ingredients`);
+      return;
+    }
+
+    if (!isValidDurSeverity(interaction.severity)) {
+      errors.push(`${label}: invalid severity. Must be one of: ${Object.values(DurSeverity).join(', ')}`);
+      return;
+    }
+
+    dataset.interactions[getInteractionKey(...ingredients)] = {
+      ingredients: [...ingredients].sort(),
+      severity: interaction.severity,
+      description: interaction.description,
+      management: interaction.management || undefined
+    };
+  });
+
+  return { dataset, errors };
+}
+
+/**
+ * Builds the order-independent lookup key for a pair of ingredients
+ */
+function getInteractionKey(first, second) {
+  return [first, second].sort().join('+');
+}
+
+/**
+ * Finds the DUR drug record for a prescription
+ * Matches on NDC first, then on the ingredient or a brand name appearing in the medication name
+ * @param {Object} dataset - Dataset from loadDurDataset()
+ * @param {Object} prescription - Prescription with medicationName and optional ndc
+ * @returns {Object|null} Drug record or null when the drug is not in the dataset
+ */
+export function findDurDrug(dataset, prescription) {
+  const ndc = prescription.ndc && normalizeNDC(prescription.ndc);
+  if (ndc && dataset.ndcIndex[ndc]) {
+    return dataset.drugs[dataset.ndcIndex[ndc]];
+  }
+
+  // Pad with spaces so "Lipitor 10mg" matches "lipitor" but "Codeinex" does not match "codeine"
+  const words = ` ${String(prescription.medicationName || '').toLowerCase().replace(/[^a-z/]+/g, ' ')} `;
+  return Object.values(dataset.drugs).find((drug) =>
+    [drug.ingredient, ...drug.names].some((name) => words.includes(` ${name} `))
+  ) || null;
+}
+
+/**
+ * Checks if a prescription still counts as active therapy on a date
+ * Cancelled, denied and expired prescriptions are not active
+ * @param {Object} prescription - Prescription to check
+ * @param {string} [date] - Date to check (YYYY-MM-DD), defaults to today
+ * @returns {boolean} True if active
+ */
+export function isActivePrescription(prescription, date = getCurrentDate()) {
+  if (INACTIVE_PRESCRIPTION_STATUSES.includes(prescription.status)) return false;
+  if (!prescription.prescribedDate) return true;
+  return date <= getPrescriptionExpirationDate(prescription);
+}
+
+/**
+ * Builds an alert with its stable ID and NCPDP reason code
+ * The ID depends only on what conflicts, so an acknowledgement still matches when DUR is re-run
+ */
+function createDurAlert(type, key, severity, details) {
+  return {
+    id: `${DUR_REASON_FOR_SERVICE_CODES[type]}:${key}`,
+    type,
+    reasonForServiceCode: DUR_REASON_FOR_SERVICE_CODES[type],
+    severity,
+    requiresAcknowledgement: BLOCKING_DUR_SEVERITIES.includes(severity),
+    ...details
+  };
+}
+
+/**
+ * Finds interactions between a drug and the patient's other active drugs
+ * @param {Object} dataset - Dataset from loadDurDataset()
+ * @param {Object} drug - Drug record from findDurDrug()
+ * @param {Object[]} others - [{ prescription, drug }] for the other active prescriptions
+ * @returns {Object[]} DUR alerts
+ */
+export function checkDrugInteractions(dataset, drug, others) {
+  const alerts = {};
+
+  others.forEach(({ prescription, drug: otherDrug }) => {
+    const key = getInteractionKey(drug.ingredient, otherDrug.ingredient);
+    const interaction = dataset.interactions[key];
+    if (!interaction) return;
+
+    alerts[key] = alerts[key] || createDurAlert(DurAlertType.DRUG_INTERACTION, key, interaction.severity, {
+      message: `${interaction.severity} interaction between ${drug.ingredient} and ${otherDrug.ingredient}`,
+      description: interaction.description,
+      management: interaction.management,
+      conflictingPrescriptionIds: []
+    });
+    alerts[key].conflictingPrescriptionIds.push(prescription.id);
+  });
+
+  return Object.values(alerts);
+}
+
+/**
+ * Finds other active drugs in the same therapeutic class
+ * Refills of the same ingredient are not duplicates; a second prescription for it is
+ * @param {Object} dataset - Dataset from loadDurDataset()
+ * @param {Object} drug - Drug record from findDurDrug()
+ * @param {Object[]} others - [{ prescription, drug }] for the other active prescriptions
+ * @returns {Object[]} DUR alerts (at most one)
+ */
+export function checkTherapeuticDuplication(dataset, drug, others) {
+  if (!drug.therapeuticClass) return [];
+
+  const duplicates = others.filter(({ drug: otherDrug }) => otherDrug.therapeuticClass === drug.therapeuticClass);
+  if (duplicates.length === 0) return [];
+
+  const therapeuticClass = dataset.therapeuticClasses[drug.therapeuticClass];
+  const ingredients = [...new Set(duplicates.map(({ drug: otherDrug }) => otherDrug.ingredient))];
+
+  return [createDurAlert(DurAlertType.THERAPEUTIC_DUPLICATION, therapeuticClass.code, therapeuticClass.duplicateSeverity, {
+    message: `Patient already has an active ${therapeuticClass.name} prescription (${ingredients.join(', ')})`,
+    description: `More than one drug from ${therapeuticClass.name}`,
+    conflictingPrescriptionIds: duplicates.map(({ prescription }) => prescription.id)
+  })];
+}
+
+/**
+ * Checks a drug's age restriction against the patient's age
+ * @param {Object} drug - Drug record from findDurDrug()
+ * @param {Object} patient - User with dateOfBirth
+ * @param {string} [date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {Object[]} DUR alerts (at most one)
+ */
+export function checkAgeRestriction(drug, patient, date = getCurrentDate()) {
+  const restriction = drug.ageRestriction;
+  if (!restriction || !isValidDate(patient?.dateOfBirth)) return [];
+
+  const age = calculateAge(patient.dateOfBirth, date);
+  const tooYoung = restriction.minimumAge !== undefined && age < restriction.minimumAge;
+  const tooOld = restriction.maximumAge !== undefined && age > restriction.maximumAge;
+  if (!tooYoung && !tooOld) return [];
+
+  const limit = tooYoung
+    ? `under ${restriction.minimumAge}`
+    : `over ${restriction.maximumAge}`;
+
+  return [createDurAlert(DurAlertType.AGE_PRECAUTION, drug.ingredient, restriction.severity, {
+    message: `${drug.ingredient} is restricted for patients ${limit}; patient is ${age}`,
+    description: restriction.description,
+    patientAge: age
+  })];
+}
+
+/**
+ * Runs every DUR check for a prescription
+ * Drugs missing from the dataset are reported in unmatchedPrescriptionIds rather than silently passing
+ * @param {Object} prescription - Prescription being filled
+ * @param {Object} options
+ * @param {Object} options.dataset - Dataset from loadDurDataset()
+ * @param {Object[]} [options.otherPrescriptions] - The patient's other prescriptions; inactive ones are ignored
+ * @param {Object} [options.patient] - User with dateOfBirth, needed for age checks
+ * @param {string} [options.date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {Object} { alerts, unmatchedPrescriptionIds: string[] } with alerts ordered most severe first
+ */
+export function runDurReview(prescription, { dataset, otherPrescriptions = [], patient, date = getCurrentDate() }) {
+  const unmatchedPrescriptionIds = [];
+  const drug = findDurDrug(dataset, prescription);
+  if (!drug) {
+    return { alerts: [], unmatchedPrescriptionIds: [prescription.id] };
+  }
+
+  const others = [];
+  otherPrescriptions
+    .filter((other) => other.id !== prescription.id && isActivePrescription(other, date))
+    .forEach((other) => {
+      const otherDrug = findDurDrug(dataset, other);
+      if (otherDrug) {
+        others.push({ prescription: other, drug: otherDrug });
+      } else {
+        unmatchedPrescriptionIds.push(other.id);
+      }
+    });
+
+  const severityOrder = Object.values(DurSeverity);
+  const alerts = [
+    ...checkDrugInteractions(dataset, drug, others),
+    ...checkTherapeuticDuplication(dataset, drug, others),
+    ...checkAgeRestriction(drug, patient, date)
+  ].sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+
+  return { alerts, unmatchedPrescriptionIds };
+}
+
+/**
+ * Validates a pharmacist's acknowledgement of a DUR alert
+ * @param {Object} acknowledgement - { alertId, professionalServiceCode, resultOfServiceCode, acknowledgedBy, note? }
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validateDurAcknowledgement(acknowledgement) {
+  const errors = [];
+  const value = acknowledgement || {};
+  const fieldError = (field, code, message) => createFieldError(field, code, message, value[field]);
+
+  if (!value.alertId) {
+    errors.push(fieldError('alertId', ValidationErrorCode.REQUIRED, 'Alert ID is required'));
+  }
+
+  if (!value.professionalServiceCode) {
+    errors.push(fieldError('professionalServiceCode', ValidationErrorCode.REQUIRED, 'Professional service code is required'));
+  } else if (!Object.values(DurProfessionalServiceCode).includes(value.professionalServiceCode)) {
+    errors.push(fieldError('professionalServiceCode', ValidationErrorCode.INVALID_OPTION,
+      `Invalid professional service code. Must be one of: ${Object.values(DurProfessionalServiceCode).join(', ')}`));
+  }
+
+  if (!value.resultOfServiceCode) {
+    errors.push(fieldError('resultOfServiceCode', ValidationErrorCode.REQUIRED, 'Result of service code is required'));
+  } else if (!Object.values(DurResultOfServiceCode).includes(value.resultOfServiceCode)) {
+    errors.push(fieldError('resultOfServiceCode', ValidationErrorCode.INVALID_OPTION,
+      `Invalid result of service code. Must be one of: ${Object.values(DurResultOfServiceCode).join(', ')}`));
+  }
+
+  if (!value.acknowledgedBy) {
+    errors.push(fieldError('acknowledgedBy', ValidationErrorCode.REQUIRED, 'Acknowledging pharmacist is required'));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Records a pharmacist's acknowledgement on a DUR alert
+ * @param {Object} alert - Alert from runDurReview()
+ * @param {Object} acknowledgement - { professionalServiceCode, resultOfServiceCode, acknowledgedBy, note? }
+ * @returns {Object} Success response with the acknowledged alert, or a validation error response
+ */
+export function acknowledgeDurAlert(alert, acknowledgement) {
+  const input = { ...acknowledgement, alertId: alert.id };
+  const validation = validateDurAcknowledgement(input);
+  if (!validation.isValid) {
+    return createValidationErrorResponse(validation.errors);
+  }
+
+  return createSuccessResponse({
+    ...alert,
+    acknowledgement: {
+      alertId: alert.id,
+      professionalServiceCode: input.professionalServiceCode,
+      resultOfServiceCode: input.resultOfServiceCode,
+      acknowledgedBy: input.acknowledgedBy,
+      note: input.note || undefined,
+      acknowledgedAt: getCurrentDateTime()
+    }
+  });
+}
+
+/**
+ * Checks if an acknowledgement lets the prescription be dispensed
+ * @param {Object} acknowledgement - Acknowledgement with resultOfServiceCode
+ * @returns {boolean} True when the result of service is a "filled" code
+ */
+export function isDispensingAcknowledgement(acknowledgement) {
+  return Boolean(acknowledgement?.resultOfServiceCode?.startsWith('1'));
+}
+
+/**
+ * Lists alerts that still block dispensing
+ * An alert is resolved by an acknowledgement for its ID with a "filled" result of service
+ * @param {Object[]} alerts - Alerts from runDurReview()
+ * @param {Object[]} [acknowledgements] - Acknowledgements with alertId
+ * @returns {Object[]} Alerts that require acknowledgement and have none that allows dispensing
+ */
+export function getUnresolvedDurAlerts(alerts, acknowledgements = []) {
+  return alerts.filter((alert) =>
+    alert.requiresAcknowledgement
+    && !acknowledgements.some((ack) => ack.alertId === alert.id && isDispensingAcknowledgement(ack))
+  );
+}
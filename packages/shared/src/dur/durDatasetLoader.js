@@ -0,0 +1,22 @@
+import { loadDurDataset } from './drugUtilizationReview.js';
+import { readJsonFile } from '../utils/dataFiles.js';
+
+/**
+ * DUR Dataset File Loader
+ * Reads drug utilization review data from a local JSON file (Node.js only)
+ */
+
+/**
+ * Path to the demo DUR dataset bundled with the shared package
+ */
+export const DEFAULT_DUR_DATASET_FILE = new URL('../../data/dur.json', import.meta.url);
+
+/**
+ * Loads a DUR dataset from a JSON file
+ * @param {string|URL} [filePath] - Path to a { therapeuticClasses, drugs, interactions } JSON file, defaults to the bundled demo dataset
+ * @returns {Promise<Object>} { dataset, errors: string[] }
+ */
+export async function loadDurDatasetFromFile(filePath = DEFAULT_DUR_DATASET_FILE) {
+  const data = await readJsonFile(filePath);
+  return loadDurDataset(data);
+}
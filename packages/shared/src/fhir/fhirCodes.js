@@ -0,0 +1,108 @@
+import { CoverageOrder, MedicationForm, PrescriptionStatus } from '../constants.js';
+
+/**
+ * FHIR Codes
+ * The subset of the HL7 FHIR R4 vocabulary this demo speaks when exchanging records with EHR sandboxes
+ * Code systems published by HL7 are used where one fits; plan types and medication forms have no
+ * standard code system that matches ours, so they use local systems and always carry display text
+ */
+
+/**
+ * FHIR release the mappers target
+ */
+export const FHIR_VERSION = '4.0.1';
+
+/**
+ * Resource types the mappers read and write
+ */
+export const FhirResourceType = {
+  BUNDLE: 'Bundle',
+  PATIENT: 'Patient',
+  COVERAGE: 'Coverage',
+  MEDICATION: 'Medication',
+  MEDICATION_REQUEST: 'MedicationRequest',
+  MEDICATION_DISPENSE: 'MedicationDispense',
+};
+
+/**
+ * Code system and identifier system URIs
+ */
+export const FhirSystem = {
+  NDC: 'http://hl7.org/fhir/sid/ndc',                                          // National Drug Codes
+  NPI: 'http://hl7.org/fhir/sid/us-npi',                                       // National Provider Identifiers
+  COVERAGE_CLASS: 'http://terminology.hl7.org/CodeSystem/coverage-class',      // Coverage.class types
+  ACT_CODE: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',                // Dispense types (first fill, refill)
+  UCUM: 'http://unitsofmeasure.org',                                           // Units of measure
+  PLAN_TYPE: 'urn:medication-management:fhir:insurance-plan-type',             // Local: InsurancePlanType
+  MEDICATION_FORM: 'urn:medication-management:fhir:medication-form',           // Local: MedicationForm
+};
+
+/**
+ * Coverage.class types for the plan identifiers on a pharmacy benefit card
+ */
+export const FhirCoverageClass = {
+  GROUP: 'group',
+  PLAN: 'plan',
+  RX_BIN: 'rxbin',
+  RX_PCN: 'rxpcn',
+};
+
+/**
+ * MedicationDispense.type codes from v3 ActPharmacySupplyType
+ */
+export const FhirDispenseType = {
+  FIRST_FILL: 'FF',
+  REFILL: 'RF',
+};
+
+/**
+ * Coverage.order values for each CoverageOrder
+ */
+export const COVERAGE_ORDER_NUMBERS = {
+  [CoverageOrder.PRIMARY]: 1,
+  [CoverageOrder.SECONDARY]: 2,
+  [CoverageOrder.TERTIARY]: 3,
+};
+
+/**
+ * MedicationRequest.status for each PrescriptionStatus
+ * FHIR only tracks whether the order stands, so every status short of cancelled is active
+ */
+export const PRESCRIPTION_STATUS_REQUEST_STATUSES = {
+  [PrescriptionStatus.PENDING]: 'active',
+  [PrescriptionStatus.SUBMITTED]: 'active',
+  [PrescriptionStatus.APPROVED]: 'active',
+  [PrescriptionStatus.DENIED]: 'active',
+  [PrescriptionStatus.PRIOR_AUTH_REQUIRED]: 'active',
+  [PrescriptionStatus.FILLED]: 'active',
+  [PrescriptionStatus.PICKED_UP]: 'active',
+  [PrescriptionStatus.CANCELLED]: 'cancelled',
+};
+
+/**
+ * MedicationRequest.status values that end the order
+ */
+export const ENDED_REQUEST_STATUSES = ['cancelled', 'stopped', 'entered-in-error'];
+
+/**
+ * Unit a single dose of each form is counted in, the denominator of an amount-per-dose strength
+ * Forms without one count in FHIR_DEFAULT_DOSE_UNIT
+ */
+export const MEDICATION_FORM_DOSE_UNITS = {
+  [MedicationForm.TABLET]: 'tablet',
+  [MedicationForm.CAPSULE]: 'capsule',
+  [MedicationForm.INHALER]: 'actuation',
+};
+
+/**
+ * Dose unit for forms missing from MEDICATION_FORM_DOSE_UNITS
+ */
+export const FHIR_DEFAULT_DOSE_UNIT = 'dose';
+
+/**
+ * Denominator unit of a percentage strength: grams per 100 g for creams, per 100 mL for liquids
+ */
+export const MEDICATION_FORM_PERCENT_UNITS = {
+  [MedicationForm.LIQUID]: 'mL',
+  [MedicationForm.INJECTION]: 'mL',
+};
@@ -0,0 +1,735 @@
+import {
+  InsurancePlanType,
+  MedicationForm,
+  PrescriptionStatus,
+  ValidationErrorCode
+} from '../constants.js';
+import { getCoverageOrder } from '../cob/coordinationOfBenefits.js';
+import { normalizeNDC, toNDC11 } from '../ndc/ndc.js';
+import { StrengthType, parseStrength } from '../strength/medicationStrength.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { isValidDate, normalizeUser, validateUser } from '../validators/userValidator.js';
+import { validateInsurance } from '../validators/insuranceValidator.js';
+import { normalizePrescription, validatePrescription } from '../validators/prescriptionValidator.js';
+import { createSuccessResponse, createValidationErrorResponse } from '../utils/apiResponse.js';
+import { generateSortableId } from '../utils/common.js';
+import {
+  COVERAGE_ORDER_NUMBERS,
+  ENDED_REQUEST_STATUSES,
+  FHIR_DEFAULT_DOSE_UNIT,
+  FhirCoverageClass,
+  FhirDispenseType,
+  FhirResourceType,
+  FhirSystem,
+  MEDICATION_FORM_DOSE_UNITS,
+  MEDICATION_FORM_PERCENT_UNITS,
+  PRESCRIPTION_STATUS_REQUEST_STATUSES,
+} from './fhirCodes.js';
+
+/**
+ * FHIR Mappers
+ * Turns our users, insurance plans, prescriptions and fills into FHIR R4 Patient, Coverage,
+ * MedicationRequest and MedicationDispense resources, and reads them back from a Bundle
+ *
+ * Neither side can say everything the other can, so both directions report mapping losses:
+ * { path, message } for each value that was left out or guessed. Export paths name our record
+ * ("Insurance/<id>.deductible"), import paths name the bundle element ("entry[2].resource.gender").
+ * Exported resources keep our record IDs and reference each other by "urn:uuid:<id>"; imported
+ * records get new IDs, and references are resolved by an entry's fullUrl or "<type>/<id>"
+ */
+
+/**
+ * Resource elements every mapper accepts without reading
+ */
+const IGNORED_ELEMENTS = ['resourceType', 'id', 'meta', 'text', 'implicitRules', 'language'];
+
+/**
+ * Resource elements each importer reads; anything else present is reported as a loss
+ */
+const IMPORTED_ELEMENTS = {
+  [FhirResourceType.PATIENT]: ['name', 'telecom', 'birthDate', 'address'],
+  [FhirResourceType.COVERAGE]: ['status', 'type', 'subscriberId', 'beneficiary', 'payor', 'period', 'order', 'class'],
+  [FhirResourceType.MEDICATION_REQUEST]: [
+    'contained', 'status', 'intent', 'medicationReference', 'medicationCodeableConcept', 'subject',
+    'authoredOn', 'requester', 'dosageInstruction', 'dispenseRequest'
+  ],
+  [FhirResourceType.MEDICATION_DISPENSE]: [
+    'status', 'medicationReference', 'medicationCodeableConcept', 'subject', 'authorizingPrescription',
+    'performer', 'type', 'quantity', 'daysSupply', 'whenPrepared', 'whenHandedOver', 'contained'
+  ],
+};
+
+/**
+ * Insurance fields that have no Coverage element
+ */
+const UNEXPORTED_INSURANCE_FIELDS = ['deductible', 'deductibleMet', 'outOfPocketMax', 'outOfPocketMet', 'planYearStartMonth'];
+
+/**
+ * ID of the Medication contained in an exported MedicationRequest
+ */
+const CONTAINED_MEDICATION_ID = 'medication';
+
+/**
+ * Describes a value that did not survive the mapping
+ */
+function createMappingLoss(path, message) {
+  return { path, message };
+}
+
+/**
+ * Reference to an exported resource, by its record ID
+ */
+function referenceTo(id) {
+  return { reference: `urn:uuid:${id}` };
+}
+
+/**
+ * Identifier for an NPI
+ */
+function npiIdentifier(npi) {
+  return { system: FhirSystem.NPI, value: npi };
+}
+
+/**
+ * Days supply as a Duration
+ */
+function daysDuration(days) {
+  return { value: days, unit: 'days', system: FhirSystem.UCUM, code: 'd' };
+}
+
+/**
+ * CodeableConcept for a medication: its NDC when it has one, and its name
+ */
+function medicationConcept(prescription) {
+  const ndc = prescription.ndc && toNDC11(prescription.ndc);
+  return {
+    ...(ndc && { coding: [{ system: FhirSystem.NDC, code: ndc, display: prescription.medicationName }] }),
+    text: prescription.medicationName
+  };
+}
+
+/**
+ * Writes a strength as Medication.ingredient entries, one per component of a combination product
+ * Amounts per dose are divided by the form's dose unit and percentages become grams per 100 g or mL
+ */
+function toFhirIngredients(prescription) {
+  const parsed = parseStrength(prescription.strength);
+  if (!parsed) return [];
+
+  const { medicationName, medicationForm } = prescription;
+  const denominator = parsed.type === StrengthType.PERCENT
+    ? { value: 100, unit: MEDICATION_FORM_PERCENT_UNITS[medicationForm] || 'g' }
+    : parsed.per
+      ? { value: parsed.per.amount ?? 1, unit: parsed.per.unit }
+      : { value: 1, unit: MEDICATION_FORM_DOSE_UNITS[medicationForm] || FHIR_DEFAULT_DOSE_UNIT };
+
+  return parsed.components.map(({ amount, unit }, index) => ({
+    itemCodeableConcept: {
+      text: parsed.components.length > 1 ? `${medicationName} component ${index + 1}` : medicationName
+    },
+    strength: {
+      numerator: { value: amount, unit: parsed.type === StrengthType.PERCENT ? 'g' : unit },
+      denominator
+    }
+  }));
+}
+
+/**
+ * Reads a strength back from Medication.ingredient entries
+ * @returns {string|null} Strength as parseStrength() understands it, or null when the ratios do not
+ *   describe one strength (different units per ingredient, or units we do not know)
+ */
+function fromFhirIngredients(ingredients) {
+  const ratios = (ingredients || []).map((ingredient) => ingredient.strength).filter(Boolean);
+  const [first] = ratios;
+  if (!first?.numerator || !first.denominator) return null;
+
+  const { denominator } = first;
+  const consistent = ratios.every(({ numerator: n, denominator: d }) => (
+    typeof n?.value === 'number'
+    && n.unit === first.numerator.unit
+    && d?.value === denominator.value
+    && d.unit === denominator.unit
+  ));
+  if (!consistent) return null;
+
+  const amounts = ratios.map(({ numerator }) => numerator.value).join('/');
+  const { unit } = first.numerator;
+  if (ratios.length === 1 && unit === 'g' && denominator.value === 100 && ['g', 'mL'].includes(denominator.unit)) {
+    return `${amounts}%`;
+  }
+
+  const concentration = `${amounts}${unit}/${denominator.value === 1 ? '' : denominator.value}${denominator.unit}`;
+  if (parseStrength(concentration)?.per) return concentration;
+
+  const amount = `${amounts}${unit}`;
+  return parseStrength(amount)?.type === StrengthType.AMOUNT ? amount : null;
+}
+
+/**
+ * Finds a code in a CodeableConcept: one from the system, else one whose code or text names an allowed value
+ */
+function readConceptCode(concept, system, allowed) {
+  const codings = concept?.coding || [];
+  const fromSystem = codings.find((coding) => coding.system === system && allowed.includes(coding.code));
+  if (fromSystem) return fromSystem.code;
+
+  const candidates = [...codings.map((coding) => coding.code), concept?.text]
+    .filter((value) => typeof value === 'string')
+    .map((value) => value.trim().toUpperCase());
+  return candidates.find((value) => allowed.includes(value)) || null;
+}
+
+/**
+ * Finds the value of an identifier from a system
+ */
+function readIdentifier(identifiers, system) {
+  return [].concat(identifiers || []).find((identifier) => identifier?.system === system)?.value;
+}
+
+/**
+ * Reports elements of a resource its importer does not read
+ */
+function findUnreadElements(resource, path) {
+  const read = [...IGNORED_ELEMENTS, ...IMPORTED_ELEMENTS[resource.resourceType]];
+  return Object.keys(resource)
+    .filter((element) => !read.includes(element))
+    .map((element) => createMappingLoss(`${path}.${element}`, `${resource.resourceType}.${element} is not imported`));
+}
+
+/**
+ * Reports the entries of a list element after the first, which the importer does not read
+ */
+function findExtraEntries(list, path, description) {
+  return (list || []).length > 1
+    ? [createMappingLoss(`${path}[1]`, `Only the first ${description} is imported; ${list.length - 1} more left out`)]
+    : [];
+}
+
+/**
+ * Maps a user to a FHIR Patient
+ * @param {Object} user - Stored user
+ * @returns {Object} { resource, losses }
+ */
+export function toFhirPatient(user) {
+  const { address } = user;
+  return {
+    resource: {
+      resourceType: FhirResourceType.PATIENT,
+      id: user.id,
+      name: [{ use: 'official', family: user.lastName, given: [user.firstName] }],
+      telecom: [
+        { system: 'phone', value: user.phoneNumber, use: 'home' },
+        { system: 'email', value: user.email }
+      ],
+      birthDate: user.dateOfBirth,
+      address: [{ use: 'home', line: [address.street], city: address.city, state: address.state, postalCode: address.zipCode }]
+    },
+    losses: []
+  };
+}
+
+/**
+ * Maps an insurance plan to a FHIR Coverage for the pharmacy benefit
+ * Plan amounts have no Coverage element; the running totals live in the accumulator ledger anyway
+ * @param {Object} insurance - Stored insurance plan
+ * @returns {Object} { resource, losses }
+ */
+export function toFhirCoverage(insurance) {
+  const coverageClass = (code, value, name) => ({
+    type: { coding: [{ system: FhirSystem.COVERAGE_CLASS, code }] },
+    value,
+    ...(name && { name })
+  });
+
+  const classes = [
+    insurance.groupNumber && coverageClass(FhirCoverageClass.GROUP, insurance.groupNumber),
+    coverageClass(FhirCoverageClass.PLAN, insurance.formularyId || insurance.planName, insurance.planName),
+    coverageClass(FhirCoverageClass.RX_BIN, insurance.rxBIN),
+    insurance.rxPCN && coverageClass(FhirCoverageClass.RX_PCN, insurance.rxPCN)
+  ].filter(Boolean);
+
+  return {
+    resource: {
+      resourceType: FhirResourceType.COVERAGE,
+      id: insurance.id,
+      status: insurance.isActive === false ? 'cancelled' : 'active',
+      type: { coding: [{ system: FhirSystem.PLAN_TYPE, code: insurance.planType }], text: insurance.planType },
+      subscriberId: insurance.policyNumber,
+      beneficiary: referenceTo(insurance.userId),
+      period: {
+        start: insurance.effectiveDate,
+        ...(insurance.terminationDate && { end: insurance.terminationDate })
+      },
+      payor: [{ display: insurance.insuranceCompany }],
+      order: COVERAGE_ORDER_NUMBERS[getCoverageOrder(insurance)],
+      class: classes
+    },
+    losses: UNEXPORTED_INSURANCE_FIELDS
+      .filter((field) => insurance[field] !== undefined && insurance[field] !== null)
+      .map((field) => createMappingLoss(`Insurance/${insurance.id}.${field}`, `Coverage has no element for ${field}`))
+  };
+}
+
+/**
+ * Maps a prescription to a FHIR MedicationRequest with its Medication contained
+ * @param {Object} prescription - Stored prescription
+ * @returns {Object} { resource, losses }
+ */
+export function toFhirMedicationRequest(prescription) {
+  const path = `Prescription/${prescription.id}`;
+  const losses = [];
+  const ingredient = toFhirIngredients(prescription);
+  if (!ingredient.length) {
+    losses.push(createMappingLoss(`${path}.strength`, `Strength "${prescription.strength}" could not be written as a ratio`));
+  }
+
+  const status = PRESCRIPTION_STATUS_REQUEST_STATUSES[prescription.status] || 'active';
+  if (prescription.status && prescription.status !== PrescriptionStatus.CANCELLED) {
+    losses.push(createMappingLoss(`${path}.status`, `Status ${prescription.status} is sent as MedicationRequest.status "${status}"`));
+  }
+  if (prescription.statusHistory?.length) {
+    losses.push(createMappingLoss(`${path}.statusHistory`, 'Status history has no MedicationRequest element'));
+  }
+  if (prescription.controlledSubstanceSchedule) {
+    losses.push(createMappingLoss(`${path}.controlledSubstanceSchedule`, 'Controlled substance schedule has no MedicationRequest element'));
+  }
+
+  return {
+    resource: {
+      resourceType: FhirResourceType.MEDICATION_REQUEST,
+      id: prescription.id,
+      contained: [{
+        resourceType: FhirResourceType.MEDICATION,
+        id: CONTAINED_MEDICATION_ID,
+        code: medicationConcept(prescription),
+        form: {
+          coding: [{ system: FhirSystem.MEDICATION_FORM, code: prescription.medicationForm }],
+          text: prescription.medicationForm
+        },
+        ...(ingredient.length && { ingredient })
+      }],
+      status,
+      intent: 'order',
+      medicationReference: {
+        reference: `#${CONTAINED_MEDICATION_ID}`,
+        display: `${prescription.medicationName} ${prescription.strength}`
+      },
+      subject: referenceTo(prescription.userId),
+      authoredOn: prescription.prescribedDate,
+      requester: { identifier: npiIdentifier(prescription.prescriberNPI), display: prescription.prescriberName },
+      dosageInstruction: [{ text: prescription.dosageInstructions }],
+      dispenseRequest: {
+        numberOfRepeatsAllowed: prescription.refillsAllowed,
+        quantity: { value: prescription.quantity },
+        expectedSupplyDuration: daysDuration(prescription.daysSupply),
+        ...(prescription.pharmacyNPI && { performer: { identifier: npiIdentifier(prescription.pharmacyNPI) } })
+      }
+    },
+    losses
+  };
+}
+
+/**
+ * Maps a fill to a FHIR MedicationDispense
+ * @param {Object} fill - Stored fill
+ * @param {Object} prescription - Prescription the fill dispensed
+ * @returns {Object} { resource, losses }
+ */
+export function toFhirMedicationDispense(fill, prescription) {
+  return {
+    resource: {
+      resourceType: FhirResourceType.MEDICATION_DISPENSE,
+      id: fill.id,
+      status: 'completed',
+      medicationCodeableConcept: medicationConcept(prescription),
+      subject: referenceTo(prescription.userId),
+      authorizingPrescription: [referenceTo(prescription.id)],
+      ...(fill.pharmacyNPI && { performer: [{ actor: { identifier: npiIdentifier(fill.pharmacyNPI) } }] }),
+      type: {
+        coding: [{
+          system: FhirSystem.ACT_CODE,
+          code: fill.fillNumber === 0 ? FhirDispenseType.FIRST_FILL : FhirDispenseType.REFILL
+        }]
+      },
+      quantity: { value: fill.quantity },
+      daysSupply: daysDuration(fill.daysSupply),
+      whenPrepared: fill.fillDate
+    },
+    losses: [
+      ...(fill.overrideType
+        ? [createMappingLoss(`Fill/${fill.id}.overrideType`, 'Early refill override has no MedicationDispense element')]
+        : []),
+      ...(fill.claimId
+        ? [createMappingLoss(`Fill/${fill.id}.claimId`, 'Claims are not exported, so the claim that paid for the fill is left out')]
+        : [])
+    ]
+  };
+}
+
+/**
+ * Builds a FHIR collection Bundle from our records
+ * Fills whose prescription is not among the records are left out and reported
+ * @param {Object} records - { users?, insurance?, prescriptions?, fills? }
+ * @returns {Object} { bundle, losses }
+ */
+export function createFhirBundle({ users = [], insurance = [], prescriptions = [], fills = [] }) {
+  const losses = [];
+  const mapped = [];
+
+  const fillMappings = fills.map((fill) => {
+    const prescription = prescriptions.find((candidate) => candidate.id === fill.prescriptionId);
+    if (!prescription) {
+      losses.push(createMappingLoss(`Fill/${fill.id}`, 'Fill left out because its prescription is not exported'));
+      return null;
+    }
+    return toFhirMedicationDispense(fill, prescription);
+  }).filter(Boolean);
+
+  [
+    ...users.map(toFhirPatient),
+    ...insurance.map(toFhirCoverage),
+    ...prescriptions.map(toFhirMedicationRequest),
+    ...fillMappings
+  ].forEach(({ resource, losses: resourceLosses }) => {
+    mapped.push({ fullUrl: referenceTo(resource.id).reference, resource });
+    losses.push(...resourceLosses);
+  });
+
+  return {
+    bundle: { resourceType: FhirResourceType.BUNDLE, type: 'collection', entry: mapped },
+    losses
+  };
+}
+
+/**
+ * Maps a FHIR Patient to a user
+ * @param {Object} resource - Patient resource
+ * @param {string} path - Path of the resource in the bundle, used in losses
+ * @returns {Object} { record, losses }
+ */
+export function fromFhirPatient(resource, path) {
+  const name = resource.name?.find((candidate) => candidate.use === 'official') || resource.name?.[0];
+  const telecom = resource.telecom || [];
+  const phone = telecom.find((contact) => contact.system === 'phone');
+  const email = telecom.find((contact) => contact.system === 'email');
+  const address = resource.address?.find((candidate) => candidate.use === 'home') || resource.address?.[0];
+
+  const losses = [
+    ...findUnreadElements(resource, path),
+    ...findExtraEntries(resource.name, `${path}.name`, 'name'),
+    ...findExtraEntries(name?.given, `${path}.name.given`, 'given name'),
+    ...findExtraEntries(resource.address, `${path}.address`, 'address')
+  ];
+  const unreadContacts = telecom.filter((contact) => contact !== phone && contact !== email).length;
+  if (unreadContacts) {
+    losses.push(createMappingLoss(`${path}.telecom`, `Only one phone number and email are imported; ${unreadContacts} more left out`));
+  }
+
+  return {
+    record: {
+      email: email?.value,
+      firstName: name?.given?.[0],
+      lastName: name?.family,
+      dateOfBirth: resource.birthDate,
+      phoneNumber: phone?.value?.replace(/[^\d+]/g, ''),
+      address: address && {
+        street: address.line?.join(', '),
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode
+      }
+    },
+    losses
+  };
+}
+
+/**
+ * Maps a FHIR Coverage to an insurance plan
+ * @param {Object} resource - Coverage resource
+ * @param {string} path - Path of the resource in the bundle, used in losses
+ * @param {string} userId - ID given to the beneficiary's user
+ * @returns {Object} { record, losses }
+ */
+export function fromFhirCoverage(resource, path, userId) {
+  const classes = resource.class || [];
+  const readClass = (code) => classes.find((entry) => entry.type?.coding?.some((coding) => coding.code === code));
+  const plan = readClass(FhirCoverageClass.PLAN);
+  const coverageOrder = Object.keys(COVERAGE_ORDER_NUMBERS).find((order) => COVERAGE_ORDER_NUMBERS[order] === resource.order);
+
+  const losses = [
+    ...findUnreadElements(resource, path),
+    ...findExtraEntries(resource.payor, `${path}.payor`, 'payor')
+  ];
+  classes.forEach((entry, index) => {
+    if (!Object.values(FhirCoverageClass).some((code) => entry.type?.coding?.some((coding) => coding.code === code))) {
+      losses.push(createMappingLoss(`${path}.class[${index}]`, 'Only group, plan, rxbin and rxpcn classes are imported'));
+    }
+  });
+  if (resource.order !== undefined && !coverageOrder) {
+    losses.push(createMappingLoss(`${path}.order`, `Coverage order ${resource.order} is not primary, secondary or tertiary and was left out`));
+  }
+
+  return {
+    record: {
+      userId,
+      insuranceCompany: resource.payor?.[0]?.display,
+      policyNumber: resource.subscriberId,
+      groupNumber: readClass(FhirCoverageClass.GROUP)?.value,
+      planType: readConceptCode(resource.type, FhirSystem.PLAN_TYPE, Object.values(InsurancePlanType)) || undefined,
+      planName: plan?.name || plan?.value,
+      ...(coverageOrder && { coverageOrder }),
+      rxBIN: readClass(FhirCoverageClass.RX_BIN)?.value,
+      rxPCN: readClass(FhirCoverageClass.RX_PCN)?.value,
+      formularyId: plan?.name && plan.value !== plan.name ? plan.value : undefined,
+      effectiveDate: resource.period?.start?.slice(0, 10),
+      terminationDate: resource.period?.end?.slice(0, 10),
+      isActive: resource.status === 'active'
+    },
+    losses
+  };
+}
+
+/**
+ * Maps a FHIR MedicationRequest to a prescription
+ * The status, refills remaining and status history are left to readFhirBundle(), which sees the dispenses
+ * @param {Object} resource - MedicationRequest resource
+ * @param {string} path - Path of the resource in the bundle, used in losses
+ * @param {string} userId - ID given to the subject's user
+ * @param {Object|null} medication - Medication resource the request references, from its contained
+ *   resources or the bundle
+ * @returns {Object} { record, losses }
+ */
+export function fromFhirMedicationRequest(resource, path, userId, medication) {
+  const concept = medication?.code || resource.medicationCodeableConcept;
+  const ndcCoding = concept?.coding?.find((coding) => coding.system === FhirSystem.NDC);
+  const dispenseRequest = resource.dispenseRequest || {};
+  const supply = dispenseRequest.expectedSupplyDuration;
+  const medicationForm = readConceptCode(medication?.form, FhirSystem.MEDICATION_FORM, Object.values(MedicationForm));
+  const strength = fromFhirIngredients(medication?.ingredient);
+
+  const losses = [
+    ...findUnreadElements(resource, path),
+    ...findExtraEntries(resource.dosageInstruction, `${path}.dosageInstruction`, 'dosage instruction')
+  ];
+  if (!medicationForm) {
+    losses.push(createMappingLoss(`${path}.medication.form`, 'Medication form is missing or unknown and was imported as OTHER'));
+  }
+  if (!strength && medication?.ingredient?.length) {
+    losses.push(createMappingLoss(`${path}.medication.ingredient`, 'Ingredient strengths do not combine into one strength'));
+  }
+  if (supply && supply.code !== 'd') {
+    losses.push(createMappingLoss(`${path}.dispenseRequest.expectedSupplyDuration`, 'Supply durations are only read in days'));
+  }
+
+  return {
+    record: {
+      userId,
+      medicationName: concept?.text || ndcCoding?.display || concept?.coding?.[0]?.display,
+      medicationForm: medicationForm || MedicationForm.OTHER,
+      strength: strength || undefined,
+      ndc: ndcCoding ? normalizeNDC(ndcCoding.code) || ndcCoding.code : undefined,
+      dosageInstructions: resource.dosageInstruction?.[0]?.text,
+      quantity: dispenseRequest.quantity?.value,
+      daysSupply: supply?.code === 'd' ? supply.value : undefined,
+      refillsAllowed: dispenseRequest.numberOfRepeatsAllowed ?? 0,
+      prescriberName: resource.requester?.display,
+      prescriberNPI: readIdentifier(resource.requester?.identifier, FhirSystem.NPI),
+      prescribedDate: resource.authoredOn?.slice(0, 10),
+      pharmacyNPI: readIdentifier(dispenseRequest.performer?.identifier, FhirSystem.NPI)
+    },
+    losses
+  };
+}
+
+/**
+ * Maps a completed FHIR MedicationDispense to a fill
+ * The fill number is left to readFhirBundle(), which orders a prescription's dispenses
+ * @param {Object} resource - MedicationDispense resource
+ * @param {string} path - Path of the resource in the bundle, used in losses
+ * @param {string} prescriptionId - ID given to the authorizing prescription
+ * @returns {Object} { record, losses }
+ */
+export function fromFhirMedicationDispense(resource, path, prescriptionId) {
+  const daysSupply = resource.daysSupply;
+  const losses = [
+    ...findUnreadElements(resource, path),
+    ...findExtraEntries(resource.authorizingPrescription, `${path}.authorizingPrescription`, 'authorizing prescription')
+  ];
+  if (daysSupply && daysSupply.code !== 'd') {
+    losses.push(createMappingLoss(`${path}.daysSupply`, 'Days supply is only read in days'));
+  }
+
+  return {
+    record: {
+      prescriptionId,
+      fillDate: (resource.whenHandedOver || resource.whenPrepared)?.slice(0, 10),
+      quantity: resource.quantity?.value,
+      daysSupply: daysSupply?.code === 'd' ? daysSupply.value : undefined,
+      pharmacyNPI: readIdentifier(resource.performer?.map((performer) => performer.actor?.identifier), FhirSystem.NPI)
+    },
+    losses
+  };
+}
+
+/**
+ * Checks an imported fill has what a fill record needs
+ */
+function validateImportedFill(fill) {
+  const errors = [];
+  if (!isValidDate(fill.fillDate)) {
+    errors.push(createFieldError('fillDate', ValidationErrorCode.INVALID_FORMAT, 'Dispense date (whenHandedOver or whenPrepared) is required', fill.fillDate));
+  }
+  ['quantity', 'daysSupply'].forEach((field) => {
+    if (!(fill[field] > 0)) {
+      errors.push(createFieldError(field, ValidationErrorCode.OUT_OF_RANGE, `${field} must be a positive number`, fill[field]));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Reads a FHIR Bundle of Patient, Coverage, MedicationRequest and MedicationDispense resources
+ * into our records, ready to store
+ *
+ * Every record is validated before any is returned, so a bundle is imported whole or not at all.
+ * Records get new IDs; `ids` maps each entry to the ID its record was given. Field errors name the
+ * entry and our field, e.g. "entry[0].phoneNumber". Medication resources are read through the
+ * requests that reference them; other resource types, and dispenses that are not completed, are
+ * reported as losses. Prescriptions start PENDING, or FILLED once dispensed, or CANCELLED when the
+ * request was ended, with refills remaining counted from the dispenses
+ * @param {Object} bundle - FHIR Bundle
+ * @param {Object} [options]
+ * @param {Object} [options.providerRegistry] - Registry used to verify prescriber and pharmacy NPIs
+ * @returns {Object} Success response with { users, insurance, prescriptions, fills, ids, losses, warnings },
+ *   or a validation error response
+ */
+export function readFhirBundle(bundle, options = {}) {
+  if (bundle?.resourceType !== FhirResourceType.BUNDLE || !Array.isArray(bundle.entry)) {
+    return createValidationErrorResponse([
+      createFieldError('resourceType', ValidationErrorCode.INVALID_FORMAT, 'Expected a FHIR Bundle with an entry list', bundle?.resourceType)
+    ]);
+  }
+
+  const entries = bundle.entry.map((entry, index) => ({
+    index,
+    path: `entry[${index}].resource`,
+    fullUrl: entry?.fullUrl,
+    resource: entry?.resource || {}
+  }));
+
+  const imported = entries.filter(({ resource }) => IMPORTED_ELEMENTS[resource.resourceType]);
+  imported.forEach((entry) => {
+    entry.id = generateSortableId();
+  });
+
+  const resolve = (reference, resourceType) => {
+    if (!reference) return null;
+    return entries.find(({ fullUrl, resource }) => resource.resourceType === resourceType && (
+      fullUrl === reference || `${resource.resourceType}/${resource.id}` === reference
+    )) || null;
+  };
+
+  const errors = [];
+  const warnings = [];
+  const losses = [];
+  const entryError = (entry, error) => ({ ...error, field: `entry[${entry.index}].${error.field}` });
+  const referenceError = (entry, element, resourceType) => errors.push(entryError(entry, createFieldError(
+    element,
+    ValidationErrorCode.REQUIRED,
+    `${element} must reference a ${resourceType} in the bundle`,
+    entry.resource[element]
+  )));
+
+  entries.forEach(({ resource, path }) => {
+    if (!IMPORTED_ELEMENTS[resource.resourceType] && resource.resourceType !== FhirResourceType.MEDICATION) {
+      losses.push(createMappingLoss(path, `${resource.resourceType || 'Untyped'} resources are not imported`));
+    }
+  });
+
+  const ofType = (resourceType) => imported.filter(({ resource }) => resource.resourceType === resourceType);
+
+  const users = ofType(FhirResourceType.PATIENT).map((entry) => {
+    const { record, losses: entryLosses } = fromFhirPatient(entry.resource, entry.path);
+    losses.push(...entryLosses);
+    const validation = validateUser(record);
+    errors.push(...validation.errors.map((error) => entryError(entry, error)));
+    return validation.isValid ? { id: entry.id, ...normalizeUser(record) } : null;
+  });
+
+  const insurance = ofType(FhirResourceType.COVERAGE).map((entry) => {
+    const beneficiary = resolve(entry.resource.beneficiary?.reference, FhirResourceType.PATIENT);
+    if (!beneficiary) referenceError(entry, 'beneficiary', FhirResourceType.PATIENT);
+    const { record, losses: entryLosses } = fromFhirCoverage(entry.resource, entry.path, beneficiary?.id);
+    losses.push(...entryLosses);
+    const validation = validateInsurance(record);
+    errors.push(...validation.errors.map((error) => entryError(entry, error)));
+    return { id: entry.id, ...record };
+  });
+
+  const prescriptionEntries = ofType(FhirResourceType.MEDICATION_REQUEST);
+  const prescriptions = prescriptionEntries.map((entry) => {
+    const { resource } = entry;
+    const subject = resolve(resource.subject?.reference, FhirResourceType.PATIENT);
+    if (!subject) referenceError(entry, 'subject', FhirResourceType.PATIENT);
+
+    const medicationReference = resource.medicationReference?.reference;
+    const medication = medicationReference?.startsWith('#')
+      ? resource.contained?.find((contained) => `#${contained.id}` === medicationReference) || null
+      : resolve(medicationReference, FhirResourceType.MEDICATION)?.resource || null;
+    if (medicationReference && !medication) referenceError(entry, 'medicationReference', FhirResourceType.MEDICATION);
+
+    const { record, losses: entryLosses } = fromFhirMedicationRequest(resource, entry.path, subject?.id, medication);
+    losses.push(...entryLosses);
+    const validation = validatePrescription(record, { providerRegistry: options.providerRegistry });
+    errors.push(...validation.errors.map((error) => entryError(entry, error)));
+    warnings.push(...(validation.warnings || []).map((warning) => entryError(entry, warning)));
+    return { id: entry.id, ...normalizePrescription(record) };
+  });
+
+  const fills = ofType(FhirResourceType.MEDICATION_DISPENSE).map((entry) => {
+    if (entry.resource.status !== 'completed') {
+      losses.push(createMappingLoss(`${entry.path}.status`, `Dispense with status "${entry.resource.status}" was not imported`));
+      entry.id = null;
+      return null;
+    }
+
+    const request = resolve(entry.resource.authorizingPrescription?.[0]?.reference, FhirResourceType.MEDICATION_REQUEST);
+    if (!request) referenceError(entry, 'authorizingPrescription', FhirResourceType.MEDICATION_REQUEST);
+    const { record, losses: entryLosses } = fromFhirMedicationDispense(entry.resource, entry.path, request?.id);
+    losses.push(...entryLosses);
+    errors.push(...validateImportedFill(record).map((error) => entryError(entry, error)));
+    return { id: entry.id, ...record };
+  }).filter(Boolean);
+
+  if (errors.length) {
+    return createValidationErrorResponse(errors);
+  }
+
+  fills.sort((a, b) => a.fillDate.localeCompare(b.fillDate));
+  prescriptions.forEach((prescription, index) => {
+    const dispensed = fills.filter((fill) => fill.prescriptionId === prescription.id);
+    dispensed.forEach((fill, fillNumber) => {
+      fill.fillNumber = fillNumber;
+    });
+
+    const requestStatus = prescriptionEntries[index].resource.status;
+    prescription.status = ENDED_REQUEST_STATUSES.includes(requestStatus)
+      ? PrescriptionStatus.CANCELLED
+      : dispensed.length ? PrescriptionStatus.FILLED : PrescriptionStatus.PENDING;
+    prescription.statusHistory = [];
+    prescription.refillsRemaining = Math.max(prescription.refillsAllowed - Math.max(dispensed.length - 1, 0), 0);
+  });
+
+  return createSuccessResponse({
+    users,
+    insurance,
+    prescriptions,
+    fills,
+    ids: imported
+      .filter(({ id }) => id)
+      .map(({ index, resource, id }) => ({ entry: index, resourceType: resource.resourceType, fhirId: resource.id, id })),
+    losses,
+    warnings
+  });
+}
@@ -0,0 +1,256 @@
+import { DrugTier, InsurancePlanType, NetworkStatus } from '../constants.js';
+import { normalizeNDC } from '../ndc/ndc.js';
+
+/**
+ * Formulary Utilities
+ * Builds an in-memory formulary from plain data and answers coverage and cost-share questions
+ *
+ * Formulary data looks like:
+ * {
+ *   plans: [{ planId, planName, rxBINs: ['610014'], tiers: { GENERIC: { copay: 1000 }, SPECIALTY: { coinsurance: 25, maximum: 25000 } },
+ *             outOfNetworkTiers: { GENERIC: { coinsurance: 50 } } }],
+ *   entries: [{ planId, ndc, drugName, tier, quantityLimit: { quantity, days }, priorAuthRequired, stepTherapy }]
+ * }
+ * NDCs may be in any label or billing form and are stored in canonical 11-digit form
+ * All money amounts are in cents, coinsurance is a whole percentage
+ * A tier may set deductibleApplies to override whether it is subject to the deductible
+ * outOfNetworkTiers is the cost share at pharmacies outside the plan network; tiers it leaves out
+ * (or plans without it) are not covered out of network
+ */
+
+/**
+ * Validates drug tier
+ * @param {string} tier - Tier to validate
+ * @returns {boolean} True if valid tier
+ */
+export function isValidDrugTier(tier) {
+  return Object.values(DrugTier).includes(tier);
+}
+
+/**
+ * Validates a tier cost share definition
+ * @param {Object} costShare - { copay } or { coinsurance, minimum?, maximum? }
+ * @returns {boolean} True if exactly one of copay or coinsurance is a valid amount
+ */
+export function isValidCostShare(costShare) {
+  if (!costShare) return false;
+
+  const hasCopay = typeof costShare.copay === 'number';
+  const hasCoinsurance = typeof costShare.coinsurance === 'number';
+  if (hasCopay === hasCoinsurance) return false;
+
+  if (hasCopay) {
+    return Number.isInteger(costShare.copay) && costShare.copay >= 0;
+  }
+
+  return costShare.coinsurance >= 0 && costShare.coinsurance <= 100;
+}
+
+/**
+ * Validates a quantity limit definition
+ * @param {Object|null} quantityLimit - { quantity, days? }, or null for no limit
+ * @returns {boolean} True if there is no limit, or quantity is a positive whole number and days is unset or one too
+ */
+export function isValidQuantityLimit(quantityLimit) {
+  if (quantityLimit === null || quantityLimit === undefined) return true;
+
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+  return typeof quantityLimit === 'object'
+    && isPositiveInteger(quantityLimit.quantity)
+    && (quantityLimit.days === null || quantityLimit.days === undefined || isPositiveInteger(quantityLimit.days));
+}
+
+/**
+ * Builds a formulary lookup structure from raw plan and entry data
+ * Invalid plans and entries are left out and reported in errors
+ * @param {Object} data - { plans: Object[], entries: Object[] }
+ * @returns {Object} { formulary, errors: string[] }
+ */
+export function loadFormulary(data) {
+  const errors = [];
+  const formulary = { plans: {}, entries: {} };
+
+  (data.plans || []).forEach((plan, index) => {
+    if (!plan.planId) {
+      errors.push(`Plan ${index + 1}: plan ID is required`);
+      return;
+    }
+
+    const invalidTiers = [plan.tiers, plan.outOfNetworkTiers].flatMap((tiers) => Object.entries(tiers || {})
+      .filter(([tier, costShare]) => !isValidDrugTier(tier) || !isValidCostShare(costShare))
+      .map(([tier]) => tier));
+    if (invalidTiers.length > 0) {
+      errors.push(`Plan ${plan.planId}: invalid cost share for tier(s) ${[...new Set(invalidTiers)].join(', ')}`);
+      return;
+    }
+
+    formulary.plans[plan.planId] = {
+      planId: plan.planId,
+      planName: plan.planName,
+      rxBINs: plan.rxBINs || [],
+      tiers: plan.tiers || {},
+      outOfNetworkTiers: plan.outOfNetworkTiers || {}
+    };
+    formulary.entries[plan.planId] = {};
+  });
+
+  (data.entries || []).forEach((entry, index) => {
+    const label = `Entry ${index + 1}`;
+
+    if (!formulary.plans[entry.planId]) {
+      errors.push(`${label}: unknown plan ID "${entry.planId}"`);
+      return;
+    }
+
+    const ndc = normalizeNDC(entry.ndc);
+    if (!ndc) {
+      errors.push(`${label}: NDC must be a 10-digit (4-4-2, 5-3-2, 5-4-1) or 11-digit (5-4-2) code`);
+      return;
+    }
+
+    if (!isValidDrugTier(entry.tier)) {
+      errors.push(`${label}: invalid tier. Must be one of: ${Object.values(DrugTier).join(', ')}`);
+      return;
+    }
+
+    if (!isValidQuantityLimit(entry.quantityLimit)) {
+      errors.push(`${label}: quantity limit needs a positive whole quantity, and days must be empty or a positive whole number`);
+      return;
+    }
+
+    formulary.entries[entry.planId][ndc] = {
+      planId: entry.planId,
+      ndc,
+      drugName: entry.drugName,
+      tier: entry.tier,
+      quantityLimit: entry.quantityLimit || null,
+      priorAuthRequired: Boolean(entry.priorAuthRequired),
+      stepTherapy: Boolean(entry.stepTherapy)
+    };
+  });
+
+  return { formulary, errors };
+}
+
+/**
+ * Parses formulary entries from CSV text
+ * Expected header: planId,ndc,drugName,tier,quantityLimit,quantityLimitDays,priorAuthRequired,stepTherapy
+ * @param {string} csvText - CSV file contents
+ * @returns {Object[]} Formulary entries ready for loadFormulary()
+ */
+export function parseFormularyCsv(csvText) {
+  const lines = csvText.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map((header) => header.trim());
+
+  return lines.slice(1).map((line) => {
+    const values = line.split(',').map((value) => value.trim());
+    const row = Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']));
+
+    return {
+      planId: row.planId,
+      ndc: row.ndc,
+      drugName: row.drugName,
+      tier: row.tier,
+      quantityLimit: row.quantityLimit
+        ? { quantity: Number(row.quantityLimit), days: row.quantityLimitDays ? Number(row.quantityLimitDays) : null }
+        : null,
+      priorAuthRequired: row.priorAuthRequired === 'true',
+      stepTherapy: row.stepTherapy === 'true'
+    };
+  });
+}
+
+/**
+ * Finds the formulary plan for an insurance record
+ * Uses insurance.formularyId when set, otherwise the first plan serving the insurance RxBIN
+ * @param {Object} formulary - Formulary from loadFormulary()
+ * @param {Object} insurance - Insurance object
+ * @returns {Object|null} Formulary plan or null if none matches
+ */
+export function findFormularyPlan(formulary, insurance) {
+  if (!formulary || !insurance) return null;
+
+  if (insurance.formularyId) {
+    return formulary.plans[insurance.formularyId] || null;
+  }
+
+  return Object.values(formulary.plans).find((plan) => plan.rxBINs.includes(insurance.rxBIN)) || null;
+}
+
+/**
+ * Looks up a drug on a plan formulary
+ * @param {Object} formulary - Formulary from loadFormulary()
+ * @param {string} planId - Formulary plan ID
+ * @param {string} ndc - NDC of the drug in any supported form
+ * @param {string} [networkStatus] - Value from NetworkStatus for the dispensing pharmacy, defaults to in network
+ * @returns {Object|null} Entry with its tier cost share and network status attached, or null if not covered.
+ *   costShare is null when the plan has no cost share for the tier at that kind of pharmacy
+ */
+export function lookupFormularyEntry(formulary, planId, ndc, networkStatus = NetworkStatus.IN_NETWORK) {
+  const entry = formulary?.entries[planId]?.[normalizeNDC(ndc)];
+  if (!entry) return null;
+
+  const plan = formulary.plans[planId];
+  const tiers = networkStatus === NetworkStatus.OUT_OF_NETWORK ? plan.outOfNetworkTiers : plan.tiers;
+  return {
+    ...entry,
+    networkStatus,
+    costShare: tiers[entry.tier] || null
+  };
+}
+
+/**
+ * Calculates the maximum quantity a plan allows for a given days supply
+ * A limit of { quantity: 30, days: 30 } allows 90 units for a 90-day fill
+ * @param {Object} quantityLimit - { quantity, days? }
+ * @param {number} daysSupply - Days supply being dispensed
+ * @returns {number|null} Allowed quantity, or null when there is no limit
+ */
+export function getAllowedQuantity(quantityLimit, daysSupply) {
+  if (!quantityLimit) return null;
+  if (!quantityLimit.days) return quantityLimit.quantity;
+  return Math.floor(quantityLimit.quantity * daysSupply / quantityLimit.days);
+}
+
+/**
+ * Splits an amount between patient and plan using a tier cost share
+ * Copays never exceed the amount, coinsurance is rounded to the nearest cent
+ * and clamped to the optional minimum/maximum
+ * @param {number} amount - Amount to split (in cents)
+ * @param {Object} costShare - { copay } or { coinsurance, minimum?, maximum? }
+ * @returns {Object} { patientPay, planPay } (in cents)
+ */
+export function calculateCostShare(amount, costShare) {
+  let patientPay = 0;
+
+  if (costShare && typeof costShare.copay === 'number') {
+    patientPay = costShare.copay;
+  } else if (costShare && typeof costShare.coinsurance === 'number') {
+    patientPay = Math.round(amount * costShare.coinsurance / 100);
+    if (typeof costShare.minimum === 'number') patientPay = Math.max(patientPay, costShare.minimum);
+    if (typeof costShare.maximum === 'number') patientPay = Math.min(patientPay, costShare.maximum);
+  }
+
+  patientPay = Math.min(patientPay, amount);
+
+  return {
+    patientPay,
+    planPay: amount - patientPay
+  };
+}
+
+/**
+ * Checks if a tier's cost share is subject to the plan deductible
+ * HDHP plans apply the deductible before any cost share. Other plans only apply it to
+ * coinsurance tiers unless the tier sets deductibleApplies explicitly
+ * @param {Object} costShare - Tier cost share
+ * @param {string} planType - Value from InsurancePlanType
+ * @returns {boolean} True if the deductible applies
+ */
+export function isSubjectToDeductible(costShare, planType) {
+  if (planType === InsurancePlanType.HDHP || !costShare) return true;
+  if (typeof costShare.deductibleApplies === 'boolean') return costShare.deductibleApplies;
+  return typeof costShare.coinsurance === 'number';
+}
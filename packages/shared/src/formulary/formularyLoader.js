@@ -0,0 +1,49 @@
+import { loadFormulary, parseFormularyCsv } from './formulary.js';
+import { readTextFile } from '../utils/dataFiles.js';
+
+/**
+ * Formulary File Loader
+ * Reads formulary data from local JSON or CSV files (Node.js only)
+ * JSON files hold { plans, entries }, CSV files hold entries only
+ */
+
+/**
+ * Path to the demo formulary bundled with the shared package
+ */
+export const DEFAULT_FORMULARY_FILE = new URL('../../data/formulary.json', import.meta.url);
+
+/**
+ * Reads one formulary file into raw { plans, entries } data
+ * @param {string|URL} filePath - Path to a .json or .csv file
+ * @returns {Promise<Object>} { plans: Object[], entries: Object[] }
+ */
+export async function readFormularyFile(filePath) {
+  const text = await readTextFile(filePath);
+
+  if (String(filePath).toLowerCase().endsWith('.csv')) {
+    return { plans: [], entries: parseFormularyCsv(text) };
+  }
+
+  const data = JSON.parse(text);
+  return { plans: data.plans || [], entries: data.entries || [] };
+}
+
+/**
+ * Loads a formulary from one or more files
+ * Plans and entries from every file are merged before building the formulary,
+ * so plans can live in a JSON file and entries in a CSV export
+ * @param {...(string|URL)} filePaths - Files to load, defaults to the bundled demo formulary
+ * @returns {Promise<Object>} { formulary, errors: string[] }
+ */
+export async function loadFormularyFromFiles(...filePaths) {
+  const files = filePaths.length > 0 ? filePaths : [DEFAULT_FORMULARY_FILE];
+  const data = { plans: [], entries: [] };
+
+  for (const filePath of files) {
+    const fileData = await readFormularyFile(filePath);
+    data.plans.push(...fileData.plans);
+    data.entries.push(...fileData.entries);
+  }
+
+  return loadFormulary(data);
+}
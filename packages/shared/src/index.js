@@ -6,10 +6,93 @@
 // Constants
 export * from './constants.js';
 
+// Identifiers
+export * from './ndc/ndc.js';
+export * from './npi/npi.js';
+
 // Validators
+export * from './validators/validationErrors.js';
 export * from './validators/userValidator.js';
 export * from './validators/insuranceValidator.js';
 export * from './validators/prescriptionValidator.js';
+export * from './validators/pharmacyValidator.js';
+export * from './validators/accountValidator.js';
+
+// Access control
+export * from './auth/accessControl.js';
+
+// Audit
+export * from './audit/recordDiff.js';
+
+// Medication strength
+export * from './strength/medicationStrength.js';
+
+// Sig parsing
+export * from './sig/sigParser.js';
+
+// Entity schemas
+export * from './schemas/schemaTypes.js';
+export * from './schemas/entitySchemas.js';
+export * from './schemas/schemaValidation.js';
+export * from './schemas/schemaExport.js';
+
+// Provider registry
+export * from './providers/providerRegistry.js';
+export * from './providers/providerRegistryLoader.js';
+
+// Pharmacies
+export * from './pharmacies/pharmacyNetwork.js';
+export * from './pharmacies/prescriptionTransfer.js';
+
+// Prescription lifecycle
+export * from './prescriptions/prescriptionLifecycle.js';
+
+// Refills
+export * from './refills/fillHistory.js';
+
+// Drug utilization review
+export * from './dur/drugUtilizationReview.js';
+export * from './dur/durDatasetLoader.js';
+
+// Accumulators
+export * from './accumulators/accumulatorLedger.js';
+
+// Prior authorization
+export * from './priorAuth/priorAuthorization.js';
+export * from './priorAuth/priorAuthReadjudication.js';
+
+// Formulary
+export * from './formulary/formulary.js';
+export * from './formulary/formularyLoader.js';
+
+// Adjudication
+export * from './adjudication/adjudicationRules.js';
+export * from './adjudication/adjudicationEngine.js';
+
+// Coordination of benefits
+export * from './cob/coordinationOfBenefits.js';
+
+// Claim reversal
+export * from './claims/claimReversal.js';
+
+// NCPDP claim transactions
+export * from './ncpdp/ncpdpCodes.js';
+export * from './ncpdp/ncpdpTransaction.js';
+
+// FHIR R4 exchange
+export * from './fhir/fhirCodes.js';
+export * from './fhir/fhirMappers.js';
+
+// Dates
+export * from './dates/dateOnly.js';
+
+// List queries
+export * from './query/listQuery.js';
+export * from './query/listQueries.js';
+
+// Synthetic data
+export * from './synthetic/seededRandom.js';
+export * from './synthetic/syntheticData.js';
 
 // Utilities
 export * from './utils/apiResponse.js';
@@ -0,0 +1,165 @@
+import { DenialReason } from '../constants.js';
+
+/**
+ * NCPDP Telecommunication Codes
+ * The subset of the NCPDP Telecommunication Standard vD.0 vocabulary this demo speaks
+ * Real transactions carry many more segments and fields; these are the ones pharmacies
+ * always send for a basic retail claim
+ */
+
+/**
+ * Version/Release Number (102-A2)
+ */
+export const NCPDP_VERSION = 'D0';
+
+/**
+ * Transaction Codes (103-A3)
+ */
+export const NcpdpTransactionCode = {
+  BILLING: 'B1',  // Claim billing
+  REVERSAL: 'B2', // Claim reversal
+  REBILL: 'B3',   // Claim rebill
+};
+
+/**
+ * Control characters that frame segments and fields
+ */
+export const NcpdpSeparator = {
+  SEGMENT: '\x1E', // Segment separator
+  GROUP: '\x1D',   // Transaction group separator
+  FIELD: '\x1C',   // Field separator
+};
+
+/**
+ * Segment Identifications (111-AM)
+ */
+export const NcpdpSegment = {
+  PATIENT: 'AM01',
+  PRESCRIBER: 'AM03',
+  INSURANCE: 'AM04',
+  CLAIM: 'AM07',
+  PRICING: 'AM11',
+  RESPONSE_MESSAGE: 'AM20',
+  RESPONSE_STATUS: 'AM21',
+  RESPONSE_CLAIM: 'AM22',
+  RESPONSE_PRICING: 'AM23',
+};
+
+/**
+ * Human-readable names for segments, used when explaining a transaction
+ */
+export const NCPDP_SEGMENT_NAMES = {
+  [NcpdpSegment.PATIENT]: 'Patient',
+  [NcpdpSegment.PRESCRIBER]: 'Prescriber',
+  [NcpdpSegment.INSURANCE]: 'Insurance',
+  [NcpdpSegment.CLAIM]: 'Claim',
+  [NcpdpSegment.PRICING]: 'Pricing',
+  [NcpdpSegment.RESPONSE_MESSAGE]: 'Response Message',
+  [NcpdpSegment.RESPONSE_STATUS]: 'Response Status',
+  [NcpdpSegment.RESPONSE_CLAIM]: 'Response Claim',
+  [NcpdpSegment.RESPONSE_PRICING]: 'Response Pricing',
+};
+
+/**
+ * Human-readable names for the field IDs this demo uses, keyed by two-character field ID
+ */
+export const NCPDP_FIELD_NAMES = {
+  // Insurance segment
+  C2: 'Cardholder ID (302-C2)',
+  C1: 'Group ID (301-C1)',
+  CC: 'Cardholder First Name (312-CC)',
+  CD: 'Cardholder Last Name (313-CD)',
+  // Patient segment
+  C4: 'Date of Birth (304-C4)',
+  C5: 'Patient Gender Code (305-C5)',
+  CA: 'Patient First Name (310-CA)',
+  CB: 'Patient Last Name (311-CB)',
+  CM: 'Patient Street Address (322-CM)',
+  CN: 'Patient City (323-CN)',
+  CO: 'Patient State (324-CO)',
+  CP: 'Patient ZIP Code (325-CP)',
+  // Claim segment
+  EM: 'Prescription/Service Reference Number Qualifier (455-EM)',
+  D2: 'Prescription/Service Reference Number (402-D2)',
+  E1: 'Product/Service ID Qualifier (436-E1)',
+  D7: 'Product/Service ID (407-D7)',
+  E7: 'Quantity Dispensed (442-E7)',
+  D3: 'Fill Number (403-D3)',
+  D5: 'Days Supply (405-D5)',
+  D6: 'Compound Code (406-D6)',
+  D8: 'Dispense As Written (408-D8)',
+  DE: 'Date Prescription Written (414-DE)',
+  DF: 'Number of Refills Authorized (415-DF)',
+  // Prescriber segment
+  EZ: 'Prescriber ID Qualifier (466-EZ)',
+  DB: 'Prescriber ID (411-DB)',
+  // Pricing segment
+  D9: 'Ingredient Cost Submitted (409-D9)',
+  DC: 'Dispensing Fee Submitted (412-DC)',
+  DQ: 'Usual and Customary Charge (426-DQ)',
+  DU: 'Gross Amount Due (430-DU)',
+  // Response segments
+  F4: 'Message (504-F4)',
+  AN: 'Transaction Response Status (112-AN)',
+  F3: 'Authorization Number (503-F3)',
+  FA: 'Reject Count (510-FA)',
+  FB: 'Reject Code (511-FB)',
+  F5: 'Patient Pay Amount (505-F5)',
+  F6: 'Ingredient Cost Paid (506-F6)',
+  F9: 'Total Amount Paid (509-F9)',
+  FH: 'Amount Applied to Periodic Deductible (517-FH)',
+};
+
+/**
+ * Transaction Response Status (112-AN)
+ */
+export const NcpdpResponseStatus = {
+  PAID: 'P',
+  REJECTED: 'R',
+  DUPLICATE_OF_PAID: 'D',
+  APPROVED: 'A', // Reversal accepted
+};
+
+/**
+ * Reject codes (511-FB) and the denial reason each maps onto
+ */
+export const NCPDP_REJECT_CODES = {
+  '1': { description: 'M/I Bin Number', denialReason: DenialReason.INVALID_RX_BIN },
+  '07': { description: 'M/I Cardholder ID', denialReason: DenialReason.INVALID_POLICY },
+  '21': { description: 'M/I Product/Service ID', denialReason: DenialReason.INVALID_NDC },
+  '25': { description: 'M/I Prescriber ID', denialReason: DenialReason.INVALID_PRESCRIBER },
+  '28': { description: 'M/I Date Prescription Written', denialReason: DenialReason.EXPIRED_PRESCRIPTION },
+  '56': { description: 'Non-Matched Prescriber ID', denialReason: DenialReason.INVALID_PRESCRIBER },
+  '60': { description: 'Product/Service Not Covered For Patient Age', denialReason: DenialReason.AGE_RESTRICTION },
+  '65': { description: 'Patient Is Not Covered', denialReason: DenialReason.INSURANCE_INACTIVE },
+  '67': { description: 'Filled Before Coverage Effective', denialReason: DenialReason.INSURANCE_INACTIVE },
+  '68': { description: 'Filled After Coverage Expired', denialReason: DenialReason.INSURANCE_EXPIRED },
+  '69': { description: 'Filled After Coverage Terminated', denialReason: DenialReason.INSURANCE_EXPIRED },
+  '70': { description: 'Product/Service Not Covered', denialReason: DenialReason.NOT_ON_FORMULARY },
+  '75': { description: 'Prior Authorization Required', denialReason: DenialReason.PRIOR_AUTH_REQUIRED },
+  '76': { description: 'Plan Limitations Exceeded', denialReason: DenialReason.QUANTITY_LIMIT_EXCEEDED },
+  '79': { description: 'Refill Too Soon', denialReason: DenialReason.REFILL_TOO_SOON },
+  '99': { description: 'Host Processing Error', denialReason: DenialReason.SYSTEM_ERROR },
+  MR: { description: 'Product Not On Formulary', denialReason: DenialReason.NOT_ON_FORMULARY },
+};
+
+/**
+ * Reject code sent for each blocking denial reason
+ * Several reasons share a code, so decoding a response is not always an exact round trip
+ */
+export const DENIAL_REASON_REJECT_CODES = {
+  [DenialReason.INVALID_RX_BIN]: '1',
+  [DenialReason.INVALID_POLICY]: '07',
+  [DenialReason.INVALID_NDC]: '21',
+  [DenialReason.EXPIRED_PRESCRIPTION]: '28',
+  [DenialReason.INVALID_PRESCRIBER]: '56',
+  [DenialReason.AGE_RESTRICTION]: '60',
+  [DenialReason.INSURANCE_INACTIVE]: '65',
+  [DenialReason.INSURANCE_EXPIRED]: '69',
+  [DenialReason.NOT_ON_FORMULARY]: '70',
+  [DenialReason.PRIOR_AUTH_REQUIRED]: '75',
+  [DenialReason.QUANTITY_LIMIT_EXCEEDED]: '76',
+  [DenialReason.BENEFIT_MAXIMUM_REACHED]: '76',
+  [DenialReason.REFILL_TOO_SOON]: '79',
+  [DenialReason.SYSTEM_ERROR]: '99',
+};
@@ -0,0 +1,412 @@
+import { ClaimStatus, DenialReason } from '../constants.js';
+import { getClaimStatusForDenialReasons, isBlockingDenialReason } from '../adjudication/adjudicationEngine.js';
+import { getCurrentDate } from '../utils/common.js';
+import { toNDC11 } from '../ndc/ndc.js';
+import {
+  DENIAL_REASON_REJECT_CODES,
+  NCPDP_FIELD_NAMES,
+  NCPDP_REJECT_CODES,
+  NCPDP_SEGMENT_NAMES,
+  NCPDP_VERSION,
+  NcpdpResponseStatus,
+  NcpdpSegment,
+  NcpdpSeparator,
+  NcpdpTransactionCode,
+} from './ncpdpCodes.js';
+
+/**
+ * NCPDP Transaction Encoder/Decoder
+ * Turns our prescription and insurance objects into an NCPDP D.0-style B1 claim request,
+ * and turns claim responses back into DenialReason values
+ *
+ * Layout: fixed-width header, then segments framed by separator characters
+ *   <header><SS><FS>AM04<FS>C2...<SS><FS>AM01...<GS><SS><FS>AM07...<SS><FS>AM03...<SS><FS>AM11...
+ */
+
+/**
+ * Fixed-width request header fields: [name, width]
+ */
+const REQUEST_HEADER_LAYOUT = [
+  ['bin', 6],                        // 101-A1 BIN Number
+  ['version', 2],                    // 102-A2 Version/Release Number
+  ['transactionCode', 2],            // 103-A3 Transaction Code
+  ['processorControlNumber', 10],    // 104-A4 Processor Control Number
+  ['transactionCount', 1],           // 109-A9 Transaction Count
+  ['serviceProviderIdQualifier', 2], // 202-B2 Service Provider ID Qualifier
+  ['serviceProviderId', 15],         // 201-B1 Service Provider ID
+  ['dateOfService', 8],              // 401-D1 Date of Service
+  ['softwareVendorId', 10],          // 110-AK Software Vendor/Certification ID
+];
+
+/**
+ * Fixed-width response header fields: [name, width]
+ */
+const RESPONSE_HEADER_LAYOUT = [
+  ['version', 2],                    // 102-A2 Version/Release Number
+  ['transactionCode', 2],            // 103-A3 Transaction Code
+  ['transactionCount', 1],           // 109-A9 Transaction Count
+  ['headerResponseStatus', 1],       // 501-F1 Header Response Status
+  ['serviceProviderIdQualifier', 2], // 202-B2 Service Provider ID Qualifier
+  ['serviceProviderId', 15],         // 201-B1 Service Provider ID
+  ['dateOfService', 8],              // 401-D1 Date of Service
+];
+
+const NPI_QUALIFIER = '01';
+const NDC_QUALIFIER = '03';
+const DEFAULT_SOFTWARE_VENDOR_ID = 'RXDEMO';
+
+// Signed overpunch characters for the last digit of an amount, indexed by digit
+const POSITIVE_OVERPUNCH = '{ABCDEFGHI';
+const NEGATIVE_OVERPUNCH = '}JKLMNOPQR';
+
+/**
+ * Formats an amount in cents as an NCPDP signed numeric (s9(n)v99) with overpunch
+ * @param {number} cents - Amount in cents
+ * @returns {string} Overpunched amount (e.g., 1234 -> "123D")
+ */
+export function formatNcpdpAmount(cents) {
+  const digits = String(Math.abs(Math.round(cents)));
+  const lastDigit = Number(digits[digits.length - 1]);
+  const overpunch = cents < 0 ? NEGATIVE_OVERPUNCH[lastDigit] : POSITIVE_OVERPUNCH[lastDigit];
+  return digits.slice(0, -1) + overpunch;
+}
+
+/**
+ * Parses an NCPDP overpunched amount back to cents
+ * @param {string} value - Overpunched amount
+ * @returns {number|null} Amount in cents, or null if the value is not a valid amount
+ */
+export function parseNcpdpAmount(value) {
+  if (!value) return null;
+
+  const last = value[value.length - 1];
+  const head = value.slice(0, -1);
+  if (!/^\d*$/.test(head)) return null;
+
+  if (POSITIVE_OVERPUNCH.includes(last)) {
+    return Number(head + POSITIVE_OVERPUNCH.indexOf(last));
+  }
+  if (NEGATIVE_OVERPUNCH.includes(last)) {
+    return -Number(head + NEGATIVE_OVERPUNCH.indexOf(last));
+  }
+  return /^\d$/.test(last) ? Number(head + last) : null;
+}
+
+/**
+ * Formats a YYYY-MM-DD date as CCYYMMDD
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} NCPDP date
+ */
+export function formatNcpdpDate(date) {
+  return date ? date.replace(/-/g, '') : '';
+}
+
+/**
+ * Parses a CCYYMMDD date to YYYY-MM-DD
+ * @param {string} value - NCPDP date
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function parseNcpdpDate(value) {
+  return value ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : '';
+}
+
+/**
+ * Builds a fixed-width header from values and a layout
+ */
+function encodeHeader(values, layout) {
+  return layout
+    .map(([name, width]) => String(values[name] ?? '').slice(0, width).padEnd(width, ' '))
+    .join('');
+}
+
+/**
+ * Reads a fixed-width header using a layout
+ */
+function decodeHeader(text, layout) {
+  const header = {};
+  let offset = 0;
+
+  layout.forEach(([name, width]) => {
+    header[name] = text.slice(offset, offset + width).trim();
+    offset += width;
+  });
+
+  return header;
+}
+
+/**
+ * Builds one segment; fields with empty values are left out
+ * @param {string} segmentId - Value from NcpdpSegment
+ * @param {Array} fields - [fieldId, value] pairs, repeated IDs are allowed
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(segmentId, fields) {
+  const encodedFields = fields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([fieldId, value]) => `${NcpdpSeparator.FIELD}${fieldId}${value}`);
+
+  return `${NcpdpSeparator.SEGMENT}${NcpdpSeparator.FIELD}${segmentId}${encodedFields.join('')}`;
+}
+
+/**
+ * Splits a transaction into its header and segments
+ * Repeated fields within a segment (like FB reject codes) are returned as arrays
+ * @param {string} text - Encoded transaction
+ * @param {Array} headerLayout - Header layout to read
+ * @returns {Object} { header, segments: { [segmentId]: { [fieldId]: value } } }
+ */
+function decodeTransaction(text, headerLayout) {
+  const firstSegment = text.indexOf(NcpdpSeparator.SEGMENT);
+  const headerText = firstSegment === -1 ? text : text.slice(0, firstSegment);
+  const body = firstSegment === -1 ? '' : text.slice(firstSegment);
+  const segments = {};
+
+  body
+    .split(NcpdpSeparator.GROUP).join('')
+    .split(NcpdpSeparator.SEGMENT)
+    .filter((segment) => segment.length > 0)
+    .forEach((segment) => {
+      const [segmentId, ...fieldTexts] = segment.split(NcpdpSeparator.FIELD).filter((part) => part.length > 0);
+      const fields = {};
+
+      fieldTexts.forEach((fieldText) => {
+        const fieldId = fieldText.slice(0, 2);
+        const value = fieldText.slice(2);
+        if (fields[fieldId] === undefined) {
+          fields[fieldId] = value;
+        } else {
+          fields[fieldId] = [].concat(fields[fieldId], value);
+        }
+      });
+
+      segments[segmentId] = fields;
+    });
+
+  return {
+    header: decodeHeader(headerText, headerLayout),
+    segments
+  };
+}
+
+/**
+ * Encodes a B1 (billing) claim request
+ * @param {Object} prescription - Prescription being billed
+ * @param {Object} insurance - Insurance being billed
+ * @param {Object} options - Claim details
+ * @param {Object} options.patient - User object for the patient
+ * @param {Object} options.pricing - { ingredientCost, dispensingFee?, usualAndCustomary? } (in cents)
+ * @param {string} [options.dateOfService] - Date of service (YYYY-MM-DD), defaults to today
+ * @param {number} [options.fillNumber] - 0 for the original fill, 1+ for refills
+ * @param {string} [options.processorControlNumber] - PCN, defaults to insurance.rxPCN
+ * @param {string} [options.transactionCode] - Value from NcpdpTransactionCode, defaults to B1
+ * @returns {string} Encoded transaction
+ */
+export function encodeClaimRequest(prescription, insurance, options = {}) {
+  const patient = options.patient || {};
+  const pricing = options.pricing || {};
+  const ingredientCost = pricing.ingredientCost || 0;
+  const dispensingFee = pricing.dispensingFee || 0;
+
+  const header = encodeHeader({
+    bin: insurance.rxBIN,
+    version: NCPDP_VERSION,
+    transactionCode: options.transactionCode || NcpdpTransactionCode.BILLING,
+    processorControlNumber: options.processorControlNumber ?? insurance.rxPCN,
+    transactionCount: 1,
+    serviceProviderIdQualifier: NPI_QUALIFIER,
+    serviceProviderId: prescription.pharmacyNPI,
+    dateOfService: formatNcpdpDate(options.dateOfService || getCurrentDate()),
+    softwareVendorId: DEFAULT_SOFTWARE_VENDOR_ID
+  }, REQUEST_HEADER_LAYOUT);
+
+  const insuranceSegment = encodeSegment(NcpdpSegment.INSURANCE, [
+    ['C2', insurance.policyNumber],
+    ['C1', insurance.groupNumber],
+    ['CC', patient.firstName],
+    ['CD', patient.lastName],
+  ]);
+
+  const patientSegment = encodeSegment(NcpdpSegment.PATIENT, [
+    ['C4', formatNcpdpDate(patient.dateOfBirth)],
+    ['C5', '0'], // Not specified
+    ['CA', patient.firstName],
+    ['CB', patient.lastName],
+    ['CM', patient.address?.street],
+    ['CN', patient.address?.city],
+    ['CO', patient.address?.state],
+    ['CP', patient.address?.zipCode?.replace('-', '')],
+  ]);
+
+  const claimSegment = encodeSegment(NcpdpSegment.CLAIM, [
+    ['EM', '1'], // Rx billing
+    ['D2', prescription.id],
+    ['E1', NDC_QUALIFIER],
+    ['D7', toNDC11(prescription.ndc)],
+    ['E7', String(Math.round(prescription.quantity * 1000))], // 9(7)v999
+    ['D3', String(options.fillNumber ?? 0)],
+    ['D5', String(prescription.daysSupply)],
+    ['D6', '1'], // Not a compound
+    ['D8', '0'], // No product selection indicated
+    ['DE', formatNcpdpDate(prescription.prescribedDate)],
+    ['DF', String(prescription.refillsAllowed ?? 0)],
+  ]);
+
+  const prescriberSegment = encodeSegment(NcpdpSegment.PRESCRIBER, [
+    ['EZ', NPI_QUALIFIER],
+    ['DB', prescription.prescriberNPI],
+  ]);
+
+  const pricingSegment = encodeSegment(NcpdpSegment.PRICING, [
+    ['D9', formatNcpdpAmount(ingredientCost)],
+    ['DC', formatNcpdpAmount(dispensingFee)],
+    ['DQ', formatNcpdpAmount(pricing.usualAndCustomary ?? ingredientCost + dispensingFee)],
+    ['DU', formatNcpdpAmount(ingredientCost + dispensingFee)],
+  ]);
+
+  return header
+    + insuranceSegment
+    + patientSegment
+    + NcpdpSeparator.GROUP
+    + claimSegment
+    + prescriberSegment
+    + pricingSegment;
+}
+
+/**
+ * Decodes a claim request into its header and segment fields
+ * @param {string} text - Encoded transaction
+ * @returns {Object} { header, segments }
+ */
+export function decodeClaimRequest(text) {
+  return decodeTransaction(text, REQUEST_HEADER_LAYOUT);
+}
+
+/**
+ * Encodes the response a PBM would send back for an adjudication result
+ * @param {Object} adjudication - Result from adjudicateClaim()
+ * @param {Object} options - Response details
+ * @param {string} [options.serviceProviderId] - Pharmacy NPI from the request
+ * @param {string} [options.dateOfService] - Date of service (YYYY-MM-DD), defaults to today
+ * @param {string} [options.authorizationNumber] - Authorization number for paid claims
+ * @param {string} [options.transactionCode] - Value from NcpdpTransactionCode, defaults to B1
+ * @returns {string} Encoded response
+ */
+export function encodeClaimResponse(adjudication, options = {}) {
+  const blockingReasons = adjudication.denialReasons.filter(isBlockingDenialReason);
+  const rejectCodes = [...new Set(blockingReasons.map((reason) => DENIAL_REASON_REJECT_CODES[reason] || '99'))];
+  const isRejected = rejectCodes.length > 0;
+
+  const header = encodeHeader({
+    version: NCPDP_VERSION,
+    transactionCode: options.transactionCode || NcpdpTransactionCode.BILLING,
+    transactionCount: 1,
+    headerResponseStatus: 'A', // Transmission accepted
+    serviceProviderIdQualifier: NPI_QUALIFIER,
+    serviceProviderId: options.serviceProviderId,
+    dateOfService: formatNcpdpDate(options.dateOfService || getCurrentDate())
+  }, RESPONSE_HEADER_LAYOUT);
+
+  const deniedStep = adjudication.trace.find((step) => isBlockingDenialReason(step.denialReason));
+  const messageSegment = encodeSegment(NcpdpSegment.RESPONSE_MESSAGE, [
+    ['F4', isRejected ? deniedStep?.message : 'Claim paid'],
+  ]);
+
+  const statusSegment = encodeSegment(NcpdpSegment.RESPONSE_STATUS, [
+    ['AN', isRejected ? NcpdpResponseStatus.REJECTED : NcpdpResponseStatus.PAID],
+    ['F3', isRejected ? undefined : options.authorizationNumber],
+    ['FA', isRejected ? String(rejectCodes.length) : undefined],
+    ...rejectCodes.map((code) => ['FB', code]),
+  ]);
+
+  const pricingSegment = isRejected ? '' : encodeSegment(NcpdpSegment.RESPONSE_PRICING, [
+    ['F5', formatNcpdpAmount(adjudication.costs.patientPay)],
+    ['F6', formatNcpdpAmount(adjudication.costs.drugCost)],
+    ['F9', formatNcpdpAmount(adjudication.costs.planPay)],
+    ['FH', formatNcpdpAmount(adjudication.costs.deductibleApplied)],
+  ]);
+
+  return header
+    + messageSegment
+    + NcpdpSeparator.GROUP
+    + statusSegment
+    + pricingSegment;
+}
+
+/**
+ * Decodes a claim response and maps its reject codes onto DenialReason values
+ * Unknown reject codes map to DenialReason.SYSTEM_ERROR
+ * @param {string} text - Encoded response
+ * @returns {Object} { header, segments, transactionStatus, status, rejects, denialReasons, costs, message }
+ */
+export function decodeClaimResponse(text) {
+  const { header, segments } = decodeTransaction(text, RESPONSE_HEADER_LAYOUT);
+  const statusFields = segments[NcpdpSegment.RESPONSE_STATUS] || {};
+  const pricingFields = segments[NcpdpSegment.RESPONSE_PRICING] || {};
+
+  const rejects = [].concat(statusFields.FB ?? []).map((code) => ({
+    code,
+    description: NCPDP_REJECT_CODES[code]?.description || 'Unknown reject code',
+    denialReason: NCPDP_REJECT_CODES[code]?.denialReason || DenialReason.SYSTEM_ERROR
+  }));
+
+  const deductibleApplied = parseNcpdpAmount(pricingFields.FH) || 0;
+  const denialReasons = [...new Set(rejects.map((reject) => reject.denialReason))];
+  if (deductibleApplied > 0) {
+    denialReasons.push(DenialReason.DEDUCTIBLE_NOT_MET);
+  }
+
+  let status;
+  if (statusFields.AN === NcpdpResponseStatus.REJECTED) {
+    status = getClaimStatusForDenialReasons(denialReasons) || ClaimStatus.DENIED;
+  } else if (statusFields.AN === NcpdpResponseStatus.PAID) {
+    status = deductibleApplied > 0 ? ClaimStatus.DEDUCTIBLE_NOT_MET : ClaimStatus.APPROVED;
+  } else {
+    status = ClaimStatus.PENDING;
+  }
+
+  return {
+    header,
+    segments,
+    transactionStatus: statusFields.AN || null,
+    authorizationNumber: statusFields.F3 || null,
+    status,
+    rejects,
+    denialReasons,
+    costs: {
+      patientPay: parseNcpdpAmount(pricingFields.F5),
+      planPay: parseNcpdpAmount(pricingFields.F9),
+      deductibleApplied
+    },
+    message: segments[NcpdpSegment.RESPONSE_MESSAGE]?.F4 || null
+  };
+}
+
+/**
+ * Makes an encoded transaction printable by showing separators as <SS>, <GS> and <FS>
+ * Each segment starts on a new line
+ * @param {string} text - Encoded transaction
+ * @returns {string} Readable transaction
+ */
+export function toReadableTransaction(text) {
+  return text
+    .replace(/\x1D/g, '\n<GS>')
+    .replace(/\x1E/g, '\n<SS>')
+    .replace(/\x1C/g, '<FS>');
+}
+
+/**
+ * Lists every segment and field of a decoded transaction with its standard name
+ * @param {Object} decoded - Result of decodeClaimRequest() or decodeClaimResponse()
+ * @returns {Object[]} [{ segmentId, name, fields: [{ id, name, value }] }]
+ */
+export function explainTransaction(decoded) {
+  return Object.entries(decoded.segments).map(([segmentId, fields]) => ({
+    segmentId,
+    name: NCPDP_SEGMENT_NAMES[segmentId] || segmentId,
+    fields: Object.entries(fields).map(([id, value]) => ({
+      id,
+      name: NCPDP_FIELD_NAMES[id] || id,
+      value
+    }))
+  }));
+}
@@ -0,0 +1,124 @@
+/**
+ * NDC (National Drug Code) Utilities
+ * Parses every NDC form found on labels and in claims, and converts between them
+ *
+ * Labels print a 10-digit NDC in one of three configurations:
+ *   4-4-2 (1234-5678-90), 5-3-2 (12345-678-90), 5-4-1 (12345-6789-0)
+ * Claims use the 11-digit 5-4-2 billing format, made by zero-padding the short segment:
+ *   1234-5678-90 -> 01234-5678-90 -> 01234567890
+ * Our canonical stored value is the hyphenated 11-digit form (01234-5678-90)
+ */
+
+/**
+ * NDC segment configurations
+ */
+export const NdcConfiguration = {
+  LABELER_4: '4-4-2',  // 10-digit, labeler padded to 5
+  PRODUCT_3: '5-3-2',  // 10-digit, product padded to 4
+  PACKAGE_1: '5-4-1',  // 10-digit, package padded to 2
+  BILLING: '5-4-2',    // 11-digit billing format, nothing padded
+};
+
+/**
+ * Segment that gets a leading zero when each 10-digit configuration is converted to 11 digits
+ */
+const PADDED_SEGMENT = {
+  [NdcConfiguration.LABELER_4]: 'labeler',
+  [NdcConfiguration.PRODUCT_3]: 'product',
+  [NdcConfiguration.PACKAGE_1]: 'package',
+  [NdcConfiguration.BILLING]: null,
+};
+
+/**
+ * Parses an NDC in any supported form
+ * Unhyphenated 10-digit NDCs are rejected because their configuration cannot be known
+ * @param {string} input - NDC as typed or copied (hyphenated 10/11-digit, or 11 digits without hyphens)
+ * @returns {Object|null} { labeler, product, package, configuration, paddedSegment, ndc11, formatted } or null if invalid
+ */
+export function parseNDC(input) {
+  if (typeof input !== 'string') return null;
+
+  const value = input.trim();
+  let segments;
+
+  if (/^\d{11}$/.test(value)) {
+    segments = [value.slice(0, 5), value.slice(5, 9), value.slice(9)];
+  } else if (/^\d{4,5}-\d{3,4}-\d{1,2}$/.test(value)) {
+    segments = value.split('-');
+  } else {
+    return null;
+  }
+
+  const configuration = segments.map((segment) => segment.length).join('-');
+  if (!Object.values(NdcConfiguration).includes(configuration)) {
+    return null;
+  }
+
+  const [labeler, product, pkg] = [
+    segments[0].padStart(5, '0'),
+    segments[1].padStart(4, '0'),
+    segments[2].padStart(2, '0'),
+  ];
+
+  return {
+    labeler,
+    product,
+    package: pkg,
+    configuration,
+    paddedSegment: PADDED_SEGMENT[configuration],
+    ndc11: `${labeler}${product}${pkg}`,
+    formatted: `${labeler}-${product}-${pkg}`
+  };
+}
+
+/**
+ * Converts any supported NDC form to the canonical hyphenated 11-digit form
+ * @param {string} input - NDC in any supported form
+ * @returns {string|null} NDC like "01234-5678-90", or null if invalid
+ */
+export function normalizeNDC(input) {
+  return parseNDC(input)?.formatted || null;
+}
+
+/**
+ * Converts any supported NDC form to the unhyphenated 11-digit billing format
+ * @param {string} input - NDC in any supported form
+ * @returns {string|null} NDC like "01234567890", or null if invalid
+ */
+export function toNDC11(input) {
+  return parseNDC(input)?.ndc11 || null;
+}
+
+/**
+ * Converts an 11-digit NDC back to a 10-digit label configuration
+ * Only works when the segment that would have been padded starts with a zero
+ * @param {string} input - 11-digit NDC (hyphenated or not)
+ * @param {string} configuration - Target value from NdcConfiguration
+ * @returns {string|null} Hyphenated 10-digit NDC, or null if it cannot be expressed that way
+ */
+export function fromNDC11(input, configuration) {
+  const parsed = parseNDC(input);
+  if (!parsed) return null;
+
+  const segments = { labeler: parsed.labeler, product: parsed.product, package: parsed.package };
+  const padded = PADDED_SEGMENT[configuration];
+
+  if (padded === undefined) return null;
+  if (padded) {
+    if (!segments[padded].startsWith('0')) return null;
+    segments[padded] = segments[padded].slice(1);
+  }
+
+  return `${segments.labeler}-${segments.product}-${segments.package}`;
+}
+
+/**
+ * Lists the 10-digit label forms an 11-digit NDC could have come from
+ * @param {string} input - NDC in any supported form
+ * @returns {Object[]} [{ configuration, ndc }] for every configuration that fits
+ */
+export function getPossibleNDC10Forms(input) {
+  return [NdcConfiguration.LABELER_4, NdcConfiguration.PRODUCT_3, NdcConfiguration.PACKAGE_1]
+    .map((configuration) => ({ configuration, ndc: fromNDC11(input, configuration) }))
+    .filter((form) => form.ndc !== null);
+}
@@ -0,0 +1,41 @@
+/**
+ * NPI (National Provider Identifier) Utilities
+ * NPIs are 9 digits plus a Luhn check digit computed as if the number
+ * were prefixed with 80840 (the US health industry card issuer prefix)
+ */
+
+const NPI_PREFIX = '80840';
+
+/**
+ * Calculates the check digit for the first 9 digits of an NPI
+ * @param {string} baseDigits - First 9 digits of the NPI
+ * @returns {number|null} Check digit (0-9), or null if the input is not 9 digits
+ */
+export function calculateNPICheckDigit(baseDigits) {
+  if (!/^\d{9}$/.test(baseDigits)) return null;
+
+  const digits = `${NPI_PREFIX}${baseDigits}`;
+  let sum = 0;
+
+  // Luhn: double every second digit starting from the rightmost digit of the payload
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Checks that an NPI is 10 digits with a correct check digit
+ * @param {string} npi - NPI to check
+ * @returns {boolean} True if the check digit matches
+ */
+export function hasValidNPICheckDigit(npi) {
+  if (!/^\d{10}$/.test(npi)) return false;
+  return calculateNPICheckDigit(npi.slice(0, 9)) === Number(npi[9]);
+}
@@ -0,0 +1,65 @@
+import { NetworkStatus } from '../constants.js';
+import { getDayOfWeek } from '../dates/dateOnly.js';
+
+/**
+ * Pharmacy Network Utilities
+ * Answers whether a pharmacy is in a plan's network and when it is open
+ *
+ * Pharmacies look like:
+ * { npi, name, pharmacyType, address, hours: { monday: '09:00-21:00', sunday: 'CLOSED' }, networkPlanIds: ['DEMO-PPO-STANDARD'], isActive }
+ */
+
+/**
+ * Day names used as keys of pharmacy.hours, indexed by getDayOfWeek()
+ */
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Gets a pharmacy's network status for a formulary plan
+ * Inactive pharmacies are out of every network
+ * @param {Object} pharmacy - Pharmacy record
+ * @param {string} planId - Formulary plan ID
+ * @returns {string} Value from NetworkStatus
+ */
+export function getPharmacyNetworkStatus(pharmacy, planId) {
+  const inNetwork = pharmacy.isActive !== false && (pharmacy.networkPlanIds || []).includes(planId);
+  return inNetwork ? NetworkStatus.IN_NETWORK : NetworkStatus.OUT_OF_NETWORK;
+}
+
+/**
+ * Lists the pharmacies in a plan's network
+ * @param {Object[]} pharmacies - Pharmacy records
+ * @param {string} planId - Formulary plan ID
+ * @returns {Object[]} In-network pharmacies
+ */
+export function findNetworkPharmacies(pharmacies, planId) {
+  return pharmacies.filter((pharmacy) => getPharmacyNetworkStatus(pharmacy, planId) === NetworkStatus.IN_NETWORK);
+}
+
+/**
+ * Gets a pharmacy's opening hours on a date
+ * @param {Object} pharmacy - Pharmacy record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} { opens, closes } as HH:MM, or null when closed or no hours are listed
+ */
+export function getOpeningHours(pharmacy, date) {
+  const day = WEEKDAYS[getDayOfWeek(date)];
+  const hours = pharmacy.hours?.[day];
+  if (!hours || hours === 'CLOSED') return null;
+
+  const [opens, closes] = hours.split('-');
+  return { opens, closes };
+}
+
+/**
+ * Checks if a pharmacy is open at a local date and time
+ * Mail-order pharmacies usually list no hours and are never open for walk-in pickup
+ * @param {Object} pharmacy - Pharmacy record
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM, 24-hour)
+ * @returns {boolean} True if the pharmacy is open
+ */
+export function isPharmacyOpen(pharmacy, date, time) {
+  const hours = getOpeningHours(pharmacy, date);
+  return Boolean(hours) && time >= hours.opens && time < hours.closes;
+}
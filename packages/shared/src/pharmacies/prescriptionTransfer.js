@@ -0,0 +1,115 @@
+import { ControlledSubstanceSchedule, ErrorCode, PrescriptionStatus } from '../constants.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { generateSortableId, getCurrentDate } from '../utils/common.js';
+import { isValidDate } from '../validators/userValidator.js';
+import { getPrescriptionExpirationDate, getPrescriptionFills } from '../refills/fillHistory.js';
+
+/**
+ * Prescription Transfer Utilities
+ * Moves a prescription's remaining refills from one pharmacy to another and records the transfer
+ *
+ * Transfer records look like:
+ * { id, prescriptionId, fromPharmacyNPI, toPharmacyNPI, refillsTransferred, transferDate, transferredBy, reason }
+ */
+
+/**
+ * Prescription statuses that can no longer be transferred
+ */
+const NON_TRANSFERABLE_STATUSES = [PrescriptionStatus.CANCELLED, PrescriptionStatus.DENIED];
+
+/**
+ * Schedules that may only be transferred once (21 CFR 1306.25); Schedule II may not be transferred at all
+ */
+const SINGLE_TRANSFER_SCHEDULES = [
+  ControlledSubstanceSchedule.C_III,
+  ControlledSubstanceSchedule.C_IV,
+  ControlledSubstanceSchedule.C_V,
+];
+
+/**
+ * Transfers a prescription to another pharmacy
+ * A prescription that has been filled needs refills remaining; one that has not been filled yet
+ * moves with its original fill. The prescription passed in is never modified
+ * @param {Object} prescription - Prescription being transferred
+ * @param {Object} toPharmacy - Receiving pharmacy record
+ * @param {Object} options - Transfer details
+ * @param {string} options.transferredBy - Who made the transfer (user ID, pharmacist NPI, "system")
+ * @param {string} [options.reason] - Why the patient is moving pharmacies
+ * @param {string} [options.date] - Transfer date (YYYY-MM-DD), defaults to today
+ * @param {Object[]} [options.fillHistory] - Fills of the prescription
+ * @param {Object[]} [options.transferHistory] - Earlier transfers of the prescription
+ * @returns {Object} Success response with { prescription, transfer } or an error response
+ */
+export function transferPrescription(prescription, toPharmacy, options = {}) {
+  const date = options.date || getCurrentDate();
+
+  if (!options.transferredBy) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'An actor is required to transfer a prescription');
+  }
+
+  if (!isValidDate(date)) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Transfer date must be in YYYY-MM-DD format');
+  }
+
+  if (NON_TRANSFERABLE_STATUSES.includes(prescription.status)) {
+    return createErrorResponse(
+      ErrorCode.PRESCRIPTION_INACTIVE,
+      `A ${prescription.status} prescription cannot be transferred`
+    );
+  }
+
+  const expirationDate = getPrescriptionExpirationDate(prescription);
+  if (date > expirationDate) {
+    return createErrorResponse(
+      ErrorCode.PRESCRIPTION_INACTIVE,
+      `Prescription expired on ${expirationDate} and cannot be transferred`,
+      { expirationDate }
+    );
+  }
+
+  const schedule = prescription.controlledSubstanceSchedule;
+  if (schedule === ControlledSubstanceSchedule.C_II) {
+    return createErrorResponse(ErrorCode.TRANSFER_NOT_ALLOWED, 'Schedule II prescriptions cannot be transferred');
+  }
+
+  const previousTransfers = (options.transferHistory || []).filter((transfer) => transfer.prescriptionId === prescription.id);
+  if (SINGLE_TRANSFER_SCHEDULES.includes(schedule) && previousTransfers.length > 0) {
+    return createErrorResponse(
+      ErrorCode.TRANSFER_NOT_ALLOWED,
+      `Schedule ${schedule.replace('C-', '')} prescriptions can only be transferred once`
+    );
+  }
+
+  const refillsRemaining = prescription.refillsRemaining ?? prescription.refillsAllowed ?? 0;
+  const hasBeenFilled = getPrescriptionFills(options.fillHistory, prescription.id).length > 0;
+  if (hasBeenFilled && refillsRemaining <= 0) {
+    return createErrorResponse(
+      ErrorCode.NO_REFILLS_REMAINING,
+      'No refills remaining to transfer, contact the prescriber for a new prescription'
+    );
+  }
+
+  if (toPharmacy.isActive === false) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, `${toPharmacy.name} is not active and cannot receive transfers`);
+  }
+
+  if (prescription.pharmacyNPI === toPharmacy.npi) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, `Prescription is already at ${toPharmacy.name}`);
+  }
+
+  const transfer = {
+    id: generateSortableId(),
+    prescriptionId: prescription.id,
+    fromPharmacyNPI: prescription.pharmacyNPI || null,
+    toPharmacyNPI: toPharmacy.npi,
+    refillsTransferred: refillsRemaining,
+    transferDate: date,
+    transferredBy: options.transferredBy,
+    reason: options.reason || undefined
+  };
+
+  return createSuccessResponse({
+    prescription: { ...prescription, pharmacyNPI: toPharmacy.npi },
+    transfer
+  });
+}
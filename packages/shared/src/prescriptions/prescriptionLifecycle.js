@@ -0,0 +1,163 @@
+import { ErrorCode, PrescriptionStatus } from '../constants.js';
+import { isInsuranceActive } from '../validators/insuranceValidator.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/apiResponse.js';
+import { getCurrentDateTime } from '../utils/common.js';
+
+/**
+ * Prescription Lifecycle
+ * State machine for prescription statuses with guarded transitions and a status history
+ * Every move goes through transitionPrescription() so the timeline stays trustworthy
+ */
+
+/**
+ * Legal transitions from each prescription status
+ */
+export const PRESCRIPTION_TRANSITIONS = {
+  [PrescriptionStatus.PENDING]: [
+    PrescriptionStatus.SUBMITTED,
+    PrescriptionStatus.CANCELLED,
+  ],
+  [PrescriptionStatus.SUBMITTED]: [
+    PrescriptionStatus.APPROVED,
+    PrescriptionStatus.DENIED,
+    PrescriptionStatus.PRIOR_AUTH_REQUIRED,
+    PrescriptionStatus.CANCELLED,
+  ],
+  [PrescriptionStatus.APPROVED]: [
+    PrescriptionStatus.FILLED,
+    PrescriptionStatus.CANCELLED,
+  ],
+  [PrescriptionStatus.DENIED]: [
+    PrescriptionStatus.PRIOR_AUTH_REQUIRED, // Prescriber starts a PA after the denial
+    PrescriptionStatus.SUBMITTED,           // Resubmitted after correcting the claim
+    PrescriptionStatus.CANCELLED,
+  ],
+  [PrescriptionStatus.PRIOR_AUTH_REQUIRED]: [
+    PrescriptionStatus.SUBMITTED,           // PA approved, claim resubmitted
+    PrescriptionStatus.DENIED,              // PA denied
+    PrescriptionStatus.CANCELLED,
+  ],
+  [PrescriptionStatus.FILLED]: [
+    PrescriptionStatus.PICKED_UP,
+    PrescriptionStatus.CANCELLED,           // Never picked up, returned to stock
+  ],
+  [PrescriptionStatus.PICKED_UP]: [
+    PrescriptionStatus.SUBMITTED,           // Refill
+  ],
+  [PrescriptionStatus.CANCELLED]: [],
+};
+
+/**
+ * Business checks run before entering a status
+ * Each guard returns null when the move is allowed, or { code, message } when it is not
+ */
+const TRANSITION_GUARDS = {
+  [PrescriptionStatus.SUBMITTED]: (prescription, fromStatus, options) => {
+    if (fromStatus === PrescriptionStatus.PICKED_UP && !(prescription.refillsRemaining > 0)) {
+      return {
+        code: ErrorCode.NO_REFILLS_REMAINING,
+        message: 'No refills remaining on this prescription'
+      };
+    }
+
+    if (!options.insurance) {
+      return {
+        code: ErrorCode.INSURANCE_INACTIVE,
+        message: 'An active insurance plan is required to submit a claim'
+      };
+    }
+
+    if (!isInsuranceActive(options.insurance, options.date)) {
+      return {
+        code: ErrorCode.INSURANCE_INACTIVE,
+        message: 'Insurance must be active to submit a claim'
+      };
+    }
+
+    return null;
+  },
+};
+
+/**
+ * Gets the statuses a prescription can move to from its current status
+ * @param {string} status - Current prescription status
+ * @returns {string[]} Allowed next statuses
+ */
+export function getAllowedTransitions(status) {
+  return PRESCRIPTION_TRANSITIONS[status] || [];
+}
+
+/**
+ * Checks if moving between two statuses is legal (ignores business guards)
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is defined
+ */
+export function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Moves a prescription to a new status and appends a history entry
+ * The prescription passed in is never modified
+ * @param {Object} prescription - Prescription to transition
+ * @param {string} toStatus - Requested status from PrescriptionStatus
+ * @param {Object} options - Transition details
+ * @param {string} options.actor - Who made the change (user ID, pharmacist NPI, "system")
+ * @param {string} [options.reason] - Why the change was made
+ * @param {Object} [options.insurance] - Insurance the claim goes to, required to enter SUBMITTED
+ * @param {string} [options.date] - Date used for the insurance check (YYYY-MM-DD), defaults to today
+ * @param {string} [options.timestamp] - ISO datetime for the history entry, defaults to now
+ * @returns {Object} Success response with { prescription, historyEntry } or an error response
+ */
+export function transitionPrescription(prescription, toStatus, options = {}) {
+  const fromStatus = prescription.status || PrescriptionStatus.PENDING;
+
+  if (!options.actor) {
+    return createErrorResponse(
+      ErrorCode.VALIDATION_ERROR,
+      'An actor is required to change prescription status'
+    );
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      `Cannot move prescription from ${fromStatus} to ${toStatus}`,
+      { fromStatus, toStatus, allowedStatuses: getAllowedTransitions(fromStatus) }
+    );
+  }
+
+  const guard = TRANSITION_GUARDS[toStatus];
+  const guardError = guard ? guard(prescription, fromStatus, options) : null;
+  if (guardError) {
+    return createErrorResponse(guardError.code, guardError.message, { fromStatus, toStatus });
+  }
+
+  const historyEntry = {
+    fromStatus,
+    toStatus,
+    actor: options.actor,
+    reason: options.reason || undefined,
+    timestamp: options.timestamp || getCurrentDateTime()
+  };
+
+  return createSuccessResponse({
+    prescription: {
+      ...prescription,
+      status: toStatus,
+      statusHistory: [...(prescription.statusHistory || []), historyEntry]
+    },
+    historyEntry
+  });
+}
+
+/**
+ * Gets a prescription's status history in chronological order
+ * @param {Object} prescription - Prescription with statusHistory
+ * @returns {Object[]} History entries sorted oldest first
+ */
+export function getStatusTimeline(prescription) {
+  return [...(prescription.statusHistory || [])]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
@@ -0,0 +1,31 @@
+import { createSuccessResponse } from '../utils/apiResponse.js';
+import { adjudicateClaim } from '../adjudication/adjudicationEngine.js';
+import { approvePriorAuth } from './priorAuthorization.js';
+
+/**
+ * Prior Authorization Re-adjudication
+ * Closes the loop between a PA decision and the claim it was blocking
+ */
+
+/**
+ * Approves a PA and immediately re-adjudicates the claim it was blocking
+ * @param {Object} priorAuth - PA in REQUESTED status
+ * @param {Object} approval - Same as approvePriorAuth()
+ * @param {Object} claim - { prescription, insurance, context } as passed to adjudicateClaim()
+ * @param {Object} options - { actor, reason?, timestamp? }
+ * @returns {Object} Success response with { priorAuth, adjudication }, or an error response
+ */
+export function approvePriorAuthAndReadjudicate(priorAuth, approval, claim, options = {}) {
+  const approved = approvePriorAuth(priorAuth, approval, options);
+  if (!approved.success) {
+    return approved;
+  }
+
+  const context = claim.context || {};
+  const adjudication = adjudicateClaim(claim.prescription, claim.insurance, {
+    ...context,
+    priorAuthorizations: [...(context.priorAuthorizations || []), approved.data]
+  });
+
+  return createSuccessResponse({ priorAuth: approved.data, adjudication });
+}
@@ -0,0 +1,298 @@
+import { ErrorCode, PriorAuthStatus, ValidationErrorCode } from '../constants.js';
+import { isValidNDC, isValidNPI } from '../validators/prescriptionValidator.js';
+import { normalizeNDC } from '../ndc/ndc.js';
+import { isValidDate } from '../validators/userValidator.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { createErrorResponse, createSuccessResponse, createValidationErrorResponse } from '../utils/apiResponse.js';
+import { addDays, generateSortableId, getCurrentDate, getCurrentDateTime } from '../utils/common.js';
+
+/**
+ * Prior Authorization Workflow
+ * Lets a prescriber request a PA and the plan ask clinical questions and decide
+ * The adjudication engine honors any approved PA passed in context.priorAuthorizations
+ */
+
+/**
+ * Default approval window when the plan does not specify one
+ */
+export const DEFAULT_PRIOR_AUTH_VALIDITY_DAYS = 365;
+
+/**
+ * Legal transitions from each prior authorization status
+ */
+export const PRIOR_AUTH_TRANSITIONS = {
+  [PriorAuthStatus.REQUESTED]: [
+    PriorAuthStatus.MORE_INFO_NEEDED,
+    PriorAuthStatus.APPROVED,
+    PriorAuthStatus.DENIED,
+  ],
+  [PriorAuthStatus.MORE_INFO_NEEDED]: [
+    PriorAuthStatus.REQUESTED, // Prescriber answered the questions
+    PriorAuthStatus.DENIED,    // No answer or answers do not meet criteria
+  ],
+  [PriorAuthStatus.APPROVED]: [
+    PriorAuthStatus.EXPIRED,
+  ],
+  [PriorAuthStatus.DENIED]: [],
+  [PriorAuthStatus.EXPIRED]: [],
+};
+
+/**
+ * Validates a new prior authorization request
+ * @param {Object} request - { prescriptionId, prescriberNPI, planId, ndc }
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validatePriorAuthRequest(request) {
+  const errors = [];
+  const fieldError = (field, code, message) => createFieldError(field, code, message, request[field]);
+
+  if (!request.prescriptionId) {
+    errors.push(fieldError('prescriptionId', ValidationErrorCode.REQUIRED, 'Prescription ID is required'));
+  }
+
+  if (!request.prescriberNPI) {
+    errors.push(fieldError('prescriberNPI', ValidationErrorCode.REQUIRED, 'Prescriber NPI is required'));
+  } else if (!isValidNPI(request.prescriberNPI)) {
+    errors.push(fieldError('prescriberNPI', ValidationErrorCode.INVALID_FORMAT, 'Prescriber NPI must be 10 digits with a valid check digit'));
+  }
+
+  if (!request.planId) {
+    errors.push(fieldError('planId', ValidationErrorCode.REQUIRED, 'Plan ID is required'));
+  }
+
+  if (!request.ndc) {
+    errors.push(fieldError('ndc', ValidationErrorCode.REQUIRED, 'NDC is required'));
+  } else if (!isValidNDC(request.ndc)) {
+    errors.push(fieldError('ndc', ValidationErrorCode.INVALID_FORMAT, 'NDC must be a 10-digit (4-4-2, 5-3-2, 5-4-1) or 11-digit (5-4-2) code'));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Moves a prior authorization to a new status, applying changes and recording history
+ */
+function movePriorAuth(priorAuth, toStatus, changes, options) {
+  if (!options.actor) {
+    return createErrorResponse(
+      ErrorCode.VALIDATION_ERROR,
+      'An actor is required to change prior authorization status'
+    );
+  }
+
+  const fromStatus = priorAuth.status;
+  if (!(PRIOR_AUTH_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      `Cannot move prior authorization from ${fromStatus} to ${toStatus}`,
+      { fromStatus, toStatus, allowedStatuses: PRIOR_AUTH_TRANSITIONS[fromStatus] || [] }
+    );
+  }
+
+  const historyEntry = {
+    fromStatus,
+    toStatus,
+    actor: options.actor,
+    reason: options.reason || undefined,
+    timestamp: options.timestamp || getCurrentDateTime()
+  };
+
+  return createSuccessResponse({
+    ...priorAuth,
+    ...changes,
+    status: toStatus,
+    statusHistory: [...priorAuth.statusHistory, historyEntry]
+  });
+}
+
+/**
+ * Creates a new prior authorization request in REQUESTED status
+ * @param {Object} request - { prescriptionId, prescriberNPI, planId, ndc, insuranceId?, clinicalNotes? }
+ * @param {Object} options - { actor, timestamp? }
+ * @returns {Object} Success response with the PA, or a validation error response
+ */
+export function createPriorAuthRequest(request, options = {}) {
+  const validation = validatePriorAuthRequest(request);
+  if (!validation.isValid) {
+    return createValidationErrorResponse(validation.errors);
+  }
+
+  if (!options.actor) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'An actor is required to request prior authorization');
+  }
+
+  const timestamp = options.timestamp || getCurrentDateTime();
+
+  return createSuccessResponse({
+    id: generateSortableId(),
+    prescriptionId: request.prescriptionId,
+    prescriberNPI: request.prescriberNPI,
+    planId: request.planId,
+    insuranceId: request.insuranceId || undefined,
+    ndc: normalizeNDC(request.ndc),
+    clinicalNotes: request.clinicalNotes || undefined,
+    status: PriorAuthStatus.REQUESTED,
+    questions: [],
+    validFrom: null,
+    validThrough: null,
+    quantityOverride: null,
+    decisionReason: null,
+    requestedAt: timestamp,
+    statusHistory: [{
+      fromStatus: null,
+      toStatus: PriorAuthStatus.REQUESTED,
+      actor: options.actor,
+      timestamp
+    }]
+  });
+}
+
+/**
+ * Plan asks the prescriber clinical questions before deciding
+ * @param {Object} priorAuth - PA in REQUESTED status
+ * @param {string[]} questions - Question texts
+ * @param {Object} options - { actor, reason?, timestamp? }
+ * @returns {Object} Success response with the updated PA, or an error response
+ */
+export function requestPriorAuthInfo(priorAuth, questions, options = {}) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'At least one clinical question is required');
+  }
+
+  const newQuestions = questions.map((text, index) => ({
+    id: `Q${priorAuth.questions.length + index + 1}`,
+    text,
+    answer: null,
+    answeredAt: null
+  }));
+
+  return movePriorAuth(
+    priorAuth,
+    PriorAuthStatus.MORE_INFO_NEEDED,
+    { questions: [...priorAuth.questions, ...newQuestions] },
+    options
+  );
+}
+
+/**
+ * Prescriber answers the open clinical questions, sending the PA back for review
+ * @param {Object} priorAuth - PA in MORE_INFO_NEEDED status
+ * @param {Object} answers - Answers keyed by question ID (e.g. { Q1: 'Yes, metformin for 6 months' })
+ * @param {Object} options - { actor, timestamp? }
+ * @returns {Object} Success response with the updated PA, or an error response
+ */
+export function answerPriorAuthQuestions(priorAuth, answers, options = {}) {
+  const timestamp = options.timestamp || getCurrentDateTime();
+  const questions = priorAuth.questions.map((question) => (
+    question.answer === null && answers[question.id]
+      ? { ...question, answer: answers[question.id], answeredAt: timestamp }
+      : question
+  ));
+
+  const unanswered = questions.filter((question) => question.answer === null).map((question) => question.id);
+  if (unanswered.length > 0) {
+    return createErrorResponse(
+      ErrorCode.VALIDATION_ERROR,
+      'All clinical questions must be answered',
+      { unanswered }
+    );
+  }
+
+  return movePriorAuth(priorAuth, PriorAuthStatus.REQUESTED, { questions }, { ...options, timestamp });
+}
+
+/**
+ * Plan approves the PA for a validity window, optionally overriding the quantity limit
+ * @param {Object} priorAuth - PA in REQUESTED status
+ * @param {Object} approval - { validFrom?, validThrough?, quantityOverride?: { quantity, days? } }
+ * @param {Object} options - { actor, reason?, timestamp? }
+ * @returns {Object} Success response with the updated PA, or an error response
+ */
+export function approvePriorAuth(priorAuth, approval = {}, options = {}) {
+  const validFrom = approval.validFrom || getCurrentDate();
+  if (!isValidDate(validFrom) || (approval.validThrough && !isValidDate(approval.validThrough))) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Approval dates must be in YYYY-MM-DD format');
+  }
+
+  const validThrough = approval.validThrough || addDays(validFrom, DEFAULT_PRIOR_AUTH_VALIDITY_DAYS - 1);
+
+  if (validThrough < validFrom) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Approval must end on or after its start date');
+  }
+
+  const quantityOverride = approval.quantityOverride || null;
+  if (quantityOverride && !(quantityOverride.quantity > 0)) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'Quantity override must be a positive number');
+  }
+
+  return movePriorAuth(
+    priorAuth,
+    PriorAuthStatus.APPROVED,
+    { validFrom, validThrough, quantityOverride, decisionReason: options.reason || null },
+    options
+  );
+}
+
+/**
+ * Plan denies the PA
+ * @param {Object} priorAuth - PA in REQUESTED or MORE_INFO_NEEDED status
+ * @param {Object} options - { actor, reason, timestamp? }
+ * @returns {Object} Success response with the updated PA, or an error response
+ */
+export function denyPriorAuth(priorAuth, options = {}) {
+  if (!options.reason) {
+    return createErrorResponse(ErrorCode.VALIDATION_ERROR, 'A reason is required to deny prior authorization');
+  }
+
+  return movePriorAuth(priorAuth, PriorAuthStatus.DENIED, { decisionReason: options.reason }, options);
+}
+
+/**
+ * Marks an approved PA as expired once its window has passed
+ * @param {Object} priorAuth - PA in APPROVED status
+ * @param {Object} options - { actor, date?, timestamp? }
+ * @returns {Object} Success response with the updated PA, or an error response
+ */
+export function expirePriorAuth(priorAuth, options = {}) {
+  const date = options.date || getCurrentDate();
+  if (priorAuth.validThrough && priorAuth.validThrough >= date) {
+    return createErrorResponse(
+      ErrorCode.VALIDATION_ERROR,
+      `Prior authorization is valid through ${priorAuth.validThrough} and cannot expire yet`
+    );
+  }
+
+  return movePriorAuth(priorAuth, PriorAuthStatus.EXPIRED, {}, { reason: 'Approval window ended', ...options });
+}
+
+/**
+ * Checks if a PA is approved and its window covers a date
+ * @param {Object} priorAuth - Prior authorization
+ * @param {string} [date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {boolean} True if the PA can be used on that date
+ */
+export function isPriorAuthValid(priorAuth, date = getCurrentDate()) {
+  return priorAuth.status === PriorAuthStatus.APPROVED
+    && priorAuth.validFrom <= date
+    && priorAuth.validThrough >= date;
+}
+
+/**
+ * Finds a PA that covers a prescription on a plan and date
+ * @param {Object[]} priorAuths - Prior authorizations on file
+ * @param {Object} prescription - Prescription being billed
+ * @param {string} planId - Formulary plan ID
+ * @param {string} [date] - Date of service (YYYY-MM-DD), defaults to today
+ * @returns {Object|null} Matching valid PA or null
+ */
+export function findValidPriorAuth(priorAuths, prescription, planId, date = getCurrentDate()) {
+  return (priorAuths || []).find((priorAuth) => (
+    priorAuth.planId === planId
+    && priorAuth.ndc === normalizeNDC(prescription.ndc)
+    && (!prescription.id || priorAuth.prescriptionId === prescription.id)
+    && isPriorAuthValid(priorAuth, date)
+  )) || null;
+}
@@ -0,0 +1,106 @@
+import { NpiEntityType, ValidationErrorCode } from '../constants.js';
+import { hasValidNPICheckDigit } from '../npi/npi.js';
+import { isValidStateCode } from '../validators/userValidator.js';
+
+/**
+ * Provider Registry
+ * Local stand-in for the NPPES registry of prescribers and pharmacies
+ *
+ * Registry data looks like:
+ * { providers: [{ npi, name, entityType: 1 | 2, taxonomy, taxonomyDescription?, state, isActive }] }
+ */
+
+/**
+ * Builds a registry keyed by NPI from raw provider data
+ * Invalid providers are left out and reported in errors
+ * @param {Object} data - { providers: Object[] }
+ * @returns {Object} { registry, errors: string[] }
+ */
+export function loadProviderRegistry(data) {
+  const errors = [];
+  const registry = {};
+
+  (data.providers || []).forEach((provider, index) => {
+    const label = `Provider ${index + 1}`;
+
+    if (!hasValidNPICheckDigit(provider.npi)) {
+      errors.push(`${label}: NPI must be 10 digits with a valid check digit`);
+      return;
+    }
+
+    if (!Object.values(NpiEntityType).includes(provider.entityType)) {
+      errors.push(`${label}: entity type must be 1 (individual) or 2 (organization)`);
+      return;
+    }
+
+    if (provider.state && !isValidStateCode(provider.state)) {
+      errors.push(`${label}: invalid state code`);
+      return;
+    }
+
+    registry[provider.npi] = {
+      npi: provider.npi,
+      name: provider.name,
+      entityType: provider.entityType,
+      taxonomy: provider.taxonomy,
+      taxonomyDescription: provider.taxonomyDescription || undefined,
+      state: provider.state?.toUpperCase(),
+      isActive: provider.isActive !== false
+    };
+  });
+
+  return { registry, errors };
+}
+
+/**
+ * Looks up a provider by NPI
+ * @param {Object} registry - Registry from loadProviderRegistry()
+ * @param {string} npi - NPI to look up
+ * @returns {Object|null} Provider or null if not registered
+ */
+export function lookupProvider(registry, npi) {
+  return registry?.[npi] || null;
+}
+
+/**
+ * Checks a provider exists, is active and has the expected entity type
+ * @returns {Object|null} { code, message } with a ValidationErrorCode, or null when the provider is acceptable
+ */
+function checkProvider(registry, npi, entityType, role) {
+  const provider = lookupProvider(registry, npi);
+
+  if (!provider) {
+    return { code: ValidationErrorCode.NOT_REGISTERED, message: `${role} NPI ${npi} is not in the provider registry` };
+  }
+
+  if (provider.entityType !== entityType) {
+    const expected = entityType === NpiEntityType.INDIVIDUAL ? 'an individual' : 'an organization';
+    return { code: ValidationErrorCode.WRONG_ENTITY_TYPE, message: `${role} NPI ${npi} must belong to ${expected}` };
+  }
+
+  if (!provider.isActive) {
+    return { code: ValidationErrorCode.INACTIVE, message: `${role} NPI ${npi} (${provider.name}) is not active` };
+  }
+
+  return null;
+}
+
+/**
+ * Checks that an NPI belongs to an active individual prescriber
+ * @param {Object} registry - Registry from loadProviderRegistry()
+ * @param {string} npi - Prescriber NPI
+ * @returns {Object|null} { code, message }, or null when valid
+ */
+export function checkPrescriberNPI(registry, npi) {
+  return checkProvider(registry, npi, NpiEntityType.INDIVIDUAL, 'Prescriber');
+}
+
+/**
+ * Checks that an NPI belongs to an active pharmacy organization
+ * @param {Object} registry - Registry from loadProviderRegistry()
+ * @param {string} npi - Pharmacy NPI
+ * @returns {Object|null} { code, message }, or null when valid
+ */
+export function checkPharmacyNPI(registry, npi) {
+  return checkProvider(registry, npi, NpiEntityType.ORGANIZATION, 'Pharmacy');
+}
@@ -0,0 +1,22 @@
+import { loadProviderRegistry } from './providerRegistry.js';
+import { readJsonFile } from '../utils/dataFiles.js';
+
+/**
+ * Provider Registry File Loader
+ * Reads the provider registry from a local JSON file (Node.js only)
+ */
+
+/**
+ * Path to the demo provider registry bundled with the shared package
+ */
+export const DEFAULT_PROVIDER_REGISTRY_FILE = new URL('../../data/providers.json', import.meta.url);
+
+/**
+ * Loads a provider registry from a JSON file
+ * @param {string|URL} [filePath] - Path to a { providers } JSON file, defaults to the bundled demo registry
+ * @returns {Promise<Object>} { registry, errors: string[] }
+ */
+export async function loadProviderRegistryFromFile(filePath = DEFAULT_PROVIDER_REGISTRY_FILE) {
+  const data = await readJsonFile(filePath);
+  return loadProviderRegistry(data);
+}
@@ -0,0 +1,63 @@
+import { AuditAction, AuditSubjectType, ClaimStatus, PrescriptionStatus } from '../constants.js';
+import { FilterType } from './listQuery.js';
+
+/**
+ * List Query Definitions
+ * The fields each list endpoint can be filtered and sorted by
+ *
+ * filters: { field: { type, options?, fromParam?, toParam? } } where type is a FilterType, options lists the
+ *   accepted values and fromParam/toParam rename the query parameters of a range
+ * sortFields: fields accepted in ?sort=; each must be set on every record, or cursors could not resume after it
+ * defaultSort: sort used when the query gives none, in the same form as ?sort=
+ */
+
+/**
+ * Prescriptions at /api/prescriptions
+ */
+export const PrescriptionListQuery = {
+  filters: {
+    userId: { type: FilterType.EQUALS },
+    pharmacyNPI: { type: FilterType.EQUALS },
+    prescriberNPI: { type: FilterType.EQUALS },
+    ndc: { type: FilterType.EQUALS },
+    status: { type: FilterType.EQUALS, options: Object.values(PrescriptionStatus) },
+    prescribedDate: { type: FilterType.DATE_RANGE },
+    createdAt: { type: FilterType.TIMESTAMP_RANGE },
+  },
+  sortFields: ['createdAt', 'updatedAt', 'prescribedDate', 'medicationName', 'status'],
+  defaultSort: 'createdAt',
+};
+
+/**
+ * Claims at /api/claims
+ */
+export const ClaimListQuery = {
+  filters: {
+    userId: { type: FilterType.EQUALS },
+    prescriptionId: { type: FilterType.EQUALS },
+    insuranceId: { type: FilterType.EQUALS },
+    pharmacyNPI: { type: FilterType.EQUALS },
+    coordinationId: { type: FilterType.EQUALS },
+    originalClaimId: { type: FilterType.EQUALS },
+    status: { type: FilterType.EQUALS, options: Object.values(ClaimStatus) },
+    dateOfService: { type: FilterType.DATE_RANGE },
+    createdAt: { type: FilterType.TIMESTAMP_RANGE },
+  },
+  sortFields: ['createdAt', 'dateOfService', 'status'],
+  defaultSort: 'createdAt',
+};
+
+/**
+ * Audit log entries at /api/audit, newest first unless sorted otherwise
+ */
+export const AuditListQuery = {
+  filters: {
+    subjectType: { type: FilterType.EQUALS, options: Object.values(AuditSubjectType) },
+    subjectId: { type: FilterType.EQUALS },
+    actorId: { type: FilterType.EQUALS },
+    action: { type: FilterType.EQUALS, options: Object.values(AuditAction) },
+    occurredAt: { type: FilterType.TIMESTAMP_RANGE, fromParam: 'from', toParam: 'to' },
+  },
+  sortFields: ['sequence', 'occurredAt'],
+  defaultSort: '-sequence',
+};
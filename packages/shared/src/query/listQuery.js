@@ -0,0 +1,377 @@
+import { ValidationErrorCode } from '../constants.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { isValidDate } from '../validators/userValidator.js';
+import { createCursorPaginatedResponse, createPaginatedResponse } from '../utils/apiResponse.js';
+import { addDays } from '../utils/common.js';
+
+/**
+ * List Queries
+ * Parses list query strings such as ?status=DENIED&sort=-prescribedDate&limit=25&cursor=...
+ * into a list query that repositories can run
+ *
+ * Each entity declares which fields may be filtered and sorted (see listQueries.js); anything else is
+ * rejected. A parsed list query looks like:
+ * { conditions: [{ field, operator, value }], sort: [{ field, direction }], limit, page, after }
+ * page is set for offset pagination; otherwise the query is cursor-paginated and after holds the
+ * decoded cursor. Sorting always ends with id so every record has a fixed position, which is what lets a
+ * cursor resume exactly where the last page stopped even while new records are being added
+ */
+
+/**
+ * How a filterable field is matched
+ */
+export const FilterType = {
+  EQUALS: 'EQUALS',                   // ?field=A matches A; ?field=A,B matches either
+  DATE_RANGE: 'DATE_RANGE',           // ?fieldFrom=&fieldTo= with YYYY-MM-DD dates, both inclusive
+  TIMESTAMP_RANGE: 'TIMESTAMP_RANGE', // Same, also accepting ISO timestamps; a date in fieldTo covers the whole day
+};
+
+/**
+ * Comparisons a list query condition can make
+ */
+export const FilterOperator = {
+  EQ: 'EQ',   // Equal to value
+  IN: 'IN',   // Equal to one of the values in an array; an empty array matches nothing
+  GTE: 'GTE', // Greater than or equal to value
+  LTE: 'LTE', // Less than or equal to value
+  LT: 'LT',   // Less than value
+};
+
+/**
+ * Sort directions
+ */
+export const SortDirection = {
+  ASC: 'ASC',
+  DESC: 'DESC',
+};
+
+/**
+ * Page size when the query does not give a limit
+ */
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Largest page a query may ask for
+ */
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Query parameters every list accepts besides its filters
+ */
+const PAGING_PARAMS = ['sort', 'limit', 'page', 'cursor'];
+
+/**
+ * Field that breaks ties between records with equal sort values
+ */
+const TIEBREAK_FIELD = 'id';
+
+/**
+ * Gets the query parameters a filter reads
+ */
+function getFilterParams(field, filter) {
+  if (filter.type === FilterType.EQUALS) {
+    return { value: field };
+  }
+  return { from: filter.fromParam || `${field}From`, to: filter.toParam || `${field}To` };
+}
+
+/**
+ * Checks if a value is a YYYY-MM-DD date or an ISO timestamp
+ */
+function isValidTimestampBound(value) {
+  return isValidDate(value) || (/^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)));
+}
+
+/**
+ * Encodes text as unpadded base64url, in the browser as well as Node
+ */
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url text; throws when the input is not base64url
+ */
+function fromBase64Url(encoded) {
+  if (!/^[A-Za-z0-9_-]*$/.test(encoded)) {
+    throw new Error('Not base64url');
+  }
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * Describes a sort order as it appears in the query string, e.g. "-prescribedDate,id"
+ */
+function describeSort(sort) {
+  return sort.map(({ field, direction }) => `${direction === SortDirection.DESC ? '-' : ''}${field}`).join(',');
+}
+
+/**
+ * Creates the opaque cursor that resumes a list after a record
+ * @param {Object} listQuery - List query the record was listed with
+ * @param {Object} record - Last record on the page
+ * @returns {string} Cursor for the next page
+ */
+export function encodeListCursor(listQuery, record) {
+  return toBase64Url(JSON.stringify({
+    sort: describeSort(listQuery.sort),
+    after: listQuery.sort.map(({ field }) => record[field])
+  }));
+}
+
+/**
+ * Decodes a cursor; null when it is malformed or was issued for a different sort order
+ */
+function decodeListCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(fromBase64Url(cursor));
+    const isValid = decoded
+      && decoded.sort === describeSort(sort)
+      && Array.isArray(decoded.after)
+      && decoded.after.length === sort.length;
+    return isValid ? decoded.after : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads one query parameter as a string; repeated parameters are joined like a comma-separated list
+ */
+function readParam(query, name) {
+  const value = query[name];
+  if (Array.isArray(value)) return value.join(',');
+  return value === '' ? undefined : value;
+}
+
+/**
+ * Parses the sort parameter, e.g. "-prescribedDate,medicationName"
+ */
+function parseSort(value, definition, errors) {
+  const sort = [];
+
+  String(value).split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const direction = part.startsWith('-') ? SortDirection.DESC : SortDirection.ASC;
+    const field = part.replace(/^[-+]/, '');
+    if (!definition.sortFields.includes(field)) {
+      errors.push(createFieldError('sort', ValidationErrorCode.INVALID_OPTION,
+        `Cannot sort by "${field}"; sortable fields are: ${definition.sortFields.join(', ')}`, value));
+    } else if (!sort.some((key) => key.field === field)) {
+      sort.push({ field, direction });
+    }
+  });
+
+  return sort;
+}
+
+/**
+ * Parses a positive whole number parameter
+ */
+function parsePositiveInteger(name, value, max, errors) {
+  const number = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    errors.push(createFieldError(name, ValidationErrorCode.OUT_OF_RANGE,
+      `${name.charAt(0).toUpperCase()}${name.slice(1)} must be a whole number from 1${max === Infinity ? '' : ` to ${max}`}`, value));
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Parses the conditions of one filterable field
+ */
+function parseFilter(field, filter, query, errors) {
+  const params = getFilterParams(field, filter);
+
+  if (filter.type === FilterType.EQUALS) {
+    const raw = readParam(query, params.value);
+    if (raw === undefined) return [];
+    if (typeof raw !== 'string') {
+      errors.push(createFieldError(params.value, ValidationErrorCode.INVALID_FORMAT, `${params.value} must be text`, raw));
+      return [];
+    }
+
+    const values = [...new Set(raw.split(',').map((value) => value.trim()).filter(Boolean))];
+    const unknown = filter.options ? values.filter((value) => !filter.options.includes(value)) : [];
+    if (unknown.length > 0) {
+      errors.push(createFieldError(params.value, ValidationErrorCode.INVALID_OPTION,
+        `${params.value} must be one of: ${filter.options.join(', ')}`, raw));
+      return [];
+    }
+
+    return values.length === 1
+      ? [{ field, operator: FilterOperator.EQ, value: values[0] }]
+      : [{ field, operator: FilterOperator.IN, value: values }];
+  }
+
+  const isValidBound = filter.type === FilterType.DATE_RANGE ? isValidDate : isValidTimestampBound;
+  const format = filter.type === FilterType.DATE_RANGE ? 'a YYYY-MM-DD date' : 'a YYYY-MM-DD date or an ISO timestamp';
+  const from = readParam(query, params.from);
+  const to = readParam(query, params.to);
+  const conditions = [];
+
+  [[params.from, from], [params.to, to]].forEach(([name, value]) => {
+    if (value !== undefined && (typeof value !== 'string' || !isValidBound(value))) {
+      errors.push(createFieldError(name, ValidationErrorCode.INVALID_FORMAT, `${name} must be ${format}`, value));
+    }
+  });
+  if (errors.some((error) => error.field === params.from || error.field === params.to)) return [];
+
+  if (from !== undefined && to !== undefined && to < from) {
+    errors.push(createFieldError(params.to, ValidationErrorCode.INVALID_DATE_RANGE,
+      `${params.to} must not be before ${params.from}`, to));
+    return [];
+  }
+
+  if (from !== undefined) {
+    conditions.push({ field, operator: FilterOperator.GTE, value: from });
+  }
+  if (to !== undefined) {
+    // A date-only upper bound on a timestamp covers the whole day
+    conditions.push(filter.type === FilterType.TIMESTAMP_RANGE && isValidDate(to)
+      ? { field, operator: FilterOperator.LT, value: addDays(to, 1) }
+      : { field, operator: FilterOperator.LTE, value: to });
+  }
+  return conditions;
+}
+
+/**
+ * Parses and validates a list query string
+ * Filters on the same field are combined with AND; values of one filter parameter with OR
+ * @param {Object} query - Parsed query string, e.g. req.query
+ * @param {Object} definition - List query definition from listQueries.js
+ * @returns {Object} { isValid: boolean, errors: Object[], listQuery } where errors are field errors from createFieldError()
+ *   and listQuery is null when the query is invalid
+ */
+export function parseListQuery(query, definition) {
+  const errors = [];
+  const params = query || {};
+
+  const known = new Set([
+    ...PAGING_PARAMS,
+    ...Object.entries(definition.filters).flatMap(([field, filter]) => Object.values(getFilterParams(field, filter)))
+  ]);
+  Object.keys(params).filter((name) => !known.has(name)).forEach((name) => {
+    errors.push(createFieldError(name, ValidationErrorCode.INVALID_OPTION, `Cannot filter by "${name}"`, params[name]));
+  });
+
+  const conditions = Object.entries(definition.filters)
+    .flatMap(([field, filter]) => parseFilter(field, filter, params, errors));
+
+  const sort = parseSort(readParam(params, 'sort') ?? definition.defaultSort, definition, errors);
+  if (!sort.some((key) => key.field === TIEBREAK_FIELD)) {
+    sort.push({ field: TIEBREAK_FIELD, direction: SortDirection.ASC });
+  }
+
+  const limitParam = readParam(params, 'limit');
+  const limit = limitParam === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInteger('limit', limitParam, MAX_PAGE_SIZE, errors);
+
+  const pageParam = readParam(params, 'page');
+  const cursor = readParam(params, 'cursor');
+  const page = pageParam === undefined ? null : parsePositiveInteger('page', pageParam, Infinity, errors);
+
+  let after = null;
+  if (cursor !== undefined && pageParam !== undefined) {
+    errors.push(createFieldError('cursor', ValidationErrorCode.INCONSISTENT, 'Use either cursor or page, not both', cursor));
+  } else if (cursor !== undefined) {
+    after = decodeListCursor(cursor, sort);
+    if (!after) {
+      errors.push(createFieldError('cursor', ValidationErrorCode.INVALID_FORMAT,
+        'Cursor is invalid or was issued for a different sort order', cursor));
+    }
+  }
+
+  const isValid = errors.length === 0;
+  return {
+    isValid,
+    errors,
+    listQuery: isValid ? { conditions, sort, limit, page, after } : null
+  };
+}
+
+/**
+ * Narrows a list query to the records an account may see
+ * @param {Object} listQuery - List query from parseListQuery()
+ * @param {Object|null} scope - { field: value or array of values } every record must match, e.g. from getListScope();
+ *   null when the account may see no records at all
+ * @returns {Object} New list query
+ */
+export function restrictListQuery(listQuery, scope) {
+  const restrictions = scope === null
+    ? [{ field: TIEBREAK_FIELD, operator: FilterOperator.IN, value: [] }]
+    : Object.entries(scope).map(([field, value]) => (
+      Array.isArray(value)
+        ? { field, operator: FilterOperator.IN, value }
+        : { field, operator: FilterOperator.EQ, value }
+    ));
+
+  return { ...listQuery, conditions: [...listQuery.conditions, ...restrictions] };
+}
+
+/**
+ * Checks if a record meets one condition
+ */
+function meetsCondition(record, { field, operator, value }) {
+  const actual = record[field];
+  switch (operator) {
+    case FilterOperator.EQ: return actual === value;
+    case FilterOperator.IN: return value.includes(actual);
+    case FilterOperator.GTE: return actual !== undefined && actual >= value;
+    case FilterOperator.LTE: return actual !== undefined && actual <= value;
+    case FilterOperator.LT: return actual !== undefined && actual < value;
+    default: throw new Error(`Unknown filter operator "${operator}"`);
+  }
+}
+
+/**
+ * Compares sort values of two records, or of a record and a cursor
+ */
+function compareSortValues(sort, a, b) {
+  for (const [index, { direction }] of sort.entries()) {
+    if (a[index] === b[index]) continue;
+    const order = a[index] < b[index] ? -1 : 1;
+    return direction === SortDirection.DESC ? -order : order;
+  }
+  return 0;
+}
+
+/**
+ * Runs a list query over records held in memory
+ * Gives the same results as the SQL compilation in the backend, for the in-memory repositories
+ * @param {Object[]} records - Every record of the entity
+ * @param {Object} listQuery - List query from parseListQuery()
+ * @returns {Object} { items, total } for page queries, { items, nextCursor } for cursor queries
+ */
+export function applyListQuery(records, listQuery) {
+  const { conditions, sort, limit, page, after } = listQuery;
+  const sortValues = (record) => sort.map(({ field }) => record[field]);
+
+  const matches = records
+    .filter((record) => conditions.every((condition) => meetsCondition(record, condition)))
+    .sort((a, b) => compareSortValues(sort, sortValues(a), sortValues(b)));
+
+  if (page) {
+    return { items: matches.slice((page - 1) * limit, page * limit), total: matches.length };
+  }
+
+  const remaining = after ? matches.filter((record) => compareSortValues(sort, sortValues(record), after) > 0) : matches;
+  const items = remaining.slice(0, limit);
+  return {
+    items,
+    nextCursor: remaining.length > limit ? encodeListCursor(listQuery, items.at(-1)) : null
+  };
+}
+
+/**
+ * Packages one page of a list for the response
+ * @param {Object} listQuery - List query the page was fetched with
+ * @param {Object} result - { items, total } or { items, nextCursor } from a repository's page()
+ * @returns {Object} createPaginatedResponse() for page queries, createCursorPaginatedResponse() for cursor queries
+ */
+export function createListPageResponse(listQuery, result) {
+  return listQuery.page
+    ? createPaginatedResponse(result.items, result.total, listQuery.page, listQuery.limit)
+    : createCursorPaginatedResponse(result.items, listQuery.limit, result.nextCursor);
+}
@@ -0,0 +1,336 @@
+import { ControlledSubstanceSchedule, DenialReason, ErrorCode, ValidationErrorCode } from '../constants.js';
+import { isValidDate } from '../validators/userValidator.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { hasValidNPICheckDigit } from '../npi/npi.js';
+import { createErrorResponse, createSuccessResponse, createValidationErrorResponse } from '../utils/apiResponse.js';
+import { addDays, generateSortableId, getCurrentDate } from '../utils/common.js';
+
+/**
+ * Fill History Utilities
+ * Records each dispense of a prescription and answers "when can I refill?"
+ *
+ * A fill looks like:
+ * { id, prescriptionId, fillNumber, fillDate, quantity, daysSupply, pharmacyNPI?, overrideType? }
+ * fillNumber 0 is the original fill, 1 is the first refill, and so on
+ */
+
+/**
+ * Default share of the previous fill's days supply that must be used before a refill
+ * Plans typically set this between 75% and 80%
+ */
+export const DEFAULT_REFILL_THRESHOLD_PERCENT = 80;
+
+/**
+ * Days a prescription stays valid after it was written
+ */
+export const PRESCRIPTION_VALIDITY_DAYS = {
+  DEFAULT: 365,
+  [ControlledSubstanceSchedule.C_II]: 90,
+  [ControlledSubstanceSchedule.C_III]: 180,
+  [ControlledSubstanceSchedule.C_IV]: 180,
+  [ControlledSubstanceSchedule.C_V]: 180,
+};
+
+/**
+ * Early refill overrides a pharmacist can apply
+ */
+export const RefillOverrideType = {
+  VACATION: 'VACATION', // Patient is traveling and needs the next fill early
+};
+
+/**
+ * Days that must pass between two vacation overrides on the same prescription
+ */
+export const VACATION_OVERRIDE_INTERVAL_DAYS = 365;
+
+/**
+ * Validates controlled substance schedule
+ * @param {string} schedule - Schedule to validate
+ * @returns {boolean} True if valid schedule
+ */
+export function isValidControlledSubstanceSchedule(schedule) {
+  return Object.values(ControlledSubstanceSchedule).includes(schedule);
+}
+
+/**
+ * Gets the last day a prescription can be filled
+ * @param {Object} prescription - Prescription with prescribedDate and optional controlledSubstanceSchedule
+ * @returns {string} Expiration date (YYYY-MM-DD)
+ */
+export function getPrescriptionExpirationDate(prescription) {
+  const validityDays = PRESCRIPTION_VALIDITY_DAYS[prescription.controlledSubstanceSchedule]
+    || PRESCRIPTION_VALIDITY_DAYS.DEFAULT;
+  return addDays(prescription.prescribedDate, validityDays);
+}
+
+/**
+ * Checks if a prescription is too old to fill
+ * @param {Object} prescription - Prescription with prescribedDate
+ * @param {string} [date] - Date to check (YYYY-MM-DD), defaults to today
+ * @returns {boolean} True if the prescription has expired
+ */
+export function isPrescriptionExpired(prescription, date = getCurrentDate()) {
+  return date > getPrescriptionExpirationDate(prescription);
+}
+
+/**
+ * Gets the fills for a prescription, oldest first
+ * @param {Object[]} fillHistory - Fill records
+ * @param {string} [prescriptionId] - Only include fills for this prescription
+ * @returns {Object[]} Sorted fills
+ */
+export function getPrescriptionFills(fillHistory, prescriptionId) {
+  return (fillHistory || [])
+    .filter((fill) => !prescriptionId || fill.prescriptionId === prescriptionId)
+    .sort((a, b) => a.fillNumber - b.fillNumber);
+}
+
+/**
+ * Calculates the earliest date the next fill can be paid
+ * @param {Object} lastFill - Previous fill with fillDate and daysSupply
+ * @param {number} [thresholdPercent] - Share of days supply that must be used
+ * @returns {string} Earliest refill date (YYYY-MM-DD)
+ */
+export function getEarliestRefillDate(lastFill, thresholdPercent = DEFAULT_REFILL_THRESHOLD_PERCENT) {
+  const daysRequired = Math.ceil(lastFill.daysSupply * thresholdPercent / 100);
+  return addDays(lastFill.fillDate, daysRequired);
+}
+
+/**
+ * Checks if a vacation override is still available for a prescription
+ * Only one is allowed per VACATION_OVERRIDE_INTERVAL_DAYS
+ */
+function canUseVacationOverride(fills, date) {
+  const lastOverride = [...fills].reverse().find((fill) => fill.overrideType === RefillOverrideType.VACATION);
+  return !lastOverride || addDays(lastOverride.fillDate, VACATION_OVERRIDE_INTERVAL_DAYS) <= date;
+}
+
+/**
+ * Works out whether a prescription can be filled on a date and, if not, when it can
+ * @param {Object} prescription - Prescription with id, prescribedDate and refillsRemaining
+ * @param {Object[]} fillHistory - Fill records
+ * @param {Object} [options] - Check options
+ * @param {string} [options.date] - Date of the fill (YYYY-MM-DD), defaults to today
+ * @param {number} [options.thresholdPercent] - Plan refill threshold
+ * @param {string} [options.overrideType] - Value from RefillOverrideType
+ * @returns {Object} { eligible, denialReason, earliestRefillDate, expirationDate, refillsRemaining, isRefill, message }
+ */
+export function checkRefillEligibility(prescription, fillHistory, options = {}) {
+  const date = options.date || getCurrentDate();
+  const thresholdPercent = options.thresholdPercent ?? DEFAULT_REFILL_THRESHOLD_PERCENT;
+  const fills = getPrescriptionFills(fillHistory, prescription.id);
+  const lastFill = fills[fills.length - 1];
+  const expirationDate = getPrescriptionExpirationDate(prescription);
+  const refillsRemaining = prescription.refillsRemaining ?? prescription.refillsAllowed ?? 0;
+  const earliestRefillDate = lastFill ? getEarliestRefillDate(lastFill, thresholdPercent) : prescription.prescribedDate;
+
+  const result = {
+    eligible: false,
+    denialReason: DenialReason.NONE,
+    earliestRefillDate,
+    expirationDate,
+    refillsRemaining,
+    isRefill: Boolean(lastFill)
+  };
+
+  if (date > expirationDate) {
+    return {
+      ...result,
+      denialReason: DenialReason.EXPIRED_PRESCRIPTION,
+      message: `Prescription expired on ${expirationDate}, a new prescription is needed`
+    };
+  }
+
+  if (lastFill && refillsRemaining <= 0) {
+    return {
+      ...result,
+      message: 'No refills remaining, contact the prescriber for a new prescription'
+    };
+  }
+
+  if (lastFill && date < earliestRefillDate) {
+    if (options.overrideType === RefillOverrideType.VACATION && canUseVacationOverride(fills, date)) {
+      return {
+        ...result,
+        eligible: true,
+        message: `Vacation override allows an early refill (normally available ${earliestRefillDate})`
+      };
+    }
+
+    return {
+      ...result,
+      denialReason: DenialReason.REFILL_TOO_SOON,
+      message: `Refill available on ${earliestRefillDate} (${thresholdPercent}% of the ${lastFill.daysSupply}-day supply filled ${lastFill.fillDate})`
+    };
+  }
+
+  return {
+    ...result,
+    eligible: true,
+    message: lastFill ? `Refill available since ${earliestRefillDate}` : 'Ready for the original fill'
+  };
+}
+
+/**
+ * Validates the details of a dispense
+ * Quantity is any number greater than zero, so liquids can be dispensed by the part-millilitre, and days
+ * supply a whole number greater than zero; fields left out fall back to the prescription
+ * @param {Object} prescription - Prescription being filled
+ * @param {Object} fill - { fillDate?, quantity?, daysSupply?, pharmacyNPI?, overrideType? }
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validateFill(prescription, fill) {
+  const errors = [];
+  const fieldError = (field, code, message) => createFieldError(field, code, message, fill[field]);
+  const isGiven = (field) => fill[field] !== undefined && fill[field] !== null;
+
+  if (isGiven('fillDate') && !isValidDate(fill.fillDate)) {
+    errors.push(fieldError('fillDate', ValidationErrorCode.INVALID_FORMAT, 'Fill date must be in YYYY-MM-DD format'));
+  } else if (isValidDate(prescription.prescribedDate) && (fill.fillDate || getCurrentDate()) < prescription.prescribedDate) {
+    errors.push(fieldError('fillDate', ValidationErrorCode.INVALID_DATE_RANGE, `Fill date cannot be before the prescribed date ${prescription.prescribedDate}`));
+  }
+
+  if (isGiven('quantity') && !(Number.isFinite(fill.quantity) && fill.quantity > 0)) {
+    errors.push(fieldError('quantity', ValidationErrorCode.OUT_OF_RANGE, 'Quantity must be a number greater than 0'));
+  }
+
+  if (isGiven('daysSupply') && !(Number.isInteger(fill.daysSupply) && fill.daysSupply > 0)) {
+    errors.push(fieldError('daysSupply', ValidationErrorCode.OUT_OF_RANGE, 'Days supply must be a whole number greater than 0'));
+  }
+
+  if (isGiven('pharmacyNPI') && !hasValidNPICheckDigit(fill.pharmacyNPI)) {
+    errors.push(fieldError('pharmacyNPI', ValidationErrorCode.INVALID_FORMAT, 'Pharmacy NPI must be 10 digits with a valid check digit'));
+  }
+
+  if (isGiven('overrideType') && !Object.values(RefillOverrideType).includes(fill.overrideType)) {
+    errors.push(fieldError('overrideType', ValidationErrorCode.INVALID_OPTION, `Override type must be one of: ${Object.values(RefillOverrideType).join(', ')}`));
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Records a dispense, decrementing refills when it is a refill
+ * @param {Object} prescription - Prescription being filled
+ * @param {Object[]} fillHistory - Existing fill records
+ * @param {Object} fill - { fillDate?, quantity?, daysSupply?, pharmacyNPI?, overrideType?, claimId? } where
+ *   claimId is the paid claim the dispense was billed under, which a reversal later undoes it by
+ * @param {Object} [options] - { thresholdPercent? }
+ * @returns {Object} Success response with { prescription, fill, fillHistory }, a validation error response
+ *   when validateFill() rejects the fill, or an error response
+ */
+export function recordFill(prescription, fillHistory, fill = {}, options = {}) {
+  const validation = validateFill(prescription, fill);
+  if (!validation.isValid) {
+    return createValidationErrorResponse(validation.errors);
+  }
+
+  const fillDate = fill.fillDate || getCurrentDate();
+
+  const eligibility = checkRefillEligibility(prescription, fillHistory, {
+    date: fillDate,
+    thresholdPercent: options.thresholdPercent,
+    overrideType: fill.overrideType
+  });
+
+  if (!eligibility.eligible) {
+    const code = {
+      [DenialReason.EXPIRED_PRESCRIPTION]: ErrorCode.PRESCRIPTION_INACTIVE,
+      [DenialReason.REFILL_TOO_SOON]: ErrorCode.REFILL_TOO_SOON
+    }[eligibility.denialReason] || ErrorCode.NO_REFILLS_REMAINING;
+
+    return createErrorResponse(code, eligibility.message, {
+      earliestRefillDate: eligibility.earliestRefillDate,
+      expirationDate: eligibility.expirationDate,
+      refillsRemaining: eligibility.refillsRemaining
+    });
+  }
+
+  const previousFills = getPrescriptionFills(fillHistory, prescription.id);
+  const newFill = {
+    id: generateSortableId(),
+    prescriptionId: prescription.id,
+    fillNumber: previousFills.length,
+    fillDate,
+    quantity: fill.quantity ?? prescription.quantity,
+    daysSupply: fill.daysSupply ?? prescription.daysSupply,
+    pharmacyNPI: fill.pharmacyNPI || prescription.pharmacyNPI || undefined,
+    overrideType: eligibility.isRefill && fillDate < eligibility.earliestRefillDate ? fill.overrideType : undefined,
+    claimId: fill.claimId || undefined
+  };
+
+  return createSuccessResponse({
+    prescription: {
+      ...prescription,
+      refillsRemaining: eligibility.isRefill ? eligibility.refillsRemaining - 1 : eligibility.refillsRemaining
+    },
+    fill: newFill,
+    fillHistory: [...(fillHistory || []), newFill]
+  });
+}
+
+/**
+ * Undoes a dispense that never reached the patient, giving back the refill it used
+ * Only the latest fill can be undone, so fill numbers stay consecutive
+ * @param {Object} prescription - Prescription the fill belongs to
+ * @param {Object[]} fillHistory - Existing fill records
+ * @param {string} fillId - Fill to undo
+ * @returns {Object} Success response with { prescription, fill, fillHistory } where fill is the removed
+ *   fill and fillHistory no longer has it, or an error response
+ */
+export function reverseFill(prescription, fillHistory, fillId) {
+  const fills = getPrescriptionFills(fillHistory, prescription.id);
+  const fill = fills.find((candidate) => candidate.id === fillId);
+  if (!fill) {
+    return createErrorResponse(ErrorCode.NOT_FOUND, `Fill ${fillId} not found for this prescription`);
+  }
+
+  const lastFill = fills[fills.length - 1];
+  if (lastFill.id !== fill.id) {
+    return createErrorResponse(
+      ErrorCode.INVALID_STATUS_TRANSITION,
+      `Fill ${fill.fillNumber} cannot be undone because fill ${lastFill.fillNumber} was dispensed after it`
+    );
+  }
+
+  const refillsRemaining = prescription.refillsRemaining ?? prescription.refillsAllowed ?? 0;
+  const restored = fill.fillNumber > 0 ? refillsRemaining + 1 : refillsRemaining;
+
+  return createSuccessResponse({
+    prescription: {
+      ...prescription,
+      refillsRemaining: Math.min(restored, prescription.refillsAllowed ?? restored)
+    },
+    fill,
+    fillHistory: (fillHistory || []).filter((candidate) => candidate.id !== fill.id)
+  });
+}
+
+/**
+ * Rolls a prescription and its fill history back to just before a fill was dispensed
+ * The fill and every later one are left out and the refills they used are counted as remaining again,
+ * which is how the prescription stood when that fill's claim was adjudicated
+ * @param {Object} prescription - Prescription the fill belongs to
+ * @param {Object[]} fillHistory - Existing fill records
+ * @param {string} fillId - Fill to roll back to
+ * @returns {Object} { prescription, fillHistory }; both unchanged if the fill is not in the history
+ */
+export function getFillHistoryBefore(prescription, fillHistory, fillId) {
+  const fills = getPrescriptionFills(fillHistory, prescription.id);
+  const index = fills.findIndex((fill) => fill.id === fillId);
+  if (index === -1) {
+    return { prescription, fillHistory: fillHistory || [] };
+  }
+
+  const laterFills = fills.slice(index);
+  const refillsUsed = laterFills.filter((fill) => fill.fillNumber > 0).length;
+  const refillsRemaining = (prescription.refillsRemaining ?? prescription.refillsAllowed ?? 0) + refillsUsed;
+
+  return {
+    prescription: {
+      ...prescription,
+      refillsRemaining: Math.min(refillsRemaining, prescription.refillsAllowed ?? refillsRemaining)
+    },
+    fillHistory: (fillHistory || []).filter((fill) => !laterFills.includes(fill))
+  };
+}
@@ -0,0 +1,283 @@
+import {
+  ControlledSubstanceSchedule,
+  CoverageOrder,
+  InsurancePlanType,
+  MedicationForm,
+  PharmacyType,
+  PrescriptionStatus,
+  UserRole,
+  ValidationErrorCode
+} from '../constants.js';
+import { SchemaFieldType, SchemaFormat } from './schemaTypes.js';
+
+/**
+ * Entity Schemas
+ * Single description of each entity, used for validation, the OpenAPI document and form rendering
+ * Add a field here and validateUser()/validateInsurance()/validatePrescription()/validatePharmacy(),
+ * the API docs and getFormFields() all pick it up
+ */
+
+/**
+ * US street address shared by patients and pharmacies
+ */
+const ADDRESS_FIELD = {
+  type: SchemaFieldType.OBJECT,
+  label: 'Address',
+  required: true,
+  fields: {
+    street: { type: SchemaFieldType.STRING, label: 'Street address', required: true },
+    city: { type: SchemaFieldType.STRING, label: 'City', required: true },
+    state: { type: SchemaFieldType.STRING, label: 'State', required: true, format: SchemaFormat.STATE_CODE, placeholder: 'CA' },
+    zipCode: { type: SchemaFieldType.STRING, label: 'ZIP code', required: true, format: SchemaFormat.ZIP_CODE }
+  }
+};
+
+/**
+ * Opening hours for one day of the week
+ */
+function openingHoursField(label) {
+  return { type: SchemaFieldType.STRING, label, format: SchemaFormat.OPENING_HOURS, placeholder: '09:00-21:00' };
+}
+
+/**
+ * Patient profile
+ */
+export const UserSchema = {
+  name: 'User',
+  description: 'Patient profile',
+  fields: {
+    email: { type: SchemaFieldType.STRING, label: 'Email', required: true, format: SchemaFormat.EMAIL },
+    firstName: { type: SchemaFieldType.STRING, label: 'First name', required: true, maxLength: 100 },
+    lastName: { type: SchemaFieldType.STRING, label: 'Last name', required: true, maxLength: 100 },
+    dateOfBirth: { type: SchemaFieldType.STRING, label: 'Date of birth', required: true, format: SchemaFormat.DATE },
+    phoneNumber: {
+      type: SchemaFieldType.STRING,
+      label: 'Phone number',
+      required: true,
+      format: SchemaFormat.PHONE,
+      placeholder: '5551234567'
+    },
+    address: ADDRESS_FIELD
+  }
+};
+
+/**
+ * Insurance plan a patient is enrolled in
+ * Amounts are in cents
+ */
+export const InsuranceSchema = {
+  name: 'Insurance',
+  description: 'Insurance plan a patient is enrolled in (amounts in cents)',
+  fields: {
+    userId: { type: SchemaFieldType.STRING, label: 'User ID', required: true, hidden: true },
+    insuranceCompany: { type: SchemaFieldType.STRING, label: 'Insurance company name', required: true },
+    policyNumber: { type: SchemaFieldType.STRING, label: 'Policy number', required: true },
+    groupNumber: { type: SchemaFieldType.STRING, label: 'Group number' },
+    planType: {
+      type: SchemaFieldType.STRING,
+      label: 'Plan type',
+      required: true,
+      enum: Object.values(InsurancePlanType)
+    },
+    planName: { type: SchemaFieldType.STRING, label: 'Plan name', required: true },
+    coverageOrder: {
+      type: SchemaFieldType.STRING,
+      label: 'Coverage order',
+      enum: Object.values(CoverageOrder),
+      description: 'Order this plan pays in when the patient has more than one, defaults to PRIMARY'
+    },
+    rxBIN: {
+      type: SchemaFieldType.STRING,
+      label: 'RxBIN',
+      required: true,
+      format: SchemaFormat.RX_BIN,
+      description: 'Identifies the Pharmacy Benefit Manager (PBM)'
+    },
+    rxPCN: { type: SchemaFieldType.STRING, label: 'RxPCN', description: 'Processor control number' },
+    formularyId: { type: SchemaFieldType.STRING, label: 'Formulary ID' },
+    deductible: { type: SchemaFieldType.INTEGER, label: 'Deductible', minimum: 0, unit: 'cents' },
+    deductibleMet: {
+      type: SchemaFieldType.INTEGER,
+      label: 'Deductible met',
+      minimum: 0,
+      unit: 'cents',
+      maximumField: 'deductible',
+      messages: { [ValidationErrorCode.EXCEEDS_LIMIT]: 'Deductible met cannot exceed total deductible' }
+    },
+    outOfPocketMax: { type: SchemaFieldType.INTEGER, label: 'Out of pocket max', minimum: 0, unit: 'cents' },
+    outOfPocketMet: {
+      type: SchemaFieldType.INTEGER,
+      label: 'Out of pocket met',
+      minimum: 0,
+      unit: 'cents',
+      maximumField: 'outOfPocketMax'
+    },
+    planYearStartMonth: {
+      type: SchemaFieldType.INTEGER,
+      label: 'Plan year start month',
+      minimum: 1,
+      maximum: 12,
+      description: 'Month the deductible resets, defaults to January'
+    },
+    effectiveDate: { type: SchemaFieldType.STRING, label: 'Effective date', required: true, format: SchemaFormat.DATE },
+    terminationDate: {
+      type: SchemaFieldType.STRING,
+      label: 'Termination date',
+      format: SchemaFormat.DATE,
+      afterField: 'effectiveDate'
+    },
+    isActive: { type: SchemaFieldType.BOOLEAN, label: 'Active' }
+  }
+};
+
+/**
+ * Prescription written for a patient
+ */
+export const PrescriptionSchema = {
+  name: 'Prescription',
+  description: 'Prescription written for a patient',
+  fields: {
+    userId: { type: SchemaFieldType.STRING, label: 'User ID', required: true, hidden: true },
+    medicationName: { type: SchemaFieldType.STRING, label: 'Medication name', required: true },
+    medicationForm: {
+      type: SchemaFieldType.STRING,
+      label: 'Medication form',
+      required: true,
+      enum: Object.values(MedicationForm)
+    },
+    strength: {
+      type: SchemaFieldType.STRING,
+      label: 'Medication strength',
+      required: true,
+      format: SchemaFormat.STRENGTH,
+      placeholder: '500mg',
+      messages: { [ValidationErrorCode.REQUIRED]: 'Medication strength is required (e.g., "500mg", "10mg/ml")' }
+    },
+    ndc: { type: SchemaFieldType.STRING, label: 'NDC', format: SchemaFormat.NDC, placeholder: '12345-6789-01' },
+    dosageInstructions: {
+      type: SchemaFieldType.STRING,
+      label: 'Dosage instructions',
+      required: true,
+      placeholder: 'Take 1 tablet by mouth twice daily',
+      description: 'Days supply is checked against quantity taken as directed',
+      messages: { [ValidationErrorCode.REQUIRED]: 'Dosage instructions are required' }
+    },
+    quantity: { type: SchemaFieldType.NUMBER, label: 'Quantity', required: true, minimum: 1 },
+    daysSupply: { type: SchemaFieldType.INTEGER, label: 'Days supply', required: true, minimum: 1 },
+    refillsAllowed: { type: SchemaFieldType.INTEGER, label: 'Refills allowed', required: true, minimum: 0 },
+    refillsRemaining: {
+      type: SchemaFieldType.INTEGER,
+      label: 'Refills remaining',
+      minimum: 0,
+      maximumField: 'refillsAllowed',
+      readOnly: true
+    },
+    prescriberName: { type: SchemaFieldType.STRING, label: 'Prescriber name', required: true },
+    prescriberNPI: { type: SchemaFieldType.STRING, label: 'Prescriber NPI', required: true, format: SchemaFormat.NPI },
+    prescribedDate: { type: SchemaFieldType.STRING, label: 'Prescribed date', required: true, format: SchemaFormat.DATE },
+    status: {
+      type: SchemaFieldType.STRING,
+      label: 'Prescription status',
+      enum: Object.values(PrescriptionStatus),
+      readOnly: true
+    },
+    controlledSubstanceSchedule: {
+      type: SchemaFieldType.STRING,
+      label: 'Controlled substance schedule',
+      enum: Object.values(ControlledSubstanceSchedule)
+    },
+    pharmacyNPI: { type: SchemaFieldType.STRING, label: 'Pharmacy NPI', format: SchemaFormat.NPI }
+  }
+};
+
+/**
+ * Pharmacy that dispenses prescriptions
+ * Network membership is the list of formulary plan IDs whose pharmacy network includes it
+ */
+export const PharmacySchema = {
+  name: 'Pharmacy',
+  description: 'Retail, mail-order or specialty pharmacy and the plan networks it belongs to',
+  fields: {
+    npi: { type: SchemaFieldType.STRING, label: 'Pharmacy NPI', required: true, format: SchemaFormat.NPI },
+    name: { type: SchemaFieldType.STRING, label: 'Pharmacy name', required: true, maxLength: 200 },
+    pharmacyType: {
+      type: SchemaFieldType.STRING,
+      label: 'Pharmacy type',
+      required: true,
+      enum: Object.values(PharmacyType)
+    },
+    phoneNumber: {
+      type: SchemaFieldType.STRING,
+      label: 'Phone number',
+      required: true,
+      format: SchemaFormat.PHONE,
+      placeholder: '5551234567'
+    },
+    address: ADDRESS_FIELD,
+    hours: {
+      type: SchemaFieldType.OBJECT,
+      label: 'Opening hours',
+      description: 'Local opening and closing times per day; leave a day out or use CLOSED when closed',
+      fields: {
+        monday: openingHoursField('Monday'),
+        tuesday: openingHoursField('Tuesday'),
+        wednesday: openingHoursField('Wednesday'),
+        thursday: openingHoursField('Thursday'),
+        friday: openingHoursField('Friday'),
+        saturday: openingHoursField('Saturday'),
+        sunday: openingHoursField('Sunday')
+      }
+    },
+    networkPlanIds: {
+      type: SchemaFieldType.ARRAY,
+      label: 'Network plans',
+      description: 'Formulary plan IDs whose pharmacy network includes this pharmacy',
+      placeholder: 'DEMO-PPO-STANDARD',
+      items: { type: SchemaFieldType.STRING }
+    },
+    isActive: { type: SchemaFieldType.BOOLEAN, label: 'Active' }
+  }
+};
+
+/**
+ * Login account
+ * The password is set on creation and stored only as a hash, so it is not a schema field
+ */
+export const AccountSchema = {
+  name: 'Account',
+  description: 'Login for a patient, pharmacist, insurer or administrator',
+  fields: {
+    email: { type: SchemaFieldType.STRING, label: 'Email', required: true, format: SchemaFormat.EMAIL },
+    role: { type: SchemaFieldType.STRING, label: 'Role', required: true, enum: Object.values(UserRole) },
+    userId: {
+      type: SchemaFieldType.STRING,
+      label: 'Patient ID',
+      description: 'Patient profile a PATIENT account belongs to'
+    },
+    pharmacyNPI: {
+      type: SchemaFieldType.STRING,
+      label: 'Pharmacy NPI',
+      description: 'Pharmacy a PHARMACIST account works at',
+      format: SchemaFormat.NPI
+    },
+    planIds: {
+      type: SchemaFieldType.ARRAY,
+      label: 'Administered plans',
+      description: 'Formulary plan IDs whose claims an INSURER account adjudicates',
+      placeholder: 'DEMO-PPO-STANDARD',
+      items: { type: SchemaFieldType.STRING }
+    },
+    isActive: { type: SchemaFieldType.BOOLEAN, label: 'Active' }
+  }
+};
+
+/**
+ * Every entity schema by name
+ */
+export const ENTITY_SCHEMAS = {
+  [UserSchema.name]: UserSchema,
+  [InsuranceSchema.name]: InsuranceSchema,
+  [PrescriptionSchema.name]: PrescriptionSchema,
+  [PharmacySchema.name]: PharmacySchema,
+  [AccountSchema.name]: AccountSchema,
+};
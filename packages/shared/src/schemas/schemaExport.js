@@ -0,0 +1,129 @@
+import { SCHEMA_FORMAT_DEFINITIONS, SchemaFieldType, toSentenceLabel } from './schemaTypes.js';
+
+/**
+ * Schema Export
+ * Turns entity schemas into JSON Schema (for OpenAPI) and flat form field lists (for the UI)
+ */
+
+/**
+ * Builds the JSON Schema for one field
+ */
+function fieldToJsonSchema(field, siblingFields) {
+  const descriptions = [field.description, field.unit && `Amount in ${field.unit}`];
+  if (field.maximumField) {
+    descriptions.push(`Cannot exceed ${toSentenceLabel(siblingFields[field.maximumField].label)}`);
+  }
+  if (field.afterField) {
+    descriptions.push(`Must be after ${toSentenceLabel(siblingFields[field.afterField].label)}`);
+  }
+
+  if (field.type === SchemaFieldType.OBJECT) {
+    return { ...objectToJsonSchema(field.fields), title: field.label };
+  }
+
+  if (field.type === SchemaFieldType.ARRAY) {
+    return {
+      type: 'array',
+      title: field.label,
+      description: field.description,
+      items: fieldToJsonSchema(field.items, {}),
+      readOnly: field.readOnly || undefined
+    };
+  }
+
+  const description = descriptions.filter(Boolean).join('. ');
+  return {
+    type: field.type,
+    title: field.label,
+    description: description || undefined,
+    enum: field.enum,
+    maxLength: field.maxLength,
+    minimum: field.minimum,
+    maximum: field.maximum,
+    readOnly: field.readOnly || undefined,
+    ...(field.format ? SCHEMA_FORMAT_DEFINITIONS[field.format].jsonSchema : {})
+  };
+}
+
+/**
+ * Builds the JSON Schema for a set of fields
+ */
+function objectToJsonSchema(fields) {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([name, field]) => [name, fieldToJsonSchema(field, fields)])
+    ),
+    required: required.length > 0 ? required : undefined
+  };
+}
+
+/**
+ * Converts an entity schema to a JSON Schema object (OpenAPI 3 compatible)
+ * Undefined keywords are left out when the result is serialized with JSON.stringify
+ * @param {Object} schema - Entity schema (e.g. UserSchema)
+ * @returns {Object} JSON Schema
+ */
+export function toJsonSchema(schema) {
+  return {
+    title: schema.name,
+    description: schema.description,
+    ...objectToJsonSchema(schema.fields)
+  };
+}
+
+/**
+ * Picks the HTML input type for a field, using the entry type for lists
+ */
+function getInputType(field) {
+  if (field.type === SchemaFieldType.ARRAY) return getInputType(field.items);
+  if (field.enum) return 'select';
+  if (field.type === SchemaFieldType.BOOLEAN) return 'checkbox';
+  if (field.type === SchemaFieldType.NUMBER || field.type === SchemaFieldType.INTEGER) return 'number';
+  return field.format ? SCHEMA_FORMAT_DEFINITIONS[field.format].inputType : 'text';
+}
+
+/**
+ * Lists the inputs a form needs for an entity, flattening nested objects into dotted names
+ * Read-only and hidden fields are left out; list fields are returned once with multiple: true
+ * @param {Object} schema - Entity schema (e.g. UserSchema)
+ * @returns {Object[]} [{ name, label, inputType, required, multiple?, options?, maxLength?, min?, max?, step?, pattern?, placeholder?, helpText? }]
+ */
+export function getFormFields(schema) {
+  const formFields = [];
+
+  function collect(fields, prefix) {
+    Object.entries(fields).forEach(([name, field]) => {
+      if (field.readOnly || field.hidden) return;
+
+      if (field.type === SchemaFieldType.OBJECT) {
+        collect(field.fields, `${prefix}${name}.`);
+        return;
+      }
+
+      const isList = field.type === SchemaFieldType.ARRAY;
+      const input = isList ? field.items : field;
+      const isNumeric = input.type === SchemaFieldType.NUMBER || input.type === SchemaFieldType.INTEGER;
+      formFields.push({
+        name: `${prefix}${name}`,
+        label: field.label,
+        inputType: getInputType(field),
+        required: Boolean(field.required),
+        multiple: isList || undefined,
+        options: input.enum,
+        maxLength: input.maxLength,
+        min: input.minimum,
+        max: input.maximum,
+        step: input.type === SchemaFieldType.INTEGER ? 1 : (isNumeric ? 'any' : undefined),
+        pattern: input.format ? SCHEMA_FORMAT_DEFINITIONS[input.format].jsonSchema.pattern : undefined,
+        placeholder: field.placeholder,
+        helpText: [field.description, field.unit && `In ${field.unit}`].filter(Boolean).join('. ') || undefined
+      });
+    });
+  }
+
+  collect(schema.fields, '');
+  return formFields;
+}
@@ -0,0 +1,136 @@
+import { ValidationErrorCode } from '../constants.js';
+import { isValidDate, isValidEmail, isValidPhoneNumber, isValidStateCode, isValidZipCode } from '../validators/userValidator.js';
+import { isValidRxBIN } from '../validators/insuranceValidator.js';
+import { isValidNDC, isValidNPI } from '../validators/prescriptionValidator.js';
+import { isValidStrength } from '../strength/medicationStrength.js';
+import { isValidOpeningHours } from '../validators/pharmacyValidator.js';
+
+/**
+ * Schema Field Types and Formats
+ * Building blocks for the declarative entity schemas
+ *
+ * A field definition looks like:
+ * {
+ *   type: SchemaFieldType.STRING,
+ *   label: 'ZIP code',           // Used in messages and form labels
+ *   required: true,
+ *   format: SchemaFormat.ZIP_CODE,
+ *   maxLength, minimum, maximum, // Optional constraints
+ *   enum: [...],                 // Allowed values
+ *   unit: 'cents',               // Shown in messages and docs
+ *   maximumField: 'deductible',  // Must not exceed another field of the same object
+ *   afterField: 'effectiveDate', // Date must be after another field of the same object
+ *   readOnly: true,              // Set by the server; validated if present but not shown in forms
+ *   hidden: true,                // Supplied by the client app rather than typed by the user
+ *   description, placeholder,
+ *   messages: { [ValidationErrorCode]: 'Custom message' },
+ *   fields: { ... },             // Nested fields when type is OBJECT
+ *   items: { type, format, ... } // Definition every entry must match when type is ARRAY
+ * }
+ */
+
+/**
+ * Field value types
+ */
+export const SchemaFieldType = {
+  STRING: 'string',
+  NUMBER: 'number',
+  INTEGER: 'integer', // Whole numbers, including money in cents
+  BOOLEAN: 'boolean',
+  OBJECT: 'object',
+  ARRAY: 'array',
+};
+
+/**
+ * Named string formats
+ */
+export const SchemaFormat = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  DATE: 'date',
+  ZIP_CODE: 'zipCode',
+  STATE_CODE: 'stateCode',
+  NDC: 'ndc',
+  NPI: 'npi',
+  RX_BIN: 'rxBIN',
+  STRENGTH: 'strength',
+  OPENING_HOURS: 'openingHours',
+};
+
+/**
+ * Lowercases the first letter of a label unless it starts with an acronym (NDC, ZIP code)
+ * @param {string} label - Field label
+ * @returns {string} Label for use mid-sentence
+ */
+export function toSentenceLabel(label) {
+  return /^[A-Z]{2}/.test(label) ? label : label.charAt(0).toLowerCase() + label.slice(1);
+}
+
+/**
+ * How each format is checked, documented and entered
+ * jsonSchema is merged into the generated JSON Schema; inputType and pattern are used for forms
+ * message(label, value) builds the error when check(value) fails
+ */
+export const SCHEMA_FORMAT_DEFINITIONS = {
+  [SchemaFormat.EMAIL]: {
+    check: isValidEmail,
+    jsonSchema: { format: 'email' },
+    inputType: 'email',
+    message: (label) => `Invalid ${toSentenceLabel(label)} format`,
+  },
+  [SchemaFormat.PHONE]: {
+    check: isValidPhoneNumber,
+    jsonSchema: { pattern: '^\\+?1?\\d{10,14}$' },
+    inputType: 'tel',
+    message: (label) => `Invalid ${toSentenceLabel(label)} format`,
+  },
+  [SchemaFormat.DATE]: {
+    check: isValidDate,
+    jsonSchema: { format: 'date' },
+    inputType: 'date',
+    message: (label) => `${label} must be in YYYY-MM-DD format`,
+  },
+  [SchemaFormat.ZIP_CODE]: {
+    check: isValidZipCode,
+    jsonSchema: { pattern: '^\\d{5}(-\\d{4})?$' },
+    inputType: 'text',
+    message: (label) => `Invalid ${toSentenceLabel(label)} format`,
+  },
+  [SchemaFormat.STATE_CODE]: {
+    check: isValidStateCode,
+    jsonSchema: { pattern: '^[A-Za-z]{2}$' },
+    inputType: 'text',
+    code: ValidationErrorCode.INVALID_OPTION,
+    message: () => 'Invalid state code (must be 2-letter code like CA, NY)',
+  },
+  [SchemaFormat.NDC]: {
+    check: isValidNDC,
+    jsonSchema: { pattern: '^(\\d{4}-\\d{4}-\\d{2}|\\d{5}-\\d{3}-\\d{2}|\\d{5}-\\d{4}-\\d{1,2}|\\d{11})$' },
+    inputType: 'text',
+    message: (label) => `${label} must be a 10-digit (4-4-2, 5-3-2, 5-4-1) or 11-digit (5-4-2) code`,
+  },
+  [SchemaFormat.NPI]: {
+    check: isValidNPI,
+    jsonSchema: { pattern: '^\\d{10}$' },
+    inputType: 'text',
+    message: (label) => `${label} must be 10 digits with a valid check digit`,
+  },
+  [SchemaFormat.RX_BIN]: {
+    check: isValidRxBIN,
+    jsonSchema: { pattern: '^\\d{6}$' },
+    inputType: 'text',
+    message: (label) => `${label} must be exactly 6 digits`,
+  },
+  [SchemaFormat.STRENGTH]: {
+    check: isValidStrength,
+    jsonSchema: {},
+    inputType: 'text',
+    message: (label, value) => `${label} "${value}" is not recognized; use an amount and unit such as "500mg", "10mg/5mL" or "25mcg/hr"`,
+  },
+  [SchemaFormat.OPENING_HOURS]: {
+    check: isValidOpeningHours,
+    jsonSchema: { pattern: '^(CLOSED|([01]\\d|2[0-3]):[0-5]\\d-(([01]\\d|2[0-3]):[0-5]\\d|24:00))$' },
+    inputType: 'text',
+    message: (label) => `${label} must be opening and closing times like 09:00-21:00, or CLOSED`,
+  },
+};
@@ -0,0 +1,175 @@
+import { ValidationErrorCode } from '../constants.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { SCHEMA_FORMAT_DEFINITIONS, SchemaFieldType, toSentenceLabel } from './schemaTypes.js';
+
+/**
+ * Schema Validation
+ * Checks an object against an entity schema and reports field errors
+ * Each field reports at most one error, the first check it fails
+ */
+
+/**
+ * Checks if a value counts as not provided (blank strings count as missing)
+ */
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim().length === 0);
+}
+
+/**
+ * Describes the numbers a field accepts, e.g. "Deductible must be a non-negative whole number (in cents)"
+ * @param {Object} field - Field definition
+ * @returns {string} Message
+ */
+function describeNumberRange(field) {
+  const kind = field.type === SchemaFieldType.INTEGER ? 'whole number' : 'number';
+  const { minimum, maximum } = field;
+  let expected;
+
+  if (minimum !== undefined && maximum !== undefined) {
+    expected = `a ${kind} from ${minimum} to ${maximum}`;
+  } else if (minimum === 0) {
+    expected = `a non-negative ${kind}`;
+  } else if (minimum === 1) {
+    expected = `a positive ${kind}`;
+  } else if (minimum !== undefined) {
+    expected = `a ${kind} of at least ${minimum}`;
+  } else if (maximum !== undefined) {
+    expected = `a ${kind} of at most ${maximum}`;
+  } else {
+    expected = `a ${kind}`;
+  }
+
+  return `${field.label} must be ${expected}${field.unit ? ` (in ${field.unit})` : ''}`;
+}
+
+/**
+ * Finds the first problem with a provided value
+ * @returns {Object|null} { code, message } or null when the value is valid
+ */
+function checkValue(field, value, parent, siblingFields) {
+  const { type, label } = field;
+
+  if (type === SchemaFieldType.STRING && typeof value !== 'string') {
+    return { code: ValidationErrorCode.INVALID_FORMAT, message: `${label} must be text` };
+  }
+
+  if (type === SchemaFieldType.NUMBER || type === SchemaFieldType.INTEGER) {
+    const isNumber = typeof value === 'number' && !Number.isNaN(value)
+      && (type === SchemaFieldType.NUMBER || Number.isInteger(value));
+    if (!isNumber) {
+      return { code: ValidationErrorCode.INVALID_FORMAT, message: describeNumberRange(field) };
+    }
+    if ((field.minimum !== undefined && value < field.minimum) || (field.maximum !== undefined && value > field.maximum)) {
+      return { code: ValidationErrorCode.OUT_OF_RANGE, message: describeNumberRange(field) };
+    }
+  }
+
+  if (type === SchemaFieldType.BOOLEAN && typeof value !== 'boolean') {
+    return { code: ValidationErrorCode.INVALID_FORMAT, message: `${label} must be true or false` };
+  }
+
+  if (type === SchemaFieldType.OBJECT && (typeof value !== 'object' || Array.isArray(value))) {
+    return { code: ValidationErrorCode.INVALID_FORMAT, message: `${label} must be an object` };
+  }
+
+  // Entries are checked one by one against field.items by validateFields()
+  if (type === SchemaFieldType.ARRAY) {
+    return Array.isArray(value)
+      ? null
+      : { code: ValidationErrorCode.INVALID_FORMAT, message: `${label} must be a list` };
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return {
+      code: ValidationErrorCode.INVALID_OPTION,
+      message: `Invalid ${toSentenceLabel(label)}. Must be one of: ${field.enum.join(', ')}`
+    };
+  }
+
+  const format = field.format && SCHEMA_FORMAT_DEFINITIONS[field.format];
+  if (format && !format.check(value)) {
+    return { code: format.code || ValidationErrorCode.INVALID_FORMAT, message: format.message(label, value) };
+  }
+
+  if (field.maxLength !== undefined && value.length > field.maxLength) {
+    return { code: ValidationErrorCode.TOO_LONG, message: `${label} must be ${field.maxLength} characters or less` };
+  }
+
+  const limit = field.maximumField && parent[field.maximumField];
+  if (typeof limit === 'number' && value > limit) {
+    return {
+      code: ValidationErrorCode.EXCEEDS_LIMIT,
+      message: `${label} cannot exceed ${toSentenceLabel(siblingFields[field.maximumField].label)}`
+    };
+  }
+
+  const start = field.afterField && parent[field.afterField];
+  if (typeof start === 'string' && value <= start) {
+    return {
+      code: ValidationErrorCode.INVALID_DATE_RANGE,
+      message: `${label} must be after ${toSentenceLabel(siblingFields[field.afterField].label)}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validates each entry of a list field, reporting errors as field[index]
+ */
+function validateItems(field, items, path, errors) {
+  const itemField = { label: field.label, ...field.items };
+
+  items.forEach((item, index) => {
+    const problem = isMissing(item)
+      ? { code: ValidationErrorCode.REQUIRED, message: `${field.label} cannot contain blank entries` }
+      : checkValue(itemField, item, {}, {});
+    if (problem) {
+      errors.push(createFieldError(`${path}[${index}]`, problem.code, itemField.messages?.[problem.code] || problem.message, item));
+    }
+  });
+}
+
+/**
+ * Validates the fields of one object level, recursing into nested objects and lists
+ */
+function validateFields(fields, value, pathPrefix, errors) {
+  Object.entries(fields).forEach(([name, field]) => {
+    const path = `${pathPrefix}${name}`;
+    const fieldValue = value[name];
+    let problem = null;
+
+    if (isMissing(fieldValue)) {
+      if (field.required) {
+        problem = { code: ValidationErrorCode.REQUIRED, message: `${field.label} is required` };
+      }
+    } else {
+      problem = checkValue(field, fieldValue, value, fields);
+    }
+
+    if (problem) {
+      const message = field.messages?.[problem.code] || problem.message;
+      errors.push(createFieldError(path, problem.code, message, fieldValue));
+    } else if (field.type === SchemaFieldType.OBJECT && !isMissing(fieldValue)) {
+      validateFields(field.fields, fieldValue, `${path}.`, errors);
+    } else if (field.type === SchemaFieldType.ARRAY && !isMissing(fieldValue)) {
+      validateItems(field, fieldValue, path, errors);
+    }
+  });
+}
+
+/**
+ * Validates an object against an entity schema
+ * @param {Object} schema - Entity schema (e.g. UserSchema)
+ * @param {Object} value - Object to validate
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validateWithSchema(schema, value) {
+  const errors = [];
+  validateFields(schema.fields, value || {}, '', errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
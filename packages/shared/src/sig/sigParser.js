@@ -0,0 +1,323 @@
+import { MedicationForm } from '../constants.js';
+
+/**
+ * Sig Parser
+ * Turns free-text dosage instructions ("sig") into a structured dose, route and frequency
+ * so quantity and days supply can be checked against each other
+ *
+ * Understands plain English ("take 1 tablet by mouth twice daily") and the common
+ * Latin abbreviations (PO, BID, TID, QID, QHS, Q4-6H, PRN). Anything it cannot read is left null
+ * rather than guessed, and checks that need the missing piece are skipped
+ */
+
+/**
+ * Routes of administration
+ */
+export const SigRoute = {
+  ORAL: 'ORAL',
+  SUBLINGUAL: 'SUBLINGUAL',
+  INHALED: 'INHALED',
+  NASAL: 'NASAL',
+  OPHTHALMIC: 'OPHTHALMIC',
+  OTIC: 'OTIC',
+  TOPICAL: 'TOPICAL',
+  TRANSDERMAL: 'TRANSDERMAL',
+  SUBCUTANEOUS: 'SUBCUTANEOUS',
+  INTRAMUSCULAR: 'INTRAMUSCULAR',
+  RECTAL: 'RECTAL',
+  VAGINAL: 'VAGINAL',
+};
+
+/**
+ * Dose units, after normalizing spellings (tabs, caps, cc, tsp...)
+ */
+export const SigDoseUnit = {
+  TABLET: 'tablet',
+  CAPSULE: 'capsule',
+  ML: 'ml',
+  PUFF: 'puff',
+  SPRAY: 'spray',
+  DROP: 'drop',
+  PATCH: 'patch',
+  UNIT: 'unit',
+  APPLICATION: 'application',
+};
+
+/**
+ * Spellings of each dose unit; volume units carry a conversion to ml
+ */
+const DOSE_UNIT_WORDS = [
+  { pattern: 'tablets?|tabs?', unit: SigDoseUnit.TABLET },
+  { pattern: 'capsules?|caps?', unit: SigDoseUnit.CAPSULE },
+  { pattern: 'ml|milliliters?|cc', unit: SigDoseUnit.ML },
+  { pattern: 'teaspoons?|tsp', unit: SigDoseUnit.ML, factor: 5 },
+  { pattern: 'tablespoons?|tbsp', unit: SigDoseUnit.ML, factor: 15 },
+  { pattern: 'puffs?|inhalations?', unit: SigDoseUnit.PUFF },
+  { pattern: 'sprays?', unit: SigDoseUnit.SPRAY },
+  { pattern: 'drops?|gtts?', unit: SigDoseUnit.DROP },
+  { pattern: 'patch(?:es)?', unit: SigDoseUnit.PATCH },
+  { pattern: 'units?', unit: SigDoseUnit.UNIT },
+  { pattern: 'applications?', unit: SigDoseUnit.APPLICATION },
+];
+
+/**
+ * Phrases that identify each route, checked in order
+ */
+const ROUTE_PATTERNS = [
+  { pattern: /\b(sublingual(ly)?|sl|under the tongue)\b/, route: SigRoute.SUBLINGUAL },
+  { pattern: /\b(by mouth|po|orally|oral)\b/, route: SigRoute.ORAL },
+  { pattern: /\b(inhaled?|inhalations?|puffs?|nebuli[sz]e[dr]?)\b/, route: SigRoute.INHALED },
+  { pattern: /\b(nostrils?|nasal(ly)?|intranasal(ly)?|in each nare)\b/, route: SigRoute.NASAL },
+  { pattern: /\b(eyes?|ophthalmic|ou)\b/, route: SigRoute.OPHTHALMIC },
+  { pattern: /\b(ears?|otic)\b/, route: SigRoute.OTIC },
+  { pattern: /\b(transdermal(ly)?|patch(es)?)\b/, route: SigRoute.TRANSDERMAL },
+  { pattern: /\b(subcutaneous(ly)?|subq|sq|sc)\b/, route: SigRoute.SUBCUTANEOUS },
+  { pattern: /\b(intramuscular(ly)?|im)\b/, route: SigRoute.INTRAMUSCULAR },
+  { pattern: /\b(rectal(ly)?|pr|per rectum)\b/, route: SigRoute.RECTAL },
+  { pattern: /\b(vaginal(ly)?|pv)\b/, route: SigRoute.VAGINAL },
+  { pattern: /\b(topical(ly)?|apply|externally|to (the )?(skin|affected area))\b/, route: SigRoute.TOPICAL },
+];
+
+/**
+ * Fixed frequencies, checked in order so "every other day" wins over "every day"
+ */
+const FREQUENCY_PATTERNS = [
+  { pattern: /\b(qod|every other day)\b/, timesPerDay: 0.5, description: 'every other day' },
+  { pattern: /\b(weekly|once (a|per|every) week|every week|qw(k)?)\b/, timesPerDay: 1 / 7, description: 'once weekly' },
+  { pattern: /\b(qid|four times (a|per|each) day|four times daily|4 times (a|per|each) day|4 times daily)\b/, timesPerDay: 4, description: 'four times daily' },
+  { pattern: /\b(tid|three times (a|per|each) day|three times daily|3 times (a|per|each) day|3 times daily)\b/, timesPerDay: 3, description: 'three times daily' },
+  { pattern: /\b(bid|twice (a|per|each) day|twice daily|two times (a|per|each) day|two times daily|2 times (a|per|each) day|2 times daily)\b/, timesPerDay: 2, description: 'twice daily' },
+  { pattern: /\b(qhs|hs|at bedtime|nightly|every night)\b/, timesPerDay: 1, description: 'at bedtime' },
+  { pattern: /\b(qam|every morning|in the morning)\b/, timesPerDay: 1, description: 'every morning' },
+  { pattern: /\b(qpm|every evening|in the evening)\b/, timesPerDay: 1, description: 'every evening' },
+  { pattern: /\b(qd|daily|once (a|per|each) day|once daily|every day)\b/, timesPerDay: 1, description: 'once daily' },
+];
+
+/**
+ * Dose unit each medication form is dispensed in, so quantity and dose can be compared
+ * Forms missing here (inhalers, creams, injections) are dispensed in packages, not doses
+ */
+export const MEDICATION_FORM_DOSE_UNITS = {
+  [MedicationForm.TABLET]: SigDoseUnit.TABLET,
+  [MedicationForm.CAPSULE]: SigDoseUnit.CAPSULE,
+  [MedicationForm.LIQUID]: SigDoseUnit.ML,
+  [MedicationForm.PATCH]: SigDoseUnit.PATCH,
+};
+
+/**
+ * Largest difference between entered and expected days supply that is not flagged
+ */
+export const DAYS_SUPPLY_TOLERANCE = {
+  DAYS: 1,     // Always allow rounding by a day
+  PERCENT: 10, // And up to 10% for longer supplies
+};
+
+// Includes the lowercase Roman numerals prescribers write for small counts ("i tab po bid")
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, half: 0.5, 'one-half': 0.5, i: 1, ii: 2, iii: 3 };
+const AMOUNT = '(\\d+(?:\\.\\d+)?|\\d+/\\d+|one-half|half|one|two|three|four|five|six|iii|ii|i)';
+const UNIT_PATTERN = DOSE_UNIT_WORDS.map(({ pattern }) => pattern).join('|');
+const DOSE_WITH_UNIT = new RegExp(`\\b${AMOUNT}(?:\\s*(?:-|to|or)\\s*${AMOUNT})?\\s*(${UNIT_PATTERN})\\b`);
+const DOSE_AFTER_VERB = new RegExp(`\\b(?:take|give|chew|inhale|instill|inject|insert|use|apply|dissolve|place)\\s+${AMOUNT}(?:\\s*(?:-|to|or)\\s*${AMOUNT})?\\b`);
+
+/**
+ * Converts a matched amount ("2", "1.5", "1/2", "two") to a number
+ */
+function toAmount(value) {
+  if (value === undefined) return undefined;
+  if (NUMBER_WORDS[value] !== undefined) return NUMBER_WORDS[value];
+  if (value.includes('/')) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    return numerator / denominator;
+  }
+  return Number(value);
+}
+
+/**
+ * Lowercases sig text and collapses dotted abbreviations ("b.i.d." -> "bid", "p.o." -> "po")
+ */
+function normalizeSigText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\b([a-z])\.(?=[a-z]\.?)/g, '$1')
+    .replace(/\b([a-z]{1,3})\.(?=\s|$|,)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds the dose: amount, optional upper amount of a range, and unit
+ */
+function parseDose(text) {
+  const withUnit = text.match(DOSE_WITH_UNIT);
+  if (withUnit) {
+    const unitWord = DOSE_UNIT_WORDS.find(({ pattern }) => new RegExp(`^(${pattern})$`).test(withUnit[3]));
+    const factor = unitWord.factor || 1;
+    const maxAmount = toAmount(withUnit[2]);
+    return {
+      amount: toAmount(withUnit[1]) * factor,
+      maxAmount: maxAmount === undefined ? undefined : maxAmount * factor,
+      unit: unitWord.unit
+    };
+  }
+
+  const afterVerb = text.match(DOSE_AFTER_VERB);
+  if (afterVerb) {
+    return { amount: toAmount(afterVerb[1]), maxAmount: toAmount(afterVerb[2]), unit: null };
+  }
+
+  return null;
+}
+
+/**
+ * Finds the frequency as times per day, with an upper bound for ranges like "q4-6h"
+ */
+function parseFrequency(text) {
+  const interval = text.match(/\b(?:q|every\s+)(\d+)(?:\s*(?:-|to)\s*(\d+))?\s*(?:h|hr|hrs|hours?)\b/);
+  if (interval) {
+    const shortest = Number(interval[1]);
+    const longest = Number(interval[2] || interval[1]);
+    return {
+      timesPerDay: 24 / longest,
+      maxTimesPerDay: 24 / shortest,
+      description: interval[2] ? `every ${shortest}-${longest} hours` : `every ${shortest} hours`
+    };
+  }
+
+  const everyDays = text.match(/\bevery (\d+) days\b/);
+  if (everyDays) {
+    return { timesPerDay: 1 / Number(everyDays[1]), description: `every ${everyDays[1]} days` };
+  }
+
+  const timesDaily = text.match(/\b(\d+)\s*(?:x|times)\s*(?:a|per|each)?\s*day\b|\b(\d+)\s*(?:x|times) daily\b/);
+  if (timesDaily) {
+    const times = Number(timesDaily[1] || timesDaily[2]);
+    return { timesPerDay: times, description: `${times} times daily` };
+  }
+
+  const fixed = FREQUENCY_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (fixed) {
+    return { timesPerDay: fixed.timesPerDay, description: fixed.description };
+  }
+
+  return null;
+}
+
+/**
+ * Finds a daily cap such as "not to exceed 8 tablets per day" or "max 4 doses in 24 hours"
+ * Caps given in doses are converted to dose units using the largest single dose
+ */
+function parseMaxDailyAmount(text, dose) {
+  const cap = text.match(/\b(?:not to exceed|do not exceed|no more than|max(?:imum)?(?: of)?)\s+(\d+(?:\.\d+)?)\s*([a-z]+)?\s*(?:per|in|a|\/)\s*(?:day|24 ?h(?:ours?|rs?)?)\b/);
+  if (!cap) return null;
+
+  const isDoseCount = /^doses?$/.test(cap[2] || '');
+  if (isDoseCount && !dose) return null;
+  return isDoseCount ? Number(cap[1]) * (dose.maxAmount ?? dose.amount) : Number(cap[1]);
+}
+
+/**
+ * Finds a treatment duration such as "for 10 days" or "x 7 days"
+ */
+function parseDurationDays(text) {
+  const duration = text.match(/\b(?:for|x)\s*(\d+)\s*(days?|weeks?)\b/);
+  if (!duration) return null;
+  return Number(duration[1]) * (duration[2].startsWith('week') ? 7 : 1);
+}
+
+/**
+ * Parses sig text into structured dosing
+ * @param {string} text - Dosage instructions, e.g. "Take 1 tablet by mouth twice daily"
+ * @returns {Object} { text, dose: { amount, maxAmount?, unit }|null, route|null,
+ *   frequency: { timesPerDay, maxTimesPerDay?, description }|null, asNeeded, maxDailyAmount|null,
+ *   durationDays|null, isComplete } where isComplete means both dose and frequency were found
+ */
+export function parseSig(text) {
+  const normalized = normalizeSigText(text);
+  const dose = parseDose(normalized);
+  const frequency = parseFrequency(normalized);
+  const route = ROUTE_PATTERNS.find(({ pattern }) => pattern.test(normalized))?.route || null;
+
+  return {
+    text: String(text || ''),
+    dose,
+    route,
+    frequency,
+    asNeeded: /\b(prn|as needed|if needed|when needed)\b/.test(normalized),
+    maxDailyAmount: parseMaxDailyAmount(normalized, dose),
+    durationDays: parseDurationDays(normalized),
+    isComplete: Boolean(dose && frequency)
+  };
+}
+
+/**
+ * Calculates how much of the drug the sig allows per day
+ * The maximum uses the top of any dose or frequency range and respects a "not to exceed" cap
+ * @param {Object} sig - Parsed sig from parseSig()
+ * @returns {Object|null} { minimum, maximum, unit } or null when dose or frequency is unknown
+ */
+export function getDailyDoseRange(sig) {
+  if (!sig.isComplete) return null;
+
+  const { dose, frequency } = sig;
+  const minimum = dose.amount * frequency.timesPerDay;
+  let maximum = (dose.maxAmount ?? dose.amount) * (frequency.maxTimesPerDay ?? frequency.timesPerDay);
+  if (sig.maxDailyAmount !== null && sig.maxDailyAmount < maximum) {
+    maximum = sig.maxDailyAmount;
+  }
+
+  return { minimum: Math.min(minimum, maximum), maximum, unit: dose.unit };
+}
+
+/**
+ * Works out the days supply range a quantity covers under a sig
+ * Supplies are counted at the maximum daily dose, so the shortest supply is the one payers expect;
+ * as-needed sigs have no longest supply because the patient may use less
+ * @param {number} quantity - Quantity dispensed, in the sig's dose unit
+ * @param {Object} sig - Parsed sig from parseSig()
+ * @returns {Object|null} { minimum, maximum|null } in whole days, or null when it cannot be worked out
+ */
+export function calculateDaysSupplyRange(quantity, sig) {
+  if (sig.durationDays) {
+    return { minimum: sig.durationDays, maximum: sig.durationDays };
+  }
+
+  const daily = getDailyDoseRange(sig);
+  if (!daily || !(quantity > 0) || !(daily.maximum > 0)) return null;
+
+  return {
+    minimum: Math.floor(quantity / daily.maximum),
+    maximum: sig.asNeeded ? null : Math.ceil(quantity / daily.minimum)
+  };
+}
+
+/**
+ * Checks that a prescription's days supply matches its quantity and sig
+ * Skipped when the sig cannot be fully parsed or its dose unit differs from the unit the form is dispensed in
+ * (e.g. puffs from an inhaler dispensed as 1 package)
+ * @param {Object} prescription - { dosageInstructions, quantity, daysSupply, medicationForm }
+ * @returns {Object|null} { message, expectedDaysSupply: { minimum, maximum|null }, sig } when the days supply is off, otherwise null
+ */
+export function checkDaysSupply(prescription) {
+  const sig = parseSig(prescription.dosageInstructions);
+  const formUnit = MEDICATION_FORM_DOSE_UNITS[prescription.medicationForm];
+  if (!formUnit || !sig.isComplete || (sig.dose.unit && sig.dose.unit !== formUnit)) return null;
+
+  const expected = calculateDaysSupplyRange(prescription.quantity, sig);
+  if (!expected || !Number.isInteger(prescription.daysSupply)) return null;
+
+  const { daysSupply, quantity } = prescription;
+  const allowance = (days) => Math.max(DAYS_SUPPLY_TOLERANCE.DAYS, Math.round(days * DAYS_SUPPLY_TOLERANCE.PERCENT / 100));
+  const tooShort = daysSupply < expected.minimum - allowance(expected.minimum);
+  const tooLong = expected.maximum !== null && daysSupply > expected.maximum + allowance(expected.maximum);
+  if (!tooShort && !tooLong) return null;
+
+  const expectedText = expected.maximum === null
+    ? `at least ${expected.minimum}`
+    : expected.minimum === expected.maximum ? `${expected.minimum}` : `${expected.minimum}-${expected.maximum}`;
+
+  return {
+    message: `Days supply ${daysSupply} does not match quantity ${quantity} taken as directed ("${sig.text}"); expected ${expectedText} days`,
+    expectedDaysSupply: expected,
+    sig
+  };
+}
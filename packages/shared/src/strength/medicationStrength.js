@@ -0,0 +1,268 @@
+import { MedicationForm } from '../constants.js';
+
+/**
+ * Medication Strength Utilities
+ * Parses strength strings ("500mg", "10mg/5mL", "25mcg/hr", "5-325mg", "1%") into amounts and units
+ * and converts them to canonical units so products can be compared and doses computed
+ *
+ * Canonical units: mass in mg (g when it is the denominator), volume in mL, time in hr; units, mEq and mmol stay as written
+ * The prescription keeps the strength text as entered, since that is what appears on the label
+ */
+
+/**
+ * Shapes a strength can take
+ */
+export const StrengthType = {
+  AMOUNT: 'AMOUNT',               // Amount per dose unit, e.g. 500mg per tablet, or a combination like 5-325mg
+  CONCENTRATION: 'CONCENTRATION', // Amount per volume or mass of product, e.g. 10mg/5mL, 100 units/mL, 2mg/g
+  PERCENT: 'PERCENT',             // Percent strength, e.g. hydrocortisone 1%
+  RATE: 'RATE',                   // Amount delivered over time, e.g. 25mcg/hr patches
+};
+
+/**
+ * What each unit measures
+ */
+export const StrengthDimension = {
+  MASS: 'MASS',
+  UNITS: 'UNITS',
+  EQUIVALENTS: 'EQUIVALENTS',
+  MOLES: 'MOLES',
+  VOLUME: 'VOLUME',
+  TIME: 'TIME',
+  PERCENT: 'PERCENT',
+};
+
+/**
+ * Recognized unit spellings, their dimension, canonical unit and multiplier to reach it
+ */
+const STRENGTH_UNITS = [
+  { pattern: /^(g|gm|grams?)$/, unit: 'g', dimension: StrengthDimension.MASS, canonicalUnit: 'mg', factor: 1000 },
+  { pattern: /^(mg|milligrams?)$/, unit: 'mg', dimension: StrengthDimension.MASS, canonicalUnit: 'mg', factor: 1 },
+  { pattern: /^(mcg|µg|ug|micrograms?)$/, unit: 'mcg', dimension: StrengthDimension.MASS, canonicalUnit: 'mg', factor: 0.001 },
+  { pattern: /^(units?|iu|international units?)$/, unit: 'units', dimension: StrengthDimension.UNITS, canonicalUnit: 'units', factor: 1 },
+  { pattern: /^(meq|milliequivalents?)$/, unit: 'mEq', dimension: StrengthDimension.EQUIVALENTS, canonicalUnit: 'mEq', factor: 1 },
+  { pattern: /^(mmol|millimoles?)$/, unit: 'mmol', dimension: StrengthDimension.MOLES, canonicalUnit: 'mmol', factor: 1 },
+  { pattern: /^(ml|milliliters?|cc)$/, unit: 'mL', dimension: StrengthDimension.VOLUME, canonicalUnit: 'mL', factor: 1 },
+  { pattern: /^(l|liters?)$/, unit: 'L', dimension: StrengthDimension.VOLUME, canonicalUnit: 'mL', factor: 1000 },
+  { pattern: /^(h|hr|hrs|hours?)$/, unit: 'hr', dimension: StrengthDimension.TIME, canonicalUnit: 'hr', factor: 1 },
+  { pattern: /^(d|days?)$/, unit: 'day', dimension: StrengthDimension.TIME, canonicalUnit: 'hr', factor: 24 },
+  { pattern: /^%$/, unit: '%', dimension: StrengthDimension.PERCENT, canonicalUnit: '%', factor: 1 },
+];
+
+/**
+ * Dimensions that can be the active ingredient amount
+ */
+const AMOUNT_DIMENSIONS = [
+  StrengthDimension.MASS,
+  StrengthDimension.UNITS,
+  StrengthDimension.EQUIVALENTS,
+  StrengthDimension.MOLES,
+];
+
+/**
+ * Strength types that make sense for each medication form
+ */
+export const MEDICATION_FORM_STRENGTH_TYPES = {
+  [MedicationForm.TABLET]: [StrengthType.AMOUNT],
+  [MedicationForm.CAPSULE]: [StrengthType.AMOUNT],
+  [MedicationForm.LIQUID]: [StrengthType.CONCENTRATION, StrengthType.PERCENT],
+  [MedicationForm.INJECTION]: [StrengthType.CONCENTRATION],
+  [MedicationForm.CREAM]: [StrengthType.PERCENT, StrengthType.CONCENTRATION],
+  [MedicationForm.INHALER]: [StrengthType.AMOUNT],
+  [MedicationForm.PATCH]: [StrengthType.RATE],
+  [MedicationForm.OTHER]: Object.values(StrengthType),
+};
+
+/**
+ * Example strength shown in messages for each strength type
+ */
+const STRENGTH_TYPE_EXAMPLES = {
+  [StrengthType.AMOUNT]: 'an amount per unit, e.g. "500mg"',
+  [StrengthType.CONCENTRATION]: 'a concentration, e.g. "10mg/5mL"',
+  [StrengthType.PERCENT]: 'a percentage, e.g. "1%"',
+  [StrengthType.RATE]: 'a delivery rate, e.g. "25mcg/hr"',
+};
+
+/**
+ * Rounds away floating point noise from unit conversion (0.1 * 3 -> 0.3)
+ */
+function roundAmount(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Finds the unit definition for a spelling
+ */
+function findUnit(text) {
+  return STRENGTH_UNITS.find(({ pattern }) => pattern.test(text)) || null;
+}
+
+/**
+ * Parses one "/"-separated part such as "10mg", "5 mL", "mL" or "325"
+ * @returns {Object|null} { amount|null, unit|null } or null when the part is not an amount
+ */
+function parsePart(text) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?|\.\d+)?\s*([a-zµ%][a-zµ% ]*?)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  const unit = match[2] ? findUnit(match[2].trim()) : null;
+  if (match[2] && !unit) return null;
+
+  return { amount: match[1] === undefined ? null : Number(match[1]), unit };
+}
+
+/**
+ * Converts an amount to its canonical unit
+ */
+function toCanonical(amount, unit) {
+  return { amount: roundAmount(amount * unit.factor), unit: unit.canonicalUnit };
+}
+
+/**
+ * Parses a medication strength
+ * Accepts amounts ("500mg", "0.5 g"), combinations ("5-325mg", "250/50mcg"), concentrations
+ * ("10mg/mL", "125mg/5mL", "100 units/mL", "2mg/g"), percentages ("1%") and rates ("25mcg/hr", "21mg/24hr")
+ * @param {string} strength - Strength as written
+ * @returns {Object|null} { type, components: [{ amount, unit }], per: { amount, unit }|null,
+ *   canonical: { amounts: number[], unit }, display } or null when the text is not a strength
+ */
+export function parseStrength(strength) {
+  if (typeof strength !== 'string') return null;
+
+  const text = strength
+    .toLowerCase()
+    .replace(/(\d),(\d{3})/g, '$1$2')     // 1,000 units
+    .replace(/\s+per\s+/g, '/')           // 10mg per 5mL
+    .replace(/(\d)\s*-\s*(?=\d)/g, '$1/') // 5-325mg is a combination, like 5/325mg
+    .trim();
+
+  const parts = text.split('/').map(parsePart);
+  if (parts.length === 0 || parts.includes(null)) return null;
+
+  const last = parts[parts.length - 1];
+  const perDimension = parts.length > 1 ? last.unit?.dimension : null;
+  let type;
+  let per = null;
+  let amountParts = parts;
+
+  if (perDimension === StrengthDimension.VOLUME || perDimension === StrengthDimension.TIME
+    || (perDimension === StrengthDimension.MASS && last.amount === null)) {
+    type = perDimension === StrengthDimension.TIME ? StrengthType.RATE : StrengthType.CONCENTRATION;
+    per = { amount: last.amount ?? 1, unit: last.unit };
+    amountParts = parts.slice(0, -1);
+  } else if (parts.length === 1 && last.unit?.dimension === StrengthDimension.PERCENT) {
+    type = StrengthType.PERCENT;
+  } else {
+    type = StrengthType.AMOUNT;
+  }
+
+  // Parts written without a unit take the next unit given ("250/50mcg" is 250mcg and 50mcg)
+  const components = [];
+  let carriedUnit = null;
+  for (let index = amountParts.length - 1; index >= 0; index -= 1) {
+    const part = amountParts[index];
+    carriedUnit = part.unit || carriedUnit;
+    components.unshift({ amount: part.amount, unit: carriedUnit });
+  }
+
+  const allowedDimensions = type === StrengthType.PERCENT ? [StrengthDimension.PERCENT] : AMOUNT_DIMENSIONS;
+  const isValid = components.every((component) =>
+    component.amount !== null && component.amount > 0 && component.unit && allowedDimensions.includes(component.unit.dimension)
+  );
+  if (!isValid || !(per === null || per.amount > 0)) return null;
+
+  // Combination products are compared ingredient by ingredient in one unit, so mixed units are not allowed
+  const canonicalUnits = new Set(components.map((component) => component.unit.canonicalUnit));
+  if (canonicalUnits.size > 1) return null;
+
+  // Creams are labeled per gram of product, so a mass denominator stays in grams (2mg/g, not 0.002mg/mg)
+  const perCanonical = per?.unit.dimension === StrengthDimension.MASS
+    ? { amount: roundAmount(per.amount * per.unit.factor / 1000), unit: 'g' }
+    : per && toCanonical(per.amount, per.unit);
+  const amounts = components.map((component) => {
+    const canonical = toCanonical(component.amount, component.unit).amount;
+    return perCanonical ? roundAmount(canonical / perCanonical.amount) : canonical;
+  });
+  const canonicalUnit = perCanonical
+    ? `${components[0].unit.canonicalUnit}/${perCanonical.unit}`
+    : components[0].unit.canonicalUnit;
+
+  return {
+    type,
+    components: components.map((component) => ({ amount: component.amount, unit: component.unit.unit })),
+    per: per ? { amount: per.amount, unit: per.unit.unit } : null,
+    canonical: { amounts, unit: canonicalUnit },
+    display: `${amounts.join('/')} ${canonicalUnit}`.replace(/^(\S+) %$/, '$1%')
+  };
+}
+
+/**
+ * Checks if a strength string can be parsed
+ * @param {string} strength - Strength as written
+ * @returns {boolean} True if parseStrength() understands it
+ */
+export function isValidStrength(strength) {
+  return parseStrength(strength) !== null;
+}
+
+/**
+ * Checks that a strength makes sense for a medication form
+ * @param {string} strength - Strength as written
+ * @param {string} medicationForm - Value from MedicationForm
+ * @returns {string|null} Message naming the offending value, or null when the strength fits the form
+ */
+export function checkStrengthForForm(strength, medicationForm) {
+  const parsed = parseStrength(strength);
+  if (!parsed) {
+    return `Strength "${strength}" is not a recognized strength (e.g. "500mg", "10mg/5mL", "25mcg/hr")`;
+  }
+
+  const allowedTypes = MEDICATION_FORM_STRENGTH_TYPES[medicationForm];
+  if (!allowedTypes || allowedTypes.includes(parsed.type)) return null;
+
+  const expected = allowedTypes.map((type) => STRENGTH_TYPE_EXAMPLES[type]).join(' or ');
+  return `Strength "${strength}" is ${STRENGTH_TYPE_EXAMPLES[parsed.type].split(',')[0]}, but ${medicationForm} strengths must be ${expected}`;
+}
+
+/**
+ * Checks if two strengths are the same once converted to canonical units ("0.5g" and "500mg")
+ * @param {string} first - Strength as written
+ * @param {string} second - Strength as written
+ * @returns {boolean} True if both parse and are equivalent
+ */
+export function isSameStrength(first, second) {
+  const a = parseStrength(first);
+  const b = parseStrength(second);
+  if (!a || !b) return false;
+
+  return a.type === b.type
+    && a.canonical.unit === b.canonical.unit
+    && a.canonical.amounts.length === b.canonical.amounts.length
+    && a.canonical.amounts.every((amount, index) => amount === b.canonical.amounts[index]);
+}
+
+/**
+ * Calculates how much drug one dose delivers
+ * Tablets and capsules multiply the per-unit amount, liquids multiply the concentration by the volume
+ * @param {string} strength - Strength as written
+ * @param {Object} dose - { amount, unit } such as the dose from parseSig(); unit 'ml' for liquids
+ * @returns {Object|null} { amounts: number[], unit } in canonical units, or null when they do not combine
+ */
+export function calculateDoseAmount(strength, dose) {
+  const parsed = parseStrength(strength);
+  if (!parsed || !dose || !(dose.amount > 0)) return null;
+
+  const isVolumeDose = /^ml$/i.test(dose.unit || '');
+  if (parsed.type === StrengthType.AMOUNT && !isVolumeDose) {
+    return { amounts: parsed.canonical.amounts.map((amount) => roundAmount(amount * dose.amount)), unit: parsed.canonical.unit };
+  }
+
+  if (parsed.type === StrengthType.CONCENTRATION && isVolumeDose && parsed.canonical.unit.endsWith('/mL')) {
+    return {
+      amounts: parsed.canonical.amounts.map((amount) => roundAmount(amount * dose.amount)),
+      unit: parsed.canonical.unit.replace('/mL', '')
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Seeded Random Numbers
+ * Repeatable pseudo-random numbers for synthetic data: the same seed always gives the same sequence,
+ * on every platform. Not suitable for anything security related
+ */
+
+/**
+ * Hashes a seed string to a 32-bit starting state (FNV-1a)
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a random number generator from a seed
+ * Uses mulberry32, which is small, fast and spreads nearby seeds well
+ * @param {string|number} seed - Seed; equal seeds give equal sequences
+ * @returns {Object} { next, integer, pick, chance, digits, uuid }
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+
+  /**
+   * Next number in [0, 1)
+   */
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+
+  /**
+   * Whole number from min to max, both included
+   */
+  const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    integer,
+
+    /**
+     * One item of a non-empty list
+     */
+    pick: (items) => items[integer(0, items.length - 1)],
+
+    /**
+     * True with the given probability (0-1)
+     */
+    chance: (probability) => next() < probability,
+
+    /**
+     * String of random decimal digits
+     */
+    digits: (count) => Array.from({ length: count }, () => integer(0, 9)).join(''),
+
+    /**
+     * Version 4 UUID built from the sequence, so record IDs repeat with the seed
+     */
+    uuid: () => {
+      const bytes = Array.from({ length: 16 }, () => integer(0, 255));
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      const hex = bytes.map((byte) => byte.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+  };
+}
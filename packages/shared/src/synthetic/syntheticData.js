@@ -0,0 +1,974 @@
+import {
+  ClaimStatus,
+  CoverageOrder,
+  DenialReason,
+  DrugTier,
+  InsurancePlanType,
+  MedicationForm,
+  NpiEntityType,
+  PharmacyType,
+  PrescriptionStatus,
+  UserRole,
+  ValidationErrorCode
+} from '../constants.js';
+import { createSuccessResponse, createValidationErrorResponse } from '../utils/apiResponse.js';
+import { createFieldError } from '../validators/validationErrors.js';
+import { PHARMACY_TYPE_TAXONOMY } from '../validators/pharmacyValidator.js';
+import { rankCoverages } from '../cob/coordinationOfBenefits.js';
+import { addCalendarDays, addCalendarMonths, daysBetween, getBenefitPeriod, isValidDateOnly } from '../dates/dateOnly.js';
+import { getAllowedQuantity, lookupFormularyEntry } from '../formulary/formulary.js';
+import { adjudicateClaim, isBlockingDenialReason } from '../adjudication/adjudicationEngine.js';
+import { postClaimToLedger, reverseClaimPosting } from '../accumulators/accumulatorLedger.js';
+import { recordFill, reverseFill } from '../refills/fillHistory.js';
+import { findClaimFill, reverseClaim } from '../claims/claimReversal.js';
+import { transitionPrescription } from '../prescriptions/prescriptionLifecycle.js';
+import { createSeededRandom } from './seededRandom.js';
+
+/**
+ * Synthetic Data
+ * Builds a repeatable demo dataset: patients, insurance plans, pharmacies, prescriptions, fills,
+ * adjudicated claims, accumulator postings and login accounts
+ *
+ * Each patient acts out a scenario preset. Claims go through adjudicateClaim() with the real formulary,
+ * provider registry and DUR dataset, so a scenario's claim status is what the engine decides, not a
+ * hard-coded value. Prescribers and pharmacies come from the provider registry, which only holds NPIs
+ * with valid check digits, and NDCs come from the formulary.
+ *
+ * The same seed, reference date and scenarios always give the same records, IDs and timestamps
+ * included. Each patient draws from its own seeded sequence, so adding patients does not change
+ * the ones before them
+ */
+
+/**
+ * Seed used when none is given
+ */
+export const DEFAULT_SYNTHETIC_SEED = 'demo';
+
+/**
+ * Date the dataset is built around when none is given; events happen on or before it
+ */
+export const SYNTHETIC_REFERENCE_DATE = '2025-06-16';
+
+/**
+ * Upper bound on patients per dataset
+ */
+export const MAX_SYNTHETIC_PATIENTS = 1000;
+
+/**
+ * Scenario presets a synthetic patient can act out
+ * Together the presets produce a claim in every ClaimStatus
+ */
+export const SyntheticScenario = {
+  ROUTINE_MAINTENANCE: 'ROUTINE_MAINTENANCE',     // Generic refilled monthly, every claim APPROVED
+  HDHP_MID_DEDUCTIBLE: 'HDHP_MID_DEDUCTIBLE',     // HDHP patient part-way through the deductible, DEDUCTIBLE_NOT_MET
+  PA_REQUIRED_SPECIALTY: 'PA_REQUIRED_SPECIALTY', // Specialty drug billed without a prior authorization, PRIOR_AUTH_REQUIRED
+  QUANTITY_OVER_LIMIT: 'QUANTITY_OVER_LIMIT',     // Double dose above the plan quantity limit, COVERAGE_LIMIT_EXCEEDED
+  NON_FORMULARY_DRUG: 'NON_FORMULARY_DRUG',       // Drug the plan's formulary leaves out, NOT_COVERED
+  TERMINATED_COVERAGE: 'TERMINATED_COVERAGE',     // Refill billed to a plan that has ended, INVALID_INSURANCE, then rebilled
+  EXPIRED_PRESCRIPTION: 'EXPIRED_PRESCRIPTION',   // Refill of a prescription past its validity period, DENIED
+  AWAITING_ADJUDICATION: 'AWAITING_ADJUDICATION', // Claim the processor pended without a decision, PENDING
+  RETURNED_TO_STOCK: 'RETURNED_TO_STOCK',         // New fill never picked up and its claim reversed, REVERSED
+};
+
+/**
+ * What each scenario shows, for listings such as the seed command's help
+ */
+const SCENARIO_DESCRIPTIONS = {
+  [SyntheticScenario.ROUTINE_MAINTENANCE]: 'Generic maintenance drug refilled monthly and paid',
+  [SyntheticScenario.HDHP_MID_DEDUCTIBLE]: 'HDHP patient mid-deductible, paying toward it with every fill',
+  [SyntheticScenario.PA_REQUIRED_SPECIALTY]: 'PA-required specialty drug rejected until a prior authorization is on file',
+  [SyntheticScenario.QUANTITY_OVER_LIMIT]: 'Double dose rejected for exceeding the plan quantity limit',
+  [SyntheticScenario.NON_FORMULARY_DRUG]: 'Drug that is not on the plan formulary',
+  [SyntheticScenario.TERMINATED_COVERAGE]: 'Refill billed to a terminated plan, then rebilled to the new one',
+  [SyntheticScenario.EXPIRED_PRESCRIPTION]: 'Refill of a prescription written more than a year ago',
+  [SyntheticScenario.AWAITING_ADJUDICATION]: 'Claim pended by the processor and still awaiting a decision',
+  [SyntheticScenario.RETURNED_TO_STOCK]: 'New prescription filled but never picked up; the claim is reversed and the fill returned to stock',
+};
+
+const FIRST_NAMES = [
+  'Maria', 'James', 'Aisha', 'Daniel', 'Mei', 'Robert', 'Priya', 'Carlos', 'Emily', 'Kwame',
+  'Sofia', 'Thomas', 'Fatima', 'Andrew', 'Yuki', 'Linda', 'Mateo', 'Grace', 'Omar', 'Hannah',
+  'Samuel', 'Rosa', 'Ethan', 'Nadia'
+];
+
+const LAST_NAMES = [
+  'Garcia', 'Johnson', 'Nguyen', 'Okafor', 'Patel', 'Smith', 'Kim', 'Rodriguez', 'Brown', 'Chen',
+  'Williams', 'Hernandez', 'Davis', 'Singh', 'Miller', 'Lopez', 'Wilson', 'Tanaka', 'Moore', 'Haddad',
+  'Anderson', 'Rivera', 'Clark', 'Kowalski'
+];
+
+const STREET_NAMES = [
+  'Oak Street', 'Maple Avenue', 'Cedar Lane', 'Park Boulevard', 'Lincoln Way', 'Elm Court',
+  'Hillside Drive', 'Sunset Road', 'Lake Street', 'Pine Avenue', 'Washington Street', 'Mission Road'
+];
+
+/**
+ * Cities with ZIP codes and area codes that really belong to them
+ * Phone numbers use the 555-0100 to 555-0199 exchange reserved for fictional use
+ */
+const LOCATIONS = [
+  { city: 'San Francisco', state: 'CA', zipCodes: ['94110', '94114', '94122'], areaCodes: ['415', '628'] },
+  { city: 'Sacramento', state: 'CA', zipCodes: ['95814', '95816', '95818'], areaCodes: ['916'] },
+  { city: 'New York', state: 'NY', zipCodes: ['10003', '10011', '10025'], areaCodes: ['212', '646'] },
+  { city: 'Buffalo', state: 'NY', zipCodes: ['14201', '14213', '14222'], areaCodes: ['716'] },
+  { city: 'Austin', state: 'TX', zipCodes: ['78704', '78745', '78751'], areaCodes: ['512', '737'] },
+  { city: 'Houston', state: 'TX', zipCodes: ['77006', '77008', '77019'], areaCodes: ['713', '832'] },
+  { city: 'Phoenix', state: 'AZ', zipCodes: ['85004', '85016', '85018'], areaCodes: ['602'] },
+  { city: 'Tucson', state: 'AZ', zipCodes: ['85705', '85716', '85719'], areaCodes: ['520'] },
+  { city: 'Seattle', state: 'WA', zipCodes: ['98103', '98115', '98122'], areaCodes: ['206'] },
+  { city: 'Portland', state: 'OR', zipCodes: ['97202', '97214', '97217'], areaCodes: ['503', '971'] },
+  { city: 'Chicago', state: 'IL', zipCodes: ['60614', '60640', '60657'], areaCodes: ['312', '773'] },
+  { city: 'Denver', state: 'CO', zipCodes: ['80203', '80206', '80218'], areaCodes: ['303', '720'] },
+  { city: 'Miami', state: 'FL', zipCodes: ['33133', '33137', '33145'], areaCodes: ['305', '786'] },
+  { city: 'Boston', state: 'MA', zipCodes: ['02116', '02130', '02134'], areaCodes: ['617', '857'] },
+  { city: 'Atlanta', state: 'GA', zipCodes: ['30306', '30307', '30312'], areaCodes: ['404', '678'] },
+  { city: 'Columbus', state: 'OH', zipCodes: ['43201', '43206', '43215'], areaCodes: ['614'] },
+];
+
+/**
+ * Carrier details for each demo formulary plan; amounts are [minimum, maximum] in cents
+ * HDHP deductibles and out-of-pocket maximums sit inside the IRS limits for HSA-eligible plans
+ */
+const PLAN_PROFILES = {
+  'DEMO-PPO-STANDARD': {
+    planType: InsurancePlanType.PPO,
+    insuranceCompany: 'Summit Mutual Health',
+    planName: 'Summit PPO Standard',
+    policyPrefix: 'SMH',
+    rxPCN: 'SMHRX',
+    deductible: [0, 50000],
+    outOfPocketMax: [300000, 650000],
+    excludedPharmacyTypes: []
+  },
+  'DEMO-HMO-VALUE': {
+    planType: InsurancePlanType.HMO,
+    insuranceCompany: 'Cascade Community Health',
+    planName: 'Cascade HMO Value',
+    policyPrefix: 'CCH',
+    rxPCN: 'CASCADE',
+    deductible: [0, 0],
+    outOfPocketMax: [200000, 450000],
+    excludedPharmacyTypes: [PharmacyType.MAIL_ORDER]
+  },
+  'DEMO-HDHP': {
+    planType: InsurancePlanType.HDHP,
+    insuranceCompany: 'Keystone Benefit Partners',
+    planName: 'Keystone HSA Bronze',
+    policyPrefix: 'KBP',
+    rxPCN: 'KBPHSA',
+    deductible: [165000, 330000],
+    outOfPocketMax: [500000, 830000],
+    excludedPharmacyTypes: []
+  },
+};
+
+/**
+ * Prescribing details and pharmacy cost of each formulary drug
+ * highDose is a variant written at twice the usual dose
+ */
+const DRUG_PROFILES = {
+  '00093-5057-01': {
+    medicationName: 'Atorvastatin',
+    medicationForm: MedicationForm.TABLET,
+    strength: '20mg',
+    dosageInstructions: 'Take 1 tablet by mouth once daily',
+    quantity: 30,
+    daysSupply: 30,
+    unitCost: 50,
+    highDose: { dosageInstructions: 'Take 2 tablets by mouth once daily', quantity: 60 }
+  },
+  '00378-0208-01': {
+    medicationName: 'Metformin',
+    medicationForm: MedicationForm.TABLET,
+    strength: '500mg',
+    dosageInstructions: 'Take 1 tablet by mouth twice daily with meals',
+    quantity: 60,
+    daysSupply: 30,
+    unitCost: 20
+  },
+  '00071-0155-23': {
+    medicationName: 'Lipitor',
+    medicationForm: MedicationForm.TABLET,
+    strength: '10mg',
+    dosageInstructions: 'Take 1 tablet by mouth once daily',
+    quantity: 30,
+    daysSupply: 30,
+    unitCost: 1270
+  },
+  '00173-0682-20': {
+    medicationName: 'Advair Diskus',
+    medicationForm: MedicationForm.INHALER,
+    strength: '250mcg/50mcg',
+    dosageInstructions: 'Inhale 1 puff by mouth twice daily',
+    quantity: 1,
+    daysSupply: 30,
+    unitCost: 48000
+  },
+  '00074-4339-02': {
+    medicationName: 'Humira',
+    medicationForm: MedicationForm.INJECTION,
+    strength: '40mg/0.4ml',
+    dosageInstructions: 'Inject 40 mg under the skin every 14 days',
+    quantity: 2,
+    daysSupply: 28,
+    unitCost: 345000
+  },
+};
+
+/**
+ * Opening hours by pharmacy type
+ */
+const PHARMACY_HOURS = {
+  [PharmacyType.RETAIL]: {
+    monday: '08:00-21:00', tuesday: '08:00-21:00', wednesday: '08:00-21:00', thursday: '08:00-21:00',
+    friday: '08:00-21:00', saturday: '09:00-18:00', sunday: '10:00-17:00'
+  },
+  [PharmacyType.MAIL_ORDER]: {
+    monday: '07:00-19:00', tuesday: '07:00-19:00', wednesday: '07:00-19:00', thursday: '07:00-19:00',
+    friday: '07:00-19:00'
+  },
+  [PharmacyType.SPECIALTY]: {
+    monday: '09:00-17:30', tuesday: '09:00-17:30', wednesday: '09:00-17:30', thursday: '09:00-17:30',
+    friday: '09:00-17:30', saturday: 'CLOSED', sunday: 'CLOSED'
+  },
+};
+
+/**
+ * Default days between monthly fills
+ */
+const FILL_INTERVAL_DAYS = 30;
+
+/**
+ * Days a filled prescription waits for pick-up before the pharmacy returns it to stock
+ */
+const RETURN_TO_STOCK_DAYS = 14;
+
+/**
+ * Lists the scenario presets
+ * @returns {Object[]} { scenario, description } for each value of SyntheticScenario
+ */
+export function listSyntheticScenarios() {
+  return Object.values(SyntheticScenario).map((scenario) => ({
+    scenario,
+    description: SCENARIO_DESCRIPTIONS[scenario]
+  }));
+}
+
+/**
+ * Throws when a step that cannot fail on well-formed synthetic records does
+ */
+function expectSuccess(response) {
+  if (!response.success) {
+    throw new Error(`Synthetic data could not be built: ${response.error.message}`);
+  }
+  return response.data;
+}
+
+/**
+ * Builds an ISO timestamp at a number of minutes after midnight UTC on a date
+ */
+function timestampOn(date, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${date}T${hours}:${String(minutes % 60).padStart(2, '0')}:00.000Z`;
+}
+
+/**
+ * Picks a whole-dollar amount in a [minimum, maximum] cent range, in $50 steps
+ */
+function amountBetween(random, [minimum, maximum]) {
+  const step = 5000;
+  return minimum + step * random.integer(0, Math.floor((maximum - minimum) / step));
+}
+
+/**
+ * Builds a phone number in one of a location's area codes
+ */
+function phoneNumberIn(random, location) {
+  return `${random.pick(location.areaCodes)}55501${random.digits(2)}`;
+}
+
+/**
+ * Builds a street address in a location
+ */
+function addressIn(random, location) {
+  return {
+    street: `${random.integer(100, 9899)} ${random.pick(STREET_NAMES)}`,
+    city: location.city,
+    state: location.state,
+    zipCode: random.pick(location.zipCodes)
+  };
+}
+
+/**
+ * Gets the demo formulary plans that have a carrier profile
+ */
+function getProfiledPlanIds(formulary) {
+  return Object.keys(PLAN_PROFILES).filter((planId) => formulary.plans[planId]);
+}
+
+/**
+ * Builds pharmacy records for the active pharmacies in the provider registry
+ * Each joins every profiled plan network that accepts its type of pharmacy
+ */
+function buildPharmacies(random, reference) {
+  const pharmacyTypes = Object.fromEntries(
+    Object.entries(PHARMACY_TYPE_TAXONOMY).map(([pharmacyType, taxonomy]) => [taxonomy, pharmacyType])
+  );
+  const planIds = getProfiledPlanIds(reference.formulary);
+
+  return Object.values(reference.providerRegistry)
+    .filter((provider) => provider.entityType === NpiEntityType.ORGANIZATION && provider.isActive)
+    .filter((provider) => pharmacyTypes[provider.taxonomy])
+    .sort((a, b) => a.npi.localeCompare(b.npi))
+    .map((provider) => {
+      const pharmacyType = pharmacyTypes[provider.taxonomy];
+      const nearby = LOCATIONS.filter((location) => location.state === provider.state);
+      const location = random.pick(nearby.length > 0 ? nearby : LOCATIONS);
+
+      return {
+        id: random.uuid(),
+        npi: provider.npi,
+        name: provider.name,
+        pharmacyType,
+        phoneNumber: phoneNumberIn(random, location),
+        address: addressIn(random, location),
+        hours: PHARMACY_HOURS[pharmacyType],
+        networkPlanIds: planIds.filter((planId) => !PLAN_PROFILES[planId].excludedPharmacyTypes.includes(pharmacyType)),
+        isActive: true
+      };
+    });
+}
+
+/**
+ * Builds the accounts that sign in to the demo: one per patient, pharmacy and plan
+ * Passwords are not part of the dataset; the seed command sets them
+ */
+function buildAccounts(random, dataset, formulary) {
+  return [
+    ...dataset.users.map((user) => ({ id: random.uuid(), email: user.email, role: UserRole.PATIENT, userId: user.id })),
+    ...dataset.pharmacies.map((pharmacy) => ({
+      id: random.uuid(),
+      email: `pharmacist.${pharmacy.npi}@example.com`,
+      role: UserRole.PHARMACIST,
+      pharmacyNPI: pharmacy.npi
+    })),
+    ...getProfiledPlanIds(formulary).map((planId) => ({
+      id: random.uuid(),
+      email: `insurer.${planId.toLowerCase()}@example.com`,
+      role: UserRole.INSURER,
+      planIds: [planId]
+    })),
+  ];
+}
+
+/**
+ * Creates the builder one patient's scenario is written with
+ * It adds records to the dataset and bills claims the way the claim service does
+ * @param {Object} random - Seeded random from createSeededRandom()
+ * @param {Object} reference - { formulary, providerRegistry, durDataset }
+ * @param {Object} dataset - Dataset being built
+ * @param {string} referenceDate - Date the dataset is built around (YYYY-MM-DD)
+ * @returns {Object} Builder methods
+ */
+function createPatientBuilder(random, reference, dataset, referenceDate) {
+  const { formulary, providerRegistry } = reference;
+  const prescribers = Object.values(providerRegistry)
+    .filter((provider) => provider.entityType === NpiEntityType.INDIVIDUAL && provider.isActive)
+    .sort((a, b) => a.npi.localeCompare(b.npi));
+  let patient = null;
+
+  /**
+   * Replaces a stored prescription with its latest version
+   */
+  const savePrescription = (prescription) => {
+    const index = dataset.prescriptions.findIndex((stored) => stored.id === prescription.id);
+    dataset.prescriptions[index] = prescription;
+    return prescription;
+  };
+
+  /**
+   * Moves a prescription to a status through the lifecycle state machine
+   */
+  const transition = (prescription, toStatus, actor, timestamp, reason) => savePrescription(
+    expectSuccess(transitionPrescription(prescription, toStatus, { actor, reason, timestamp })).prescription
+  );
+
+  /**
+   * Submits a prescription for billing; the patient's primary plan on the date must be active, even when
+   * the claim itself goes to a plan that has since ended
+   */
+  const submit = (prescription, actor, date, timestamp) => {
+    const plans = dataset.insurance.filter((plan) => plan.userId === prescription.userId);
+    return savePrescription(expectSuccess(transitionPrescription(prescription, PrescriptionStatus.SUBMITTED, {
+      actor,
+      timestamp,
+      date,
+      insurance: rankCoverages(plans, date)[0]
+    })).prescription);
+  };
+
+  const builder = {
+    random,
+    referenceDate,
+
+    /**
+     * Formulary plan IDs with a carrier profile that pass a check
+     * @param {Function} [predicate] - (planId, profile) => boolean
+     */
+    findPlans(predicate = () => true) {
+      return getProfiledPlanIds(formulary).filter((planId) => predicate(planId, PLAN_PROFILES[planId]));
+    },
+
+    /**
+     * NDCs with a drug profile and their formulary entry on a plan, null when the plan does not cover them
+     */
+    findDrugs(planId, predicate = () => true) {
+      return Object.keys(DRUG_PROFILES).filter((ndc) => predicate(lookupFormularyEntry(formulary, planId, ndc), ndc));
+    },
+
+    /**
+     * Adds the patient
+     * @param {Object} [options] - { minAge, maxAge }
+     */
+    addPatient({ minAge = 30, maxAge = 80 } = {}) {
+      const location = random.pick(LOCATIONS);
+      const firstName = random.pick(FIRST_NAMES);
+      const lastName = random.pick(LAST_NAMES);
+      const age = random.integer(minAge, maxAge);
+
+      patient = {
+        id: random.uuid(),
+        email: `${firstName}.${lastName}.${dataset.users.length + 1}@example.com`.toLowerCase(),
+        firstName,
+        lastName,
+        dateOfBirth: addCalendarDays(addCalendarMonths(referenceDate, -12 * age), -random.integer(0, 364)),
+        phoneNumber: phoneNumberIn(random, location),
+        address: addressIn(random, location)
+      };
+      dataset.users.push(patient);
+      return patient;
+    },
+
+    /**
+     * Enrolls the patient in a plan
+     * @param {string} planId - Formulary plan ID
+     * @param {Object} options - { coveredFrom, effectiveDate?, terminationDate? } where coveredFrom is the
+     *   earliest date the plan must cover; coverage then starts on January 1 of that year or up to two years before
+     */
+    addInsurance(planId, { coveredFrom, effectiveDate, terminationDate }) {
+      const profile = PLAN_PROFILES[planId];
+      const insurance = {
+        id: random.uuid(),
+        userId: patient.id,
+        insuranceCompany: profile.insuranceCompany,
+        policyNumber: `${profile.policyPrefix}${random.digits(9)}`,
+        groupNumber: random.digits(6),
+        planType: profile.planType,
+        planName: profile.planName,
+        coverageOrder: CoverageOrder.PRIMARY,
+        rxBIN: formulary.plans[planId].rxBINs[0],
+        rxPCN: profile.rxPCN,
+        formularyId: planId,
+        deductible: amountBetween(random, profile.deductible),
+        outOfPocketMax: amountBetween(random, profile.outOfPocketMax),
+        planYearStartMonth: 1,
+        effectiveDate: effectiveDate
+          || addCalendarMonths(getBenefitPeriod(coveredFrom).startDate, -12 * random.integer(0, 2)),
+        terminationDate,
+        isActive: true
+      };
+      dataset.insurance.push(insurance);
+      return insurance;
+    },
+
+    /**
+     * Writes a prescription for the patient
+     * @param {string} ndc - NDC with a drug profile
+     * @param {Object} insurance - Plan used to pick an in-network pharmacy
+     * @param {Object} options - { prescribedDate, refillsAllowed?, highDose? }
+     */
+    addPrescription(ndc, insurance, { prescribedDate, refillsAllowed = 11, highDose = false }) {
+      const { unitCost, highDose: highDoseVariant, ...drug } = DRUG_PROFILES[ndc];
+      const prescriber = random.pick(prescribers);
+      const pharmacy = builder.choosePharmacy(insurance, ndc);
+
+      const prescription = {
+        id: random.uuid(),
+        userId: patient.id,
+        ...drug,
+        ...(highDose ? highDoseVariant : {}),
+        ndc,
+        refillsAllowed,
+        refillsRemaining: refillsAllowed,
+        prescriberName: prescriber.name,
+        prescriberNPI: prescriber.npi,
+        pharmacyNPI: pharmacy.npi,
+        prescribedDate,
+        status: PrescriptionStatus.PENDING,
+        statusHistory: []
+      };
+      dataset.prescriptions.push(prescription);
+      return prescription;
+    },
+
+    /**
+     * Picks the pharmacy a prescription goes to: a specialty pharmacy for specialty drugs, otherwise a
+     * retail pharmacy, preferring the plan's network and the patient's state
+     */
+    choosePharmacy(insurance, ndc) {
+      const tier = lookupFormularyEntry(formulary, insurance.formularyId, ndc)?.tier;
+      const pharmacyType = tier === DrugTier.SPECIALTY ? PharmacyType.SPECIALTY : PharmacyType.RETAIL;
+      const candidates = dataset.pharmacies.filter((pharmacy) => pharmacy.pharmacyType === pharmacyType);
+      const inNetwork = candidates.filter((pharmacy) => pharmacy.networkPlanIds.includes(insurance.formularyId));
+      const pool = inNetwork.length > 0 ? inNetwork : candidates;
+      const nearby = pool.filter((pharmacy) => pharmacy.address.state === patient.address.state);
+      return random.pick(nearby.length > 0 ? nearby : pool);
+    },
+
+    /**
+     * Submits a claim and, when it is paid, fills the prescription and has it picked up
+     * Denied claims leave the prescription DENIED, or PRIOR_AUTH_REQUIRED when that is the reason
+     * @param {Object} prescription - Prescription to bill
+     * @param {Object} insurance - Plan to bill
+     * @param {string} date - Date of service (YYYY-MM-DD)
+     * @param {Object} [options]
+     * @param {boolean} [options.pickUp=true] - False to leave a paid fill waiting at the pharmacy
+     * @returns {Object} Stored claim
+     */
+    bill(prescription, insurance, date, { pickUp = true } = {}) {
+      const pharmacy = dataset.pharmacies.find((candidate) => candidate.npi === prescription.pharmacyNPI);
+      const fillHistory = dataset.fills.filter((fill) => fill.prescriptionId === prescription.id);
+      const ledger = dataset.accumulatorPostings.filter((posting) => posting.insuranceId === insurance.id);
+      const opensAt = random.integer(14 * 60, 20 * 60);
+
+      let current = submit(prescription, pharmacy.npi, date, timestampOn(date, opensAt));
+      const adjudication = adjudicateClaim(current, insurance, {
+        drugCost: current.quantity * DRUG_PROFILES[current.ndc].unitCost,
+        date,
+        formulary,
+        providerRegistry,
+        durDataset: reference.durDataset,
+        patient,
+        pharmacy,
+        fillHistory,
+        accumulatorLedger: ledger
+      });
+      const claim = {
+        id: random.uuid(),
+        userId: patient.id,
+        prescriptionId: current.id,
+        insuranceId: insurance.id,
+        pharmacyNPI: pharmacy.npi,
+        dateOfService: date,
+        ...adjudication,
+        adjudicatedAt: timestampOn(date, opensAt + 1)
+      };
+      dataset.claims.push(claim);
+
+      if (adjudication.denialReasons.some(isBlockingDenialReason)) {
+        const toStatus = claim.status === ClaimStatus.PRIOR_AUTH_REQUIRED
+          ? PrescriptionStatus.PRIOR_AUTH_REQUIRED
+          : PrescriptionStatus.DENIED;
+        transition(current, toStatus, 'system', timestampOn(date, opensAt + 1), `Claim rejected: ${claim.denialReason}`);
+        return claim;
+      }
+
+      const { posting } = expectSuccess(postClaimToLedger(ledger, claim, insurance));
+      dataset.accumulatorPostings.push({ ...posting, id: random.uuid(), postedAt: timestampOn(date, opensAt + 1) });
+
+      current = transition(current, PrescriptionStatus.APPROVED, 'system', timestampOn(date, opensAt + 1), 'Claim paid');
+      const filled = expectSuccess(recordFill(current, fillHistory, { fillDate: date, claimId: claim.id }));
+      dataset.fills.push({ ...filled.fill, id: random.uuid() });
+      current = transition(filled.prescription, PrescriptionStatus.FILLED, pharmacy.npi, timestampOn(date, opensAt + 15));
+      if (pickUp) {
+        transition(current, PrescriptionStatus.PICKED_UP, pharmacy.npi, timestampOn(date, opensAt + random.integer(60, 180)));
+      }
+      return claim;
+    },
+
+    /**
+     * Reverses a paid claim whose fill was never picked up, the way the claim service does: the
+     * accumulator posting is backed out, the fill removed and the prescription cancelled
+     * @param {Object} claim - Paid claim
+     * @param {string} date - Date of the reversal (YYYY-MM-DD)
+     * @param {string} reason - Why it was reversed
+     * @returns {Object} Reversed claim
+     */
+    reverse(claim, date, reason) {
+      const timestamp = timestampOn(date, random.integer(8 * 60, 10 * 60));
+      const reversed = expectSuccess(reverseClaim(claim, { actor: 'system', reason, timestamp }));
+      dataset.claims[dataset.claims.findIndex((stored) => stored.id === claim.id)] = reversed;
+
+      const ledger = dataset.accumulatorPostings.filter((posting) => posting.insuranceId === claim.insuranceId);
+      const { posting } = expectSuccess(reverseClaimPosting(ledger, claim.id));
+      dataset.accumulatorPostings.push({ ...posting, id: random.uuid(), postedAt: timestamp });
+
+      const fill = findClaimFill(claim, dataset.fills);
+      const undone = expectSuccess(reverseFill(builder.currentPrescription(claim), dataset.fills, fill.id));
+      dataset.fills.splice(dataset.fills.indexOf(fill), 1);
+      transition(savePrescription(undone.prescription), PrescriptionStatus.CANCELLED, 'system', timestamp, reason);
+      return reversed;
+    },
+
+    /**
+     * Latest version of a prescription, after the status changes and fills made so far
+     * @param {Object} record - The prescription, or a claim for it
+     */
+    currentPrescription(record) {
+      const id = record.prescriptionId || record.id;
+      return dataset.prescriptions.find((stored) => stored.id === id);
+    },
+
+    /**
+     * Bills a prescription every fill interval, oldest first
+     * @returns {Object[]} Stored claims
+     */
+    billMonthly(prescription, insurance, firstDate, count) {
+      return Array.from({ length: count }, (_, index) => builder.bill(
+        builder.currentPrescription(prescription),
+        insurance,
+        addCalendarDays(firstDate, index * FILL_INTERVAL_DAYS)
+      ));
+    },
+
+    /**
+     * Submits a claim the processor pends without deciding, stored the way a deferred response is:
+     * no denial reasons, no trace and nothing split between patient and plan yet
+     * @returns {Object} Stored claim
+     */
+    submitPending(prescription, insurance, date) {
+      const opensAt = random.integer(14 * 60, 20 * 60);
+      submit(prescription, prescription.pharmacyNPI, date, timestampOn(date, opensAt));
+
+      const claim = {
+        id: random.uuid(),
+        userId: patient.id,
+        prescriptionId: prescription.id,
+        insuranceId: insurance.id,
+        pharmacyNPI: prescription.pharmacyNPI,
+        dateOfService: date,
+        status: ClaimStatus.PENDING,
+        denialReason: DenialReason.NONE,
+        denialReasons: [],
+        costs: {
+          drugCost: prescription.quantity * DRUG_PROFILES[prescription.ndc].unitCost,
+          deductibleApplied: 0,
+          patientPay: 0,
+          planPay: 0
+        },
+        trace: [],
+        adjudicatedAt: timestampOn(date, opensAt + 1)
+      };
+      dataset.claims.push(claim);
+      return claim;
+    }
+  };
+
+  return builder;
+}
+
+/**
+ * Picks a generic drug the plan covers without restrictions
+ */
+function pickPlainGeneric(builder, planId) {
+  return builder.random.pick(builder.findDrugs(planId, (entry) => (
+    entry?.tier === DrugTier.GENERIC && !entry.priorAuthRequired && !entry.stepTherapy
+  )));
+}
+
+/**
+ * Adult on a PPO or HMO refilling a generic every month
+ */
+function buildRoutineMaintenance(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 35, maxAge: 80 });
+  const planId = random.pick(builder.findPlans((_, profile) => profile.planType !== InsurancePlanType.HDHP));
+  const fills = random.integer(3, 8);
+  const firstFill = addCalendarDays(referenceDate, -FILL_INTERVAL_DAYS * (fills - 1) - random.integer(0, 10));
+  const prescribedDate = addCalendarDays(firstFill, -random.integer(0, 5));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(pickPlainGeneric(builder, planId), insurance, { prescribedDate });
+  builder.billMonthly(prescription, insurance, firstFill, fills);
+}
+
+/**
+ * HDHP patient filling a brand and a generic drug each month since the benefit period started,
+ * stopping while the deductible is still partly unmet
+ */
+function buildHdhpMidDeductible(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 26, maxAge: 60 });
+  const planId = random.pick(builder.findPlans((_, profile) => profile.planType === InsurancePlanType.HDHP));
+  const isPlain = (entry) => entry && !entry.priorAuthRequired && !entry.stepTherapy && !entry.quantityLimit;
+  const brand = random.pick(builder.findDrugs(planId, (entry) => (
+    isPlain(entry) && [DrugTier.PREFERRED_BRAND, DrugTier.NON_PREFERRED_BRAND].includes(entry.tier)
+  )));
+  const generic = random.pick(builder.findDrugs(planId, (entry) => isPlain(entry) && entry.tier === DrugTier.GENERIC));
+
+  const period = getBenefitPeriod(referenceDate);
+  const lastFill = addCalendarDays(referenceDate, -random.integer(0, 6));
+  const insurance = builder.addInsurance(planId, { coveredFrom: period.startDate });
+  const monthlyCost = [brand, generic]
+    .reduce((total, ndc) => total + DRUG_PROFILES[ndc].quantity * DRUG_PROFILES[ndc].unitCost, 0);
+  const fills = Math.max(1, Math.min(
+    Math.floor((insurance.deductible - 1) / monthlyCost),
+    Math.floor(daysBetween(period.startDate, lastFill) / FILL_INTERVAL_DAYS) + 1,
+    6
+  ));
+  const firstFill = addCalendarDays(lastFill, -FILL_INTERVAL_DAYS * (fills - 1));
+  const prescribedDate = addCalendarDays(firstFill, -random.integer(0, 7));
+
+  [brand, generic].forEach((ndc) => {
+    const prescription = builder.addPrescription(ndc, insurance, { prescribedDate });
+    builder.billMonthly(prescription, insurance, firstFill, fills);
+  });
+}
+
+/**
+ * New specialty prescription billed before the prescriber has requested a prior authorization
+ */
+function buildPaRequiredSpecialty(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 25, maxAge: 64 });
+  const options = builder.findPlans().flatMap((planId) => builder
+    .findDrugs(planId, (entry) => entry?.tier === DrugTier.SPECIALTY && entry.priorAuthRequired)
+    .map((ndc) => ({ planId, ndc })));
+  const { planId, ndc } = random.pick(options);
+  const prescribedDate = addCalendarDays(referenceDate, -random.integer(2, 10));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(ndc, insurance, { prescribedDate, refillsAllowed: 5 });
+  builder.bill(prescription, insurance, addCalendarDays(prescribedDate, random.integer(1, 2)));
+}
+
+/**
+ * Prescription written at twice the usual dose on a plan that limits the quantity
+ */
+function buildQuantityOverLimit(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 40, maxAge: 80 });
+  const options = builder.findPlans().flatMap((planId) => builder
+    .findDrugs(planId, (entry, ndc) => {
+      const { highDose, daysSupply } = DRUG_PROFILES[ndc];
+      const allowed = getAllowedQuantity(entry?.quantityLimit, daysSupply);
+      return Boolean(highDose) && allowed !== null && highDose.quantity > allowed;
+    })
+    .map((ndc) => ({ planId, ndc })));
+  const { planId, ndc } = random.pick(options);
+  const prescribedDate = addCalendarDays(referenceDate, -random.integer(1, 7));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(ndc, insurance, { prescribedDate, highDose: true });
+  builder.bill(prescription, insurance, addCalendarDays(prescribedDate, 1));
+}
+
+/**
+ * Prescription for a drug the patient's plan does not list
+ */
+function buildNonFormularyDrug(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 30, maxAge: 75 });
+  const options = builder.findPlans().flatMap((planId) => builder
+    .findDrugs(planId, (entry) => entry === null)
+    .map((ndc) => ({ planId, ndc })));
+  const { planId, ndc } = random.pick(options);
+  const prescribedDate = addCalendarDays(referenceDate, -random.integer(1, 7));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(ndc, insurance, { prescribedDate });
+  builder.bill(prescription, insurance, addCalendarDays(prescribedDate, 1));
+}
+
+/**
+ * Patient who changed plans at the start of a month; the pharmacy bills the old plan for the next
+ * refill, is rejected, and rebills the new plan
+ */
+function buildTerminatedCoverage(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 30, maxAge: 64 });
+  const oldPlanId = random.pick(builder.findPlans());
+  const newPlanId = random.pick(builder.findPlans((planId) => planId !== oldPlanId));
+  const newPlanDrugs = builder.findDrugs(newPlanId, (entry) => entry !== null);
+  const ndc = random.pick(builder.findDrugs(oldPlanId, (entry, candidate) => (
+    entry?.tier === DrugTier.GENERIC && !entry.priorAuthRequired && !entry.stepTherapy
+    && newPlanDrugs.includes(candidate)
+  )));
+
+  const switchDate = addCalendarMonths(`${referenceDate.slice(0, 7)}-01`, -random.integer(1, 2));
+  const lastPaidFill = addCalendarDays(switchDate, -random.integer(5, 25));
+  const firstFill = addCalendarDays(lastPaidFill, -FILL_INTERVAL_DAYS * 2);
+  const prescribedDate = addCalendarDays(firstFill, -random.integer(0, 5));
+
+  const oldPlan = builder.addInsurance(oldPlanId, {
+    coveredFrom: prescribedDate,
+    terminationDate: addCalendarDays(switchDate, -1)
+  });
+  const prescription = builder.addPrescription(ndc, oldPlan, { prescribedDate });
+  builder.billMonthly(prescription, oldPlan, firstFill, 3);
+
+  const newPlan = builder.addInsurance(newPlanId, { effectiveDate: switchDate });
+  const refillDate = addCalendarDays(referenceDate, -random.integer(0, 3));
+  builder.bill(builder.currentPrescription(prescription), oldPlan, refillDate);
+  builder.bill(builder.currentPrescription(prescription), newPlan, refillDate);
+}
+
+/**
+ * Prescription filled a few times over a year ago, brought back for a refill after it expired
+ */
+function buildExpiredPrescription(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 30, maxAge: 80 });
+  const planId = random.pick(builder.findPlans((_, profile) => profile.planType !== InsurancePlanType.HDHP));
+  const prescribedDate = addCalendarDays(referenceDate, -random.integer(380, 420));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(pickPlainGeneric(builder, planId), insurance, { prescribedDate });
+  builder.billMonthly(prescription, insurance, addCalendarDays(prescribedDate, 1), 3);
+  builder.bill(builder.currentPrescription(prescription), insurance, referenceDate);
+}
+
+/**
+ * New prescription whose claim the processor pended on the reference date
+ */
+function buildAwaitingAdjudication(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 20, maxAge: 80 });
+  const planId = random.pick(builder.findPlans());
+  const prescribedDate = addCalendarDays(referenceDate, -random.integer(0, 2));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: prescribedDate });
+  const prescription = builder.addPrescription(pickPlainGeneric(builder, planId), insurance, { prescribedDate });
+  builder.submitPending(prescription, insurance, referenceDate);
+}
+
+/**
+ * New prescription paid and filled but never picked up; after two weeks the pharmacy reverses the
+ * claim and returns the fill to stock
+ */
+function buildReturnedToStock(builder) {
+  const { random, referenceDate } = builder;
+  builder.addPatient({ minAge: 20, maxAge: 80 });
+  const planId = random.pick(builder.findPlans((_, profile) => profile.planType !== InsurancePlanType.HDHP));
+  const fillDate = addCalendarDays(referenceDate, -random.integer(RETURN_TO_STOCK_DAYS, RETURN_TO_STOCK_DAYS + 10));
+
+  const insurance = builder.addInsurance(planId, { coveredFrom: fillDate });
+  const prescription = builder.addPrescription(pickPlainGeneric(builder, planId), insurance, { prescribedDate: fillDate });
+  const claim = builder.bill(prescription, insurance, fillDate, { pickUp: false });
+  builder.reverse(
+    claim,
+    addCalendarDays(fillDate, RETURN_TO_STOCK_DAYS),
+    `Not picked up within ${RETURN_TO_STOCK_DAYS} days, returned to stock`
+  );
+}
+
+/**
+ * How each scenario is built
+ */
+const SCENARIO_BUILDERS = {
+  [SyntheticScenario.ROUTINE_MAINTENANCE]: buildRoutineMaintenance,
+  [SyntheticScenario.HDHP_MID_DEDUCTIBLE]: buildHdhpMidDeductible,
+  [SyntheticScenario.PA_REQUIRED_SPECIALTY]: buildPaRequiredSpecialty,
+  [SyntheticScenario.QUANTITY_OVER_LIMIT]: buildQuantityOverLimit,
+  [SyntheticScenario.NON_FORMULARY_DRUG]: buildNonFormularyDrug,
+  [SyntheticScenario.TERMINATED_COVERAGE]: buildTerminatedCoverage,
+  [SyntheticScenario.EXPIRED_PRESCRIPTION]: buildExpiredPrescription,
+  [SyntheticScenario.AWAITING_ADJUDICATION]: buildAwaitingAdjudication,
+  [SyntheticScenario.RETURNED_TO_STOCK]: buildReturnedToStock,
+};
+
+/**
+ * Validates generator options
+ */
+function validateSyntheticOptions(reference, { seed, referenceDate, scenarios, patientCount }) {
+  const errors = [];
+
+  if (!reference?.formulary || !reference?.providerRegistry) {
+    errors.push(createFieldError('reference', ValidationErrorCode.REQUIRED, 'A formulary and provider registry are required'));
+  }
+
+  if ((typeof seed !== 'string' && typeof seed !== 'number') || String(seed).length === 0) {
+    errors.push(createFieldError('seed', ValidationErrorCode.REQUIRED, 'Seed must be a non-empty string or a number', seed));
+  }
+
+  if (!isValidDateOnly(referenceDate)) {
+    errors.push(createFieldError('referenceDate', ValidationErrorCode.INVALID_FORMAT, 'Reference date must be a YYYY-MM-DD date', referenceDate));
+  }
+
+  if (!Array.isArray(scenarios)) {
+    errors.push(createFieldError('scenarios', ValidationErrorCode.INVALID_FORMAT, 'Scenarios must be a list', scenarios));
+  } else {
+    scenarios.filter((scenario) => !SCENARIO_BUILDERS[scenario]).forEach((scenario) => {
+      errors.push(createFieldError(
+        'scenarios',
+        ValidationErrorCode.INVALID_OPTION,
+        `Unknown scenario "${scenario}", expected one of ${Object.values(SyntheticScenario).join(', ')}`,
+        scenario
+      ));
+    });
+  }
+
+  const minimum = Array.isArray(scenarios) ? scenarios.length : 0;
+  if (!Number.isInteger(patientCount) || patientCount < minimum || patientCount > MAX_SYNTHETIC_PATIENTS) {
+    errors.push(createFieldError(
+      'patientCount',
+      ValidationErrorCode.OUT_OF_RANGE,
+      `Patient count must be a whole number from ${minimum} (one per scenario) to ${MAX_SYNTHETIC_PATIENTS}`,
+      patientCount
+    ));
+  }
+
+  return errors;
+}
+
+/**
+ * Generates a synthetic dataset
+ * @param {Object} reference - { formulary, providerRegistry, durDataset } from the loaders
+ * @param {Object} [options] - Generator options
+ * @param {string|number} [options.seed] - Seed, defaults to DEFAULT_SYNTHETIC_SEED
+ * @param {string} [options.referenceDate] - Date events lead up to (YYYY-MM-DD), defaults to SYNTHETIC_REFERENCE_DATE
+ * @param {string[]} [options.scenarios] - Values from SyntheticScenario, one patient each; defaults to every scenario
+ * @param {number} [options.patientCount] - Total patients, defaults to one per scenario; the rest follow
+ *   ROUTINE_MAINTENANCE
+ * @returns {Object} Success response with { seed, referenceDate, patients, pharmacies, users, insurance,
+ *   prescriptions, fills, claims, accumulatorPostings, accounts } where patients lists { userId, email, scenario },
+ *   or a validation error response
+ */
+export function generateSyntheticData(reference, options = {}) {
+  const {
+    seed = DEFAULT_SYNTHETIC_SEED,
+    referenceDate = SYNTHETIC_REFERENCE_DATE,
+    scenarios = Object.values(SyntheticScenario)
+  } = options;
+  const patientCount = options.patientCount ?? (Array.isArray(scenarios) ? scenarios.length : 0);
+
+  const errors = validateSyntheticOptions(reference, { seed, referenceDate, scenarios, patientCount });
+  if (errors.length > 0) {
+    return createValidationErrorResponse(errors);
+  }
+
+  const dataset = {
+    seed,
+    referenceDate,
+    patients: [],
+    pharmacies: buildPharmacies(createSeededRandom(`${seed}:pharmacies`), reference),
+    users: [],
+    insurance: [],
+    prescriptions: [],
+    fills: [],
+    claims: [],
+    accumulatorPostings: []
+  };
+
+  for (let index = 0; index < patientCount; index++) {
+    const scenario = scenarios[index] || SyntheticScenario.ROUTINE_MAINTENANCE;
+    const builder = createPatientBuilder(createSeededRandom(`${seed}:patient:${index}`), reference, dataset, referenceDate);
+    SCENARIO_BUILDERS[scenario](builder);
+
+    const user = dataset.users[dataset.users.length - 1];
+    dataset.patients.push({ userId: user.id, email: user.email, scenario });
+  }
+
+  dataset.accounts = buildAccounts(createSeededRandom(`${seed}:accounts`), dataset, reference.formulary);
+  return createSuccessResponse(dataset);
+}
@@ -1,4 +1,5 @@
 import { ErrorCode } from '../constants.js';
+import { getErrorMessages } from '../validators/validationErrors.js';
 
 /**
  * API Response Utilities
@@ -19,6 +20,19 @@ export function createSuccessResponse(data, message) {
   };
 }
 
+/**
+ * Attaches non-blocking warnings to a success response
+ * @param {Object} response - Response from createSuccessResponse()
+ * @param {Array<Object>} warnings - Field errors from createFieldError() describing the warnings
+ * @returns {Object} Response with a warnings list when there are any
+ */
+export function withWarnings(response, warnings) {
+  return {
+    ...response,
+    warnings: warnings && warnings.length > 0 ? warnings : undefined
+  };
+}
+
 /**
  * Creates an error response
  * @param {string} code - Error code from ErrorCode constants
@@ -39,14 +53,21 @@ export function createErrorResponse(code, message, details) {
 
 /**
  * Creates a validation error response
- * @param {string[]} errors - Array of validation error messages
+ * details.errors is always a list of message strings, so existing clients keep working;
+ * when field errors are passed they are also returned in full as details.fieldErrors
+ * @param {Array<Object|string>} errors - Field errors from createFieldError() or plain messages
  * @returns {Object} Standardized validation error response
  */
 export function createValidationErrorResponse(errors) {
+  const fieldErrors = errors.filter((error) => typeof error !== 'string');
+
   return createErrorResponse(
     ErrorCode.VALIDATION_ERROR,
     'Validation failed',
-    { errors }
+    {
+      errors: getErrorMessages(errors),
+      fieldErrors: fieldErrors.length > 0 ? fieldErrors : undefined
+    }
   );
 }
 
@@ -78,4 +99,20 @@ export function createPaginatedResponse(items, total, page, limit) {
     limit,
     totalPages: Math.ceil(total / limit)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a cursor-paginated response
+ * @param {Array} items - Array of items for current page
+ * @param {number} limit - Number of items per page
+ * @param {string|null} nextCursor - Cursor for the next page, or null on the last page
+ * @returns {Object} { items, limit, nextCursor, hasMore }
+ */
+export function createCursorPaginatedResponse(items, limit, nextCursor) {
+  return {
+    items,
+    limit,
+    nextCursor,
+    hasMore: nextCursor !== null
+  };
+}
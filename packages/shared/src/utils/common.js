@@ -1,18 +1,75 @@
+import {
+  addCalendarDays,
+  compareDates,
+  getExactAge,
+  getToday,
+  isValidDateOnly,
+  toDayNumber
+} from '../dates/dateOnly.js';
+
 /**
  * Common Utility Functions
  * Reusable helper functions for various operations
+ * Date helpers are built on dates/dateOnly.js and never parse YYYY-MM-DD strings with Date
+ */
+
+/**
+ * Milliseconds in a day, to place a day number on the UTC timeline for Intl formatting
  */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 /**
- * Generates a UUID v4
+ * Generates a UUID v4 from a cryptographically secure random source
  * @returns {string} UUID string
  */
 export function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Millisecond timestamp and counter of the last generateSortableId() call, so IDs made in the same
+ * millisecond, or after the clock steps back, still sort in the order they were made
+ */
+const sortableIdState = { timestamp: 0, counter: 0 };
+
+/**
+ * Largest value of the 12-bit counter that orders IDs made in the same millisecond
+ */
+const MAX_SORTABLE_ID_COUNTER = 0xfff;
+
+/**
+ * Generates a time-sortable UUID (version 7)
+ * The first 48 bits are the Unix time in milliseconds and the last 62 are cryptographically random, so
+ * IDs sort by creation time as plain strings and collide only if two processes draw the same 62 bits in
+ * the same millisecond. Within one process IDs always increase
+ * @returns {string} UUID string
+ */
+export function generateSortableId() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  const now = Date.now();
+
+  if (now > sortableIdState.timestamp) {
+    // Start each millisecond low in the counter range so there is room to count up
+    sortableIdState.timestamp = now;
+    sortableIdState.counter = ((bytes[6] & 0x07) << 8) | bytes[7];
+  } else if (sortableIdState.counter < MAX_SORTABLE_ID_COUNTER) {
+    sortableIdState.counter += 1;
+  } else {
+    sortableIdState.timestamp += 1;
+    sortableIdState.counter = 0;
+  }
+
+  let timestamp = sortableIdState.timestamp;
+  for (let i = 5; i >= 0; i--) {
+    bytes[i] = timestamp % 256;
+    timestamp = Math.floor(timestamp / 256);
+  }
+  bytes[6] = 0x70 | (sortableIdState.counter >> 8);
+  bytes[7] = sortableIdState.counter & 0xff;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
 /**
@@ -52,20 +109,22 @@ export function centsToDollars(cents) {
  * @returns {string} Formatted date (e.g., "January 15, 2024")
  */
 export function formatDate(dateString) {
-  const date = new Date(dateString);
+  const date = new Date(toDayNumber(dateString) * MS_PER_DAY);
   return new Intl.DateTimeFormat('en-US', {
     year: 'numeric',
     month: 'long',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: 'UTC'
   }).format(date);
 }
 
 /**
- * Gets current ISO date string (YYYY-MM-DD)
+ * Gets today's date (YYYY-MM-DD) on the runtime's local calendar
+ * Servers follow the TZ environment variable
  * @returns {string} Current date in YYYY-MM-DD format
  */
 export function getCurrentDate() {
-  return new Date().toISOString().split('T')[0];
+  return getToday();
 }
 
 /**
@@ -76,28 +135,42 @@ export function getCurrentDateTime() {
   return new Date().toISOString();
 }
 
+/**
+ * Adds a number of days to a date string
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+export function addDays(dateString, days) {
+  return addCalendarDays(dateString, days);
+}
+
+/**
+ * Calculates age in whole years on a given date
+ * @param {string} dateOfBirth - Date of birth (YYYY-MM-DD)
+ * @param {string} [asOfDate] - Date to measure age on (YYYY-MM-DD), defaults to today
+ * @returns {number} Age in completed years
+ */
+export function calculateAge(dateOfBirth, asOfDate = getCurrentDate()) {
+  return getExactAge(dateOfBirth, asOfDate).years;
+}
+
 /**
  * Checks if a date is in the past
  * @param {string} dateString - Date string to check (YYYY-MM-DD)
- * @returns {boolean} True if date is in the past
+ * @returns {boolean} True if date is in the past, false if it is not a valid date
  */
 export function isPastDate(dateString) {
-  const date = new Date(dateString);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Reset time to start of day
-  return date < today;
+  return isValidDateOnly(dateString) && compareDates(dateString, getCurrentDate()) < 0;
 }
 
 /**
  * Checks if a date is in the future
  * @param {string} dateString - Date string to check (YYYY-MM-DD)
- * @returns {boolean} True if date is in the future
+ * @returns {boolean} True if date is in the future, false if it is not a valid date
  */
 export function isFutureDate(dateString) {
-  const date = new Date(dateString);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Reset time to start of day
-  return date > today;
+  return isValidDateOnly(dateString) && compareDates(dateString, getCurrentDate()) > 0;
 }
 
 /**
@@ -0,0 +1,24 @@
+/**
+ * Data File Reading
+ * Reads the reference data files behind the formulary, provider registry and DUR loaders (Node.js only)
+ */
+
+/**
+ * Reads a text file
+ * @param {string|URL} filePath - Path to the file
+ * @returns {Promise<string>} File contents
+ */
+export async function readTextFile(filePath) {
+  // Imported lazily so browser bundles of the shared package never load fs
+  const { readFile } = await import('node:fs/promises');
+  return readFile(filePath, 'utf8');
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string|URL} filePath - Path to the file
+ * @returns {Promise<*>} Parsed contents
+ */
+export async function readJsonFile(filePath) {
+  return JSON.parse(await readTextFile(filePath));
+}
@@ -0,0 +1,115 @@
+import { UserRole, ValidationErrorCode } from '../constants.js';
+import { createFieldError } from './validationErrors.js';
+import { AccountSchema } from '../schemas/entitySchemas.js';
+import { validateWithSchema } from '../schemas/schemaValidation.js';
+
+/**
+ * Account Validation Utilities
+ * Validation functions for login accounts and their passwords
+ * Each role is tied to one kind of record: a patient profile, a pharmacy or a set of plans
+ */
+
+/**
+ * Shortest password accepted for a new account
+ */
+export const MIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Longest password accepted; bounds the work done hashing it
+ */
+export const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Field that ties each role to the records it works with; admins have none
+ */
+const ROLE_SCOPE_FIELDS = {
+  [UserRole.PATIENT]: 'userId',
+  [UserRole.PHARMACIST]: 'pharmacyNPI',
+  [UserRole.INSURER]: 'planIds',
+};
+
+/**
+ * Validates a new password
+ * @param {string} password - Password to validate
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validatePassword(password) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    errors.push(createFieldError('password', ValidationErrorCode.REQUIRED, 'Password is required'));
+  } else if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(createFieldError(
+      'password',
+      ValidationErrorCode.OUT_OF_RANGE,
+      `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+    ));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a complete account object against AccountSchema
+ * Patient accounts need a patient ID, pharmacist accounts a pharmacy NPI and insurer accounts at least one plan
+ * @param {Object} account - Account object to validate (without the password)
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.formulary] - Formulary from loadFormulary(); when given, insurer plan IDs must exist
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validateAccount(account, options = {}) {
+  const { errors } = validateWithSchema(AccountSchema, account);
+  const hasError = (field) => errors.some((error) => error.field === field || error.field.startsWith(`${field}[`));
+
+  const scopeField = ROLE_SCOPE_FIELDS[account.role];
+  const scopeValue = account[scopeField];
+  if (scopeField && !hasError(scopeField) && (!scopeValue || scopeValue.length === 0)) {
+    errors.push(createFieldError(
+      scopeField,
+      ValidationErrorCode.REQUIRED,
+      `${AccountSchema.fields[scopeField].label} is required for ${account.role} accounts`,
+      scopeValue
+    ));
+  }
+
+  if (account.role === UserRole.INSURER && options.formulary && !hasError('planIds')) {
+    (account.planIds || []).forEach((planId, index) => {
+      if (!options.formulary.plans[planId]) {
+        errors.push(createFieldError(
+          `planIds[${index}]`,
+          ValidationErrorCode.INVALID_OPTION,
+          `Unknown formulary plan ID "${planId}"`,
+          planId
+        ));
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Returns a copy of an account with values converted to their canonical stored form
+ * Lowercases the email, drops scope fields that do not belong to the role and defaults isActive to true
+ * @param {Object} account - Account object (validate first)
+ * @returns {Object} Normalized account
+ */
+export function normalizeAccount(account) {
+  const normalized = { ...account, email: account.email.toLowerCase(), isActive: account.isActive !== false };
+
+  Object.entries(ROLE_SCOPE_FIELDS)
+    .filter(([role]) => role !== account.role)
+    .forEach(([, field]) => { delete normalized[field]; });
+
+  if (normalized.planIds) {
+    normalized.planIds = [...new Set(normalized.planIds)];
+  }
+
+  return normalized;
+}
@@ -0,0 +1,112 @@
+import { PharmacyType, ValidationErrorCode } from '../constants.js';
+import { createFieldError } from './validationErrors.js';
+import { PharmacySchema } from '../schemas/entitySchemas.js';
+import { validateWithSchema } from '../schemas/schemaValidation.js';
+import { checkPharmacyNPI, lookupProvider } from '../providers/providerRegistry.js';
+
+/**
+ * Pharmacy Validation Utilities
+ * Validation functions for pharmacy records, their opening hours and network membership
+ */
+
+/**
+ * NPPES taxonomy code registered for each pharmacy type
+ */
+export const PHARMACY_TYPE_TAXONOMY = {
+  [PharmacyType.RETAIL]: '3336C0003X',     // Community/Retail Pharmacy
+  [PharmacyType.MAIL_ORDER]: '3336M0002X', // Mail Order Pharmacy
+  [PharmacyType.SPECIALTY]: '3336S0011X',  // Specialty Pharmacy
+};
+
+/**
+ * Validates pharmacy type
+ * @param {string} type - Pharmacy type to validate
+ * @returns {boolean} True if valid pharmacy type
+ */
+export function isValidPharmacyType(type) {
+  return Object.values(PharmacyType).includes(type);
+}
+
+/**
+ * Validates one day of opening hours
+ * @param {string} hours - "HH:MM-HH:MM" in 24-hour time (closing may be 24:00), or "CLOSED"
+ * @returns {boolean} True if valid and the pharmacy closes after it opens
+ */
+export function isValidOpeningHours(hours) {
+  if (hours === 'CLOSED') return true;
+
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(hours || '');
+  if (!match) return false;
+
+  const [opensHour, opensMinute, closesHour, closesMinute] = match.slice(1).map(Number);
+  if (opensHour > 23 || opensMinute > 59 || closesMinute > 59) return false;
+  if (closesHour > 24 || (closesHour === 24 && closesMinute !== 0)) return false;
+
+  return closesHour * 60 + closesMinute > opensHour * 60 + opensMinute;
+}
+
+/**
+ * Validates a complete pharmacy object against PharmacySchema
+ * @param {Object} pharmacy - Pharmacy object to validate
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.providerRegistry] - Registry from loadProviderRegistry(); when given, the NPI
+ *   must be an active organization whose registered taxonomy matches the pharmacy type
+ * @param {Object} [options.formulary] - Formulary from loadFormulary(); when given, network plan IDs must exist
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
+ */
+export function validatePharmacy(pharmacy, options = {}) {
+  const { errors } = validateWithSchema(PharmacySchema, pharmacy);
+  const hasError = (field) => errors.some((error) => error.field === field);
+
+  // Registry checks only run on an NPI that passed the schema
+  if (options.providerRegistry && !hasError('npi')) {
+    const problem = checkPharmacyNPI(options.providerRegistry, pharmacy.npi);
+    if (problem) {
+      errors.push(createFieldError('npi', problem.code, problem.message, pharmacy.npi));
+    } else if (!hasError('pharmacyType')) {
+      const { taxonomy, taxonomyDescription } = lookupProvider(options.providerRegistry, pharmacy.npi);
+      const isPharmacyTaxonomy = Object.values(PHARMACY_TYPE_TAXONOMY).includes(taxonomy);
+      if (isPharmacyTaxonomy && PHARMACY_TYPE_TAXONOMY[pharmacy.pharmacyType] !== taxonomy) {
+        errors.push(createFieldError(
+          'pharmacyType',
+          ValidationErrorCode.INCONSISTENT,
+          `NPI ${pharmacy.npi} is registered as a ${taxonomyDescription || taxonomy}, not a ${pharmacy.pharmacyType} pharmacy`,
+          pharmacy.pharmacyType
+        ));
+      }
+    }
+  }
+
+  if (options.formulary && !hasError('networkPlanIds')) {
+    (pharmacy.networkPlanIds || []).forEach((planId, index) => {
+      if (!options.formulary.plans[planId] && !hasError(`networkPlanIds[${index}]`)) {
+        errors.push(createFieldError(
+          `networkPlanIds[${index}]`,
+          ValidationErrorCode.INVALID_OPTION,
+          `Unknown formulary plan ID "${planId}"`,
+          planId
+        ));
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Returns a copy of a pharmacy with values converted to their canonical stored form
+ * Uppercases the state, drops duplicate network plan IDs and defaults isActive to true
+ * @param {Object} pharmacy - Pharmacy object (validate first)
+ * @returns {Object} Normalized pharmacy
+ */
+export function normalizePharmacy(pharmacy) {
+  return {
+    ...pharmacy,
+    address: { ...pharmacy.address, state: pharmacy.address.state.toUpperCase() },
+    networkPlanIds: [...new Set(pharmacy.networkPlanIds || [])],
+    isActive: pharmacy.isActive !== false
+  };
+}
@@ -0,0 +1,118 @@
+import { PrescriptionStatus, MedicationForm, ValidationErrorCode } from '../constants.js';
+import { createFieldError } from './validationErrors.js';
+import { PrescriptionSchema } from '../schemas/entitySchemas.js';
+import { validateWithSchema } from '../schemas/schemaValidation.js';
+import { normalizeNDC, parseNDC } from '../ndc/ndc.js';
+import { hasValidNPICheckDigit } from '../npi/npi.js';
+import { checkPharmacyNPI, checkPrescriberNPI } from '../providers/providerRegistry.js';
+import { checkDaysSupply } from '../sig/sigParser.js';
+import { checkStrengthForForm } from '../strength/medicationStrength.js';
+
+/**
+ * Prescription Validation Utilities
+ * Validation functions for prescription-related data
+ */
+
+/**
+ * Validates NDC (National Drug Code) format
+ * Accepts 10-digit label forms (4-4-2, 5-3-2, 5-4-1) and the 11-digit 5-4-2 billing form
+ * @param {string} ndc - NDC to validate
+ * @returns {boolean} True if valid NDC format
+ */
+export function isValidNDC(ndc) {
+  return parseNDC(ndc) !== null;
+}
+
+/**
+ * Validates NPI (National Provider Identifier) format
+ * NPI is always 10 digits, the last being a Luhn check digit
+ * @param {string} npi - NPI to validate
+ * @returns {boolean} True if valid NPI
+ */
+export function isValidNPI(npi) {
+  return hasValidNPICheckDigit(npi);
+}
+
+/**
+ * Validates prescription status
+ * @param {string} status - Status to validate
+ * @returns {boolean} True if valid status
+ */
+export function isValidPrescriptionStatus(status) {
+  return Object.values(PrescriptionStatus).includes(status);
+}
+
+/**
+ * Validates medication form
+ * @param {string} form - Medication form to validate
+ * @returns {boolean} True if valid medication form
+ */
+export function isValidMedicationForm(form) {
+  return Object.values(MedicationForm).includes(form);
+}
+
+/**
+ * Validates a complete prescription object against PrescriptionSchema
+ * @param {Object} prescription - Prescription object to validate
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.providerRegistry] - Registry from loadProviderRegistry(); when given,
+ *   the prescriber must be an active individual and the pharmacy an active organization
+ * @returns {Object} { isValid: boolean, errors: Object[], warnings: Object[] } where errors and warnings
+ *   are field errors from createFieldError(); warnings do not make the prescription invalid
+ */
+export function validatePrescription(prescription, options = {}) {
+  const { errors } = validateWithSchema(PrescriptionSchema, prescription);
+
+  // The strength type must suit the form (a concentration for liquids, a rate for patches...)
+  if (!errors.some((error) => error.field === 'strength' || error.field === 'medicationForm')) {
+    const strengthProblem = checkStrengthForForm(prescription.strength, prescription.medicationForm);
+    if (strengthProblem) {
+      errors.push(createFieldError('strength', ValidationErrorCode.INCONSISTENT, strengthProblem, prescription.strength));
+    }
+  }
+
+  // Registry checks only run on NPIs that passed the schema
+  if (options.providerRegistry) {
+    const registryChecks = [
+      ['prescriberNPI', checkPrescriberNPI],
+      ['pharmacyNPI', checkPharmacyNPI],
+    ];
+
+    registryChecks.forEach(([field, check]) => {
+      const npi = prescription[field];
+      if (!npi || errors.some((error) => error.field === field)) return;
+
+      const problem = check(options.providerRegistry, npi);
+      if (problem) errors.push(createFieldError(field, problem.code, problem.message, npi));
+    });
+  }
+
+  // Only compare days supply with the sig once the fields it uses are valid
+  const warnings = [];
+  const sigFields = ['quantity', 'daysSupply', 'dosageInstructions'];
+  if (!errors.some((error) => sigFields.includes(error.field))) {
+    const mismatch = checkDaysSupply(prescription);
+    if (mismatch) {
+      warnings.push(createFieldError('daysSupply', ValidationErrorCode.INCONSISTENT, mismatch.message, prescription.daysSupply));
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Returns a copy of a prescription with values converted to their canonical stored form
+ * Currently converts the NDC to the hyphenated 11-digit form (e.g. 1234-5678-90 -> 01234-5678-90)
+ * @param {Object} prescription - Prescription object (validate first)
+ * @returns {Object} Normalized prescription
+ */
+export function normalizePrescription(prescription) {
+  return {
+    ...prescription,
+    ndc: prescription.ndc ? normalizeNDC(prescription.ndc) || prescription.ndc : prescription.ndc
+  };
+}
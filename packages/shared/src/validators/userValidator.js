@@ -1,3 +1,7 @@
+import { UserSchema } from '../schemas/entitySchemas.js';
+import { isValidDateOnly } from '../dates/dateOnly.js';
+import { validateWithSchema } from '../schemas/schemaValidation.js';
+
 /**
  * User Validation Utilities
  * Simple validation functions for user-related data
@@ -26,17 +30,12 @@ export function isValidPhoneNumber(phoneNumber) {
 }
 
 /**
- * Validates date format (YYYY-MM-DD)
+ * Validates date format (YYYY-MM-DD) and that the day exists (e.g., not 2023-02-31)
  * @param {string} date - Date string to validate
  * @returns {boolean} True if valid date format
  */
 export function isValidDate(date) {
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) return false;
-
-  // Check if date is actually valid (e.g., not 2023-02-31)
-  const dateObj = new Date(date);
-  return dateObj instanceof Date && !isNaN(dateObj);
+  return isValidDateOnly(date);
 }
 
 /**
@@ -67,74 +66,23 @@ export function isValidStateCode(state) {
 }
 
 /**
- * Validates a complete user object
+ * Validates a complete user object against UserSchema
  * @param {Object} user - User object to validate
- * @returns {Object} { isValid: boolean, errors: string[] }
+ * @returns {Object} { isValid: boolean, errors: Object[] } where errors are field errors from createFieldError()
  */
 export function validateUser(user) {
-  const errors = [];
-
-  // Email validation
-  if (!user.email) {
-    errors.push('Email is required');
-  } else if (!isValidEmail(user.email)) {
-    errors.push('Invalid email format');
-  }
-
-  // Name validation
-  if (!user.firstName || user.firstName.trim().length === 0) {
-    errors.push('First name is required');
-  } else if (user.firstName.length > 100) {
-    errors.push('First name must be 100 characters or less');
-  }
-
-  if (!user.lastName || user.lastName.trim().length === 0) {
-    errors.push('Last name is required');
-  } else if (user.lastName.length > 100) {
-    errors.push('Last name must be 100 characters or less');
-  }
-
-  // Date of birth validation
-  if (!user.dateOfBirth) {
-    errors.push('Date of birth is required');
-  } else if (!isValidDate(user.dateOfBirth)) {
-    errors.push('Date of birth must be in YYYY-MM-DD format');
-  }
-
-  // Phone number validation
-  if (!user.phoneNumber) {
-    errors.push('Phone number is required');
-  } else if (!isValidPhoneNumber(user.phoneNumber)) {
-    errors.push('Invalid phone number format');
-  }
-
-  // Address validation
-  if (!user.address) {
-    errors.push('Address is required');
-  } else {
-    if (!user.address.street || user.address.street.trim().length === 0) {
-      errors.push('Street address is required');
-    }
-
-    if (!user.address.city || user.address.city.trim().length === 0) {
-      errors.push('City is required');
-    }
-
-    if (!user.address.state) {
-      errors.push('State is required');
-    } else if (!isValidStateCode(user.address.state)) {
-      errors.push('Invalid state code (must be 2-letter code like CA, NY)');
-    }
-
-    if (!user.address.zipCode) {
-      errors.push('ZIP code is required');
-    } else if (!isValidZipCode(user.address.zipCode)) {
-      errors.push('Invalid ZIP code format');
-    }
-  }
+  return validateWithSchema(UserSchema, user);
+}
 
+/**
+ * Returns a copy of a user with values converted to their canonical stored form
+ * @param {Object} user - User object (validate first)
+ * @returns {Object} User with lowercased email and uppercased state
+ */
+export function normalizeUser(user) {
   return {
-    isValid: errors.length === 0,
-    errors
+    ...user,
+    email: user.email.toLowerCase(),
+    address: { ...user.address, state: user.address.state.toUpperCase() }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,40 @@
+/**
+ * Validation Error Utilities
+ * Validators return field errors shaped like:
+ * { field: 'address.zipCode', code: ValidationErrorCode.INVALID_FORMAT, value: '123', message: 'Invalid ZIP code format' }
+ * field is a dotted path into the validated object so forms can show the message next to the input
+ */
+
+/**
+ * Creates a field error
+ * @param {string} field - Dotted path of the failing field (e.g. "address.zipCode")
+ * @param {string} code - Value from ValidationErrorCode
+ * @param {string} message - Human-readable message
+ * @param {*} [value] - The rejected value
+ * @returns {Object} { field, code, message, value }
+ */
+export function createFieldError(field, code, message, value) {
+  return { field, code, message, value };
+}
+
+/**
+ * Gets the human-readable messages from a list of errors
+ * Accepts field errors or plain message strings
+ * @param {Array<Object|string>} errors - Validation errors
+ * @returns {string[]} Messages
+ */
+export function getErrorMessages(errors) {
+  return (errors || []).map((error) => (typeof error === 'string' ? error : error.message));
+}
+
+/**
+ * Groups field errors by field path
+ * @param {Object[]} errors - Field errors
+ * @returns {Object} { [field]: Object[] }
+ */
+export function groupErrorsByField(errors) {
+  return (errors || []).reduce((groups, error) => ({
+    ...groups,
+    [error.field]: [...(groups[error.field] || []), error]
+  }), {});
+}